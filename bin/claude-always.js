@@ -10,17 +10,203 @@ const {
   ClaudeService,
   getServiceStatus,
   stopService,
+  getServiceConfig,
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  ClaudeClient,
   runInteractive,
   sendCommand,
   showStatus,
   runWhatsAppBridge,
   runVoiceBridge,
   getAPIKeyManager,
+  API_KEY_SCOPES,
+  getAuditLog,
+  parseDuration,
   getMemoryStore,
+  getContextBuilder,
+  estimateTokens,
+  FACT_SOURCES,
+  SEARCH_KINDS,
+  serializeExport,
+  parseExport,
+  formatForFile,
+  parseRetention,
+  MEMORY_KEY_ENV,
   getSchedulerManager,
-  parseReminderTime
+  parseReminderTime,
+  getCrashReporter
 } = require('../src');
 
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Claude process settings from `start` options
+ */
+function claudeOptionsFrom(options) {
+  const claude = {};
+
+  if (options.cwd) claude.cwd = path.resolve(options.cwd);
+  if (options.claudePath) claude.claudePath = options.claudePath;
+  if (options.model) claude.model = options.model;
+  if (options.allowedTools) claude.allowedTools = options.allowedTools;
+  if (options.mcpConfig) claude.mcpConfig = path.resolve(options.mcpConfig);
+  if (options.claudeArg.length > 0) claude.args = options.claudeArg;
+
+  if (options.env.length > 0) {
+    claude.env = {};
+    for (const pair of options.env) {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) {
+        throw new Error(`Invalid environment variable "${pair}" (expected NAME=value)`);
+      }
+      claude.env[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+  }
+
+  return claude;
+}
+
+/**
+ * Time filter as ms since the epoch: a date, or a duration ago ("24h")
+ */
+function sinceTime(value) {
+  if (/^\d+\s*[smhdw]$/i.test(value.trim())) {
+    return Date.now() - parseDuration(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}" (use a date or a duration such as 24h)`);
+  }
+  return time;
+}
+
+/**
+ * TLS settings from `start` options (unset keys fall back to config.json `tls`)
+ */
+function tlsOptionsFrom(options) {
+  const tls = {};
+
+  if (options.tls || options.tlsCert || options.tlsKey) tls.enabled = true;
+  if (options.tlsCert) tls.cert = path.resolve(options.tlsCert);
+  if (options.tlsKey) tls.key = path.resolve(options.tlsKey);
+
+  return tls;
+}
+
+/**
+ * One-line summary of a fact's tags, source and confidence
+ */
+function describeFact(fact) {
+  const tags = fact.tags.length > 0 ? fact.tags.map(t => `#${t}`).join(' ') : 'no tags';
+  return `${tags} | ${fact.source}, confidence ${fact.confidence}${fact.pinned ? ' | pinned' : ''}`;
+}
+
+/**
+ * Ask for a passphrase without echoing it
+ */
+function promptPassphrase(question) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = () => {};
+  process.stdout.write(question);
+
+  return new Promise(resolve => {
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Ask for a new passphrase twice
+ */
+async function promptNewPassphrase() {
+  if (!process.stdin.isTTY) {
+    throw new Error('A terminal is needed to enter the new passphrase');
+  }
+  const passphrase = await promptPassphrase('New memory passphrase: ');
+  if (passphrase.length < 8) {
+    throw new Error('Use a passphrase of at least 8 characters');
+  }
+  if (await promptPassphrase('Repeat it: ') !== passphrase) {
+    throw new Error('The passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Report the backups an encryption change converted, and offer to delete
+ * the ones it could not (they still hold memory as it was)
+ * @param {{backups: string[], unconverted: Array<{file: string, error: string}>}} result
+ * @param {string} done - What happened to the converted ones, e.g. "encrypted"
+ */
+async function reportConvertedBackups({ backups, unconverted }, done) {
+  if (backups.length > 0) {
+    console.log(`${backups.length} backup(s) ${done} as well (${path.dirname(backups[0])}).`);
+  }
+  if (unconverted.length === 0) return;
+
+  console.log('These backups could not be converted and still hold memory as it was:');
+  for (const { file, error } of unconverted) {
+    console.log(`  ${file} (${error})`);
+  }
+  if (!process.stdin.isTTY) {
+    console.log('Delete them once you no longer need them.');
+    return;
+  }
+
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => {
+    rl.question('Delete them now? (yes/no): ', resolve);
+  });
+  rl.close();
+
+  if (answer.toLowerCase() !== 'yes') {
+    console.log('Kept. Delete them once you no longer need them.');
+    return;
+  }
+  for (const { file } of unconverted) {
+    fs.rmSync(file, { force: true });
+  }
+  console.log(`Deleted ${unconverted.length} backup(s).`);
+}
+
+/**
+ * Open the memory store, asking for the passphrase if it is encrypted and
+ * CLAUDE_ALWAYS_MEMORY_KEY isn't set
+ * @returns {Promise<string|null>} The passphrase typed, if one was asked for
+ */
+async function unlockMemory() {
+  const store = getMemoryStore();
+  if (!store.isLocked()) return null;
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`memory.db is encrypted: set ${MEMORY_KEY_ENV} to its passphrase`);
+  }
+  const passphrase = await promptPassphrase('Memory passphrase: ');
+  store.unlock(passphrase);
+  return passphrase;
+}
+
+/**
+ * Encryption changes rewrite memory.db, so the service must not be using it
+ */
+async function requireServiceStopped() {
+  const status = await getServiceStatus();
+  if (status.running) {
+    throw new Error('Stop the service first (claude-always stop); it has memory.db open');
+  }
+}
+
 program
   .name('claude-always')
   .description('Run Claude Code as an always-running background service')
@@ -36,6 +222,20 @@ program
   .option('-p, --port <port>', 'TCP port', '3377')
   .option('-f, --foreground', 'Run in foreground')
   .option('-r, --remote', 'Enable remote access (binds to 0.0.0.0, requires API key auth)')
+  .option('--http [port]', 'Serve the HTTP API (default port: TCP port + 2, requires an API key)')
+  .option('--tls', 'Serve TCP, WebSocket and HTTP over TLS (self-signed unless --tls-cert/--tls-key)')
+  .option('--tls-cert <file>', 'TLS certificate (PEM)')
+  .option('--tls-key <file>', 'TLS private key (PEM)')
+  .option('--no-extract-facts', 'Do not store facts found in Claude responses')
+  .option('-d, --cwd <dir>', 'Working directory for Claude')
+  .option('-e, --env <name=value>', 'Extra environment variable for Claude (repeatable)', collect, [])
+  .option('--claude-path <path>', 'Claude binary to run')
+  .option('-m, --model <model>', 'Model for Claude')
+  .option('--allowed-tools <tools>', 'Comma-separated tools Claude may use without asking')
+  .option('--mcp-config <file>', 'MCP server config file for Claude')
+  .option('--claude-arg <arg>', 'Extra argument for Claude (repeatable)', collect, [])
+  .option('--max-restarts <count>', 'Give up after this many crashes in a row (default: 10)')
+  .option('--retry-forever', 'Keep restarting a crashing Claude at the maximum backoff delay')
   .action(async (options) => {
     const status = await getServiceStatus();
 
@@ -45,23 +245,68 @@ program
       return;
     }
 
+    let memoryPassphrase;
+    try {
+      memoryPassphrase = await unlockMemory();
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
     if (options.foreground) {
+      let claude;
+      try {
+        claude = claudeOptionsFrom(options);
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+
+      const restartPolicy = {};
+      if (options.maxRestarts) restartPolicy.maxAttempts = parseInt(options.maxRestarts);
+      if (options.retryForever) restartPolicy.retryForever = true;
+
       const svc = new ClaudeService({
         port: parseInt(options.port),
-        remote: options.remote
+        remote: options.remote,
+        http: options.http,
+        tls: tlsOptionsFrom(options),
+        extractFacts: options.extractFacts,
+        claude,
+        restartPolicy
       });
-      await svc.start();
+      try {
+        await svc.start();
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
     } else {
       console.log('Starting Claude service...');
 
       const args = ['start', '-f', '-p', options.port];
       if (options.remote) args.push('-r');
+      if (options.http) args.push(options.http === true ? '--http' : `--http=${options.http}`);
+      if (options.tls) args.push('--tls');
+      if (options.tlsCert) args.push('--tls-cert', path.resolve(options.tlsCert));
+      if (options.tlsKey) args.push('--tls-key', path.resolve(options.tlsKey));
+      if (!options.extractFacts) args.push('--no-extract-facts');
+      if (options.cwd) args.push('-d', path.resolve(options.cwd));
+      for (const env of options.env) args.push('-e', env);
+      if (options.claudePath) args.push('--claude-path', options.claudePath);
+      if (options.model) args.push('-m', options.model);
+      if (options.allowedTools) args.push('--allowed-tools', options.allowedTools);
+      if (options.mcpConfig) args.push('--mcp-config', path.resolve(options.mcpConfig));
+      for (const arg of options.claudeArg) args.push(`--claude-arg=${arg}`);
+      if (options.maxRestarts) args.push('--max-restarts', options.maxRestarts);
+      if (options.retryForever) args.push('--retry-forever');
 
       const child = spawn(process.execPath, [__filename, ...args], {
         detached: true,
         stdio: 'ignore',
         cwd: process.cwd(),
-        env: process.env
+        // The daemon can't ask for the passphrase itself
+        env: memoryPassphrase ? { ...process.env, [MEMORY_KEY_ENV]: memoryPassphrase } : process.env
       });
       child.unref();
 
@@ -74,6 +319,14 @@ program
         if (options.remote) {
           console.log('Remote mode: ENABLED (API key authentication required)');
         }
+        if (newStatus.tls) {
+          console.log(`TLS: ENABLED (SHA-256 fingerprint ${newStatus.fingerprint})`);
+        }
+        if (options.http) {
+          const httpPort = options.http === true ? newStatus.port + 2 : options.http;
+          const scheme = newStatus.tls ? 'https' : 'http';
+          console.log(`HTTP API: ${scheme}://127.0.0.1:${httpPort}/v1 (API key required)`);
+        }
         console.log('');
         console.log('Commands:');
         console.log('  claude-always connect        Interactive session');
@@ -144,6 +397,7 @@ program
       console.log('Running: Yes');
       console.log(`PID: ${status.pid}`);
       console.log(`Port: ${status.port}`);
+      if (status.tls) console.log(`TLS fingerprint: ${status.fingerprint}`);
 
       try {
         await showStatus({ port: status.port });
@@ -190,6 +444,74 @@ program
     }
   });
 
+program
+  .command('cancel [requestId]')
+  .description('Interrupt the running Claude turn, or drop a queued command by request ID')
+  .option('-s, --session <name>', 'Session to cancel in (default: default)')
+  .option('-p, --port <port>', 'Service port')
+  .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
+  .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .action(async (requestId, options) => {
+    await withClient(options, async (client) => {
+      const result = await client.cancelCommand(requestId);
+      console.log(result.running
+        ? `Interrupted running command${result.target ? ` ${result.target}` : ''}.`
+        : `Removed queued command ${result.target}.`);
+    });
+  });
+
+program
+  .command('crashes [id]')
+  .description('List Claude crash reports, or show one in full')
+  .option('-n, --limit <count>', 'Reports to list', '20')
+  .option('-s, --session <name>', 'Only reports for this session')
+  .action((id, options) => {
+    const reporter = getCrashReporter();
+
+    if (id) {
+      const report = reporter.get(id);
+      if (!report) {
+        console.error(`Crash report "${id}" not found.`);
+        process.exitCode = 1;
+        return;
+      }
+
+      console.log(`Crash ${report.id}`);
+      console.log(`  Session: ${report.session}`);
+      console.log(`  Time: ${report.time}`);
+      console.log(`  Exit code: ${report.exitCode ?? '-'}`);
+      if (report.reason) console.log(`  Reason: ${report.reason}`);
+      console.log(`  Uptime: ${Math.round(report.uptime / 1000)}s`);
+      console.log(`  Attempt: ${report.attempt}${report.willRestart ? `, restarted after ${report.restartDelay}ms` : ', gave up'}`);
+      console.log(`  Directory: ${report.cwd}`);
+      console.log(`  Command: ${(report.command || []).join(' ')}`);
+      console.log('');
+      console.log('Last output:');
+      console.log((report.lastOutput || []).map(line => `  ${line}`).join('\n') || '  (none)');
+      return;
+    }
+
+    const reports = reporter.list({ limit: parseInt(options.limit), session: options.session });
+    if (reports.length === 0) {
+      console.log('No crash reports.');
+      return;
+    }
+
+    console.log('Crash Reports');
+    console.log('=============');
+    for (const report of reports) {
+      const exit = report.exitCode ?? report.reason ?? '-';
+      console.log(`\n${report.id}`);
+      console.log(`  Session: ${report.session}, exit: ${exit}, uptime: ${Math.round(report.uptime / 1000)}s`);
+      if (report.reason && report.exitCode !== null && report.exitCode !== undefined) {
+        console.log(`  Reason: ${report.reason}`);
+      }
+    }
+    console.log('\nShow one with: claude-always crashes <id>');
+  });
+
 // ============================================================================
 // Client Commands
 // ============================================================================
@@ -200,11 +522,17 @@ program
   .option('-p, --port <port>', 'Service port')
   .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
   .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .option('-s, --session <name>', 'Claude session to attach to (default: default)')
   .action(async (options) => {
     await runInteractive({
       port: options.port ? parseInt(options.port) : undefined,
       host: options.host,
-      apiKey: options.key
+      apiKey: options.key,
+      session: options.session,
+      tls: options.tls,
+      fingerprint: options.fingerprint
     });
   });
 
@@ -224,6 +552,124 @@ program
     }
   });
 
+// ============================================================================
+// Sessions
+// ============================================================================
+
+const sessionCmd = program
+  .command('session')
+  .description('Manage named Claude sessions in the running service');
+
+/**
+ * Connect to the service, run an action, then disconnect
+ */
+async function withClient(options, action) {
+  const client = new ClaudeClient({
+    port: options.port ? parseInt(options.port) : undefined,
+    host: options.host,
+    apiKey: options.key,
+    session: options.session,
+    tls: options.tls,
+    fingerprint: options.fingerprint
+  });
+
+  try {
+    await client.connect();
+    await action(client);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.disconnect();
+  }
+}
+
+sessionCmd
+  .command('new <name>')
+  .description('Start a new Claude session')
+  .option('-d, --cwd <dir>', 'Working directory for Claude (default: current directory)')
+  .option('-p, --port <port>', 'Service port')
+  .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
+  .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .action(async (name, options) => {
+    const cwd = path.resolve(options.cwd || process.cwd());
+    await withClient(options, async (client) => {
+      const session = await client.createSession(name, { cwd });
+      console.log(`Session "${session.name}" started (PID: ${session.pid})`);
+      console.log(`  Directory: ${session.cwd}`);
+      console.log('');
+      console.log(`Attach with: claude-always connect -s ${session.name}`);
+    });
+  });
+
+sessionCmd
+  .command('list')
+  .description('List Claude sessions')
+  .option('-p, --port <port>', 'Service port')
+  .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
+  .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .action(async (options) => {
+    await withClient(options, async (client) => {
+      const sessions = await client.listSessions();
+
+      console.log('Claude Sessions');
+      console.log('===============');
+      for (const session of sessions) {
+        const state = session.running ? session.health : 'stopped';
+        console.log(`\n${session.name} (${state})`);
+        console.log(`  Directory: ${session.cwd}`);
+        console.log(`  Command: ${session.command.join(' ')}`);
+        if (session.pid) console.log(`  PID: ${session.pid}`);
+        if (session.restarts > 0) console.log(`  Restarts: ${session.restarts}`);
+        if (session.queuedCommands > 0) console.log(`  Queued commands: ${session.queuedCommands}`);
+      }
+    });
+  });
+
+sessionCmd
+  .command('config [name]')
+  .description('Show the Claude settings of a session')
+  .option('-p, --port <port>', 'Service port')
+  .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
+  .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .action(async (name, options) => {
+    await withClient(options, async (client) => {
+      const { config, command } = await client.getSessionConfig(name || 'default');
+
+      console.log(`Session "${name || 'default'}"`);
+      console.log(`  Directory: ${config.cwd || os.homedir()}`);
+      console.log(`  Command: ${command.join(' ')}`);
+      const env = Object.entries(config.env || {});
+      if (env.length > 0) {
+        console.log('  Environment:');
+        for (const [key, value] of env) {
+          console.log(`    ${key}=${value}`);
+        }
+      }
+    });
+  });
+
+sessionCmd
+  .command('kill <name>')
+  .description('Stop and remove a Claude session')
+  .option('-p, --port <port>', 'Service port')
+  .option('-h, --host <host>', 'Remote host (default: 127.0.0.1)')
+  .option('-k, --key <apikey>', 'API key for remote authentication')
+  .option('--tls', 'Connect with TLS')
+  .option('--fingerprint <sha256>', 'Pin the service certificate by SHA-256 fingerprint (implies --tls)')
+  .action(async (name, options) => {
+    await withClient(options, async (client) => {
+      await client.killSession(name);
+      console.log(`Session "${name}" killed.`);
+    });
+  });
+
 // ============================================================================
 // WhatsApp Bridge
 // ============================================================================
@@ -234,14 +680,17 @@ program
   .option('-g, --group <name>', 'Group name to listen to (default: claudebot)')
   .option('-m, --max <seconds>', 'Max timeout per message in seconds (default: 300)')
   .option('--no-voice', 'Disable voice message transcription')
+  .option('--context', 'Inject memory context and store facts from replies')
   .action(async (options) => {
     const maxTimeout = options.max ? parseInt(options.max) * 1000 : 300000;
     const groupName = options.group || 'claudebot';
+    if (options.context) await unlockMemory();
 
     await runWhatsAppBridge({
       maxTimeout,
       groupName,
-      voice: options.voice // Default true, --no-voice sets to false
+      voice: options.voice, // Default true, --no-voice sets to false
+      context: options.context === true // Off unless --context
     });
   });
 
@@ -257,14 +706,17 @@ program
   .option('--voice <name>', 'TTS voice (default: en-US-AriaNeural)', 'en-US-AriaNeural')
   .option('--model <size>', 'Whisper model size: tiny, base, small (default: base.en)', 'base.en')
   .option('-m, --max <seconds>', 'Max timeout per request in seconds (default: 300)')
+  .option('--context', 'Inject memory context and store facts from replies')
   .action(async (options) => {
     const maxTimeout = options.max ? parseInt(options.max) * 1000 : 300000;
+    if (options.context) await unlockMemory();
     await runVoiceBridge({
       sttProvider: options.stt,
       ttsProvider: options.tts,
       sttOptions: { model: options.model },
       ttsOptions: { voice: options.voice },
-      maxTimeout
+      maxTimeout,
+      context: options.context === true
     });
   });
 
@@ -296,8 +748,15 @@ keysCmd
       const lastUsed = key.lastUsed ? new Date(key.lastUsed).toLocaleString() : 'Never';
       const created = new Date(key.created).toLocaleString();
       console.log(`  ${key.name}`);
+      console.log(`    Scopes: ${key.scopes.join(', ')}`);
       console.log(`    Created: ${created}`);
       console.log(`    Last used: ${lastUsed}`);
+      if (key.expiresAt) {
+        console.log(`    Expires: ${new Date(key.expiresAt).toLocaleString()}${key.expired ? ' (EXPIRED)' : ''}`);
+      }
+      if (key.graceUntil) {
+        console.log(`    Old secret valid until: ${new Date(key.graceUntil).toLocaleString()}`);
+      }
       console.log('');
     }
   });
@@ -305,17 +764,27 @@ keysCmd
 keysCmd
   .command('add <name>')
   .description('Generate a new API key')
-  .action((name) => {
+  .option('--scopes <list>', 'Comma-separated scopes (default: admin, see "keys scopes")')
+  .option('--expires <when>', 'Expire after a duration (30d, 12h) or on a date (default: never)')
+  .action((name, options) => {
     const manager = getAPIKeyManager();
 
     try {
-      const result = manager.generate(name);
+      const result = manager.generate(name, { scopes: options.scopes, expires: options.expires });
+      getAuditLog().record('key:create', {
+        keyName: name,
+        transport: 'cli',
+        result: 'ok',
+        args: { scopes: result.scopes, expiresAt: result.expiresAt }
+      });
 
       console.log('');
       console.log('New API key generated:');
       console.log('======================');
       console.log(`Name: ${result.name}`);
       console.log(`Key:  ${result.key}`);
+      console.log(`Scopes: ${result.scopes.join(', ')}`);
+      if (result.expiresAt) console.log(`Expires: ${new Date(result.expiresAt).toLocaleString()}`);
       console.log('');
       console.log('IMPORTANT: Save this key now! It cannot be retrieved later.');
       console.log('');
@@ -329,6 +798,76 @@ keysCmd
     }
   });
 
+keysCmd
+  .command('scopes')
+  .description('List the scopes an API key can have')
+  .action(() => {
+    console.log('API Key Scopes:');
+    console.log('===============');
+    for (const [scope, description] of Object.entries(API_KEY_SCOPES)) {
+      console.log(`  ${scope.padEnd(14)} ${description}`);
+    }
+  });
+
+keysCmd
+  .command('set-scopes <name> <scopes>')
+  .description('Replace the scopes of an API key (comma-separated)')
+  .action((name, scopes) => {
+    try {
+      const result = getAPIKeyManager().setScopes(name, scopes);
+      getAuditLog().record('key:scopes', { keyName: name, transport: 'cli', result: 'ok', args: { scopes: result } });
+      console.log(`API key "${name}" scopes: ${result.join(', ')}`);
+      console.log('Connected clients keep their old scopes until they reconnect.');
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+keysCmd
+  .command('rotate <name>')
+  .description('Issue a new secret for an API key')
+  .option('-g, --grace <duration>', 'How long the old secret keeps working (e.g. 1h, 7d; 0 = revoke now)', '24h')
+  .action((name, options) => {
+    try {
+      const result = getAPIKeyManager().rotate(name, { grace: options.grace });
+      getAuditLog().record('key:rotate', {
+        keyName: name,
+        transport: 'cli',
+        result: 'ok',
+        args: { graceUntil: result.graceUntil }
+      });
+
+      console.log('');
+      console.log(`New secret for "${name}":`);
+      console.log(`Key:  ${result.key}`);
+      console.log('');
+      console.log('IMPORTANT: Save this key now! It cannot be retrieved later.');
+      console.log(result.graceUntil
+        ? `The old secret keeps working until ${new Date(result.graceUntil).toLocaleString()}.`
+        : 'The old secret no longer works.');
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+keysCmd
+  .command('expire <name> <when>')
+  .description('Set when an API key expires (30d, 12h, a date, or "never")')
+  .action((name, when) => {
+    try {
+      const expiresAt = getAPIKeyManager().setExpiry(name, when);
+      getAuditLog().record('key:expiry', { keyName: name, transport: 'cli', result: 'ok', args: { expiresAt } });
+      console.log(expiresAt
+        ? `API key "${name}" expires ${new Date(expiresAt).toLocaleString()}.`
+        : `API key "${name}" never expires.`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
 keysCmd
   .command('remove <name>')
   .description('Remove an API key')
@@ -336,6 +875,7 @@ keysCmd
     const manager = getAPIKeyManager();
 
     if (manager.remove(name)) {
+      getAuditLog().record('key:remove', { keyName: name, transport: 'cli', result: 'ok' });
       console.log(`API key "${name}" removed.`);
     } else {
       console.error(`API key "${name}" not found.`);
@@ -343,13 +883,137 @@ keysCmd
     }
   });
 
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+program
+  .command('audit')
+  .description('Show what API keys did: logins, requests and key changes')
+  .option('-n, --limit <count>', 'Events to show (0 = all)', '50')
+  .option('--key <name>', 'Only this API key (by name)')
+  .option('-r, --route <type>', 'Only this message type (e.g. input, memory:deleteFact)')
+  .option('-e, --event <event>', 'Only this event (request, auth, auth:ban, key:create, ...)')
+  .option('--result <result>', 'Only this result (ok, denied, error, failed, expired, banned)')
+  .option('-a, --address <ip>', 'Only this client address')
+  .option('--since <when>', 'Only events since a date or a duration ago (e.g. 24h)')
+  .option('--until <when>', 'Only events before a date or a duration ago')
+  .option('--json', 'Print events as JSON lines')
+  .option('--export <file>', 'Write every matching event to a JSONL file')
+  .action((options) => {
+    let filters;
+    try {
+      filters = {
+        keyName: options.key,
+        route: options.route,
+        event: options.event,
+        result: options.result,
+        remoteAddress: options.address,
+        since: options.since ? sinceTime(options.since) : undefined,
+        until: options.until ? sinceTime(options.until) : undefined
+      };
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
+    const auditLog = getAuditLog();
+
+    if (options.export) {
+      const file = path.resolve(options.export);
+      const fd = fs.openSync(file, 'w');
+      const count = auditLog.each(filters, (entry) => {
+        fs.writeSync(fd, JSON.stringify({ ...entry, time: new Date(entry.time).toISOString() }) + '\n');
+      });
+      fs.closeSync(fd);
+      console.log(`Exported ${count} audit events to ${file}`);
+      return;
+    }
+
+    const entries = auditLog.list({ ...filters, limit: parseInt(options.limit) }).reverse();
+
+    if (options.json) {
+      for (const entry of entries) {
+        console.log(JSON.stringify({ ...entry, time: new Date(entry.time).toISOString() }));
+      }
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log('No audit events.');
+      return;
+    }
+
+    for (const entry of entries) {
+      const time = new Date(entry.time).toLocaleString();
+      const who = [entry.keyName || '-', entry.remoteAddress, entry.transport].filter(Boolean).join(' ');
+      const what = entry.route || entry.event;
+      console.log(`${time}  ${who}  ${what}  ${entry.result || ''}`);
+      if (entry.args && Object.keys(entry.args).length > 0) {
+        // --json shows arguments in full
+        const args = JSON.stringify(entry.args);
+        console.log(`    ${args.length > 300 ? `${args.slice(0, 300)}...` : args}`);
+      }
+      if (entry.detail) {
+        console.log(`    ${entry.detail}`);
+      }
+    }
+  });
+
+// ============================================================================
+// TLS
+// ============================================================================
+
+program
+  .command('tls')
+  .description('Show the TLS certificate and fingerprint clients should pin')
+  .option('--regenerate', 'Replace the self-signed certificate (restart the service to use it)')
+  .action((options) => {
+    const settings = getServiceConfig().get('tls', {});
+
+    try {
+      if (options.regenerate) {
+        if (settings.cert) {
+          console.error('config.json sets tls.cert, so there is no self-signed certificate to regenerate.');
+          process.exit(1);
+        }
+        ensureSelfSignedCert(path.join(os.homedir(), '.claude-alwaysrunning', 'tls'), { force: true });
+      }
+
+      const tls = loadTlsOptions(settings);
+
+      console.log('TLS Certificate');
+      console.log('===============');
+      console.log(`Certificate: ${tls.certPath}${tls.selfSigned ? ' (self-signed)' : ''}`);
+      console.log(`Key:         ${tls.keyPath}`);
+      console.log(`Fingerprint: ${tls.fingerprint}`);
+      console.log(`Enabled:     ${settings.enabled ? 'yes' : 'no (start with --tls or set tls.enabled in config.json)'}`);
+      console.log('');
+      console.log('Remote clients pin it with:');
+      console.log(`  claude-always connect -h <host> -k <key> --fingerprint ${tls.fingerprint}`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
 // ============================================================================
 // Memory Management
 // ============================================================================
 
 const memoryCmd = program
   .command('memory')
-  .description('Manage Jarvis memory (conversations, facts, reminders)');
+  .description('Manage Jarvis memory (conversations, facts, reminders)')
+  .hook('preAction', async (thisCommand, actionCommand) => {
+    // `migrate` opens the store itself (without migrating first); `encryption status` needs no key
+    if (['migrate', 'status'].includes(actionCommand.name())) return;
+    try {
+      await unlockMemory();
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
 
 memoryCmd
   .command('stats')
@@ -367,15 +1031,22 @@ memoryCmd
     console.log(`  Pending: ${stats.reminders.pending}`);
     console.log(`  Completed: ${stats.reminders.completed}`);
     console.log(`  Cancelled: ${stats.reminders.cancelled}`);
+
+    const { lastPrunedAt, ...pruned } = stats.pruned;
+    if (lastPrunedAt) {
+      const removed = Object.entries(pruned).filter(([, count]) => count > 0).map(([table, count]) => `${count} ${table}`);
+      console.log(`Pruned: ${removed.join(', ')} (last ${new Date(lastPrunedAt + 'Z').toLocaleString()})`);
+    }
   });
 
 memoryCmd
   .command('facts')
   .description('List stored facts and preferences')
   .option('-c, --category <category>', 'Filter by category')
+  .option('-t, --tag <tag>', 'Only facts with this tag')
   .action((options) => {
     const store = getMemoryStore();
-    const facts = store.getFacts(options.category);
+    const facts = store.getFacts(options.category, { tag: options.tag });
 
     if (facts.length === 0) {
       console.log('No facts stored.');
@@ -398,19 +1069,173 @@ memoryCmd
       for (const fact of catFacts) {
         const date = new Date(fact.created_at).toLocaleDateString();
         console.log(`  ${fact.id}. ${fact.fact} (${date})`);
+        console.log(`      ${describeFact(fact)}`);
+      }
+    }
+  });
+
+memoryCmd
+  .command('search <query...>')
+  .description('Full-text search of facts, messages and conversation summaries')
+  .option('-k, --kinds <kinds>', `What to search: ${SEARCH_KINDS.join(', ')} (default: all)`)
+  .option('-l, --limit <n>', 'Most results to show', '20')
+  .option('--any', 'Match any of the words instead of all')
+  .option('--raw', 'Treat the query as SQLite FTS5 syntax (AND, OR, NEAR, "phrases", prefix*)')
+  .option('--json', 'Print results as JSON')
+  .action((words, options) => {
+    const store = getMemoryStore();
+    const query = words.join(' ');
+    // Bold matches on a terminal, **markers** otherwise
+    const highlight = process.stdout.isTTY ? ['\x1b[1m', '\x1b[0m'] : ['**', '**'];
+
+    let results;
+    try {
+      results = store.search(query, {
+        kinds: options.kinds,
+        limit: parseInt(options.limit),
+        match: options.any ? 'any' : 'all',
+        raw: options.raw,
+        highlight: options.json ? ['**', '**'] : highlight
+      });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+    if (results.length === 0) {
+      console.log(`Nothing found for "${query}".`);
+      return;
+    }
+
+    console.log(`Results for "${query}"`);
+    console.log('='.repeat(query.length + 14));
+    for (const result of results) {
+      const date = new Date(result.time).toLocaleDateString();
+      if (result.kind === 'fact') {
+        console.log(`\n  [fact ${result.id}] ${result.snippet}`);
+        console.log(`      ${result.category}, ${date}`);
+      } else if (result.kind === 'message') {
+        console.log(`\n  [${result.role} message ${result.id}] ${result.snippet}`);
+        console.log(`      conversation ${result.conversationId}, ${date}`);
+      } else {
+        console.log(`\n  [summary] ${result.snippet}`);
+        console.log(`      conversation ${result.conversationId}, ${date}`);
       }
     }
   });
 
+memoryCmd
+  .command('conversations')
+  .description('List recent conversations with their summaries')
+  .option('-l, --limit <n>', 'How many', '10')
+  .action((options) => {
+    const store = getMemoryStore();
+    const conversations = store.getRecentConversations(parseInt(options.limit) || 10);
+
+    if (conversations.length === 0) {
+      console.log('No conversations stored.');
+      return;
+    }
+
+    console.log('Recent Conversations');
+    console.log('====================');
+    for (const conv of conversations) {
+      const started = new Date(conv.started_at + 'Z').toLocaleString();
+      const state = conv.ended_at ? 'ended' : 'active';
+      console.log(`\n  ${conv.id}`);
+      console.log(`      ${started}, ${conv.message_count} messages, ${state}`);
+      console.log(`      ${conv.summary || '(not summarized yet)'}`);
+    }
+  });
+
+memoryCmd
+  .command('context [prompt...]')
+  .description('Show the memory context that would be prepended to a prompt')
+  .option('--conversation <id>', 'Draw earlier messages from this conversation')
+  .action((words, options) => {
+    const store = getMemoryStore();
+    const builder = getContextBuilder({ ...getServiceConfig().get('context', {}), store });
+    const context = builder.buildContext(options.conversation || null, words.join(' '));
+
+    if (!context) {
+      console.log('No memory context.');
+      return;
+    }
+    process.stdout.write(context);
+    console.log(`(~${estimateTokens(context)} of ${builder.options.tokenBudget} tokens)`);
+  });
+
 memoryCmd
   .command('add-fact')
-  .description('Add a fact or preference')
+  .description('Add a fact or preference (a near-duplicate is merged, or updated if it differs)')
   .argument('<fact>', 'The fact to remember')
   .option('-c, --category <category>', 'Category (default: general)', 'general')
+  .option('-t, --tags <tags>', 'Comma-separated tags')
+  .option('--confidence <n>', 'How sure, from 0 to 1 (default: 1)')
+  .option('--source <source>', `Where it came from: ${Object.keys(FACT_SOURCES).join(', ')}`, 'manual')
+  .option('--pin', 'Always include in memory context')
   .action((fact, options) => {
     const store = getMemoryStore();
-    const id = store.addFact(fact, options.category);
-    console.log(`Fact added (ID: ${id})`);
+    try {
+      const result = store.upsertFact(fact, {
+        category: options.category,
+        tags: options.tags,
+        confidence: options.confidence,
+        source: options.source,
+        pinned: options.pin
+      });
+      if (result.duplicate) {
+        console.log(`Already known as fact ${result.id}: ${result.fact.fact}`);
+      } else if (result.updated) {
+        console.log(`Updated fact ${result.id} (was: ${result.previous})`);
+      } else {
+        console.log(`Fact added (ID: ${result.id})`);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+memoryCmd
+  .command('edit-fact <id>')
+  .description('Change a fact\'s text, category, tags, confidence or source')
+  .option('--text <text>', 'New text')
+  .option('-c, --category <category>', 'New category')
+  .option('-t, --tags <tags>', 'Replace all tags (comma-separated, "" to clear)')
+  .option('--add-tag <tags>', 'Add tags (comma-separated)')
+  .option('--remove-tag <tags>', 'Remove tags (comma-separated)')
+  .option('--confidence <n>', 'How sure, from 0 to 1')
+  .option('--source <source>', `Where it came from: ${Object.keys(FACT_SOURCES).join(', ')}`)
+  .option('--pin', 'Always include in memory context')
+  .option('--unpin', 'Include only when relevant')
+  .action((id, options) => {
+    const store = getMemoryStore();
+    try {
+      const fact = store.updateFact(parseInt(id), {
+        fact: options.text,
+        category: options.category,
+        tags: options.tags,
+        addTags: options.addTag,
+        removeTags: options.removeTag,
+        confidence: options.confidence,
+        source: options.source,
+        pinned: options.pin ? true : options.unpin ? false : undefined
+      });
+      if (!fact) {
+        console.error(`Fact ${id} not found.`);
+        process.exit(1);
+      }
+      console.log(`Fact ${fact.id} updated: ${fact.fact}`);
+      console.log(`  [${fact.category}] ${describeFact(fact)}`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
   });
 
 memoryCmd
@@ -422,6 +1247,189 @@ memoryCmd
     console.log(`Fact ${id} removed.`);
   });
 
+const encryptionCmd = memoryCmd
+  .command('encryption')
+  .description('Encrypt fact text, messages, summaries and the journal in memory.db');
+
+encryptionCmd
+  .command('status')
+  .description('Show whether memory is encrypted')
+  .action(() => {
+    const store = getMemoryStore();
+    console.log(store.encrypted
+      ? `Memory is encrypted (passphrase from ${MEMORY_KEY_ENV} or the prompt at start).`
+      : 'Memory is not encrypted.');
+  });
+
+encryptionCmd
+  .command('enable')
+  .description(`Encrypt memory with a passphrase (${MEMORY_KEY_ENV} if set, otherwise asked for)`)
+  .action(async () => {
+    try {
+      await requireServiceStopped();
+      const store = getMemoryStore();
+      if (store.encrypted) {
+        throw new Error('Memory is already encrypted');
+      }
+      const passphrase = process.env[MEMORY_KEY_ENV] || await promptNewPassphrase();
+      const result = store.enableEncryption(passphrase);
+
+      console.log('Memory encrypted. Full-text search now scans memory instead of using the index.');
+      await reportConvertedBackups(result, 'encrypted');
+      console.log(`Set ${MEMORY_KEY_ENV} or enter the passphrase when starting the service.`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+encryptionCmd
+  .command('rotate')
+  .description('Re-encrypt memory under a new passphrase')
+  .action(async () => {
+    try {
+      await requireServiceStopped();
+      const passphrase = await promptNewPassphrase();
+      const result = getMemoryStore().rotateEncryptionKey(passphrase);
+
+      console.log('Memory re-encrypted with the new passphrase.');
+      await reportConvertedBackups(result, 're-encrypted');
+      if (process.env[MEMORY_KEY_ENV]) {
+        console.log(`Update ${MEMORY_KEY_ENV} to the new passphrase.`);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+encryptionCmd
+  .command('disable')
+  .description('Decrypt memory and rebuild the full-text index')
+  .action(async () => {
+    try {
+      await requireServiceStopped();
+      const result = getMemoryStore().disableEncryption();
+      console.log('Memory decrypted.');
+      await reportConvertedBackups(result, 'decrypted');
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+memoryCmd
+  .command('migrate')
+  .description('Bring the memory.db schema up to date (backed up first)')
+  .option('--dry-run', 'Try the migrations on a copy and show what they would change')
+  .action((options) => {
+    try {
+      const store = getMemoryStore({ migrate: false });
+      const result = store.migrate({ dryRun: options.dryRun });
+
+      if (result.migrations.length === 0) {
+        console.log(`memory.db is up to date (schema version ${result.from}).`);
+        return;
+      }
+
+      console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'} memory.db from schema version ${result.from} to ${result.to}:`);
+      for (const migration of result.migrations) {
+        console.log(`  ${migration.version}. ${migration.description}`);
+      }
+      if (result.changes) {
+        console.log(result.changes.length > 0 ? '\nChanges:' : '\nNo schema changes (already present).');
+        for (const change of result.changes) {
+          console.log(`  + ${change}`);
+        }
+      }
+      if (result.backup) {
+        console.log(`\nBackup: ${result.backup}`);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+memoryCmd
+  .command('prune')
+  .description('Remove what the retention rules in config.json no longer keep')
+  .option('--dry-run', 'Only show what would be removed')
+  .action((options) => {
+    const store = getMemoryStore();
+    try {
+      const rules = parseRetention(getServiceConfig().get('retention', {}));
+      const result = store.prune(rules, { dryRun: options.dryRun });
+
+      if (result.total === 0) {
+        console.log('Nothing to prune.');
+        return;
+      }
+      console.log(options.dryRun ? 'Would remove:' : 'Removed:');
+      for (const [table, count] of Object.entries(result.removed)) {
+        if (count > 0) console.log(`  ${table}: ${count}`);
+      }
+      for (const [category, count] of Object.entries(result.factCategories)) {
+        console.log(`    [${category}] facts: ${count}`);
+      }
+
+      if (!options.dryRun && rules.vacuum) {
+        store.vacuum();
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+memoryCmd
+  .command('export [file]')
+  .description('Export facts, conversations, messages and reminders (stdout if no file)')
+  .option('-f, --format <format>', 'json or jsonl (default: from the file extension)')
+  .action((file, options) => {
+    const store = getMemoryStore();
+    const format = options.format || formatForFile(file);
+    try {
+      const data = store.exportData();
+      const text = serializeExport(data, format);
+      if (!file || file === '-') {
+        process.stdout.write(text);
+        return;
+      }
+      fs.writeFileSync(file, text);
+      console.log(`Exported ${data.facts.length} facts, ${data.conversations.length} conversations, ` +
+        `${data.messages.length} messages and ${data.reminders.length} reminders to ${file}`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+memoryCmd
+  .command('import <file>')
+  .description('Import a memory export (JSON or JSONL)')
+  .option('--replace', 'Replace stored facts, conversations, messages and reminders instead of merging')
+  .action((file, options) => {
+    const store = getMemoryStore();
+    try {
+      const data = parseExport(fs.readFileSync(file, 'utf8'));
+      const result = store.importData(data, { mode: options.replace ? 'replace' : 'merge' });
+
+      if (result.backup) {
+        console.log(`Backed up memory to ${result.backup}`);
+      }
+      console.log(`Imported (${result.mode}):`);
+      for (const table of ['facts', 'conversations', 'messages', 'reminders']) {
+        const { added, updated, skipped } = result[table];
+        const note = table === 'facts' ? 'merged into existing' : 'already present';
+        console.log(`  ${table}: ${added} added${updated ? `, ${updated} updated` : ''}${skipped ? `, ${skipped} ${note}` : ''}`);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
 memoryCmd
   .command('clear')
   .description('Clear all memory (conversations, facts, reminders)')
@@ -446,8 +1454,8 @@ memoryCmd
     }
 
     const store = getMemoryStore();
-    store.clearAll();
-    console.log('All memory cleared.');
+    const backup = store.clearAll();
+    console.log(`All memory cleared (backup: ${backup}).`);
   });
 
 // ============================================================================
@@ -9,9 +9,20 @@ const isDev = process.env.NODE_ENV !== 'production';
 
 let serviceBridge: ServiceBridge | null = null;
 
+// Value of a `--name=value` or `--name value` command-line switch
+function argValue(name: string): string | undefined {
+  const args = process.argv;
+  const index = args.findIndex((arg) => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) return undefined;
+  return args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1];
+}
+
 async function initialize() {
-  // Create service bridge
-  serviceBridge = new ServiceBridge();
+  // Create service bridge (--tls / --fingerprint for a TLS service)
+  serviceBridge = new ServiceBridge({
+    tls: process.argv.includes('--tls'),
+    fingerprint: argValue('--fingerprint')
+  });
 
   // Set up IPC handlers
   setupIpcHandlers(serviceBridge);
@@ -28,10 +39,10 @@ async function initialize() {
   });
 
   // Forward service events to renderer
-  serviceBridge.on('output', (data: string) => {
+  serviceBridge.on('output', (data: string, session?: string) => {
     const mainWin = getMainWindow();
     if (mainWin) {
-      mainWin.webContents.send('claude:output', data);
+      mainWin.webContents.send('claude:output', data, session);
     }
   });
 
@@ -42,6 +53,20 @@ async function initialize() {
     }
   });
 
+  serviceBridge.on('queued', (msg: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('claude:queued', msg);
+    }
+  });
+
+  serviceBridge.on('cancelled', (msg: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('claude:cancelled', msg);
+    }
+  });
+
   serviceBridge.on('status', (status: any) => {
     const mainWin = getMainWindow();
     if (mainWin) {
@@ -49,10 +74,17 @@ async function initialize() {
     }
   });
 
-  serviceBridge.on('ready', (ready: boolean) => {
+  serviceBridge.on('ready', (ready: boolean, session?: string) => {
     const mainWin = getMainWindow();
     if (mainWin) {
-      mainWin.webContents.send('claude:ready', ready);
+      mainWin.webContents.send('claude:ready', ready, session);
+    }
+  });
+
+  serviceBridge.on('health', (state: string, session?: string, reason?: string) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('claude:health', state, session, reason);
     }
   });
 
@@ -70,10 +102,32 @@ async function initialize() {
     }
   });
 
-  serviceBridge.on('history', (data: string) => {
+  serviceBridge.on('history', (data: string, session?: string, entries?: any[]) => {
     const mainWin = getMainWindow();
     if (mainWin) {
-      mainWin.webContents.send('history', data);
+      mainWin.webContents.send('history', data, session, entries);
+    }
+  });
+
+  // Session events
+  serviceBridge.on('session:list', (data: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('sessions:list', data);
+    }
+  });
+
+  serviceBridge.on('session:created', (data: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('sessions:created', data);
+    }
+  });
+
+  serviceBridge.on('session:killed', (data: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('sessions:killed', data);
     }
   });
 
@@ -99,6 +153,13 @@ async function initialize() {
     }
   });
 
+  serviceBridge.on('memory:factUpdated', (data: any) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('memory:factUpdated', data);
+    }
+  });
+
   serviceBridge.on('memory:factDeleted', (data: any) => {
     const mainWin = getMainWindow();
     if (mainWin) {
@@ -106,6 +167,13 @@ async function initialize() {
     }
   });
 
+  serviceBridge.on('memory:search', (data: any, query: string) => {
+    const mainWin = getMainWindow();
+    if (mainWin) {
+      mainWin.webContents.send('memory:search', data, query);
+    }
+  });
+
   serviceBridge.on('memory:conversations', (data: any) => {
     const mainWin = getMainWindow();
     if (mainWin) {
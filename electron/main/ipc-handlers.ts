@@ -1,5 +1,5 @@
 import { ipcMain } from 'electron';
-import { ServiceBridge } from './service-bridge';
+import { ServiceBridge, CommandOptions, SessionConfig, FactChanges } from './service-bridge';
 
 export function setupIpcHandlers(bridge: ServiceBridge): void {
   // Connection
@@ -22,7 +22,7 @@ export function setupIpcHandlers(bridge: ServiceBridge): void {
   });
 
   ipcMain.handle('service:getStatus', () => {
-    return bridge.getServiceStatus();
+    return bridge.getLiveStatus();
   });
 
   // Service lifecycle
@@ -42,20 +42,53 @@ export function setupIpcHandlers(bridge: ServiceBridge): void {
   });
 
   // Claude communication
-  ipcMain.on('claude:sendCommand', (_, command: string) => {
-    bridge.sendCommand(command);
+  ipcMain.on('claude:sendCommand', (_, command: string, options?: CommandOptions) => {
+    bridge.sendCommand(command, options);
   });
 
-  ipcMain.on('claude:sendInput', (_, input: string) => {
-    bridge.sendInput(input);
+  ipcMain.on('claude:cancel', (_, session?: string, target?: string) => {
+    bridge.cancelCommand(session, target);
   });
 
-  ipcMain.on('claude:requestStatus', () => {
-    bridge.requestStatus();
+  ipcMain.on('claude:sendInput', (_, input: string, session?: string) => {
+    bridge.sendInput(input, session);
   });
 
-  ipcMain.on('claude:requestHistory', (_, limit?: number) => {
-    bridge.requestHistory(limit);
+  ipcMain.on('claude:requestStatus', (_, session?: string) => {
+    bridge.requestStatus(session);
+  });
+
+  ipcMain.on('claude:requestHistory', (_, limit?: number, session?: string) => {
+    bridge.requestHistory(limit, session);
+  });
+
+  // Session operations
+  ipcMain.on('sessions:request', () => {
+    bridge.requestSessions();
+  });
+
+  ipcMain.on('sessions:create', (_, name: string, cwd?: string) => {
+    bridge.createSession(name, cwd);
+  });
+
+  ipcMain.on('sessions:kill', (_, name: string) => {
+    bridge.killSession(name);
+  });
+
+  ipcMain.handle('sessions:getConfig', async (_, session: string) => {
+    try {
+      return { success: true, data: await bridge.getSessionConfig(session) };
+    } catch (err: any) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('sessions:configure', async (_, session: string, config: SessionConfig) => {
+    try {
+      return { success: true, data: await bridge.configureSession(session, config) };
+    } catch (err: any) {
+      return { success: false, error: err.message };
+    }
   });
 
   // Memory operations
@@ -67,14 +100,22 @@ export function setupIpcHandlers(bridge: ServiceBridge): void {
     bridge.requestFacts(category);
   });
 
-  ipcMain.on('memory:addFact', (_, fact: string, category: string) => {
-    bridge.addFact(fact, category);
+  ipcMain.on('memory:addFact', (_, fact: string, category: string, tags?: string[]) => {
+    bridge.addFact(fact, category, tags);
+  });
+
+  ipcMain.on('memory:updateFact', (_, id: number, changes: FactChanges) => {
+    bridge.updateFact(id, changes);
   });
 
   ipcMain.on('memory:deleteFact', (_, id: number) => {
     bridge.deleteFact(id);
   });
 
+  ipcMain.on('memory:search', (_, query: string, kinds?: string[]) => {
+    bridge.searchMemory(query, kinds);
+  });
+
   ipcMain.on('memory:requestConversations', (_, limit?: number) => {
     bridge.requestConversations(limit);
   });
@@ -4,14 +4,19 @@ import { spawn, ChildProcess } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
+import type { IncomingMessage } from 'http';
+import type { TLSSocket } from 'tls';
 
 const DEFAULT_PORT = 3377;
 const WS_PORT_OFFSET = 1;
 const RECONNECT_DELAY = 3000;
+const REQUEST_TIMEOUT = 10000;
 
 interface ServiceStatus {
+  session?: string;
   running: boolean;
   ready: boolean;
+  health?: string;
   pid?: number;
   port?: number;
   wsPort?: number;
@@ -19,6 +24,47 @@ interface ServiceStatus {
   wsClients?: number;
 }
 
+export interface CommandOptions {
+  withContext?: boolean;
+  requestId?: string;
+  session?: string;
+}
+
+export interface SessionConfig {
+  cwd?: string;
+  env?: Record<string, string>;
+  claudePath?: string;
+  model?: string;
+  allowedTools?: string[];
+  mcpConfig?: string;
+  args?: string[];
+}
+
+export interface SessionConfigInfo {
+  config: SessionConfig;
+  command: string[];
+}
+
+export interface FactChanges {
+  fact?: string;
+  category?: string;
+  tags?: string[];
+  confidence?: number;
+  source?: string;
+  pinned?: boolean;
+}
+
+export interface BridgeOptions {
+  tls?: boolean;
+  fingerprint?: string; // Pinned SHA-256 certificate fingerprint (implies tls)
+}
+
+// Uppercase hex pairs joined by colons, as in Node's fingerprint256
+function normalizeFingerprint(fingerprint: string): string {
+  const hex = fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+  return hex.match(/.{1,2}/g)?.join(':') || '';
+}
+
 export class ServiceBridge extends EventEmitter {
   private ws: WebSocket | null = null;
   private port: number = DEFAULT_PORT;
@@ -26,14 +72,26 @@ export class ServiceBridge extends EventEmitter {
   private connected: boolean = false;
   private reconnectTimer: NodeJS.Timeout | null = null;
   private configDir: string;
-  private pendingRequests: Map<string, { resolve: Function; reject: Function }> = new Map();
+  private pendingRequests: Map<string, { resolve: Function; reject: Function; timer: NodeJS.Timeout }> = new Map();
   private requestId: number = 0;
+  private options: BridgeOptions;
 
-  constructor() {
+  constructor(options: BridgeOptions = {}) {
     super();
+    this.options = options;
     this.configDir = path.join(os.homedir(), '.claude-alwaysrunning');
   }
 
+  // Fingerprint the service writes when it runs with TLS
+  private readServiceFingerprint(): string | null {
+    const tlsFile = path.join(this.configDir, 'service.tls');
+    try {
+      return fs.existsSync(tlsFile) ? fs.readFileSync(tlsFile, 'utf8').trim() || null : null;
+    } catch {
+      return null;
+    }
+  }
+
   async connect(): Promise<void> {
     // Read port from file if exists
     const portFile = path.join(this.configDir, 'service.port');
@@ -46,11 +104,30 @@ export class ServiceBridge extends EventEmitter {
       }
     }
 
+    const fingerprint = this.options.fingerprint || this.readServiceFingerprint();
+    const secure = this.options.tls || !!fingerprint;
+
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(`ws://127.0.0.1:${this.wsPort}`);
+        // A pinned fingerprint replaces CA verification (self-signed certificates)
+        this.ws = secure
+          ? new WebSocket(`wss://127.0.0.1:${this.wsPort}`, { rejectUnauthorized: !fingerprint })
+          : new WebSocket(`ws://127.0.0.1:${this.wsPort}`);
+        let pinFailed = false;
+
+        if (fingerprint) {
+          this.ws.on('upgrade', (res: IncomingMessage) => {
+            const cert = (res.socket as TLSSocket).getPeerCertificate();
+            if (!cert || normalizeFingerprint(cert.fingerprint256 || '') !== normalizeFingerprint(fingerprint)) {
+              pinFailed = true;
+              reject(new Error(`TLS fingerprint mismatch: expected ${normalizeFingerprint(fingerprint)}`));
+              this.ws?.terminate();
+            }
+          });
+        }
 
         this.ws.on('open', () => {
+          if (pinFailed) return;
           this.connected = true;
           this.emit('connected');
           resolve();
@@ -77,6 +154,7 @@ export class ServiceBridge extends EventEmitter {
   }
 
   disconnect(): void {
+    this.rejectPendingRequests('Disconnected');
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
@@ -92,6 +170,7 @@ export class ServiceBridge extends EventEmitter {
     const wasConnected = this.connected;
     this.connected = false;
     this.ws = null;
+    this.rejectPendingRequests('Connection lost');
 
     if (wasConnected) {
       this.emit('disconnected');
@@ -108,22 +187,51 @@ export class ServiceBridge extends EventEmitter {
     }
   }
 
+  private rejectPendingRequests(reason: string): void {
+    for (const [, pending] of this.pendingRequests) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    this.pendingRequests.clear();
+  }
+
+  private resolvePendingRequest(msg: any): void {
+    const pending = msg.requestId ? this.pendingRequests.get(msg.requestId) : undefined;
+    if (!pending) return;
+
+    // Streamed command output and queue notices are not the final reply
+    if (msg.type === 'message' && !msg.isComplete) return;
+    if (msg.type === 'status' && msg.message) return;
+    if (msg.type === 'queued') return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(msg.requestId);
+    if (msg.type === 'error') {
+      pending.reject(new Error(msg.message));
+    } else {
+      pending.resolve(msg);
+    }
+  }
+
   private handleMessage(data: string): void {
     try {
       const msg = JSON.parse(data);
 
+      this.resolvePendingRequest(msg);
+
       switch (msg.type) {
         case 'connected':
           this.emit('status', {
             running: msg.running,
             ready: msg.ready,
+            health: msg.health,
             port: msg.port,
             wsPort: msg.wsPort
           });
           break;
 
         case 'output':
-          this.emit('output', msg.data);
+          this.emit('output', msg.data, msg.session);
           break;
 
         case 'message':
@@ -131,8 +239,23 @@ export class ServiceBridge extends EventEmitter {
           this.emit('message', msg);
           break;
 
+        case 'queued':
+          // A command is waiting behind other commands
+          this.emit('queued', msg);
+          break;
+
+        case 'cancelled':
+          // The broadcast carries `target`; direct replies to the sender and
+          // the command's owner repeat it, so only forward the broadcast
+          if (msg.requestId === undefined) this.emit('cancelled', msg);
+          break;
+
         case 'ready':
-          this.emit('ready', msg.ready);
+          this.emit('ready', msg.ready, msg.session);
+          break;
+
+        case 'health':
+          this.emit('health', msg.state, msg.session, msg.reason);
           break;
 
         case 'status':
@@ -146,6 +269,7 @@ export class ServiceBridge extends EventEmitter {
         case 'memory:stats':
         case 'memory:facts':
         case 'memory:factAdded':
+        case 'memory:factUpdated':
         case 'memory:factDeleted':
         case 'memory:conversations':
         case 'memory:messages':
@@ -153,11 +277,18 @@ export class ServiceBridge extends EventEmitter {
         case 'reminders:added':
         case 'reminders:cancelled':
         case 'logs:content':
+        case 'session:list':
+        case 'session:created':
+        case 'session:killed':
           this.emit(msg.type, msg.data);
           break;
 
         case 'history':
-          this.emit('history', msg.data);
+          this.emit('history', msg.data, msg.session, msg.entries);
+          break;
+
+        case 'memory:search':
+          this.emit('memory:search', msg.data, msg.query);
           break;
 
         case 'error':
@@ -173,26 +304,79 @@ export class ServiceBridge extends EventEmitter {
     return this.connected;
   }
 
-  send(type: string, data: any = {}): void {
+  private nextRequestId(): string {
+    return `electron-${++this.requestId}`;
+  }
+
+  send(type: string, data: any = {}): string {
+    const requestId = data.requestId || this.nextRequestId();
     if (this.ws && this.connected) {
-      this.ws.send(JSON.stringify({ type, ...data }));
+      this.ws.send(JSON.stringify({ type, ...data, requestId }));
     }
+    return requestId;
   }
 
-  sendCommand(command: string): void {
-    this.send('command', { data: command });
+  // Send a message and resolve with the reply carrying the same requestId
+  request(type: string, data: any = {}, timeout: number = REQUEST_TIMEOUT): Promise<any> {
+    if (!this.ws || !this.connected) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    const requestId = data.requestId || this.nextRequestId();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Request "${type}" timed out`));
+      }, timeout);
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+      this.send(type, { ...data, requestId });
+    });
   }
 
-  sendInput(input: string): void {
-    this.send('input', { data: input });
+  sendCommand(command: string, options: CommandOptions = {}): string {
+    const { withContext = false, requestId, session } = options;
+    return this.send('command', { data: command, withContext, requestId, session });
   }
 
-  requestStatus(): void {
-    this.send('status');
+  // Interrupt the running command, or drop a queued one when target is given
+  cancelCommand(session?: string, target?: string): void {
+    this.send('cancel', { session, target });
   }
 
-  requestHistory(limit: number = 100): void {
-    this.send('history', { limit });
+  sendInput(input: string, session?: string): void {
+    this.send('input', { data: input, session });
+  }
+
+  requestStatus(session?: string): void {
+    this.send('status', { session });
+  }
+
+  requestHistory(limit: number = 100, session?: string): void {
+    this.send('history', { limit, session });
+  }
+
+  // Session operations
+  requestSessions(): void {
+    this.send('session:list');
+  }
+
+  createSession(name: string, cwd?: string): void {
+    this.send('session:new', { name, cwd });
+  }
+
+  killSession(name: string): void {
+    this.send('session:kill', { name });
+  }
+
+  async getSessionConfig(session: string): Promise<SessionConfigInfo> {
+    const reply = await this.request('session:config', { session });
+    return reply.data;
+  }
+
+  // Restarts the session's Claude process, so allow longer than a plain request
+  async configureSession(session: string, config: SessionConfig): Promise<SessionConfigInfo> {
+    const reply = await this.request('session:configure', { session, config }, 30000);
+    return reply.data;
   }
 
   // Memory operations
@@ -204,14 +388,22 @@ export class ServiceBridge extends EventEmitter {
     this.send('memory:facts', { category });
   }
 
-  addFact(fact: string, category: string = 'general'): void {
-    this.send('memory:addFact', { fact, category });
+  addFact(fact: string, category: string = 'general', tags: string[] = []): void {
+    this.send('memory:addFact', { fact, category, tags });
+  }
+
+  updateFact(id: number, changes: FactChanges): void {
+    this.send('memory:updateFact', { ...changes, id });
   }
 
   deleteFact(id: number): void {
     this.send('memory:deleteFact', { id });
   }
 
+  searchMemory(query: string, kinds?: string[], limit: number = 30): void {
+    this.send('memory:search', { query, kinds, limit });
+  }
+
   requestConversations(limit: number = 10): void {
     this.send('memory:conversations', { limit });
   }
@@ -295,6 +487,21 @@ export class ServiceBridge extends EventEmitter {
     return this.startService();
   }
 
+  // Local process status, merged with the live status reply when connected
+  async getLiveStatus(): Promise<ServiceStatus> {
+    const localStatus = this.getServiceStatus();
+    if (!this.connected) {
+      return localStatus;
+    }
+
+    try {
+      const { type, requestId, ...liveStatus } = await this.request('status');
+      return { ...localStatus, ...liveStatus };
+    } catch {
+      return localStatus;
+    }
+  }
+
   getServiceStatus(): ServiceStatus {
     const pidFile = path.join(this.configDir, 'service.pid');
     const portFile = path.join(this.configDir, 'service.port');
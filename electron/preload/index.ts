@@ -14,16 +14,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
   restartService: () => ipcRenderer.invoke('service:restart'),
 
   // Claude communication
-  sendCommand: (command: string) => ipcRenderer.send('claude:sendCommand', command),
-  sendInput: (input: string) => ipcRenderer.send('claude:sendInput', input),
-  requestStatus: () => ipcRenderer.send('claude:requestStatus'),
-  requestHistory: (limit?: number) => ipcRenderer.send('claude:requestHistory', limit),
+  sendCommand: (command: string, options?: { withContext?: boolean; requestId?: string; session?: string }) =>
+    ipcRenderer.send('claude:sendCommand', command, options),
+  cancelCommand: (session?: string, target?: string) => ipcRenderer.send('claude:cancel', session, target),
+  sendInput: (input: string, session?: string) => ipcRenderer.send('claude:sendInput', input, session),
+  requestStatus: (session?: string) => ipcRenderer.send('claude:requestStatus', session),
+  requestHistory: (limit?: number, session?: string) => ipcRenderer.send('claude:requestHistory', limit, session),
+
+  // Session operations
+  requestSessions: () => ipcRenderer.send('sessions:request'),
+  createSession: (name: string, cwd?: string) => ipcRenderer.send('sessions:create', name, cwd),
+  killSession: (name: string) => ipcRenderer.send('sessions:kill', name),
+  getSessionConfig: (session: string) => ipcRenderer.invoke('sessions:getConfig', session),
+  configureSession: (session: string, config: any) => ipcRenderer.invoke('sessions:configure', session, config),
 
   // Memory operations
   requestMemoryStats: () => ipcRenderer.send('memory:requestStats'),
   requestFacts: (category?: string) => ipcRenderer.send('memory:requestFacts', category),
-  addFact: (fact: string, category: string) => ipcRenderer.send('memory:addFact', fact, category),
+  addFact: (fact: string, category: string, tags?: string[]) => ipcRenderer.send('memory:addFact', fact, category, tags),
+  updateFact: (id: number, changes: any) => ipcRenderer.send('memory:updateFact', id, changes),
   deleteFact: (id: number) => ipcRenderer.send('memory:deleteFact', id),
+  searchMemory: (query: string, kinds?: string[]) => ipcRenderer.send('memory:search', query, kinds),
   requestConversations: (limit?: number) => ipcRenderer.send('memory:requestConversations', limit),
   requestMessages: (conversationId: string, limit?: number) => ipcRenderer.send('memory:requestMessages', conversationId, limit),
 
@@ -36,8 +47,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   requestLogs: (lines?: number) => ipcRenderer.send('logs:request', lines),
 
   // Event listeners
-  onClaudeOutput: (callback: (data: string) => void) => {
-    const handler = (_: any, data: string) => callback(data);
+  onClaudeOutput: (callback: (data: string, session?: string) => void) => {
+    const handler = (_: any, data: string, session?: string) => callback(data, session);
     ipcRenderer.on('claude:output', handler);
     return () => ipcRenderer.removeListener('claude:output', handler);
   },
@@ -48,18 +59,36 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('claude:message', handler);
   },
 
+  onClaudeQueued: (callback: (msg: any) => void) => {
+    const handler = (_: any, msg: any) => callback(msg);
+    ipcRenderer.on('claude:queued', handler);
+    return () => ipcRenderer.removeListener('claude:queued', handler);
+  },
+
+  onClaudeCancelled: (callback: (msg: any) => void) => {
+    const handler = (_: any, msg: any) => callback(msg);
+    ipcRenderer.on('claude:cancelled', handler);
+    return () => ipcRenderer.removeListener('claude:cancelled', handler);
+  },
+
   onClaudeStatus: (callback: (status: any) => void) => {
     const handler = (_: any, status: any) => callback(status);
     ipcRenderer.on('claude:status', handler);
     return () => ipcRenderer.removeListener('claude:status', handler);
   },
 
-  onClaudeReady: (callback: (ready: boolean) => void) => {
-    const handler = (_: any, ready: boolean) => callback(ready);
+  onClaudeReady: (callback: (ready: boolean, session?: string) => void) => {
+    const handler = (_: any, ready: boolean, session?: string) => callback(ready, session);
     ipcRenderer.on('claude:ready', handler);
     return () => ipcRenderer.removeListener('claude:ready', handler);
   },
 
+  onClaudeHealth: (callback: (state: string, session?: string, reason?: string) => void) => {
+    const handler = (_: any, state: string, session?: string, reason?: string) => callback(state, session, reason);
+    ipcRenderer.on('claude:health', handler);
+    return () => ipcRenderer.removeListener('claude:health', handler);
+  },
+
   onServiceConnected: (callback: () => void) => {
     const handler = () => callback();
     ipcRenderer.on('service:connected', handler);
@@ -91,12 +120,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('memory:factAdded', handler);
   },
 
+  onFactUpdated: (callback: (data: any) => void) => {
+    const handler = (_: any, data: any) => callback(data);
+    ipcRenderer.on('memory:factUpdated', handler);
+    return () => ipcRenderer.removeListener('memory:factUpdated', handler);
+  },
+
   onFactDeleted: (callback: (data: any) => void) => {
     const handler = (_: any, data: any) => callback(data);
     ipcRenderer.on('memory:factDeleted', handler);
     return () => ipcRenderer.removeListener('memory:factDeleted', handler);
   },
 
+  onSearchResults: (callback: (data: any[], query: string) => void) => {
+    const handler = (_: any, data: any[], query: string) => callback(data, query);
+    ipcRenderer.on('memory:search', handler);
+    return () => ipcRenderer.removeListener('memory:search', handler);
+  },
+
   onConversations: (callback: (data: any[]) => void) => {
     const handler = (_: any, data: any[]) => callback(data);
     ipcRenderer.on('memory:conversations', handler);
@@ -133,10 +174,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('logs:content', handler);
   },
 
-  onHistory: (callback: (data: string) => void) => {
-    const handler = (_: any, data: string) => callback(data);
+  onHistory: (callback: (data: string, session?: string, entries?: any[]) => void) => {
+    const handler = (_: any, data: string, session?: string, entries?: any[]) => callback(data, session, entries);
     ipcRenderer.on('history', handler);
     return () => ipcRenderer.removeListener('history', handler);
+  },
+
+  onSessions: (callback: (data: any[]) => void) => {
+    const handler = (_: any, data: any[]) => callback(data);
+    ipcRenderer.on('sessions:list', handler);
+    return () => ipcRenderer.removeListener('sessions:list', handler);
+  },
+
+  onSessionCreated: (callback: (data: any) => void) => {
+    const handler = (_: any, data: any) => callback(data);
+    ipcRenderer.on('sessions:created', handler);
+    return () => ipcRenderer.removeListener('sessions:created', handler);
+  },
+
+  onSessionKilled: (callback: (data: any) => void) => {
+    const handler = (_: any, data: any) => callback(data);
+    ipcRenderer.on('sessions:killed', handler);
+    return () => ipcRenderer.removeListener('sessions:killed', handler);
   }
 });
 
@@ -157,37 +216,60 @@ declare global {
       startService: () => Promise<{ success: boolean }>;
       stopService: () => Promise<{ success: boolean }>;
       restartService: () => Promise<{ success: boolean }>;
-      sendCommand: (command: string) => void;
-      sendInput: (input: string) => void;
-      requestStatus: () => void;
-      requestHistory: (limit?: number) => void;
+      sendCommand: (command: string, options?: { withContext?: boolean; requestId?: string; session?: string }) => void;
+      cancelCommand: (session?: string, target?: string) => void;
+      sendInput: (input: string, session?: string) => void;
+      requestStatus: (session?: string) => void;
+      requestHistory: (limit?: number, session?: string) => void;
+      requestSessions: () => void;
+      createSession: (name: string, cwd?: string) => void;
+      killSession: (name: string) => void;
+      getSessionConfig: (session: string) => Promise<{ success: boolean; data?: any; error?: string }>;
+      configureSession: (session: string, config: any) => Promise<{ success: boolean; data?: any; error?: string }>;
       requestMemoryStats: () => void;
       requestFacts: (category?: string) => void;
-      addFact: (fact: string, category: string) => void;
+      addFact: (fact: string, category: string, tags?: string[]) => void;
+      updateFact: (id: number, changes: {
+        fact?: string;
+        category?: string;
+        tags?: string[];
+        confidence?: number;
+        source?: string;
+        pinned?: boolean;
+      }) => void;
       deleteFact: (id: number) => void;
+      searchMemory: (query: string, kinds?: string[]) => void;
       requestConversations: (limit?: number) => void;
       requestMessages: (conversationId: string, limit?: number) => void;
       requestReminders: () => void;
       addReminder: (message: string, time: string, channel?: string) => void;
       cancelReminder: (id: number) => void;
       requestLogs: (lines?: number) => void;
-      onClaudeOutput: (callback: (data: string) => void) => () => void;
+      onClaudeOutput: (callback: (data: string, session?: string) => void) => () => void;
       onClaudeMessage: (callback: (msg: any) => void) => () => void;
+      onClaudeQueued: (callback: (msg: { requestId?: string; position: number; queueLength: number }) => void) => () => void;
+      onClaudeCancelled: (callback: (msg: { target?: string; running: boolean; session?: string }) => void) => () => void;
       onClaudeStatus: (callback: (status: any) => void) => () => void;
-      onClaudeReady: (callback: (ready: boolean) => void) => () => void;
+      onClaudeReady: (callback: (ready: boolean, session?: string) => void) => () => void;
+      onClaudeHealth: (callback: (state: string, session?: string, reason?: string) => void) => () => void;
       onServiceConnected: (callback: () => void) => () => void;
       onServiceDisconnected: (callback: () => void) => () => void;
       onMemoryStats: (callback: (data: any) => void) => () => void;
       onMemoryFacts: (callback: (data: any[]) => void) => () => void;
       onFactAdded: (callback: (data: any) => void) => () => void;
+      onFactUpdated: (callback: (data: any) => void) => () => void;
       onFactDeleted: (callback: (data: any) => void) => () => void;
+      onSearchResults: (callback: (data: any[], query: string) => void) => () => void;
       onConversations: (callback: (data: any[]) => void) => () => void;
       onMessages: (callback: (data: any[]) => void) => () => void;
       onReminders: (callback: (data: any[]) => void) => () => void;
       onReminderAdded: (callback: (data: any) => void) => () => void;
       onReminderCancelled: (callback: (data: any) => void) => () => void;
       onLogs: (callback: (data: string) => void) => () => void;
-      onHistory: (callback: (data: string) => void) => () => void;
+      onHistory: (callback: (data: string, session?: string, entries?: any[]) => void) => () => void;
+      onSessions: (callback: (data: any[]) => void) => () => void;
+      onSessionCreated: (callback: (data: any) => void) => () => void;
+      onSessionKilled: (callback: (data: any) => void) => () => void;
     };
   }
 }
@@ -2,11 +2,13 @@ import React, { useState, useRef, KeyboardEvent } from 'react';
 
 interface MessageInputProps {
   onSend: (message: string) => void;
+  onStop?: () => void;
+  isStreaming?: boolean;
   disabled?: boolean;
   placeholder?: string;
 }
 
-export function MessageInput({ onSend, disabled, placeholder }: MessageInputProps) {
+export function MessageInput({ onSend, onStop, isStreaming, disabled, placeholder }: MessageInputProps) {
   const [message, setMessage] = useState('');
   const textareaRef = useRef<HTMLTextAreaElement>(null);
 
@@ -53,6 +55,14 @@ export function MessageInput({ onSend, disabled, placeholder }: MessageInputProp
           style={{ minHeight: '48px', maxHeight: '200px' }}
         />
       </div>
+      {isStreaming && onStop && (
+        <button
+          onClick={onStop}
+          className="px-6 py-3 bg-red-600 text-white rounded-lg font-medium hover:bg-red-500 transition-colors"
+        >
+          Stop
+        </button>
+      )}
       <button
         onClick={handleSend}
         disabled={disabled || !message.trim()}
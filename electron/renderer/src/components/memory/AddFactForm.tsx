@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 
 interface AddFactFormProps {
-  onSubmit: (fact: string, category: string) => void;
+  onSubmit: (fact: string, category: string, tags: string[]) => void;
   onCancel: () => void;
   categories: string[];
 }
@@ -10,12 +10,13 @@ export function AddFactForm({ onSubmit, onCancel, categories }: AddFactFormProps
   const [fact, setFact] = useState('');
   const [category, setCategory] = useState('general');
   const [customCategory, setCustomCategory] = useState('');
+  const [tags, setTags] = useState('');
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     const finalCategory = category === 'custom' ? customCategory : category;
     if (fact.trim() && finalCategory.trim()) {
-      onSubmit(fact.trim(), finalCategory.trim());
+      onSubmit(fact.trim(), finalCategory.trim(), parseTags(tags));
     }
   };
 
@@ -66,6 +67,17 @@ export function AddFactForm({ onSubmit, onCancel, categories }: AddFactFormProps
         </div>
       )}
 
+      <div className="mb-4">
+        <label className="block text-sm text-gray-400 mb-2">Tags</label>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Comma-separated, e.g. coding, tools"
+          className="w-full px-4 py-3 bg-dark-400 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-primary-500"
+        />
+      </div>
+
       <div className="flex justify-end gap-3">
         <button
           type="button"
@@ -85,3 +97,8 @@ export function AddFactForm({ onSubmit, onCancel, categories }: AddFactFormProps
     </form>
   );
 }
+
+export function parseTags(text: string): string[] {
+  const tags = text.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import type { Conversation } from '../../hooks/useMemory';
+
+interface ConversationsListProps {
+  conversations: Conversation[];
+}
+
+export function ConversationsList({ conversations }: ConversationsListProps) {
+  if (conversations.length === 0) {
+    return (
+      <div className="bg-dark-300 rounded-lg border border-gray-700 p-8 text-center">
+        <div className="text-4xl mb-4">💬</div>
+        <p className="text-gray-400">No conversations yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {conversations.map((conversation) => (
+        <div
+          key={conversation.id}
+          className="bg-dark-300 rounded-lg border border-gray-700 p-4"
+        >
+          {conversation.summary ? (
+            <p className="text-white">{conversation.summary}</p>
+          ) : (
+            <p className="text-gray-500 italic">Not summarized yet</p>
+          )}
+          <div className="flex flex-wrap items-center gap-3 mt-2">
+            <span className="text-xs text-gray-500">{formatDate(conversation.started_at)}</span>
+            <span className="text-xs text-gray-500">{conversation.message_count} messages</span>
+            {!conversation.ended_at && (
+              <span className="px-2 py-0.5 bg-dark-400 rounded text-xs text-gray-400">Active</span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// SQLite timestamps are UTC without a zone
+function formatDate(dateString: string): string {
+  const date = new Date(dateString.replace(' ', 'T') + 'Z');
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
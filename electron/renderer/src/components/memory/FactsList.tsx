@@ -1,18 +1,14 @@
 import React from 'react';
-
-interface Fact {
-  id: number;
-  fact: string;
-  category: string;
-  created_at: string;
-}
+import type { Fact, FactChanges } from '../../hooks/useMemory';
+import { parseTags } from './AddFactForm';
 
 interface FactsListProps {
   facts: Fact[];
+  onUpdate: (id: number, changes: FactChanges) => void;
   onDelete: (id: number) => void;
 }
 
-export function FactsList({ facts, onDelete }: FactsListProps) {
+export function FactsList({ facts, onUpdate, onDelete }: FactsListProps) {
   if (facts.length === 0) {
     return (
       <div className="bg-dark-300 rounded-lg border border-gray-700 p-8 text-center">
@@ -31,6 +27,7 @@ export function FactsList({ facts, onDelete }: FactsListProps) {
         <FactCard
           key={fact.id}
           fact={fact}
+          onUpdate={(changes) => onUpdate(fact.id, changes)}
           onDelete={() => onDelete(fact.id)}
         />
       ))}
@@ -40,11 +37,13 @@ export function FactsList({ facts, onDelete }: FactsListProps) {
 
 interface FactCardProps {
   fact: Fact;
+  onUpdate: (changes: FactChanges) => void;
   onDelete: () => void;
 }
 
-function FactCard({ fact, onDelete }: FactCardProps) {
+function FactCard({ fact, onUpdate, onDelete }: FactCardProps) {
   const [showConfirm, setShowConfirm] = React.useState(false);
+  const [editing, setEditing] = React.useState(false);
 
   const handleDelete = () => {
     if (showConfirm) {
@@ -56,32 +55,160 @@ function FactCard({ fact, onDelete }: FactCardProps) {
     }
   };
 
+  if (editing) {
+    return (
+      <FactEditor
+        fact={fact}
+        onSave={(changes) => {
+          onUpdate(changes);
+          setEditing(false);
+        }}
+        onCancel={() => setEditing(false)}
+      />
+    );
+  }
+
   return (
     <div className="bg-dark-300 rounded-lg border border-gray-700 p-4 hover:border-gray-600 transition-colors">
       <div className="flex items-start justify-between gap-4">
         <div className="flex-1">
-          <p className="text-white">{fact.fact}</p>
-          <div className="flex items-center gap-3 mt-2">
+          <p className="text-white">
+            {fact.pinned && <span className="mr-2" title="Always included in memory context">📌</span>}
+            {fact.fact}
+          </p>
+          <div className="flex flex-wrap items-center gap-3 mt-2">
             <span className="px-2 py-0.5 bg-dark-400 rounded text-xs text-gray-400">
               {fact.category}
             </span>
+            {fact.tags.map((tag) => (
+              <span key={tag} className="text-xs text-primary-400">
+                #{tag}
+              </span>
+            ))}
+            <span className="text-xs text-gray-500" title="Source and confidence">
+              {fact.source} · {Math.round(fact.confidence * 100)}%
+            </span>
             <span className="text-xs text-gray-500">
               {formatDate(fact.created_at)}
             </span>
           </div>
         </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onUpdate({ pinned: !fact.pinned })}
+            title={fact.pinned ? 'Include only when relevant' : 'Always include in memory context'}
+            className={`px-3 py-1 rounded text-sm transition-colors ${
+              fact.pinned
+                ? 'bg-primary-600 text-white hover:bg-primary-500'
+                : 'bg-dark-400 text-gray-400 hover:bg-dark-100 hover:text-white'
+            }`}
+          >
+            {fact.pinned ? 'Unpin' : 'Pin'}
+          </button>
+          <button
+            onClick={() => setEditing(true)}
+            className="px-3 py-1 rounded text-sm bg-dark-400 text-gray-400 hover:bg-dark-100 hover:text-white transition-colors"
+          >
+            Edit
+          </button>
+          <button
+            onClick={handleDelete}
+            className={`px-3 py-1 rounded text-sm transition-colors ${
+              showConfirm
+                ? 'bg-red-600 text-white'
+                : 'bg-dark-400 text-gray-400 hover:bg-red-600 hover:text-white'
+            }`}
+          >
+            {showConfirm ? 'Confirm' : 'Delete'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+interface FactEditorProps {
+  fact: Fact;
+  onSave: (changes: FactChanges) => void;
+  onCancel: () => void;
+}
+
+function FactEditor({ fact, onSave, onCancel }: FactEditorProps) {
+  const [text, setText] = React.useState(fact.fact);
+  const [category, setCategory] = React.useState(fact.category);
+  const [tags, setTags] = React.useState(fact.tags.join(', '));
+  const [confidence, setConfidence] = React.useState(Math.round(fact.confidence * 100));
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!text.trim() || !category.trim()) return;
+    onSave({
+      fact: text.trim(),
+      category: category.trim(),
+      tags: parseTags(tags),
+      confidence: confidence / 100
+    });
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-dark-400 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500';
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+      className="bg-dark-300 rounded-lg border border-primary-600 p-4 space-y-3"
+    >
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        className={`${inputClass} resize-none`}
+        autoFocus
+      />
+      <div className="grid grid-cols-3 gap-3">
+        <input
+          type="text"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          placeholder="Category"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags, comma-separated"
+          className={inputClass}
+        />
+        <label className="flex items-center gap-2 text-xs text-gray-400">
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={confidence}
+            onChange={(e) => setConfidence(Number(e.target.value))}
+            className="flex-1"
+          />
+          {confidence}%
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
         <button
-          onClick={handleDelete}
-          className={`px-3 py-1 rounded text-sm transition-colors ${
-            showConfirm
-              ? 'bg-red-600 text-white'
-              : 'bg-dark-400 text-gray-400 hover:bg-red-600 hover:text-white'
-          }`}
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 rounded text-sm bg-dark-400 text-gray-300 hover:bg-dark-100 transition-colors"
         >
-          {showConfirm ? 'Confirm' : 'Delete'}
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!text.trim() || !category.trim()}
+          className="px-3 py-1 rounded text-sm bg-primary-600 text-white hover:bg-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Save
         </button>
       </div>
-    </div>
+    </form>
   );
 }
 
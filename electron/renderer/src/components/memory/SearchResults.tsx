@@ -0,0 +1,77 @@
+import React from 'react';
+import type { SearchResult } from '../../hooks/useMemory';
+
+interface SearchResultsProps {
+  query: string;
+  results: SearchResult[];
+}
+
+const KIND_LABELS: Record<SearchResult['kind'], string> = {
+  fact: 'Fact',
+  message: 'Message',
+  summary: 'Summary'
+};
+
+export function SearchResults({ query, results }: SearchResultsProps) {
+  if (results.length === 0) {
+    return (
+      <div className="bg-dark-300 rounded-lg border border-gray-700 p-8 text-center">
+        <div className="text-4xl mb-4">🔍</div>
+        <p className="text-gray-400">Nothing found for "{query}"</p>
+        <p className="text-sm text-gray-500 mt-2">
+          Facts, past messages and conversation summaries are searched
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {results.map((result) => (
+        <div
+          key={`${result.kind}:${result.id}`}
+          className="bg-dark-300 rounded-lg border border-gray-700 p-4"
+        >
+          <p className="text-white">
+            <Highlighted text={result.snippet} />
+          </p>
+          <div className="flex flex-wrap items-center gap-3 mt-2">
+            <span className="px-2 py-0.5 bg-dark-400 rounded text-xs text-gray-400">
+              {KIND_LABELS[result.kind]}
+            </span>
+            {result.kind === 'fact' && (
+              <span className="text-xs text-gray-500">{result.category}</span>
+            )}
+            {result.kind === 'message' && (
+              <span className="text-xs text-gray-500">{result.role === 'user' ? 'You' : 'Claude'}</span>
+            )}
+            <span className="text-xs text-gray-500">{formatDate(result.time)}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Snippets wrap matched words in **
+function Highlighted({ text }: { text: string }) {
+  const parts = text.split('**');
+  return (
+    <>
+      {parts.map((part, i) =>
+        i % 2 === 1
+          ? <mark key={i} className="bg-primary-600/40 text-white rounded px-0.5">{part}</mark>
+          : <React.Fragment key={i}>{part}</React.Fragment>
+      )}
+    </>
+  );
+}
+
+function formatDate(dateString: string): string {
+  const date = new Date(dateString);
+  return date.toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
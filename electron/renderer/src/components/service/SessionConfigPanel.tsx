@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+
+interface SessionConfig {
+  cwd?: string;
+  env?: Record<string, string>;
+  claudePath?: string;
+  model?: string;
+  allowedTools?: string[];
+  mcpConfig?: string;
+  args?: string[];
+}
+
+interface SessionConfigPanelProps {
+  connected: boolean;
+  sessions: string[];
+}
+
+interface FormState {
+  cwd: string;
+  env: string;
+  claudePath: string;
+  model: string;
+  allowedTools: string;
+  mcpConfig: string;
+  args: string;
+}
+
+const EMPTY_FORM: FormState = {
+  cwd: '',
+  env: '',
+  claudePath: '',
+  model: '',
+  allowedTools: '',
+  mcpConfig: '',
+  args: ''
+};
+
+function toForm(config: SessionConfig): FormState {
+  return {
+    cwd: config.cwd || '',
+    env: Object.entries(config.env || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n'),
+    claudePath: config.claudePath || '',
+    model: config.model || '',
+    allowedTools: (config.allowedTools || []).join(', '),
+    mcpConfig: config.mcpConfig || '',
+    args: (config.args || []).join('\n')
+  };
+}
+
+function fromForm(form: FormState): SessionConfig {
+  const config: SessionConfig = {};
+  if (form.cwd.trim()) config.cwd = form.cwd.trim();
+  if (form.claudePath.trim()) config.claudePath = form.claudePath.trim();
+  if (form.model.trim()) config.model = form.model.trim();
+  if (form.mcpConfig.trim()) config.mcpConfig = form.mcpConfig.trim();
+
+  const tools = form.allowedTools.split(',').map((t) => t.trim()).filter(Boolean);
+  if (tools.length > 0) config.allowedTools = tools;
+
+  const args = form.args.split('\n').map((a) => a.trim()).filter(Boolean);
+  if (args.length > 0) config.args = args;
+
+  const env: Record<string, string> = {};
+  for (const line of form.env.split('\n')) {
+    const eq = line.indexOf('=');
+    if (eq > 0) {
+      env[line.slice(0, eq).trim()] = line.slice(eq + 1);
+    }
+  }
+  if (Object.keys(env).length > 0) config.env = env;
+
+  return config;
+}
+
+export function SessionConfigPanel({ connected, sessions }: SessionConfigPanelProps) {
+  const [session, setSession] = useState('default');
+  const [form, setForm] = useState<FormState>(EMPTY_FORM);
+  const [command, setCommand] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // The selected session may have been killed
+  useEffect(() => {
+    if (sessions.length > 0 && !sessions.includes(session)) {
+      setSession('default');
+    }
+  }, [sessions, session]);
+
+  useEffect(() => {
+    if (!connected) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    window.electronAPI.getSessionConfig(session).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setForm(toForm(result.data.config));
+        setCommand(result.data.command);
+      } else {
+        setError(result.error || 'Failed to load settings');
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connected, session]);
+
+  const update = (field: keyof FormState) => (
+    e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>
+  ) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const result = await window.electronAPI.configureSession(session, fromForm(form));
+    if (result.success) {
+      setForm(toForm(result.data.config));
+      setCommand(result.data.command);
+    } else {
+      setError(result.error || 'Failed to save settings');
+    }
+    setSaving(false);
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-dark-400 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-primary-500 disabled:opacity-50';
+
+  return (
+    <div className="bg-dark-300 rounded-lg border border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-white">Claude Settings</h3>
+          <p className="text-sm text-gray-400">
+            Saved to config.json. Saving restarts the session's Claude process.
+          </p>
+        </div>
+        <select
+          value={session}
+          onChange={(e) => setSession(e.target.value)}
+          disabled={!connected}
+          className="px-3 py-2 bg-dark-400 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+        >
+          {(sessions.length > 0 ? sessions : ['default']).map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!connected ? (
+        <p className="text-sm text-gray-500">Connect to the service to view settings.</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          {command.length > 0 && (
+            <pre className="mb-4 p-3 bg-dark-400 rounded-lg text-xs text-gray-300 whitespace-pre-wrap">
+              {command.join(' ')}
+            </pre>
+          )}
+
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Working directory</label>
+              <input type="text" value={form.cwd} onChange={update('cwd')} placeholder="Home directory" disabled={loading} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Claude binary</label>
+              <input type="text" value={form.claudePath} onChange={update('claudePath')} placeholder="claude" disabled={loading} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Model</label>
+              <input type="text" value={form.model} onChange={update('model')} placeholder="Claude default" disabled={loading} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Allowed tools</label>
+              <input type="text" value={form.allowedTools} onChange={update('allowedTools')} placeholder="e.g. Read, Edit, Bash(git:*)" disabled={loading} className={inputClass} />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm text-gray-400 mb-2">MCP config file</label>
+              <input type="text" value={form.mcpConfig} onChange={update('mcpConfig')} placeholder="None" disabled={loading} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Environment (NAME=value per line)</label>
+              <textarea value={form.env} onChange={update('env')} rows={3} disabled={loading} className={`${inputClass} resize-none font-mono text-sm`} />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Extra arguments (one per line)</label>
+              <textarea value={form.args} onChange={update('args')} rows={3} disabled={loading} className={`${inputClass} resize-none font-mono text-sm`} />
+            </div>
+          </div>
+
+          {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={loading || saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {saving ? 'Restarting...' : 'Save & Restart'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
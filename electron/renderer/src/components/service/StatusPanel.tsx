@@ -3,6 +3,7 @@ import React from 'react';
 interface ServiceStatus {
   running: boolean;
   ready: boolean;
+  health?: string;
   pid?: number;
   port?: number;
   wsPort?: number;
@@ -134,9 +135,9 @@ export function StatusPanel({
           icon="📋"
         />
         <StatusCard
-          label="Claude Ready"
-          value={status?.ready ? 'Yes' : 'No'}
-          icon={status?.ready ? '✅' : '⏳'}
+          label="Claude Health"
+          value={status?.health || (status?.ready ? 'ready' : 'starting')}
+          icon={HEALTH_ICONS[status?.health || (status?.ready ? 'ready' : 'starting')] || '⏳'}
         />
         <StatusCard
           label="Connection"
@@ -148,6 +149,13 @@ export function StatusPanel({
   );
 }
 
+const HEALTH_ICONS: Record<string, string> = {
+  starting: '⏳',
+  ready: '✅',
+  degraded: '⚠️',
+  hung: '🛑'
+};
+
 interface StatusCardProps {
   label: string;
   value: string;
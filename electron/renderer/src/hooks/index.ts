@@ -1,4 +1,5 @@
 export { useService } from './useService';
 export { useChat } from './useChat';
+export { useSessions } from './useSessions';
 export { useMemory } from './useMemory';
 export { useReminders } from './useReminders';
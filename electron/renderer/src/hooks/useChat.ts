@@ -12,19 +12,69 @@ interface ClaudeMessage {
   messageType: string;
   content?: string;
   isComplete?: boolean;
+  requestId?: string;
+  session?: string;
   data: any;
 }
 
-export function useChat() {
+interface JournalEntry {
+  id: number;
+  time: number;
+  type: 'command' | 'message' | 'output' | 'cancelled';
+  messageType?: string;
+  content?: string;
+}
+
+// Past commands and final answers from the service journal
+function messagesFromJournal(entries: JournalEntry[]): Message[] {
+  return entries
+    .filter((e) => e.content && (e.type === 'command' || e.messageType === 'result'))
+    .map((e) => ({
+      id: `journal-${e.id}`,
+      role: e.type === 'command' ? 'user' : 'assistant',
+      content: e.content as string,
+      timestamp: new Date(e.time)
+    }));
+}
+
+export function useChat(session: string = 'default') {
   const [messages, setMessages] = useState<Message[]>([]);
   const [currentOutput, setCurrentOutput] = useState('');
   const [isStreaming, setIsStreaming] = useState(false);
+  // Position of our command in the service queue (null once it is running)
+  const [queuePosition, setQueuePosition] = useState<number | null>(null);
   const outputRef = useRef('');
   const idCounter = useRef(0);
+  // Request IDs of commands sent from this window
+  const ownRequests = useRef<Set<string>>(new Set());
+  // Request ID of the latest command sent from this window
+  const currentRequest = useRef<string | null>(null);
 
   useEffect(() => {
+    const isOtherSession = (name?: string) => (name || 'default') !== session;
+
+    // Start from a clean slate when switching sessions
+    setMessages([]);
+    outputRef.current = '';
+    setCurrentOutput('');
+    setIsStreaming(false);
+    setQueuePosition(null);
+
     // Listen for structured Claude messages (stream-json format)
     const unsubMessage = window.electronAPI.onClaudeMessage((msg: ClaudeMessage) => {
+      if (isOtherSession(msg.session)) {
+        return;
+      }
+
+      // Skip answers to commands sent by other clients
+      if (msg.requestId && !ownRequests.current.has(msg.requestId)) {
+        return;
+      }
+
+      if (msg.requestId) {
+        setQueuePosition(null);
+      }
+
       // Only process messages with content
       if (msg.content) {
         outputRef.current = msg.content;
@@ -33,6 +83,11 @@ export function useChat() {
       }
 
       // If message is complete, finalize it
+      if (msg.isComplete && msg.requestId) {
+        ownRequests.current.delete(msg.requestId);
+        if (currentRequest.current === msg.requestId) currentRequest.current = null;
+      }
+
       if (msg.isComplete && msg.content) {
         const assistantMessage: Message = {
           id: `msg-${++idCounter.current}`,
@@ -47,8 +102,43 @@ export function useChat() {
       }
     });
 
+    // Our command is waiting behind commands from other clients
+    const unsubQueued = window.electronAPI.onClaudeQueued((msg) => {
+      if (msg.requestId && ownRequests.current.has(msg.requestId)) {
+        setQueuePosition(msg.position);
+      }
+    });
+
+    // A command was cancelled, by this window or another client
+    const unsubCancelled = window.electronAPI.onClaudeCancelled((msg) => {
+      if (isOtherSession(msg.session) || !msg.target || !ownRequests.current.has(msg.target)) {
+        return;
+      }
+
+      ownRequests.current.delete(msg.target);
+      if (currentRequest.current === msg.target) currentRequest.current = null;
+      setQueuePosition(null);
+
+      // Keep whatever Claude had written before it was interrupted
+      const partial = outputRef.current.trim();
+      const cancelledMessage: Message = {
+        id: `msg-${++idCounter.current}`,
+        role: 'assistant',
+        content: partial ? `${partial}\n\n[cancelled]` : '[cancelled]',
+        timestamp: new Date()
+      };
+      setMessages((prev) => [...prev, cancelledMessage]);
+      outputRef.current = '';
+      setCurrentOutput('');
+      setIsStreaming(false);
+    });
+
     // Fallback: Listen for raw output (for non-JSON messages)
-    const unsubOutput = window.electronAPI.onClaudeOutput((data: string) => {
+    const unsubOutput = window.electronAPI.onClaudeOutput((data: string, outputSession?: string) => {
+      if (isOtherSession(outputSession)) {
+        return;
+      }
+
       // Only use if we're not getting structured messages
       if (!outputRef.current) {
         outputRef.current += data;
@@ -58,23 +148,32 @@ export function useChat() {
     });
 
     // Listen for history
-    const unsubHistory = window.electronAPI.onHistory((data: string) => {
-      if (data.trim()) {
+    const unsubHistory = window.electronAPI.onHistory((data: string, historySession?: string, entries?: JournalEntry[]) => {
+      if (isOtherSession(historySession)) {
+        return;
+      }
+
+      if (entries && entries.length > 0) {
+        // Don't clobber messages sent before the history arrived
+        setMessages((prev) => (prev.length === 0 ? messagesFromJournal(entries) : prev));
+      } else if (data.trim()) {
         setCurrentOutput(data);
       }
     });
 
     // Request history on mount
-    window.electronAPI.requestHistory(50);
+    window.electronAPI.requestHistory(50, session);
 
     return () => {
       unsubMessage();
+      unsubQueued();
+      unsubCancelled();
       unsubOutput();
       unsubHistory();
     };
-  }, []);
+  }, [session]);
 
-  const sendMessage = useCallback((content: string) => {
+  const sendMessage = useCallback((content: string, withContext: boolean = false) => {
     // Add user message
     const userMessage: Message = {
       id: `msg-${++idCounter.current}`,
@@ -89,9 +188,19 @@ export function useChat() {
     setCurrentOutput('');
     setIsStreaming(true);
 
-    // Send command to Claude
-    window.electronAPI.sendCommand(content);
-  }, []);
+    // Send command to Claude, tagged so we can pick out its answer
+    const requestId = crypto.randomUUID();
+    ownRequests.current.add(requestId);
+    currentRequest.current = requestId;
+    window.electronAPI.sendCommand(content, { withContext, requestId, session });
+  }, [session]);
+
+  // Stop our latest command, whether it is running or still queued
+  const cancel = useCallback(() => {
+    if (currentRequest.current) {
+      window.electronAPI.cancelCommand(session, currentRequest.current);
+    }
+  }, [session]);
 
   const finalizeResponse = useCallback(() => {
     if (outputRef.current.trim()) {
@@ -118,7 +227,9 @@ export function useChat() {
     messages,
     currentOutput,
     isStreaming,
+    queuePosition,
     sendMessage,
+    cancel,
     finalizeResponse,
     clearMessages
   };
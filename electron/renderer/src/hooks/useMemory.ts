@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 
 interface MemoryStats {
   conversations: number;
@@ -9,20 +9,57 @@ interface MemoryStats {
     completed: number;
     cancelled: number;
   };
+  // Rows removed by retention rules so far
+  pruned?: {
+    messages: number;
+    conversations: number;
+    facts: number;
+    reminders: number;
+    journal: number;
+    lastPrunedAt: string | null;
+  };
 }
 
-interface Fact {
+export interface Fact {
   id: number;
   fact: string;
   category: string;
+  tags: string[];
+  confidence: number;
+  source: string;
+  pinned: boolean; // Always included in memory context
   created_at: string;
+  updated_at: string | null;
+}
+
+export interface FactChanges {
+  fact?: string;
+  category?: string;
+  tags?: string[];
+  confidence?: number;
+  source?: string;
+  pinned?: boolean;
 }
 
-interface Conversation {
+export interface SearchResult {
+  kind: 'fact' | 'message' | 'summary';
+  id: number | string;
+  snippet: string; // Matched words wrapped in **
+  score: number;
+  time: string;
+  category?: string;
+  tags?: string[];
+  conversationId?: string;
+  role?: string;
+}
+
+export interface Conversation {
   id: string;
   started_at: string;
   ended_at: string | null;
   summary: string | null;
+  summarized_at: string | null;
+  message_count: number;
 }
 
 interface Message {
@@ -39,6 +76,9 @@ export function useMemory() {
   const [conversations, setConversations] = useState<Conversation[]>([]);
   const [messages, setMessages] = useState<Message[]>([]);
   const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
+  const latestQuery = useRef('');
 
   useEffect(() => {
     // Set up event listeners
@@ -50,18 +90,34 @@ export function useMemory() {
       setFacts(data);
     });
 
-    const unsubFactAdded = window.electronAPI.onFactAdded((data: Fact) => {
+    const unsubFactAdded = window.electronAPI.onFactAdded((data: Fact & { duplicate?: boolean; updated?: boolean }) => {
+      // A near-duplicate is merged into (or replaces) the stored fact rather than added
+      if (data.duplicate || data.updated) {
+        setFacts((prev) => prev.map((f) => (f.id === data.id ? data : f)));
+        return;
+      }
       setFacts((prev) => [data, ...prev]);
       // Update stats
       setStats((prev) => prev ? { ...prev, facts: prev.facts + 1 } : null);
     });
 
+    const unsubFactUpdated = window.electronAPI.onFactUpdated((data: Fact) => {
+      setFacts((prev) => prev.map((f) => (f.id === data.id ? data : f)));
+    });
+
     const unsubFactDeleted = window.electronAPI.onFactDeleted((data: { id: number }) => {
       setFacts((prev) => prev.filter((f) => f.id !== data.id));
       // Update stats
       setStats((prev) => prev ? { ...prev, facts: prev.facts - 1 } : null);
     });
 
+    const unsubSearch = window.electronAPI.onSearchResults((data: SearchResult[], query: string) => {
+      // Drop answers to queries the user has already typed past
+      if (query === latestQuery.current) {
+        setSearchResults(data);
+      }
+    });
+
     const unsubConversations = window.electronAPI.onConversations((data: Conversation[]) => {
       setConversations(data);
     });
@@ -74,7 +130,9 @@ export function useMemory() {
       unsubStats();
       unsubFacts();
       unsubFactAdded();
+      unsubFactUpdated();
       unsubFactDeleted();
+      unsubSearch();
       unsubConversations();
       unsubMessages();
     };
@@ -89,14 +147,28 @@ export function useMemory() {
     window.electronAPI.requestFacts(category);
   }, []);
 
-  const addFact = useCallback((fact: string, category: string = 'general') => {
-    window.electronAPI.addFact(fact, category);
+  const addFact = useCallback((fact: string, category: string = 'general', tags: string[] = []) => {
+    window.electronAPI.addFact(fact, category, tags);
+  }, []);
+
+  const updateFact = useCallback((id: number, changes: FactChanges) => {
+    window.electronAPI.updateFact(id, changes);
   }, []);
 
   const deleteFact = useCallback((id: number) => {
     window.electronAPI.deleteFact(id);
   }, []);
 
+  const search = useCallback((query: string) => {
+    latestQuery.current = query.trim();
+    setSearchQuery(query);
+    if (!query.trim()) {
+      setSearchResults([]);
+      return;
+    }
+    window.electronAPI.searchMemory(query.trim());
+  }, []);
+
   const refreshConversations = useCallback((limit: number = 10) => {
     window.electronAPI.requestConversations(limit);
   }, []);
@@ -115,10 +187,14 @@ export function useMemory() {
     messages,
     categories,
     selectedCategory,
+    searchQuery,
+    searchResults,
     refreshStats,
     refreshFacts,
     addFact,
+    updateFact,
     deleteFact,
+    search,
     refreshConversations,
     loadMessages
   };
@@ -3,6 +3,7 @@ import { useState, useEffect, useCallback } from 'react';
 interface ServiceStatus {
   running: boolean;
   ready: boolean;
+  health?: string;
   pid?: number;
   port?: number;
   wsPort?: number;
@@ -30,10 +31,19 @@ export function useService() {
       setStatus(newStatus);
     });
 
-    const unsubReady = window.electronAPI.onClaudeReady((ready: boolean) => {
+    const unsubReady = window.electronAPI.onClaudeReady((ready: boolean, session?: string) => {
+      // Service status tracks the default session only
+      if (session && session !== 'default') return;
       setStatus((prev) => prev ? { ...prev, ready } : { running: true, ready });
     });
 
+    const unsubHealth = window.electronAPI.onClaudeHealth((health: string, session?: string) => {
+      if (session && session !== 'default') return;
+      // A hung Claude is restarted, so it is no longer ready
+      const ready = health === 'ready' || health === 'degraded';
+      setStatus((prev) => prev ? { ...prev, health, ready } : { running: true, ready, health });
+    });
+
     // Check initial connection status
     window.electronAPI.isConnected().then((isConn) => {
       setConnected(isConn);
@@ -47,6 +57,7 @@ export function useService() {
       unsubDisconnected();
       unsubStatus();
       unsubReady();
+      unsubHealth();
     };
   }, []);
 
@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from 'react';
+
+export interface SessionInfo {
+  name: string;
+  cwd: string;
+  running: boolean;
+  ready: boolean;
+  health?: string;
+  pid?: number;
+  restarts?: number;
+  queuedCommands?: number;
+  createdAt?: string;
+}
+
+export function useSessions() {
+  const [sessions, setSessions] = useState<SessionInfo[]>([]);
+  const [activeSession, setActiveSession] = useState('default');
+
+  useEffect(() => {
+    const unsubSessions = window.electronAPI.onSessions((data: SessionInfo[]) => {
+      const list = data || [];
+      setSessions(list);
+      // Fall back to the default session if ours was killed elsewhere
+      setActiveSession((current) => (list.some((s) => s.name === current) ? current : 'default'));
+    });
+
+    const unsubCreated = window.electronAPI.onSessionCreated((data: SessionInfo) => {
+      setActiveSession(data.name);
+    });
+
+    const unsubKilled = window.electronAPI.onSessionKilled((data: { name: string }) => {
+      setActiveSession((current) => (current === data.name ? 'default' : current));
+    });
+
+    const unsubReady = window.electronAPI.onClaudeReady((ready: boolean, session?: string) => {
+      const name = session || 'default';
+      setSessions((prev) => prev.map((s) => (s.name === name ? { ...s, ready } : s)));
+    });
+
+    const unsubHealth = window.electronAPI.onClaudeHealth((health: string, session?: string) => {
+      const name = session || 'default';
+      const ready = health === 'ready' || health === 'degraded';
+      setSessions((prev) => prev.map((s) => (s.name === name ? { ...s, health, ready } : s)));
+    });
+
+    const unsubConnected = window.electronAPI.onServiceConnected(() => {
+      window.electronAPI.requestSessions();
+    });
+
+    window.electronAPI.requestSessions();
+
+    return () => {
+      unsubSessions();
+      unsubCreated();
+      unsubKilled();
+      unsubReady();
+      unsubHealth();
+      unsubConnected();
+    };
+  }, []);
+
+  const createSession = useCallback((name: string, cwd?: string) => {
+    window.electronAPI.createSession(name, cwd);
+  }, []);
+
+  const killSession = useCallback((name: string) => {
+    window.electronAPI.killSession(name);
+  }, []);
+
+  const current = sessions.find((s) => s.name === activeSession);
+
+  return {
+    sessions,
+    activeSession,
+    current,
+    setActiveSession,
+    createSession,
+    killSession
+  };
+}
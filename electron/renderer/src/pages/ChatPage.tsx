@@ -1,22 +1,45 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useChat } from '../hooks/useChat';
 import { useService } from '../hooks/useService';
+import { useSessions } from '../hooks/useSessions';
 import { MessageList } from '../components/chat/MessageList';
 import { MessageInput } from '../components/chat/MessageInput';
 
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
 export function ChatPage() {
-  const { messages, currentOutput, isStreaming, sendMessage } = useChat();
+  const { sessions, activeSession, current, setActiveSession, createSession, killSession } = useSessions();
+  const { messages, currentOutput, isStreaming, queuePosition, sendMessage, cancel } = useChat(activeSession);
   const { connected, status } = useService();
+  const [useMemoryContext, setUseMemoryContext] = useState(false);
+  const [showNewSession, setShowNewSession] = useState(false);
+  const [newSessionName, setNewSessionName] = useState('');
+  const [newSessionCwd, setNewSessionCwd] = useState('');
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
+  // Non-default sessions report readiness through the session list
+  const ready = activeSession === 'default' ? !!status?.ready : !!current?.ready;
+  const health = activeSession === 'default' ? status?.health : current?.health;
+  const degraded = health === 'degraded';
+  const newSessionValid = SESSION_NAME_PATTERN.test(newSessionName);
+
   // Auto-scroll to bottom when new content arrives
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages, currentOutput]);
 
   const handleSend = (content: string) => {
-    if (!connected || !status?.ready) return;
-    sendMessage(content);
+    if (!connected || !ready) return;
+    sendMessage(content, useMemoryContext);
+  };
+
+  const handleCreateSession = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newSessionValid) return;
+    createSession(newSessionName, newSessionCwd.trim() || undefined);
+    setNewSessionName('');
+    setNewSessionCwd('');
+    setShowNewSession(false);
   };
 
   return (
@@ -27,32 +50,115 @@ export function ChatPage() {
           <h1 className="text-xl font-semibold text-white">Chat with Claude</h1>
           <p className="text-sm text-gray-400">
             {connected
-              ? status?.ready
-                ? 'Claude is ready'
+              ? ready
+                ? degraded
+                  ? 'Claude is slow to respond'
+                  : 'Claude is ready'
                 : 'Claude is starting...'
               : 'Not connected to service'}
           </p>
         </div>
-        <div className="flex items-center gap-2">
-          <span
-            className={`w-2 h-2 rounded-full ${
-              connected
-                ? status?.ready
-                  ? 'bg-green-500'
-                  : 'bg-yellow-500 status-pulse'
-                : 'bg-red-500'
-            }`}
-          />
-          <span className="text-sm text-gray-400">
-            {connected ? (status?.ready ? 'Ready' : 'Starting') : 'Offline'}
-          </span>
+        <div className="flex items-center gap-4">
+          <div className="flex items-center gap-2">
+            <select
+              value={activeSession}
+              onChange={(e) => setActiveSession(e.target.value)}
+              disabled={!connected}
+              className="bg-dark-300 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200"
+              title={current?.cwd}
+            >
+              {sessions.length === 0 && <option value="default">default</option>}
+              {sessions.map((s) => (
+                <option key={s.name} value={s.name}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowNewSession((v) => !v)}
+              disabled={!connected}
+              className="px-2 py-1 text-sm text-gray-300 bg-dark-300 border border-gray-700 rounded hover:bg-dark-200 disabled:opacity-50"
+            >
+              New
+            </button>
+            {activeSession !== 'default' && (
+              <button
+                onClick={() => killSession(activeSession)}
+                className="px-2 py-1 text-sm text-red-400 bg-dark-300 border border-gray-700 rounded hover:bg-dark-200"
+              >
+                Kill
+              </button>
+            )}
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={useMemoryContext}
+              onChange={(e) => setUseMemoryContext(e.target.checked)}
+              className="accent-primary-500"
+            />
+            Use memory
+          </label>
+          <div className="flex items-center gap-2">
+            <span
+              className={`w-2 h-2 rounded-full ${
+                connected
+                  ? ready
+                    ? degraded
+                      ? 'bg-yellow-500'
+                      : 'bg-green-500'
+                    : 'bg-yellow-500 status-pulse'
+                  : 'bg-red-500'
+              }`}
+            />
+            <span className="text-sm text-gray-400">
+              {connected ? (ready ? (degraded ? 'Degraded' : 'Ready') : health === 'hung' ? 'Restarting' : 'Starting') : 'Offline'}
+            </span>
+          </div>
         </div>
       </header>
 
+      {/* New session form */}
+      {showNewSession && (
+        <form
+          onSubmit={handleCreateSession}
+          className="flex items-center gap-2 px-6 py-3 border-b border-gray-800"
+        >
+          <input
+            type="text"
+            value={newSessionName}
+            onChange={(e) => setNewSessionName(e.target.value)}
+            placeholder="Session name"
+            className="bg-dark-300 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200 w-40"
+          />
+          <input
+            type="text"
+            value={newSessionCwd}
+            onChange={(e) => setNewSessionCwd(e.target.value)}
+            placeholder="Working directory (optional)"
+            className="flex-1 bg-dark-300 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200"
+          />
+          <button
+            type="submit"
+            disabled={!newSessionValid}
+            className="px-3 py-1 text-sm text-white bg-primary-600 rounded hover:bg-primary-500 disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+      )}
+
       {/* Messages area */}
       <div className="flex-1 overflow-y-auto p-6">
         <MessageList messages={messages} />
 
+        {/* Waiting behind other clients' commands */}
+        {queuePosition !== null && !currentOutput && (
+          <div className="mt-4 text-sm text-gray-500">
+            Waiting in queue (position {queuePosition})...
+          </div>
+        )}
+
         {/* Streaming output */}
         {currentOutput && (
           <div className="mt-4 p-4 bg-dark-300 rounded-lg border border-gray-700">
@@ -70,11 +176,13 @@ export function ChatPage() {
       <div className="border-t border-gray-800 p-4">
         <MessageInput
           onSend={handleSend}
-          disabled={!connected || !status?.ready}
+          onStop={cancel}
+          isStreaming={isStreaming}
+          disabled={!connected || !ready}
           placeholder={
             !connected
               ? 'Connect to service to start chatting...'
-              : !status?.ready
+              : !ready
               ? 'Waiting for Claude to be ready...'
               : 'Type a message... (Ctrl+Enter to send)'
           }
@@ -2,32 +2,49 @@ import React, { useEffect, useState } from 'react';
 import { useMemory } from '../hooks/useMemory';
 import { FactsList } from '../components/memory/FactsList';
 import { AddFactForm } from '../components/memory/AddFactForm';
+import { SearchResults } from '../components/memory/SearchResults';
+import { ConversationsList } from '../components/memory/ConversationsList';
 
 export function MemoryPage() {
   const {
     stats,
     facts,
+    conversations,
     categories,
     selectedCategory,
+    searchQuery,
+    searchResults,
     refreshStats,
     refreshFacts,
     addFact,
-    deleteFact
+    updateFact,
+    deleteFact,
+    search,
+    refreshConversations
   } = useMemory();
 
   const [showAddForm, setShowAddForm] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [view, setView] = useState<'facts' | 'conversations'>('facts');
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => search(searchInput), 250);
+    return () => clearTimeout(timer);
+  }, [searchInput, search]);
 
   useEffect(() => {
     refreshStats();
     refreshFacts();
+    refreshConversations(20);
   }, []);
 
   const handleCategoryChange = (category: string | null) => {
     refreshFacts(category || undefined);
   };
 
-  const handleAddFact = (fact: string, category: string) => {
-    addFact(fact, category);
+  const handleAddFact = (fact: string, category: string, tags: string[]) => {
+    addFact(fact, category, tags);
     setShowAddForm(false);
   };
 
@@ -76,37 +93,81 @@ export function MemoryPage() {
           </div>
         )}
 
-        {/* Category filter */}
-        <div className="mb-4">
-          <div className="flex flex-wrap gap-2">
-            <button
-              onClick={() => handleCategoryChange(null)}
-              className={`px-3 py-1 rounded-full text-sm transition-colors ${
-                selectedCategory === null
-                  ? 'bg-primary-600 text-white'
-                  : 'bg-dark-300 text-gray-400 hover:bg-dark-100'
-              }`}
-            >
-              All
-            </button>
-            {categories.map((cat) => (
-              <button
-                key={cat}
-                onClick={() => handleCategoryChange(cat)}
-                className={`px-3 py-1 rounded-full text-sm transition-colors ${
-                  selectedCategory === cat
-                    ? 'bg-primary-600 text-white'
-                    : 'bg-dark-300 text-gray-400 hover:bg-dark-100'
-                }`}
-              >
-                {cat}
-              </button>
-            ))}
-          </div>
-        </div>
+        {stats?.pruned?.lastPrunedAt && (
+          <p className="-mt-3 mb-6 text-xs text-gray-500">
+            Pruned by retention rules: {describePruned(stats.pruned)}
+          </p>
+        )}
 
-        {/* Facts list */}
-        <FactsList facts={facts} onDelete={deleteFact} />
+        {/* Search */}
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search facts, messages and summaries..."
+          className="w-full mb-4 px-4 py-2 bg-dark-300 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-primary-500"
+        />
+
+        {searchQuery.trim() ? (
+          <SearchResults query={searchQuery.trim()} results={searchResults} />
+        ) : (
+          <>
+            {/* View toggle */}
+            <div className="flex gap-4 mb-4 border-b border-gray-800">
+              {(['facts', 'conversations'] as const).map((name) => (
+                <button
+                  key={name}
+                  onClick={() => setView(name)}
+                  className={`pb-2 text-sm capitalize transition-colors ${
+                    view === name
+                      ? 'text-white border-b-2 border-primary-500'
+                      : 'text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+
+            {view === 'conversations' ? (
+              <ConversationsList conversations={conversations} />
+            ) : (
+              <>
+                {/* Category filter */}
+                <div className="mb-4">
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handleCategoryChange(null)}
+                      className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                        selectedCategory === null
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-dark-300 text-gray-400 hover:bg-dark-100'
+                      }`}
+                    >
+                      All
+                    </button>
+                    {categories.map((cat) => (
+                      <button
+                        key={cat}
+                        onClick={() => handleCategoryChange(cat)}
+                        className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                          selectedCategory === cat
+                            ? 'bg-primary-600 text-white'
+                            : 'bg-dark-300 text-gray-400 hover:bg-dark-100'
+                        }`}
+                      >
+                        {cat}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Facts list */}
+                <FactsList facts={facts} onUpdate={updateFact} onDelete={deleteFact} />
+              </>
+            )}
+          </>
+        )}
       </div>
 
       {/* Add fact modal */}
@@ -143,3 +204,10 @@ function StatCard({ label, value, icon }: StatCardProps) {
     </div>
   );
 }
+
+function describePruned(pruned: { [table: string]: number | string | null }): string {
+  return Object.entries(pruned)
+    .filter(([table, count]) => table !== 'lastPrunedAt' && Number(count) > 0)
+    .map(([table, count]) => `${count} ${table}`)
+    .join(', ');
+}
@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { useService } from '../hooks/useService';
+import { useSessions } from '../hooks/useSessions';
 import { StatusPanel } from '../components/service/StatusPanel';
+import { SessionConfigPanel } from '../components/service/SessionConfigPanel';
 import { LogViewer } from '../components/service/LogViewer';
 
 export function ServicePage() {
@@ -12,6 +14,7 @@ export function ServicePage() {
     restartService,
     refreshStatus
   } = useService();
+  const { sessions } = useSessions();
 
   const [logs, setLogs] = useState('');
   const [actionLoading, setActionLoading] = useState<string | null>(null);
@@ -91,6 +94,14 @@ export function ServicePage() {
           actionLoading={actionLoading}
         />
 
+        {/* Claude process settings */}
+        <div className="mt-6">
+          <SessionConfigPanel
+            connected={connected}
+            sessions={sessions.map((s) => s.name)}
+          />
+        </div>
+
         {/* Log Viewer */}
         <div className="mt-6">
           <h2 className="text-lg font-medium text-white mb-4">Service Logs</h2>
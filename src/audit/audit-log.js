@@ -0,0 +1,206 @@
+/**
+ * Audit Log - SQLite record of who did what
+ *
+ * Events:
+ * - request: a message from a key-authenticated client (route, arguments, result)
+ * - auth, auth:ban: logins, failures and bans
+ * - key:*: API key changes made with the CLI
+ *
+ * Kept in its own database (audit.db) so clearing memory never erases it.
+ * Both the service and the CLI write to it.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+class AuditLog {
+  constructor(options = {}) {
+    this.configDir = options.configDir || path.join(os.homedir(), '.claude-alwaysrunning');
+    this.dbPath = options.dbPath || path.join(this.configDir, 'audit.db');
+
+    // Ensure config directory exists
+    if (!fs.existsSync(this.configDir)) {
+      fs.mkdirSync(this.configDir, { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.initSchema();
+  }
+
+  /**
+   * Initialize database schema
+   */
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time INTEGER,
+        event TEXT,
+        key_name TEXT,
+        remote_address TEXT,
+        transport TEXT,
+        route TEXT,
+        args TEXT,
+        result TEXT,
+        detail TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_time ON audit(time);
+      CREATE INDEX IF NOT EXISTS idx_audit_key ON audit(key_name, time);
+    `);
+  }
+
+  /**
+   * Record an event
+   * @param {string} event - What happened (auth, key:create, key:rotate, ...)
+   * @param {object} [fields]
+   * @param {string} [fields.keyName] - API key involved
+   * @param {string} [fields.remoteAddress] - Client address
+   * @param {string} [fields.transport] - tcp, ws, http or cli
+   * @param {string} [fields.route] - Message type
+   * @param {object} [fields.args] - Summary of the arguments
+   * @param {string} [fields.result] - ok, failed, denied, ...
+   * @param {string} [fields.detail] - Human-readable detail
+   * @returns {number|null} Entry ID, or null if it could not be written
+   */
+  record(event, fields = {}) {
+    try {
+      const result = this.db.prepare(`
+        INSERT INTO audit (time, event, key_name, remote_address, transport, route, args, result, detail)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        fields.time || Date.now(),
+        event,
+        fields.keyName || null,
+        fields.remoteAddress || null,
+        fields.transport || null,
+        fields.route || null,
+        fields.args ? JSON.stringify(fields.args) : null,
+        fields.result || null,
+        fields.detail || null
+      );
+      return result.lastInsertRowid;
+    } catch (e) {
+      // Auditing must never take the service down
+      console.error('Failed to write audit log:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Recent events, newest first
+   * @param {object} [options]
+   * @param {number} [options.limit=100] - Maximum entries (0 = no limit)
+   * @param {string} [options.event] - Only this event
+   * @param {string} [options.keyName] - Only this key
+   * @param {string} [options.route] - Only this message type
+   * @param {string} [options.result] - Only this result (ok, denied, error, failed, ...)
+   * @param {string} [options.remoteAddress] - Only this client address
+   * @param {number} [options.since] - Only events at or after this time (ms)
+   * @param {number} [options.until] - Only events before this time (ms)
+   * @param {boolean} [options.oldestFirst] - Chronological order instead
+   * @returns {object[]}
+   */
+  list(options = {}) {
+    const { where, params } = buildFilter(options);
+    const limit = options.limit ?? 100;
+    const order = options.oldestFirst ? 'ASC' : 'DESC';
+
+    const rows = this.db.prepare(`
+      SELECT * FROM audit ${where} ORDER BY id ${order} ${limit > 0 ? 'LIMIT ?' : ''}
+    `).all(...params, ...(limit > 0 ? [limit] : []));
+
+    return rows.map(rowToEntry);
+  }
+
+  /**
+   * Call fn for every matching event in chronological order, without
+   * loading them all at once
+   * @param {object} options - Filters, as for list()
+   * @param {function} fn - (entry)
+   * @returns {number} Events visited
+   */
+  each(options, fn) {
+    const { where, params } = buildFilter(options);
+    let count = 0;
+    for (const row of this.db.prepare(`SELECT * FROM audit ${where} ORDER BY id ASC`).iterate(...params)) {
+      fn(rowToEntry(row));
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+const FILTER_COLUMNS = {
+  event: 'event',
+  keyName: 'key_name',
+  route: 'route',
+  result: 'result',
+  remoteAddress: 'remote_address'
+};
+
+function buildFilter(options = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const [option, column] of Object.entries(FILTER_COLUMNS)) {
+    if (options[option]) {
+      conditions.push(`${column} = ?`);
+      params.push(options[option]);
+    }
+  }
+  if (options.since) {
+    conditions.push('time >= ?');
+    params.push(options.since);
+  }
+  if (options.until) {
+    conditions.push('time < ?');
+    params.push(options.until);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    time: row.time,
+    event: row.event,
+    keyName: row.key_name,
+    remoteAddress: row.remote_address,
+    transport: row.transport,
+    route: row.route,
+    args: row.args ? JSON.parse(row.args) : null,
+    result: row.result,
+    detail: row.detail
+  };
+}
+
+// Singleton instance
+let instance = null;
+
+function getAuditLog(options = {}) {
+  if (!instance) {
+    instance = new AuditLog(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  AuditLog,
+  getAuditLog
+};
@@ -0,0 +1,10 @@
+/**
+ * Audit Module - Exports
+ */
+
+const { AuditLog, getAuditLog } = require('./audit-log');
+
+module.exports = {
+  AuditLog,
+  getAuditLog
+};
@@ -2,19 +2,22 @@
  * API Key Manager
  *
  * Handles generation, storage, and validation of API keys
- * for remote access authentication.
+ * for remote access authentication. Keys may expire, and a rotated
+ * key's old secret keeps working for a grace period.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { DEFAULT_SCOPES, parseScopes } = require('./scopes');
 
 class APIKeyManager {
   constructor(options = {}) {
     this.configDir = options.configDir || path.join(os.homedir(), '.claude-alwaysrunning');
     this.keysFile = path.join(this.configDir, 'api-keys.json');
     this.keys = {};
+    this.loadedMtime = 0;
 
     // Ensure config directory exists
     if (!fs.existsSync(this.configDir)) {
@@ -33,6 +36,7 @@ class APIKeyManager {
       if (fs.existsSync(this.keysFile)) {
         const data = fs.readFileSync(this.keysFile, 'utf8');
         this.keys = JSON.parse(data);
+        this.loadedMtime = fs.statSync(this.keysFile).mtimeMs;
       }
     } catch (e) {
       console.error('Failed to load API keys:', e.message);
@@ -40,6 +44,17 @@ class APIKeyManager {
     }
   }
 
+  /**
+   * Reload keys if another process (the CLI) changed the file
+   */
+  reloadIfChanged() {
+    try {
+      if (fs.existsSync(this.keysFile) && fs.statSync(this.keysFile).mtimeMs !== this.loadedMtime) {
+        this.load();
+      }
+    } catch (e) {}
+  }
+
   /**
    * Save keys to file
    */
@@ -50,6 +65,7 @@ class APIKeyManager {
       if (os.platform() !== 'win32') {
         fs.chmodSync(this.keysFile, 0o600);
       }
+      this.loadedMtime = fs.statSync(this.keysFile).mtimeMs;
     } catch (e) {
       console.error('Failed to save API keys:', e.message);
     }
@@ -58,18 +74,25 @@ class APIKeyManager {
   /**
    * Generate a new API key
    * @param {string} name - Human-readable name for the key
-   * @returns {{name: string, key: string, created: string}}
+   * @param {object} [options]
+   * @param {string|string[]} [options.scopes] - What the key may do (default: admin)
+   * @param {string} [options.expires] - Expiry: a duration such as "30d" or a date (default: never)
+   * @returns {{name: string, key: string, created: string, scopes: string[], expiresAt: string|null}}
    */
-  generate(name) {
+  generate(name, options = {}) {
     if (!name || typeof name !== 'string') {
       throw new Error('Key name is required');
     }
 
     // Check for duplicate names
+    this.reloadIfChanged();
     if (this.keys[name]) {
       throw new Error(`Key with name "${name}" already exists`);
     }
 
+    const scopes = options.scopes ? parseScopes(options.scopes) : DEFAULT_SCOPES;
+    const expiresAt = options.expires ? parseExpiry(options.expires) : null;
+
     // Generate 64-character hex key
     const key = crypto.randomBytes(32).toString('hex');
     const created = new Date().toISOString();
@@ -78,12 +101,56 @@ class APIKeyManager {
       // Store hash of key, not the key itself
       hash: this.hashKey(key),
       created,
-      lastUsed: null
+      lastUsed: null,
+      scopes,
+      expiresAt
     };
 
     this.save();
 
-    return { name, key, created };
+    return { name, key, created, scopes, expiresAt };
+  }
+
+  /**
+   * Issue a new secret for a key; the old one keeps working for a grace period
+   * @param {string} name - Key name
+   * @param {object} [options]
+   * @param {string} [options.grace='24h'] - How long the old secret stays valid ("0" = not at all)
+   * @returns {{name: string, key: string, graceUntil: string|null}}
+   */
+  rotate(name, options = {}) {
+    this.reloadIfChanged();
+    const data = this.keys[name];
+    if (!data) {
+      throw new Error(`Key "${name}" not found`);
+    }
+
+    const grace = parseDuration(options.grace ?? DEFAULT_ROTATION_GRACE);
+    const graceUntil = grace > 0 ? new Date(Date.now() + grace).toISOString() : null;
+    const key = crypto.randomBytes(32).toString('hex');
+
+    data.previous = graceUntil ? { hash: data.hash, expiresAt: graceUntil } : undefined;
+    data.hash = this.hashKey(key);
+    data.rotated = new Date().toISOString();
+    this.save();
+
+    return { name, key, graceUntil };
+  }
+
+  /**
+   * Set or clear a key's expiry
+   * @param {string} name - Key name
+   * @param {string|null} expires - Duration, date, or null/"never"
+   * @returns {string|null} The new expiry
+   */
+  setExpiry(name, expires) {
+    this.reloadIfChanged();
+    if (!this.keys[name]) {
+      throw new Error(`Key "${name}" not found`);
+    }
+    this.keys[name].expiresAt = !expires || expires === 'never' ? null : parseExpiry(expires);
+    this.save();
+    return this.keys[name].expiresAt;
   }
 
   /**
@@ -96,23 +163,36 @@ class APIKeyManager {
   /**
    * Validate an API key
    * @param {string} key - The API key to validate
-   * @returns {{valid: boolean, name?: string}}
+   * @returns {{valid: boolean, name?: string, scopes?: string[], reason?: string, rotated?: boolean}}
+   *   `reason` is "expired" for a known key past its expiry date
    */
   validate(key) {
     if (!key || typeof key !== 'string') {
       return { valid: false };
     }
 
+    this.reloadIfChanged();
     const hash = this.hashKey(key);
 
+    const now = Date.now();
+
     for (const [name, data] of Object.entries(this.keys)) {
-      if (data.hash === hash) {
-        // Update last used timestamp
-        data.lastUsed = new Date().toISOString();
-        this.save();
+      // The previous secret of a rotated key works until its grace period ends
+      const previous = data.previous && data.previous.hash === hash;
+      if (data.hash !== hash && !previous) continue;
 
-        return { valid: true, name };
+      if (previous && Date.parse(data.previous.expiresAt) <= now) {
+        return { valid: false, reason: 'expired', name };
       }
+      if (data.expiresAt && Date.parse(data.expiresAt) <= now) {
+        return { valid: false, reason: 'expired', name };
+      }
+
+      // Update last used timestamp
+      data.lastUsed = new Date().toISOString();
+      this.save();
+
+      return { valid: true, name, scopes: data.scopes || DEFAULT_SCOPES, rotated: previous };
     }
 
     return { valid: false };
@@ -120,22 +200,44 @@ class APIKeyManager {
 
   /**
    * List all keys (without the actual key values)
-   * @returns {Array<{name: string, created: string, lastUsed: string|null}>}
+   * @returns {Array<{name: string, created: string, lastUsed: string|null, scopes: string[], expiresAt: string|null, graceUntil: string|null}>}
    */
   list() {
     return Object.entries(this.keys).map(([name, data]) => ({
       name,
       created: data.created,
-      lastUsed: data.lastUsed
+      lastUsed: data.lastUsed,
+      scopes: data.scopes || DEFAULT_SCOPES,
+      expiresAt: data.expiresAt || null,
+      expired: !!data.expiresAt && Date.parse(data.expiresAt) <= Date.now(),
+      // Until when the secret from before the last rotation still works
+      graceUntil: data.previous && Date.parse(data.previous.expiresAt) > Date.now() ? data.previous.expiresAt : null
     }));
   }
 
+  /**
+   * Replace the scopes of a key
+   * @param {string} name - Key name
+   * @param {string|string[]} scopes - New scopes
+   * @returns {string[]} The scopes now set
+   */
+  setScopes(name, scopes) {
+    this.reloadIfChanged();
+    if (!this.keys[name]) {
+      throw new Error(`Key "${name}" not found`);
+    }
+    this.keys[name].scopes = parseScopes(scopes);
+    this.save();
+    return this.keys[name].scopes;
+  }
+
   /**
    * Remove a key by name
    * @param {string} name - Key name to remove
    * @returns {boolean} - True if removed, false if not found
    */
   remove(name) {
+    this.reloadIfChanged();
     if (this.keys[name]) {
       delete this.keys[name];
       this.save();
@@ -161,6 +263,40 @@ class APIKeyManager {
   }
 }
 
+const DEFAULT_ROTATION_GRACE = '24h';
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "90m", "12h", "30d" or "2w" (a bare number is ms)
+ * @returns {number} Milliseconds
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+)\s*([smhdw]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${text}" (e.g. 90m, 12h, 30d)`);
+  }
+  const value = parseInt(match[1]);
+  return match[2] ? value * DURATION_UNITS[match[2].toLowerCase()] : value;
+}
+
+/**
+ * Parse an expiry: a duration from now or a date
+ * @returns {string} ISO date
+ */
+function parseExpiry(text) {
+  if (/^\d+\s*[smhdw]$/i.test(String(text).trim())) {
+    return new Date(Date.now() + parseDuration(text)).toISOString();
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid expiry "${text}" (use a duration such as 30d or a date)`);
+  }
+  if (time <= Date.now()) {
+    throw new Error(`Expiry "${text}" is in the past`);
+  }
+  return new Date(time).toISOString();
+}
+
 // Singleton instance
 let instance = null;
 
@@ -177,5 +313,7 @@ function getAPIKeyManager() {
 
 module.exports = {
   APIKeyManager,
-  getAPIKeyManager
+  getAPIKeyManager,
+  parseDuration,
+  parseExpiry
 };
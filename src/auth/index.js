@@ -2,9 +2,19 @@
  * Auth Module Exports
  */
 
-const { APIKeyManager, getAPIKeyManager } = require('./api-key');
+const { APIKeyManager, getAPIKeyManager, parseDuration, parseExpiry } = require('./api-key');
+const { API_KEY_SCOPES, DEFAULT_SCOPES, hasScope, parseScopes } = require('./scopes');
+const { RateLimiter, DEFAULT_RATE_LIMITS } = require('./rate-limiter');
 
 module.exports = {
   APIKeyManager,
-  getAPIKeyManager
+  getAPIKeyManager,
+  parseDuration,
+  parseExpiry,
+  API_KEY_SCOPES,
+  DEFAULT_SCOPES,
+  hasScope,
+  parseScopes,
+  RateLimiter,
+  DEFAULT_RATE_LIMITS
 };
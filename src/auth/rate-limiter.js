@@ -0,0 +1,132 @@
+/**
+ * Rate Limiter - Brute-force protection and per-key request limits
+ *
+ * - Failed authentications are counted per remote address; too many inside
+ *   `failureWindow` bans the address for `banDuration`
+ * - Requests from key-authenticated clients are counted per key and per
+ *   address in one-minute windows
+ *
+ * Settings come from the `rateLimit` section of config.json.
+ */
+
+const DEFAULT_RATE_LIMITS = {
+  maxFailures: 5,                  // Failed auth attempts per address before a ban
+  failureWindow: 10 * 60 * 1000,   // ...counted over this many ms
+  banDuration: 15 * 60 * 1000,     // How long a ban lasts
+  requestsPerMinute: 120           // Per key and per address (0 = unlimited)
+};
+
+const REQUEST_WINDOW = 60 * 1000;
+const PRUNE_THRESHOLD = 1000;
+
+class RateLimiter {
+  /**
+   * @param {object} [options] - Overrides for DEFAULT_RATE_LIMITS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RATE_LIMITS, ...options };
+    this.failures = new Map(); // address -> failure times
+    this.bans = new Map(); // address -> banned until (ms)
+    this.windows = new Map(); // "key:name" / "ip:address" -> { start, count }
+  }
+
+  /**
+   * Time left on an address's ban (0 = not banned)
+   */
+  banRemaining(address) {
+    const until = this.bans.get(address);
+    if (!until) return 0;
+    if (until <= Date.now()) {
+      this.bans.delete(address);
+      return 0;
+    }
+    return until - Date.now();
+  }
+
+  /**
+   * Count a failed authentication
+   * @returns {{banned: boolean, until?: number, failures: number}}
+   */
+  recordFailure(address) {
+    const now = Date.now();
+    const recent = (this.failures.get(address) || []).filter(t => now - t < this.options.failureWindow);
+    recent.push(now);
+
+    if (recent.length >= this.options.maxFailures) {
+      const until = now + this.options.banDuration;
+      this.bans.set(address, until);
+      this.failures.delete(address);
+      return { banned: true, until, failures: recent.length };
+    }
+
+    this.failures.set(address, recent);
+    this.prune();
+    return { banned: false, failures: recent.length };
+  }
+
+  /**
+   * Forget an address's failures after it authenticates
+   */
+  recordSuccess(address) {
+    this.failures.delete(address);
+  }
+
+  /**
+   * Count a request from a key-authenticated client
+   * @param {string} keyName - API key name
+   * @param {string} [address] - Remote address
+   * @returns {number} 0 if allowed, otherwise ms until the client may retry
+   */
+  checkRequest(keyName, address) {
+    const limit = this.options.requestsPerMinute;
+    if (!limit) return 0;
+
+    const buckets = [`key:${keyName}`];
+    if (address) buckets.push(`ip:${address}`);
+
+    const now = Date.now();
+    let retryAfter = 0;
+    for (const bucket of buckets) {
+      let window = this.windows.get(bucket);
+      if (!window || now - window.start >= REQUEST_WINDOW) {
+        window = { start: now, count: 0 };
+        this.windows.set(bucket, window);
+      }
+      window.count++;
+      if (window.count > limit) {
+        retryAfter = Math.max(retryAfter, window.start + REQUEST_WINDOW - now);
+      }
+    }
+
+    this.prune();
+    return retryAfter;
+  }
+
+  /**
+   * Drop stale entries once the maps grow large
+   */
+  prune() {
+    const now = Date.now();
+
+    if (this.failures.size > PRUNE_THRESHOLD) {
+      for (const [address, times] of this.failures) {
+        if (times.every(t => now - t >= this.options.failureWindow)) this.failures.delete(address);
+      }
+    }
+    if (this.windows.size > PRUNE_THRESHOLD) {
+      for (const [bucket, window] of this.windows) {
+        if (now - window.start >= REQUEST_WINDOW) this.windows.delete(bucket);
+      }
+    }
+    if (this.bans.size > PRUNE_THRESHOLD) {
+      for (const [address, until] of this.bans) {
+        if (until <= now) this.bans.delete(address);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  DEFAULT_RATE_LIMITS
+};
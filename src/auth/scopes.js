@@ -0,0 +1,59 @@
+/**
+ * API Key Scopes
+ *
+ * Each API key carries the scopes it was created with. Routes declare the
+ * scope they need and ProtocolRouter turns away keys without it. `admin`
+ * grants every scope. Local connections without a key are not restricted.
+ */
+
+const API_KEY_SCOPES = {
+  'chat': 'Send and cancel commands, read session status and history',
+  'raw-input': 'Type into Claude\'s terminal directly (input, resize)',
+  'memory:read': 'Read and search facts, conversations and memory stats',
+  'memory:write': 'Add, edit and delete facts',
+  'reminders': 'List, add and cancel reminders',
+  'schedule': 'View and control scheduled jobs',
+  'admin': 'Everything, including sessions, settings, logs and crash reports'
+};
+
+// Keys created before scopes existed keep full access
+const DEFAULT_SCOPES = ['admin'];
+
+/**
+ * Check whether granted scopes allow a scope
+ * @param {string[]|null} granted - Key scopes (null = unrestricted)
+ * @param {string} scope - Scope a route needs
+ */
+function hasScope(granted, scope) {
+  if (!granted) return true;
+  return granted.includes('admin') || granted.includes(scope);
+}
+
+/**
+ * Parse and check a scope list
+ * @param {string|string[]} scopes - Array or comma-separated string
+ * @returns {string[]}
+ */
+function parseScopes(scopes) {
+  const list = (Array.isArray(scopes) ? scopes : String(scopes).split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  if (list.length === 0) {
+    throw new Error('At least one scope is required');
+  }
+
+  const unknown = list.find(s => !API_KEY_SCOPES[s]);
+  if (unknown) {
+    throw new Error(`Unknown scope "${unknown}" (available: ${Object.keys(API_KEY_SCOPES).join(', ')})`);
+  }
+
+  return [...new Set(list)];
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_SCOPES,
+  hasScope,
+  parseScopes
+};
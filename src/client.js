@@ -8,23 +8,36 @@
  */
 
 const net = require('net');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn } = require('child_process');
 const { DEFAULT_PORT } = require('./service');
+const { DEFAULT_SESSION } = require('./session');
+const { checkFingerprint } = require('./tls');
+
+// Shared by all clients in this process so request IDs never collide
+let requestCounter = 0;
 
 class ClaudeClient {
   constructor(options = {}) {
     this.port = options.port || this.getServicePort() || DEFAULT_PORT;
     this.host = options.host || '127.0.0.1';
     this.apiKey = options.apiKey || null;
+    this.withContext = options.withContext || false;
+    this.session = options.session || null; // Target session (null = default)
+
+    // TLS: on when asked for, implied by a pinned fingerprint, or advertised by the local service
+    const localFingerprint = options.tls !== false && this.isLocalHost() ? this.getServiceFingerprint() : null;
+    this.fingerprint = options.fingerprint || localFingerprint || null;
+    this.tls = options.tls ?? !!this.fingerprint;
     this.socket = null;
     this.connected = false;
     this.authenticated = false;
     this.buffer = '';
     this.outputHandler = null;
-    this.pendingResolve = null;
+    this.pendingRequests = new Map();
   }
 
   /**
@@ -40,12 +53,42 @@ class ClaudeClient {
     return null;
   }
 
+  /**
+   * Get the certificate fingerprint a local TLS service advertises
+   */
+  getServiceFingerprint() {
+    const tlsFile = path.join(os.homedir(), '.claude-alwaysrunning', 'service.tls');
+    try {
+      if (fs.existsSync(tlsFile)) {
+        return fs.readFileSync(tlsFile, 'utf8').trim() || null;
+      }
+    } catch (e) {}
+    return null;
+  }
+
+  /**
+   * Check whether the service runs on this machine
+   */
+  isLocalHost() {
+    return ['127.0.0.1', 'localhost', '::1'].includes(this.host);
+  }
+
   /**
    * Connect to service
    */
   connect() {
     return new Promise((resolve, reject) => {
-      this.socket = net.createConnection({ port: this.port, host: this.host });
+      if (this.tls) {
+        // A pinned fingerprint replaces CA verification (self-signed certificates)
+        this.socket = tls.connect({
+          port: this.port,
+          host: this.host,
+          servername: net.isIP(this.host) ? undefined : this.host,
+          rejectUnauthorized: !this.fingerprint
+        });
+      } else {
+        this.socket = net.createConnection({ port: this.port, host: this.host });
+      }
 
       const timeout = setTimeout(() => {
         if (!this.connected) {
@@ -54,8 +97,16 @@ class ClaudeClient {
         }
       }, 5000);
 
-      this.socket.on('connect', () => {
+      this.socket.on(this.tls ? 'secureConnect' : 'connect', () => {
         clearTimeout(timeout);
+        if (this.fingerprint) {
+          const mismatch = checkFingerprint(this.socket, this.fingerprint);
+          if (mismatch) {
+            this.socket.destroy();
+            reject(new Error(mismatch));
+            return;
+          }
+        }
         this.connected = true;
         // Don't resolve yet if we need to authenticate
       });
@@ -109,7 +160,13 @@ class ClaudeClient {
       });
 
       this.socket.on('error', (err) => {
-        if (!this.connected) reject(err);
+        if (this.connected) return;
+        clearTimeout(timeout);
+        if (err.code === 'DEPTH_ZERO_SELF_SIGNED_CERT' || err.code === 'SELF_SIGNED_CERT_IN_CHAIN') {
+          reject(new Error(`${err.message} (pin the service certificate with --fingerprint)`));
+        } else {
+          reject(err);
+        }
       });
     });
   }
@@ -144,15 +201,22 @@ class ClaudeClient {
    * Handle parsed message
    */
   handleMessage(msg) {
-    if (msg.type === 'output' && this.outputHandler) {
+    if (msg.type === 'output' && this.outputHandler && this.isOwnSession(msg)) {
       this.outputHandler(msg.data);
     }
 
-    if (this.pendingResolve && (msg.type === this.pendingType || this.pendingType === '*')) {
-      const resolve = this.pendingResolve;
-      this.pendingResolve = null;
-      this.pendingType = null;
-      resolve(msg);
+    if (msg.requestId !== undefined && this.pendingRequests.has(msg.requestId)) {
+      const pending = this.pendingRequests.get(msg.requestId);
+      if (pending.onMessage) pending.onMessage(msg);
+      if (pending.isFinal(msg)) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(msg.requestId);
+        if (msg.type === 'error') {
+          pending.reject(new Error(msg.message));
+        } else {
+          pending.resolve(msg);
+        }
+      }
     }
 
     if (msg.type === 'shutdown') {
@@ -161,6 +225,20 @@ class ClaudeClient {
     }
   }
 
+  /**
+   * Check whether a broadcast message belongs to this client's session
+   */
+  isOwnSession(msg) {
+    return !msg.session || msg.session === (this.session || DEFAULT_SESSION);
+  }
+
+  /**
+   * Add the target session to a message
+   */
+  withSession(msg) {
+    return this.session ? { ...msg, session: this.session } : msg;
+  }
+
   /**
    * Send message
    */
@@ -170,20 +248,51 @@ class ClaudeClient {
   }
 
   /**
-   * Send and wait for response
+   * Generate a correlation ID for a request
    */
-  sendAndWait(msg, type = '*', timeout = 30000) {
-    return new Promise((resolve, reject) => {
-      this.pendingResolve = resolve;
-      this.pendingType = type;
-      this.send(msg);
+  nextRequestId() {
+    return `${process.pid}-${++requestCounter}`;
+  }
+
+  /**
+   * Send a message tagged with a request ID and wait for the reply carrying it
+   * @param {object} msg - Message to send
+   * @param {object} [options]
+   * @param {function} [options.isFinal] - Returns true for the message that completes the request
+   * @param {function} [options.onMessage] - Called for every message tagged with the request ID
+   * @param {number} [options.timeout=30000] - Timeout in ms (0 disables)
+   */
+  request(msg, options = {}) {
+    const { isFinal = () => true, onMessage = null, timeout = 30000 } = options;
+    const requestId = msg.requestId ?? this.nextRequestId();
 
-      setTimeout(() => {
-        if (this.pendingResolve) {
-          this.pendingResolve = null;
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject, isFinal, onMessage, timer: null };
+      if (timeout > 0) {
+        pending.timer = setTimeout(() => {
+          this.pendingRequests.delete(requestId);
           reject(new Error('Response timeout'));
-        }
-      }, timeout);
+        }, timeout);
+      }
+      this.pendingRequests.set(requestId, pending);
+
+      try {
+        this.send({ ...msg, requestId });
+      } catch (err) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(requestId);
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Send and wait for response
+   */
+  sendAndWait(msg, type = '*', timeout = 30000) {
+    return this.request(msg, {
+      isFinal: (reply) => type === '*' || reply.type === type || reply.type === 'error',
+      timeout
     });
   }
 
@@ -191,41 +300,334 @@ class ClaudeClient {
    * Send raw input to Claude (for interactive mode)
    */
   sendInput(data) {
-    this.send({ type: 'input', data: data });
+    this.send(this.withSession({ type: 'input', data: data }));
   }
 
   /**
    * Send command to Claude (adds newline)
+   * @param {string} command - Command text
+   * @param {object} [options]
+   * @param {boolean} [options.withContext] - Prepend memory context (defaults to client setting)
+   * @param {number} [options.commandTimeout] - Interrupt Claude if the answer takes longer (ms)
+   */
+  sendCommand(command, options = {}) {
+    const withContext = options.withContext ?? this.withContext;
+    const requestId = options.requestId ?? this.nextRequestId();
+    this.send(this.withSession({ type: 'command', data: command, withContext, requestId, timeout: options.commandTimeout }));
+    return requestId;
+  }
+
+  /**
+   * Send command and wait for Claude's final result
+   * @param {string} command - Command text
+   * @param {object} [options]
+   * @param {boolean} [options.withContext] - Prepend memory context
+   * @param {function} [options.onMessage] - Called for each streamed message and `queued` notice of this command
+   * @param {number} [options.timeout=300000] - Timeout in ms (0 disables)
+   * @param {number} [options.commandTimeout] - Interrupt Claude if the answer takes longer (ms)
+   * @returns {Promise<object>} The final `message` with `isComplete: true`, or `cancelled`
+   */
+  sendCommandAndWait(command, options = {}) {
+    const withContext = options.withContext ?? this.withContext;
+    const msg = { type: 'command', data: command, withContext, timeout: options.commandTimeout };
+    return this.request(this.withSession(msg), {
+      isFinal: (reply) => reply.isComplete || reply.type === 'error' || reply.type === 'cancelled',
+      onMessage: options.onMessage,
+      timeout: options.timeout ?? 300000
+    });
+  }
+
+  /**
+   * Cancel a queued or running command
+   * @param {string} [requestId] - Request ID returned by sendCommand (default: the running command)
+   */
+  cancelCommand(requestId) {
+    return this.sendAndWait(this.withSession({ type: 'cancel', target: requestId }), 'cancelled');
+  }
+
+  /**
+   * List crash reports, newest first
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Maximum reports
+   * @param {string} [options.session] - Only this session's reports
    */
-  sendCommand(command) {
-    this.send({ type: 'command', data: command });
+  async listCrashes(options = {}) {
+    const reply = await this.sendAndWait({ type: 'crashes:list', limit: options.limit, session: options.session }, 'crashes:list');
+    return reply.data;
+  }
+
+  /**
+   * Get one crash report, including Claude's last output
+   */
+  async getCrash(id) {
+    const reply = await this.sendAndWait({ type: 'crashes:get', id }, 'crashes:report');
+    return reply.data;
   }
 
   /**
    * Get status
    */
   getStatus() {
-    return this.sendAndWait({ type: 'status' }, 'status');
+    return this.sendAndWait(this.withSession({ type: 'status' }), 'status');
   }
 
   /**
-   * Get output history
+   * Get the session transcript from the service journal
+   * @param {number|object} [options] - Entry limit, or paging options
+   * @param {number} [options.limit=100] - Maximum entries
+   * @param {number} [options.before] - `before` cursor from a previous reply
+   * @param {number|string} [options.since] - Start time (ms or ISO date)
+   * @param {number|string} [options.until] - End time (ms or ISO date)
    */
-  getHistory(limit = 100) {
-    return this.sendAndWait({ type: 'history', limit }, 'history');
+  getHistory(options = {}) {
+    if (typeof options === 'number') options = { limit: options };
+    return this.sendAndWait(this.withSession({ type: 'history', limit: 100, ...options }), 'history');
   }
 
   /**
    * Resize terminal
    */
   resize(cols, rows) {
-    this.send({ type: 'resize', cols, rows });
+    this.send(this.withSession({ type: 'resize', cols, rows }));
+  }
+
+  /**
+   * List Claude sessions
+   */
+  async listSessions() {
+    const reply = await this.sendAndWait({ type: 'session:list' }, 'session:list');
+    return reply.data;
+  }
+
+  /**
+   * Create a named Claude session
+   * @param {string} name - Session name
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Working directory for Claude
+   */
+  async createSession(name, options = {}) {
+    const reply = await this.sendAndWait({ type: 'session:new', name, cwd: options.cwd }, 'session:created');
+    return reply.data;
+  }
+
+  /**
+   * Stop and remove a named Claude session
+   */
+  async killSession(name) {
+    const reply = await this.sendAndWait({ type: 'session:kill', name }, 'session:killed');
+    return reply.data;
+  }
+
+  /**
+   * Get the process settings of a session
+   * @param {string} [name] - Session name (default: this client's session)
+   * @returns {Promise<{config: object, command: string[]}>}
+   */
+  async getSessionConfig(name) {
+    const reply = await this.sendAndWait({ type: 'session:config', session: name || this.session }, 'session:config');
+    return reply.data;
+  }
+
+  /**
+   * Save process settings for a session and restart its Claude process
+   * @param {string} name - Session name
+   * @param {object} config - cwd, env, claudePath, model, allowedTools, mcpConfig, args
+   */
+  async configureSession(name, config) {
+    const reply = await this.sendAndWait({ type: 'session:configure', session: name, config }, 'session:configured');
+    return reply.data;
+  }
+
+  /**
+   * Check the connection (resolves with the `pong` reply)
+   */
+  ping() {
+    return this.sendAndWait({ type: 'ping' }, 'pong');
+  }
+
+  /**
+   * Get the last lines of the service log
+   * @param {number} [lines=100]
+   */
+  async getLogs(lines = 100) {
+    const reply = await this.sendAndWait({ type: 'logs:get', lines }, 'logs:content');
+    return reply.data;
+  }
+
+  // ==================== Memory ====================
+
+  /**
+   * Get memory statistics
+   */
+  async getMemoryStats() {
+    const reply = await this.sendAndWait({ type: 'memory:stats' }, 'memory:stats');
+    return reply.data;
+  }
+
+  /**
+   * List stored facts
+   * @param {string} [category] - Only facts in this category
+   * @param {object} [options]
+   * @param {string} [options.tag] - Only facts with this tag
+   */
+  async getFacts(category, options = {}) {
+    const reply = await this.sendAndWait({ type: 'memory:facts', category, tag: options.tag }, 'memory:facts');
+    return reply.data;
+  }
+
+  /**
+   * Store a fact; one already stored is merged into it, and a near-duplicate
+   * that differs is updated to the new text
+   * @param {string} fact
+   * @param {string} [category='general']
+   * @param {object} [options] - tags, confidence, source, pinned
+   * @returns {Promise<{id: number, fact: string, category: string, tags: string[], duplicate: boolean, updated: boolean, previous?: string}>}
+   */
+  async addFact(fact, category = 'general', options = {}) {
+    const reply = await this.sendAndWait({
+      type: 'memory:addFact',
+      fact,
+      category,
+      tags: options.tags,
+      confidence: options.confidence,
+      source: options.source,
+      pinned: options.pinned
+    }, 'memory:factAdded');
+    return reply.data;
+  }
+
+  /**
+   * Edit a fact
+   * @param {number} id - Fact ID
+   * @param {object} changes - fact, category, tags, addTags, removeTags, confidence, source, pinned
+   * @returns {Promise<object>} The updated fact
+   */
+  async updateFact(id, changes) {
+    const reply = await this.sendAndWait({ type: 'memory:updateFact', ...changes, id }, 'memory:factUpdated');
+    return reply.data;
+  }
+
+  /**
+   * Delete a fact by ID
+   */
+  async deleteFact(id) {
+    const reply = await this.sendAndWait({ type: 'memory:deleteFact', id }, 'memory:factDeleted');
+    return reply.data;
+  }
+
+  /**
+   * Full-text search over facts, messages and conversation summaries
+   * @param {string} query
+   * @param {object} [options] - kinds, limit, match ("all"/"any"), raw
+   * @returns {Promise<Array<{kind: string, id: number|string, snippet: string, score: number}>>}
+   */
+  async search(query, options = {}) {
+    const reply = await this.sendAndWait({ type: 'memory:search', query, ...options }, 'memory:search');
+    return reply.data;
+  }
+
+  /**
+   * List recent conversations
+   * @param {number} [limit=10]
+   */
+  async getConversations(limit = 10) {
+    const reply = await this.sendAndWait({ type: 'memory:conversations', limit }, 'memory:conversations');
+    return reply.data;
+  }
+
+  /**
+   * Get the messages of a conversation
+   * @param {string} conversationId
+   * @param {number} [limit=100]
+   */
+  async getMessages(conversationId, limit = 100) {
+    const reply = await this.sendAndWait({ type: 'memory:messages', conversationId, limit }, 'memory:messages');
+    return reply.data;
+  }
+
+  // ==================== Reminders ====================
+
+  /**
+   * List pending reminders
+   */
+  async listReminders() {
+    const reply = await this.sendAndWait({ type: 'reminders:list' }, 'reminders:list');
+    return reply.data;
+  }
+
+  /**
+   * Schedule a reminder
+   * @param {string} message - Reminder text
+   * @param {string} time - When, e.g. "in 30 minutes", "at 3pm" or a cron pattern
+   * @param {string} [channel='notification'] - Alert channel
+   */
+  async addReminder(message, time, channel = 'notification') {
+    const reply = await this.sendAndWait({ type: 'reminders:add', message, time, channel }, 'reminders:added');
+    return reply.data;
+  }
+
+  /**
+   * Cancel a reminder by ID
+   */
+  async cancelReminder(id) {
+    const reply = await this.sendAndWait({ type: 'reminders:cancel', id }, 'reminders:cancelled');
+    return reply.data;
+  }
+
+  // ==================== Schedule ====================
+
+  /**
+   * Get the status of every scheduled job
+   */
+  async getScheduleStatus() {
+    const reply = await this.sendAndWait({ type: 'schedule:status' }, 'schedule:status');
+    return reply.data;
+  }
+
+  /**
+   * Get a summary report of the scheduled jobs
+   */
+  async getScheduleReport() {
+    const reply = await this.sendAndWait({ type: 'schedule:report' }, 'schedule:report');
+    return reply.data;
+  }
+
+  /**
+   * Run a scheduled job now
+   */
+  async runScheduledJob(name) {
+    const reply = await this.sendAndWait({ type: 'schedule:run', name }, 'schedule:ran');
+    return reply.data;
+  }
+
+  /**
+   * Stop a scheduled job
+   */
+  async stopScheduledJob(name) {
+    const reply = await this.sendAndWait({ type: 'schedule:stop', name }, 'schedule:stopped');
+    return reply.data;
+  }
+
+  /**
+   * Start a stopped scheduled job
+   * @param {string} name - Job name
+   * @param {boolean} [immediate=false] - Run it right away as well
+   */
+  async startScheduledJob(name, immediate = false) {
+    const reply = await this.sendAndWait({ type: 'schedule:start', name, immediate }, 'schedule:started');
+    return reply.data;
   }
 
   /**
    * Disconnect
    */
   disconnect() {
+    for (const [, pending] of this.pendingRequests) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Disconnected'));
+    }
+    this.pendingRequests.clear();
+
     if (this.socket) {
       this.socket.end();
       this.socket = null;
@@ -242,7 +644,8 @@ async function runInteractive(options = {}) {
 
   try {
     const hostInfo = client.host !== '127.0.0.1' ? `${client.host}:${client.port}` : `port ${client.port}`;
-    console.log(`Connecting to Claude service on ${hostInfo}...`);
+    const sessionInfo = client.session ? ` (session "${client.session}")` : '';
+    console.log(`Connecting to Claude service on ${hostInfo}${sessionInfo}...`);
     await client.connect();
     client.setupDataHandler();
     console.log('Connected! Press Ctrl+C to disconnect.\n');
@@ -270,9 +673,13 @@ async function runInteractive(options = {}) {
     });
     client.resize(process.stdout.columns || 80, process.stdout.rows || 24);
 
-    // Get history
+    // Replay the transcript, including earlier Claude processes and daemon runs
     const history = await client.getHistory(50);
-    if (history.data) process.stdout.write(history.data);
+    if (history.data) {
+      console.log('--- Transcript ---');
+      process.stdout.write(history.data);
+      console.log('--- Live ---');
+    }
 
     // Disconnect handler
     client.onDisconnect = () => {
@@ -354,12 +761,17 @@ async function showStatus(options = {}) {
     console.log('Claude Always Running - Status');
     console.log('==============================');
     console.log(`Running: ${status.running ? 'Yes' : 'No'}`);
+    console.log(`Health: ${status.health}`);
     console.log(`PID: ${status.pid}`);
     console.log(`Port: ${status.port}`);
     console.log(`Connected clients: ${status.clients}`);
     if (status.restarts > 0) {
       console.log(`Restarts: ${status.restarts}`);
     }
+    console.log(`Busy: ${status.busy ? 'Yes' : 'No'}`);
+    if (status.queue && status.queue.length > 0) {
+      console.log(`Queued commands: ${status.queue.length}`);
+    }
 
     client.disconnect();
 
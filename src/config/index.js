@@ -0,0 +1,17 @@
+/**
+ * Config Module Exports
+ */
+
+const {
+  ServiceConfig,
+  getServiceConfig,
+  normalizeSessionConfig,
+  mergeSessionConfig
+} = require('./service-config');
+
+module.exports = {
+  ServiceConfig,
+  getServiceConfig,
+  normalizeSessionConfig,
+  mergeSessionConfig
+};
@@ -0,0 +1,198 @@
+/**
+ * Service Config - Settings file for the Claude processes
+ *
+ * Stored in ~/.claude-alwaysrunning/config.json:
+ *
+ *   {
+ *     "defaults": { "cwd": "~/code", "model": "sonnet" },
+ *     "sessions": {
+ *       "default": { "env": { "DEBUG": "1" } },
+ *       "api": { "cwd": "~/code/api", "allowedTools": ["Read", "Edit"] }
+ *     }
+ *   }
+ *
+ * Session settings are layered over the defaults; `env` is merged key by key.
+ * Other top-level keys (e.g. `restart`, `crashAlert`) are read with get().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Settings a session understands
+const SESSION_CONFIG_KEYS = ['cwd', 'env', 'claudePath', 'model', 'allowedTools', 'mcpConfig', 'args'];
+
+class ServiceConfig {
+  constructor(options = {}) {
+    this.configDir = options.configDir || path.join(os.homedir(), '.claude-alwaysrunning');
+    this.configFile = path.join(this.configDir, 'config.json');
+    this.data = { defaults: {}, sessions: {} };
+
+    // Ensure config directory exists
+    if (!fs.existsSync(this.configDir)) {
+      fs.mkdirSync(this.configDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Load config from file
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const data = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        this.data = {
+          ...data,
+          defaults: data.defaults || {},
+          sessions: data.sessions || {}
+        };
+      }
+    } catch (e) {
+      console.error('Failed to load config:', e.message);
+      this.data = { defaults: {}, sessions: {} };
+    }
+  }
+
+  /**
+   * Save config to file
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.configFile, JSON.stringify(this.data, null, 2));
+    } catch (e) {
+      console.error('Failed to save config:', e.message);
+    }
+  }
+
+  /**
+   * Get a top-level setting
+   * @param {string} key
+   * @param {*} [fallback] - Returned when the key is not set
+   */
+  get(key, fallback = undefined) {
+    return this.data[key] !== undefined ? this.data[key] : fallback;
+  }
+
+  /**
+   * Effective settings for a session (defaults + session overrides)
+   * @param {string} name - Session name
+   * @returns {object}
+   */
+  getSessionConfig(name) {
+    return mergeSessionConfig(this.data.defaults, this.data.sessions[name]);
+  }
+
+  /**
+   * Store settings for a session
+   * @param {string} name - Session name
+   * @param {object} config - Settings to store (replaces the session's entry)
+   */
+  setSessionConfig(name, config) {
+    this.data.sessions[name] = normalizeSessionConfig(config);
+    this.save();
+    return this.getSessionConfig(name);
+  }
+}
+
+/**
+ * Validate and clean up session settings
+ * @param {object} config
+ * @returns {object} Only known keys, with expanded paths and normalized types
+ */
+function normalizeSessionConfig(config = {}) {
+  const result = {};
+
+  for (const key of Object.keys(config)) {
+    if (!SESSION_CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown session setting "${key}"`);
+    }
+  }
+
+  if (config.cwd) {
+    result.cwd = expandHome(String(config.cwd));
+  }
+
+  if (config.env) {
+    if (typeof config.env !== 'object' || Array.isArray(config.env)) {
+      throw new Error('env must be an object of NAME: value pairs');
+    }
+    result.env = {};
+    for (const [key, value] of Object.entries(config.env)) {
+      result.env[key] = String(value);
+    }
+  }
+
+  if (config.claudePath) {
+    result.claudePath = expandHome(String(config.claudePath));
+  }
+
+  if (config.model) {
+    result.model = String(config.model);
+  }
+
+  if (config.allowedTools) {
+    const tools = Array.isArray(config.allowedTools)
+      ? config.allowedTools
+      : String(config.allowedTools).split(',');
+    result.allowedTools = tools.map(t => String(t).trim()).filter(Boolean);
+  }
+
+  if (config.mcpConfig) {
+    result.mcpConfig = expandHome(String(config.mcpConfig));
+  }
+
+  if (config.args) {
+    if (!Array.isArray(config.args)) {
+      throw new Error('args must be an array of strings');
+    }
+    result.args = config.args.map(String);
+  }
+
+  return result;
+}
+
+/**
+ * Layer session settings over base settings
+ */
+function mergeSessionConfig(base = {}, overrides = {}) {
+  const b = normalizeSessionConfig(base);
+  const o = normalizeSessionConfig(overrides);
+  const merged = { ...b, ...o };
+  if (b.env || o.env) {
+    merged.env = { ...b.env, ...o.env };
+  }
+  return merged;
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(p) {
+  if (p === '~' || p.startsWith('~/')) {
+    return path.join(os.homedir(), p.slice(1));
+  }
+  return p;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the service config instance
+ * @returns {ServiceConfig}
+ */
+function getServiceConfig() {
+  if (!instance) {
+    instance = new ServiceConfig();
+  }
+  return instance;
+}
+
+module.exports = {
+  ServiceConfig,
+  getServiceConfig,
+  normalizeSessionConfig,
+  mergeSessionConfig
+};
@@ -0,0 +1,709 @@
+/**
+ * HTTP API Server - REST endpoints for scripts and other tools
+ *
+ * Every endpoint maps onto a ProtocolRouter route, so HTTP requests get the
+ * same validation and replies as TCP and WebSocket messages. Requests must
+ * carry an API key (`Authorization: Bearer <key>` or `X-API-Key`), even from
+ * this machine, since any web page in a local browser can reach localhost.
+ *
+ * Endpoints:
+ *   POST   /v1/commands        Send a command; ?stream=true answers with Server-Sent Events
+ *   GET    /v1/status          Session status
+ *   GET    /v1/facts           List facts (?category=, ?tag=)
+ *   POST   /v1/facts           Store a fact (merged into or updating a near-duplicate if one exists)
+ *   PATCH  /v1/facts/:id       Edit a fact's text, category, tags, confidence or source
+ *   DELETE /v1/facts/:id       Delete a fact
+ *   GET    /v1/search          Full-text search of facts, messages and summaries (?q=, ?kinds=, ?limit=)
+ *   GET    /v1/reminders       List reminders
+ *   POST   /v1/reminders       Schedule a reminder
+ *   DELETE /v1/reminders/:id   Cancel a reminder
+ *   GET    /v1/logs            Last service log lines (?lines=)
+ *   GET    /v1/schedule        Status of the scheduled jobs
+ *   POST   /v1/chat/completions OpenAI-compatible chat completions (see openai.js)
+ *   GET    /v1/models          Model names for OpenAI clients
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { hasScope } = require('../auth');
+const {
+  ChatCompletionError,
+  CompletionFormatter,
+  parseChatRequest,
+  sessionPrompt,
+  transcriptPrompt,
+  isClaudeModel,
+  runPrint,
+  assistantText,
+  usageFrom,
+  errorBody
+} = require('./openai');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+// HTTP status for the error codes ProtocolRouter sends
+const ERROR_STATUS = {
+  invalid: 400,
+  unknown_type: 404,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  rate_limited: 429,
+  internal: 500
+};
+
+// Each endpoint builds a protocol message from the request, taking only the
+// fields its route accepts (the message type always comes from the endpoint)
+const ENDPOINTS = [
+  {
+    method: 'POST', path: '/v1/commands', type: 'command',
+    message: ({ body }) => ({
+      data: body.command ?? body.data,
+      session: body.session,
+      withContext: body.withContext,
+      timeout: body.timeout,
+      requestId: body.requestId
+    })
+  },
+  {
+    method: 'GET', path: '/v1/status', type: 'status',
+    message: ({ query }) => ({ session: query.session })
+  },
+  {
+    method: 'GET', path: '/v1/facts', type: 'memory:facts',
+    message: ({ query }) => ({ category: query.category, tag: query.tag })
+  },
+  {
+    method: 'POST', path: '/v1/facts', type: 'memory:addFact', status: 201,
+    message: ({ body }) => ({
+      fact: body.fact,
+      category: body.category,
+      tags: body.tags,
+      confidence: body.confidence,
+      source: body.source,
+      pinned: body.pinned
+    })
+  },
+  {
+    method: 'PATCH', path: '/v1/facts/:id', type: 'memory:updateFact',
+    message: ({ params, body }) => ({
+      id: toInteger(params.id),
+      fact: body.fact,
+      category: body.category,
+      tags: body.tags,
+      addTags: body.addTags,
+      removeTags: body.removeTags,
+      confidence: body.confidence,
+      source: body.source,
+      pinned: body.pinned
+    })
+  },
+  {
+    method: 'DELETE', path: '/v1/facts/:id', type: 'memory:deleteFact',
+    message: ({ params }) => ({ id: toInteger(params.id) })
+  },
+  {
+    method: 'GET', path: '/v1/search', type: 'memory:search',
+    message: ({ query }) => ({
+      query: query.q,
+      kinds: query.kinds,
+      limit: toInteger(query.limit),
+      match: query.match
+    })
+  },
+  {
+    method: 'GET', path: '/v1/reminders', type: 'reminders:list',
+    message: () => ({})
+  },
+  {
+    method: 'POST', path: '/v1/reminders', type: 'reminders:add', status: 201,
+    message: ({ body }) => ({ message: body.message, time: body.time, channel: body.channel })
+  },
+  {
+    method: 'DELETE', path: '/v1/reminders/:id', type: 'reminders:cancel',
+    message: ({ params }) => ({ id: toInteger(params.id) })
+  },
+  {
+    method: 'GET', path: '/v1/logs', type: 'logs:get',
+    message: ({ query }) => ({ lines: toInteger(query.lines) })
+  },
+  {
+    method: 'GET', path: '/v1/schedule', type: 'schedule:status',
+    message: () => ({})
+  },
+  // OpenAI-compatible endpoints have their own handlers and error format
+  { method: 'POST', path: '/v1/chat/completions', handler: 'chatCompletions', openai: true },
+  { method: 'GET', path: '/v1/models', handler: 'listModels', openai: true }
+];
+
+class HttpApiServer {
+  /**
+   * @param {ClaudeService} service
+   * @param {object} options
+   * @param {number} options.port - Port to listen on
+   * @param {string} [options.host='127.0.0.1'] - Address to bind
+   * @param {object} [options.tls] - { cert, key } to serve HTTPS
+   */
+  constructor(service, options) {
+    this.service = service;
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+    this.tls = options.tls || null;
+    this.server = null;
+    this.startedAt = null;
+    this.streams = new Set();
+    // Commands waiting for their answer, by server-generated request ID
+    this.pendingCommands = new Map();
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const onRequest = (req, res) => {
+        this.handleRequest(req, res).catch((err) => {
+          this.service.log(`HTTP ${req.method} ${req.url} failed: ${err.message}`);
+          if (!res.headersSent) {
+            sendJson(res, 500, { type: 'error', code: 'internal', message: err.message });
+          } else {
+            res.end();
+          }
+        });
+      };
+      this.server = this.tls
+        ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, onRequest)
+        : http.createServer(onRequest);
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        this.startedAt = Date.now();
+        this.service.log(`HTTP API listening on ${this.tls ? 'https' : 'http'}://${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close open event streams and stop listening
+   */
+  stop() {
+    for (const res of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Handle one HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let match;
+    try {
+      match = matchEndpoint(req.method, url.pathname);
+    } catch (err) {
+      if (!(err instanceof URIError)) throw err;
+      sendJson(res, 400, { type: 'error', code: 'invalid', message: `Malformed path ${url.pathname}` });
+      return;
+    }
+
+    if (!match) {
+      sendJson(res, 404, { type: 'error', code: 'not_found', message: `No endpoint ${req.method} ${url.pathname}` });
+      return;
+    }
+    if (match.methodNotAllowed) {
+      res.setHeader('Allow', match.allow.join(', '));
+      sendJson(res, 405, { type: 'error', code: 'invalid', message: `${req.method} is not supported on ${url.pathname}` });
+      return;
+    }
+
+    const { endpoint, params } = match;
+
+    const auth = this.authenticate(req);
+    if (!auth.valid) {
+      // Banned addresses get 429 so clients back off instead of retrying keys
+      const status = auth.retryAfter ? 429 : 401;
+      if (auth.retryAfter) {
+        res.setHeader('Retry-After', Math.ceil(auth.retryAfter / 1000));
+      } else {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+      sendJson(res, status, endpoint.openai
+        ? errorBody(auth.message, 'invalid_request_error', auth.retryAfter ? 'rate_limited' : 'invalid_api_key')
+        : { type: 'error', code: auth.retryAfter ? 'rate_limited' : 'unauthorized', message: auth.message });
+      return;
+    }
+
+    const retryAfter = this.service.rateLimiter.checkRequest(auth.name, req.socket.remoteAddress);
+    if (retryAfter > 0) {
+      const message = `Too many requests, retry in ${Math.ceil(retryAfter / 1000)}s`;
+      res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+      sendJson(res, 429, endpoint.openai
+        ? errorBody(message, 'rate_limit_error', 'rate_limited')
+        : { type: 'error', code: 'rate_limited', retryAfter, message });
+      return;
+    }
+
+    let body = {};
+    if (req.method === 'POST' || req.method === 'PATCH') {
+      try {
+        body = await readJsonBody(req);
+      } catch (err) {
+        sendJson(res, 400, endpoint.openai
+          ? errorBody(err.message)
+          : { type: 'error', code: 'invalid', message: err.message });
+        return;
+      }
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    const ctx = {
+      label: `HTTP client "${auth.name}"`,
+      transport: 'http',
+      authenticated: true,
+      isLocal: isLocalAddress(req.socket.remoteAddress),
+      remoteAddress: req.socket.remoteAddress,
+      keyName: auth.name,
+      scopes: auth.scopes
+    };
+
+    if (endpoint.handler) {
+      this[endpoint.handler]({ req, res, body, query, params, ctx });
+      return;
+    }
+
+    const msg = { ...endpoint.message({ body, query, params }), type: endpoint.type };
+
+    if (endpoint.type === 'command') {
+      const stream = query.stream === 'true' || body.stream === true ||
+        (req.headers.accept || '').includes('text/event-stream');
+      this.runCommand(msg, ctx, res, stream);
+      return;
+    }
+
+    let answered = false;
+    await this.service.router.dispatch(msg, {
+      ...ctx,
+      reply: (payload) => {
+        if (answered) return;
+        answered = true;
+        sendJson(res, statusFor(payload, endpoint.status), payload);
+      }
+    });
+
+    if (!answered) {
+      sendJson(res, 204);
+    }
+  }
+
+  /**
+   * Check the request's API key
+   * @returns {{valid: boolean, name?: string, scopes?: string[], message?: string, retryAfter?: number}}
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+
+    if (!key) {
+      return { valid: false, message: 'API key required (Authorization: Bearer <key>)' };
+    }
+
+    return this.service.checkApiKey(key, {
+      remoteAddress: req.socket.remoteAddress,
+      transport: 'http',
+      label: 'HTTP request',
+      quiet: true
+    });
+  }
+
+  /**
+   * Pass a message broadcast by the service to the command waiting for it
+   */
+  handleBroadcast(msg) {
+    if (msg.type !== 'message' || msg.requestId === undefined) return;
+    const onMessage = this.pendingCommands.get(msg.requestId);
+    if (onMessage) onMessage(msg);
+  }
+
+  /**
+   * Send a command through the router and follow it to the end of its turn
+   * @param {object} msg - `command` message
+   * @param {object} ctx - Router context (without reply)
+   * @param {object} handlers
+   * @param {function} [handlers.onQueued] - (reply) The command is waiting behind others
+   * @param {function} [handlers.onMessage] - (message) A streamed message of the turn
+   * @param {function} handlers.onDone - (payload, status) Final message, `cancelled` or error
+   * @returns {function} Cancels the command
+   */
+  submitCommand(msg, ctx, handlers) {
+    // Messages are matched to the command by an ID only the server knows, so
+    // callers cannot collide or receive each other's output; the caller's
+    // own requestId is just echoed on what it receives
+    const requestId = `http-${crypto.randomUUID()}`;
+    const clientRequestId = msg.requestId ?? requestId;
+    let done = false;
+
+    const finish = (payload, status) => {
+      if (done) return;
+      done = true;
+      this.pendingCommands.delete(requestId);
+      handlers.onDone(payload, status);
+    };
+
+    this.pendingCommands.set(requestId, (broadcast) => {
+      const message = { ...broadcast, requestId: clientRequestId };
+      if (handlers.onMessage) handlers.onMessage(message);
+      if (message.isComplete) finish(message, 200);
+    });
+
+    this.service.router.dispatch({ ...msg, requestId }, {
+      ...ctx,
+      reply: (payload) => {
+        const reply = { ...payload, requestId: clientRequestId };
+        if (payload.type === 'queued') {
+          if (handlers.onQueued && !done) handlers.onQueued(reply);
+        } else if (payload.type === 'error') {
+          finish(reply, statusFor(payload));
+        } else if (payload.type === 'cancelled') {
+          finish(reply, 200);
+        }
+      }
+    });
+
+    return () => {
+      if (done) return;
+      done = true;
+      this.pendingCommands.delete(requestId);
+      const session = this.service.getSession(msg.session);
+      if (session) session.cancel(requestId);
+    };
+  }
+
+  /**
+   * Switch a response to Server-Sent Events
+   * @returns {function} Ends the stream
+   */
+  openEventStream(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    this.streams.add(res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    return () => {
+      clearInterval(heartbeat);
+      if (this.streams.delete(res)) res.end();
+    };
+  }
+
+  /**
+   * Queue a command and answer with its final message, or stream every
+   * message of the turn as Server-Sent Events. Hanging up before the
+   * answer is complete cancels the command.
+   */
+  runCommand(msg, ctx, res, stream) {
+    let endStream = null;
+    if (stream) {
+      endStream = this.openEventStream(res);
+    }
+
+    const cancel = this.submitCommand(msg, ctx, {
+      onQueued: (reply) => {
+        if (stream) sendEvent(res, 'queued', reply);
+      },
+      onMessage: (message) => {
+        if (stream) sendEvent(res, message.type, message);
+      },
+      onDone: (payload, status) => {
+        if (!stream) {
+          sendJson(res, status, payload);
+          return;
+        }
+        if (!payload.isComplete) sendEvent(res, payload.type, payload);
+        endStream();
+      }
+    });
+
+    res.on('close', () => {
+      cancel();
+      if (endStream) endStream();
+    });
+  }
+
+  /**
+   * POST /v1/chat/completions - OpenAI-compatible chat completions
+   */
+  chatCompletions({ res, body, ctx }) {
+    // Print mode runs Claude without the router, so check the scope here
+    if (!hasScope(ctx.scopes, 'chat')) {
+      sendJson(res, 403, errorBody(`API key "${ctx.keyName}" lacks the "chat" scope`, 'permission_error', 'insufficient_scope'));
+      return;
+    }
+
+    let request;
+    try {
+      request = parseChatRequest(body, this.service.config.get('openai', {}));
+    } catch (err) {
+      sendJson(res, err.status || 400, errorBody(err.message, err.type));
+      return;
+    }
+
+    const session = this.service.getSession(request.session);
+    if (!session) {
+      sendJson(res, 404, errorBody(`Session "${request.session}" not found`, 'invalid_request_error', 'session_not_found'));
+      return;
+    }
+
+    const formatter = new CompletionFormatter(request.model);
+    let endStream = null;
+    if (request.stream) {
+      endStream = this.openEventStream(res);
+      sendData(res, formatter.chunk({ role: 'assistant', content: '' }));
+    }
+
+    const onText = (text) => {
+      if (request.stream) sendData(res, formatter.textChunk(text));
+    };
+
+    const onDone = (err, content, usage) => {
+      if (!request.stream) {
+        if (err) {
+          sendJson(res, err.status || 500, errorBody(err.message, err.type));
+        } else {
+          sendJson(res, 200, formatter.completion(content, usage));
+        }
+        return;
+      }
+      if (err) {
+        sendData(res, errorBody(err.message, err.type));
+      } else {
+        sendData(res, formatter.chunk({}, 'stop'));
+      }
+      res.write('data: [DONE]\n\n');
+      endStream();
+    };
+
+    if (request.mode === 'print') {
+      // Print mode runs Claude without the router, so audit it here
+      this.service.auditRequest({
+        route: 'chat:completions',
+        args: { mode: 'print', model: request.model, session: session.name, messages: request.messages.length },
+        result: 'ok'
+      }, ctx);
+    }
+
+    let cancel;
+    try {
+      cancel = request.mode === 'print'
+        ? this.completeWithPrint(request, session, { onText, onDone })
+        : this.completeWithSession(request, session, ctx, { onText, onDone });
+    } catch (err) {
+      onDone(err);
+      return;
+    }
+
+    res.on('close', () => {
+      cancel();
+      if (endStream) endStream();
+    });
+  }
+
+  /**
+   * Answer a chat completion from a running session
+   * @returns {function} Cancels the command
+   */
+  completeWithSession(request, session, ctx, { onText, onDone }) {
+    const msg = {
+      type: 'command',
+      data: sessionPrompt(request.messages),
+      session: session.name,
+      withContext: request.withContext
+    };
+
+    return this.submitCommand(msg, ctx, {
+      onMessage: (message) => {
+        const text = assistantText(message.data || {});
+        if (text) onText(text);
+      },
+      onDone: (payload, status) => {
+        if (payload.type === 'error') {
+          onDone(new ChatCompletionError(payload.message, status, status >= 500 ? 'server_error' : 'invalid_request_error'));
+        } else if (payload.type === 'cancelled') {
+          onDone(new ChatCompletionError('The command was cancelled', 409, 'cancelled'));
+        } else {
+          onDone(null, payload.content || '', usageFrom(payload.data));
+        }
+      }
+    });
+  }
+
+  /**
+   * Answer a chat completion with a one-shot `claude --print`, using the
+   * session's settings (and the request's model if it names a Claude model)
+   * @returns {function} Stops Claude
+   */
+  completeWithPrint(request, session, { onText, onDone }) {
+    let prompt = transcriptPrompt(request.messages);
+    if (request.withContext) {
+      prompt = this.service.contextBuilder.wrapMessage(prompt);
+    }
+
+    const config = { ...session.config };
+    if (isClaudeModel(request.model)) config.model = request.model;
+
+    return runPrint({
+      config,
+      prompt,
+      onMessage: (msg) => {
+        const text = assistantText(msg);
+        if (text) onText(text);
+      },
+      onDone: (err, result) => {
+        if (err) {
+          onDone(err);
+        } else if (result.is_error) {
+          onDone(new ChatCompletionError(`Claude failed: ${result.result || result.subtype}`, 502, 'server_error'));
+        } else {
+          onDone(null, result.result || '', usageFrom(result));
+        }
+      }
+    });
+  }
+
+  /**
+   * GET /v1/models - Sessions and modes a chat completion can use
+   */
+  listModels({ res }) {
+    const created = Math.floor(this.startedAt / 1000);
+    sendJson(res, 200, {
+      object: 'list',
+      data: ['claude-always', 'sonnet', 'opus', 'haiku'].map(id => ({
+        id,
+        object: 'model',
+        created,
+        owned_by: 'claude-alwaysrunning'
+      }))
+    });
+  }
+}
+
+/**
+ * Find the endpoint for a request
+ * @returns {{endpoint, params}|{methodNotAllowed: true, allow: string[]}|null}
+ */
+function matchEndpoint(method, pathname) {
+  const allow = [];
+  for (const endpoint of ENDPOINTS) {
+    const params = matchPath(endpoint.path, pathname);
+    if (!params) continue;
+    if (endpoint.method === method) return { endpoint, params };
+    allow.push(endpoint.method);
+  }
+  return allow.length > 0 ? { methodNotAllowed: true, allow } : null;
+}
+
+/**
+ * Match a path pattern like /v1/facts/:id
+ * @returns {object|null} Path parameters, or null if it does not match
+ * @throws {URIError} A parameter has a malformed %-escape
+ */
+function matchPath(pattern, pathname) {
+  const patternParts = pattern.split('/');
+  const pathParts = pathname.replace(/\/+$/, '').split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+          reject(new Error('Request body must be a JSON object'));
+        } else {
+          resolve(body);
+        }
+      } catch (e) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function statusFor(payload, successStatus = 200) {
+  if (payload.type !== 'error') return successStatus;
+  return ERROR_STATUS[payload.code] || 400;
+}
+
+function sendJson(res, status, payload) {
+  if (payload === undefined) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function sendEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Unnamed event, as OpenAI clients expect
+function sendData(res, payload) {
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+function toInteger(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+function isLocalAddress(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+module.exports = {
+  HttpApiServer,
+  ENDPOINTS
+};
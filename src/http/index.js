@@ -0,0 +1,10 @@
+/**
+ * HTTP Module - Exports
+ */
+
+const { HttpApiServer, ENDPOINTS } = require('./api-server');
+
+module.exports = {
+  HttpApiServer,
+  ENDPOINTS
+};
@@ -0,0 +1,262 @@
+/**
+ * OpenAI Compatibility - Chat completions on top of Claude
+ *
+ * Converts OpenAI `/v1/chat/completions` requests into prompts and Claude's
+ * stream-json output into OpenAI completion objects and chunks.
+ *
+ * Two modes:
+ * - session: the last user message goes to a running Claude session, which
+ *   keeps its own conversation (earlier messages in the request are skipped)
+ * - print: every request runs `claude --print` with the whole transcript
+ */
+
+const crypto = require('crypto');
+const { runPrint: runClaudePrint } = require('../session');
+
+const CHAT_MODES = ['session', 'print'];
+const CHAT_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+const PRINT_TIMEOUT = 10 * 60 * 1000;
+
+// Model names passed on to `claude --model`; anything else (e.g. "gpt-4") uses the configured model
+const CLAUDE_MODEL_PATTERN = /^(claude|sonnet|opus|haiku)/i;
+
+/**
+ * Error with an HTTP status and OpenAI error type
+ */
+class ChatCompletionError extends Error {
+  constructor(message, status = 400, type = 'invalid_request_error') {
+    super(message);
+    this.status = status;
+    this.type = type;
+  }
+}
+
+/**
+ * Validate a chat completions request body
+ * @param {object} body - Request body
+ * @param {object} [defaults] - `openai` section of config.json (mode, withContext)
+ * @returns {{model: string, messages: object[], stream: boolean, mode: string, session: string|null, withContext: boolean}}
+ */
+function parseChatRequest(body, defaults = {}) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new ChatCompletionError('"messages" must be a non-empty array');
+  }
+
+  for (const [index, message] of body.messages.entries()) {
+    if (!message || !CHAT_ROLES.includes(message.role)) {
+      throw new ChatCompletionError(`messages[${index}].role must be one of ${CHAT_ROLES.join(', ')}`);
+    }
+    if (contentText(message.content) === null) {
+      throw new ChatCompletionError(`messages[${index}].content must be a string or an array of text parts`);
+    }
+  }
+
+  const mode = body.mode || defaults.mode || 'session';
+  if (!CHAT_MODES.includes(mode)) {
+    throw new ChatCompletionError(`"mode" must be one of ${CHAT_MODES.join(', ')}`);
+  }
+
+  if (body.session !== undefined && typeof body.session !== 'string') {
+    throw new ChatCompletionError('"session" must be a string');
+  }
+
+  return {
+    model: typeof body.model === 'string' && body.model ? body.model : 'claude-always',
+    messages: body.messages,
+    stream: body.stream === true,
+    mode,
+    session: body.session || null,
+    withContext: body.with_context ?? defaults.withContext ?? false
+  };
+}
+
+/**
+ * Plain text of a message's content (string or array of parts)
+ * @returns {string|null} Null if the content is not text
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (content === null || content === undefined) return '';
+  if (!Array.isArray(content)) return null;
+
+  const parts = [];
+  for (const part of content) {
+    if (typeof part === 'string') {
+      parts.push(part);
+    } else if (part && part.type === 'text' && typeof part.text === 'string') {
+      parts.push(part.text);
+    } else {
+      return null;
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Prompt for a running session: the latest user message
+ */
+function sessionPrompt(messages) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  if (!lastUser) {
+    throw new ChatCompletionError('At least one "user" message is required');
+  }
+  return contentText(lastUser.content);
+}
+
+/**
+ * Prompt for `claude --print`: the whole conversation as a transcript
+ */
+function transcriptPrompt(messages) {
+  if (messages.length === 1 && messages[0].role === 'user') {
+    return contentText(messages[0].content);
+  }
+
+  const labels = { system: 'System', developer: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool result' };
+  const transcript = messages
+    .map(m => `${labels[m.role]}: ${contentText(m.content)}`)
+    .join('\n\n');
+  return `${transcript}\n\nReply to the last User message as the Assistant.`;
+}
+
+/**
+ * Whether a request's model should be passed to `claude --model`
+ */
+function isClaudeModel(model) {
+  return CLAUDE_MODEL_PATTERN.test(model);
+}
+
+// HTTP status and OpenAI error type for each PrintError code
+const PRINT_ERRORS = {
+  timeout: [504, 'timeout'],
+  spawn_failed: [500, 'server_error'],
+  failed: [502, 'server_error']
+};
+
+/**
+ * Run one prompt through `claude --print`, reporting failures as
+ * ChatCompletionErrors
+ * @param {object} options
+ * @param {object} options.config - Session settings (claudePath, cwd, env, model, ...)
+ * @param {string} options.prompt - Prompt, written to Claude's stdin
+ * @param {function} options.onMessage - Called with each parsed stream-json message
+ * @param {function} options.onDone - (err, result) Called once with the `result` message or an error
+ * @returns {function} Stops Claude
+ */
+function runPrint({ config, prompt, onMessage, onDone }) {
+  return runClaudePrint({
+    config,
+    prompt,
+    timeout: PRINT_TIMEOUT,
+    onMessage,
+    onDone: (err, result) => {
+      if (!err) return onDone(null, result);
+      const [status, type] = PRINT_ERRORS[err.code] || [502, 'server_error'];
+      onDone(new ChatCompletionError(err.message, status, type), result);
+    }
+  });
+}
+
+/**
+ * Text of a stream-json `assistant` message, or null if it has none
+ */
+function assistantText(msg) {
+  if (msg.type !== 'assistant' || !msg.message || !Array.isArray(msg.message.content)) {
+    return null;
+  }
+  const text = msg.message.content
+    .filter(c => c.type === 'text')
+    .map(c => c.text)
+    .join('');
+  return text || null;
+}
+
+/**
+ * OpenAI usage from a stream-json `result` message
+ */
+function usageFrom(result) {
+  const usage = result && result.usage;
+  if (!usage) return undefined;
+  const promptTokens = (usage.input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Builds the completion objects for one request
+ */
+class CompletionFormatter {
+  constructor(model) {
+    this.id = `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+    this.model = model;
+    this.created = Math.floor(Date.now() / 1000);
+    this.sentText = false;
+  }
+
+  /**
+   * A `chat.completion.chunk`
+   */
+  chunk(delta, finishReason = null) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+  }
+
+  /**
+   * Chunk for one assistant message; separate messages become paragraphs
+   */
+  textChunk(text) {
+    const content = this.sentText ? `\n\n${text}` : text;
+    this.sentText = true;
+    return this.chunk({ content });
+  }
+
+  /**
+   * A complete `chat.completion`
+   */
+  completion(content, usage, finishReason = 'stop') {
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: this.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: finishReason
+      }],
+      ...(usage ? { usage } : {})
+    };
+  }
+}
+
+/**
+ * OpenAI-style error body
+ */
+function errorBody(message, type = 'invalid_request_error', code = null) {
+  return { error: { message, type, code } };
+}
+
+module.exports = {
+  ChatCompletionError,
+  CompletionFormatter,
+  CHAT_MODES,
+  parseChatRequest,
+  contentText,
+  sessionPrompt,
+  transcriptPrompt,
+  isClaudeModel,
+  runPrint,
+  assistantText,
+  usageFrom,
+  errorBody
+};
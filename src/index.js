@@ -3,14 +3,28 @@
  */
 
 const { ClaudeService, getServiceStatus, stopService, DEFAULT_PORT } = require('./service');
+const {
+  ClaudeSession,
+  DEFAULT_SESSION,
+  isValidSessionName,
+  RestartPolicy,
+  DEFAULT_RESTART_POLICY,
+  CrashReporter,
+  getCrashReporter
+} = require('./session');
+const { ServiceConfig, getServiceConfig } = require('./config');
+const { ProtocolRouter, createServiceRouter } = require('./protocol');
+const { HttpApiServer } = require('./http');
+const { loadTlsOptions, ensureSelfSignedCert, certFingerprint } = require('./tls');
 const { ClaudeClient, runInteractive, sendCommand, showStatus } = require('./client');
 const { WhatsAppBridge, runWhatsAppBridge } = require('./whatsapp-bridge');
 const { VoiceBridge, runVoiceBridge } = require('./voice-bridge');
-const { APIKeyManager, getAPIKeyManager } = require('./auth');
+const { APIKeyManager, getAPIKeyManager, API_KEY_SCOPES, hasScope, RateLimiter, parseDuration } = require('./auth');
+const { AuditLog, getAuditLog } = require('./audit');
 const providers = require('./providers');
 
 // Jarvis features
-const { MemoryStore, getMemoryStore, ContextBuilder, getContextBuilder } = require('./memory');
+const { MemoryStore, getMemoryStore, ContextBuilder, getContextBuilder, estimateTokens, FACT_SOURCES, SEARCH_KINDS, serializeExport, parseExport, formatForFile, parseRetention, MEMORY_KEY_ENV } = require('./memory');
 const { SchedulerManager, getSchedulerManager, parseTime, parseCronPattern, parseRelativeTime, parseReminderTime, isValidCron } = require('./scheduler');
 const { AlertChannels, getAlertChannels } = require('./alerts');
 const { ScheduleService, getScheduleService, resetScheduleService } = require('./schedule');
@@ -22,6 +36,29 @@ module.exports = {
   stopService,
   DEFAULT_PORT,
 
+  // Sessions
+  ClaudeSession,
+  DEFAULT_SESSION,
+  isValidSessionName,
+  RestartPolicy,
+  DEFAULT_RESTART_POLICY,
+  CrashReporter,
+  getCrashReporter,
+
+  // Config
+  ServiceConfig,
+  getServiceConfig,
+
+  // Protocol
+  ProtocolRouter,
+  createServiceRouter,
+  HttpApiServer,
+
+  // TLS
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  certFingerprint,
+
   // Client
   ClaudeClient,
   runInteractive,
@@ -37,6 +74,14 @@ module.exports = {
   // Auth
   APIKeyManager,
   getAPIKeyManager,
+  API_KEY_SCOPES,
+  hasScope,
+  RateLimiter,
+  parseDuration,
+
+  // Audit
+  AuditLog,
+  getAuditLog,
 
   // Providers
   ...providers,
@@ -46,6 +91,14 @@ module.exports = {
   getMemoryStore,
   ContextBuilder,
   getContextBuilder,
+  estimateTokens,
+  FACT_SOURCES,
+  SEARCH_KINDS,
+  serializeExport,
+  parseExport,
+  formatForFile,
+  parseRetention,
+  MEMORY_KEY_ENV,
 
   // Scheduler
   SchedulerManager,
@@ -2,41 +2,88 @@
  * Context Injection - Prepend context to Claude prompts
  *
  * Builds context from:
- * - Recent conversation history
- * - Relevant facts/preferences
+ * - Pinned facts (always included)
+ * - Facts and earlier messages relevant to the prompt
  * - Pending reminders for today
+ * - Summaries of recent or relevant past conversations
+ *
+ * Facts, summaries and messages are scored by BM25 relevance to the prompt (through the
+ * FTS index) blended with recency, and added best first until the token
+ * budget is spent. The service's own hourly session snapshots are left out
+ * unless pinned. Settings come from the `context` section of config.json.
  */
 
 const { getMemoryStore } = require('./store');
 
+const DEFAULT_CONTEXT_OPTIONS = {
+  tokenBudget: 1500,        // Rough size of the whole context (~4 characters per token)
+  maxFacts: 20,             // Ranked facts at most (pinned facts come on top)
+  maxMessages: 10,          // Earlier messages of the conversation at most
+  maxMessageTokens: 300,    // Longer messages are shortened
+  maxSummaries: 3,          // Summaries of past conversations at most
+  relevanceWeight: 0.7,     // Share of a score from relevance; the rest is recency
+  recencyHalfLifeDays: 30   // A fact's recency score halves every this many days
+};
+
+// Shares of the budget left after reminders that facts, and then summaries,
+// may use when there is conversation history to fit as well
+const FACTS_SHARE = 0.5;
+const SUMMARIES_SHARE = 0.5;
+
 class ContextBuilder {
+  /**
+   * @param {object} [options] - Overrides for DEFAULT_CONTEXT_OPTIONS
+   * @param {MemoryStore} [options.store]
+   */
   constructor(options = {}) {
-    this.store = options.store || getMemoryStore();
-    this.maxMessages = options.maxMessages || 10;
-    this.maxFacts = options.maxFacts || 20;
+    const { store, ...settings } = options;
+    this.store = store || getMemoryStore();
+    this.options = { ...DEFAULT_CONTEXT_OPTIONS };
+    for (const [key, value] of Object.entries(settings)) {
+      if (key in DEFAULT_CONTEXT_OPTIONS && typeof value === 'number' && value >= 0) {
+        this.options[key] = value;
+      }
+    }
   }
 
   /**
    * Build context string to prepend to prompts
+   * @param {string} [conversationId] - Conversation to draw earlier messages from
+   * @param {string} [prompt] - What the user is asking; picks the relevant facts and messages
    */
-  buildContext(conversationId = null) {
+  buildContext(conversationId = null, prompt = '') {
     const parts = [];
+    let budget = this.options.tokenBudget;
+
+    // Today's reminders are short and always worth knowing
+    const remindersContext = this.buildRemindersContext();
+    if (remindersContext) {
+      budget -= estimateTokens(remindersContext);
+    }
 
     // Add facts/preferences
-    const factsContext = this.buildFactsContext();
+    const factsBudget = conversationId ? Math.floor(budget * FACTS_SHARE) : budget;
+    const factsContext = this.buildFactsContext(prompt, factsBudget);
     if (factsContext) {
       parts.push(factsContext);
+      budget -= estimateTokens(factsContext);
     }
 
-    // Add today's reminders
-    const remindersContext = this.buildRemindersContext();
     if (remindersContext) {
       parts.push(remindersContext);
     }
 
-    // Add recent conversation history if provided
+    // Summaries of earlier conversations
+    const summariesBudget = conversationId ? Math.floor(budget * SUMMARIES_SHARE) : budget;
+    const summariesContext = this.buildSummariesContext(prompt, summariesBudget, conversationId);
+    if (summariesContext) {
+      parts.push(summariesContext);
+      budget -= estimateTokens(summariesContext);
+    }
+
+    // Fill the rest with earlier messages of this conversation
     if (conversationId) {
-      const historyContext = this.buildHistoryContext(conversationId);
+      const historyContext = this.buildHistoryContext(conversationId, prompt, budget);
       if (historyContext) {
         parts.push(historyContext);
       }
@@ -50,10 +97,11 @@ class ContextBuilder {
   }
 
   /**
-   * Build context from stored facts/preferences
+   * Build context from stored facts/preferences: pinned facts, then the best
+   * scoring others while they fit the budget
    */
-  buildFactsContext() {
-    const facts = this.store.getFacts();
+  buildFactsContext(prompt = '', budget = this.options.tokenBudget) {
+    const facts = this.selectFacts(prompt, budget);
 
     if (facts.length === 0) {
       return null;
@@ -61,7 +109,7 @@ class ContextBuilder {
 
     // Group facts by category
     const grouped = {};
-    for (const fact of facts.slice(0, this.maxFacts)) {
+    for (const fact of facts) {
       const category = fact.category || 'general';
       if (!grouped[category]) {
         grouped[category] = [];
@@ -80,6 +128,41 @@ class ContextBuilder {
     return lines.join('\n');
   }
 
+  /**
+   * Choose the facts for a prompt
+   * @param {string} prompt
+   * @param {number} budget - Tokens the facts may take (pinned facts always fit)
+   * @returns {Array<object>} Pinned facts first, then by descending score
+   */
+  selectFacts(prompt, budget) {
+    const pinned = this.store.getPinnedFacts();
+    let used = pinned.reduce((sum, fact) => sum + factTokens(fact), 0);
+
+    const relevance = normalizeScores(this.store.rankFacts(prompt || ''));
+    const { relevanceWeight, recencyHalfLifeDays } = this.options;
+
+    const ranked = this.store.getFacts()
+      .filter(fact => !fact.pinned && !isSessionSnapshot(fact))
+      .map(fact => {
+        const ageDays = (Date.now() - parseTimestamp(fact.updated_at || fact.created_at)) / 86400000;
+        const recency = recencyHalfLifeDays > 0 ? Math.pow(0.5, Math.max(0, ageDays) / recencyHalfLifeDays) : 0;
+        const score = relevanceWeight * (relevance.get(fact.id) || 0) + (1 - relevanceWeight) * recency;
+        return { fact, score: score * (fact.confidence ?? 1) };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    for (const { fact } of ranked) {
+      if (selected.length >= this.options.maxFacts) break;
+      const tokens = factTokens(fact);
+      if (used + tokens > budget) continue;
+      selected.push(fact);
+      used += tokens;
+    }
+
+    return [...pinned, ...selected];
+  }
+
   /**
    * Build context from today's pending reminders
    */
@@ -120,10 +203,81 @@ class ContextBuilder {
   }
 
   /**
-   * Build context from recent conversation history
+   * Build context from summaries of past conversations
+   * @param {string} prompt
+   * @param {number} budget - Tokens the summaries may take
+   * @param {string} [currentId] - The current conversation, left out
+   */
+  buildSummariesContext(prompt = '', budget = this.options.tokenBudget, currentId = null) {
+    const summaries = this.selectSummaries(prompt, budget, currentId);
+
+    if (summaries.length === 0) {
+      return null;
+    }
+
+    const lines = ['Earlier Conversations:'];
+    for (const conversation of summaries) {
+      const date = new Date(parseTimestamp(conversation.started_at)).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric'
+      });
+      lines.push(`  - ${date}: ${conversation.summary}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Choose past conversation summaries for a prompt
+   * @returns {Array<object>} Conversations with a summary, oldest first
    */
-  buildHistoryContext(conversationId) {
-    const messages = this.store.getMessages(conversationId, this.maxMessages);
+  selectSummaries(prompt, budget, currentId) {
+    const { maxSummaries, relevanceWeight, recencyHalfLifeDays } = this.options;
+    if (maxSummaries <= 0) return [];
+
+    // The latest summaries plus the best matches from further back
+    const candidates = new Map();
+    for (const conversation of this.store.getRecentSummaries(maxSummaries * 3, currentId)) {
+      candidates.set(conversation.id, conversation);
+    }
+    const relevance = normalizeScores(this.store.rankSummaries(prompt || '', maxSummaries * 3));
+    for (const id of relevance.keys()) {
+      if (candidates.has(id) || id === currentId) continue;
+      const conversation = this.store.getConversation(id);
+      if (conversation && conversation.summary) candidates.set(id, conversation);
+    }
+
+    const ranked = [...candidates.values()]
+      .map(conversation => {
+        const ageDays = (Date.now() - parseTimestamp(conversation.ended_at || conversation.started_at)) / 86400000;
+        const recency = recencyHalfLifeDays > 0 ? Math.pow(0.5, Math.max(0, ageDays) / recencyHalfLifeDays) : 0;
+        return {
+          conversation,
+          score: relevanceWeight * (relevance.get(conversation.id) || 0) + (1 - relevanceWeight) * recency
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const { conversation } of ranked) {
+      if (selected.length >= maxSummaries) break;
+      const tokens = estimateTokens(conversation.summary) + 5;
+      if (used + tokens > budget) continue;
+      selected.push(conversation);
+      used += tokens;
+    }
+
+    return selected.sort((a, b) => parseTimestamp(a.started_at) - parseTimestamp(b.started_at));
+  }
+
+  /**
+   * Build context from earlier messages of the conversation: the most
+   * relevant and most recent ones that fit the budget, in the order they
+   * were said
+   */
+  buildHistoryContext(conversationId, prompt = '', budget = this.options.tokenBudget) {
+    const messages = this.selectMessages(conversationId, prompt, budget);
 
     if (messages.length === 0) {
       return null;
@@ -132,21 +286,58 @@ class ContextBuilder {
     const lines = ['Recent Conversation:'];
     for (const msg of messages) {
       const role = msg.role === 'user' ? 'User' : 'Assistant';
-      // Truncate long messages
-      const content = msg.content.length > 200
-        ? msg.content.substring(0, 200) + '...'
-        : msg.content;
-      lines.push(`  ${role}: ${content}`);
+      lines.push(`  ${role}: ${msg.content}`);
     }
 
     return lines.join('\n');
   }
 
+  /**
+   * Choose earlier messages for a prompt
+   * @returns {Array<object>} Messages (content shortened to maxMessageTokens), oldest first
+   */
+  selectMessages(conversationId, prompt, budget) {
+    const { maxMessages, maxMessageTokens, relevanceWeight } = this.options;
+
+    // The latest messages plus the best matches from further back
+    const candidates = new Map();
+    for (const msg of this.store.getLatestMessages(conversationId, maxMessages)) {
+      candidates.set(msg.id, msg);
+    }
+    const matches = this.store.rankMessages(conversationId, prompt || '', maxMessages);
+    for (const msg of matches) {
+      candidates.set(msg.id, msg);
+    }
+    const relevance = normalizeScores(new Map(matches.map(msg => [msg.id, msg.score])));
+
+    // Recency by position: the newest candidate scores 1
+    const ordered = [...candidates.values()].sort((a, b) => a.id - b.id);
+    const ranked = ordered
+      .map((msg, i) => ({
+        msg,
+        score: relevanceWeight * (relevance.get(msg.id) || 0) + (1 - relevanceWeight) * ((i + 1) / ordered.length)
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const { msg } of ranked) {
+      if (selected.length >= maxMessages) break;
+      const content = truncateToTokens(msg.content || '', maxMessageTokens);
+      const tokens = estimateTokens(content) + 3;
+      if (used + tokens > budget) continue;
+      selected.push({ ...msg, content });
+      used += tokens;
+    }
+
+    return selected.sort((a, b) => a.id - b.id);
+  }
+
   /**
    * Prepend context to a user message
    */
   wrapMessage(message, conversationId = null) {
-    const context = this.buildContext(conversationId);
+    const context = this.buildContext(conversationId, message);
     if (context) {
       return context + message;
     }
@@ -183,15 +374,75 @@ class ContextBuilder {
   }
 
   /**
-   * Store extracted facts
+   * Store extracted facts, merging any already known and correcting
+   * near-duplicates they contradict (see MemoryStore.upsertFact)
+   * @param {Array<{fact: string, category: string}>} facts
+   * @param {object} [options]
+   * @param {string} [options.source='extracted'] - Where the facts came from (whatsapp, voice...)
+   * @returns {{added: number, updated: number, duplicates: number}}
    */
-  storeFacts(facts) {
+  storeFacts(facts, options = {}) {
+    const source = options.source || 'extracted';
+    let added = 0;
+    let updated = 0;
+    let duplicates = 0;
     for (const { fact, category } of facts) {
-      this.store.addFact(fact, category);
+      const result = this.store.upsertFact(fact, { category, source });
+      if (result.duplicate) duplicates++;
+      else if (result.updated) updated++;
+      else added++;
     }
+    return { added, updated, duplicates };
   }
 }
 
+/**
+ * Rough token count of some text (about four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+function factTokens(fact) {
+  return estimateTokens(fact.fact) + 3;
+}
+
+/**
+ * Whether a fact is a snapshot from the session-save job. Being new and fully
+ * confident, snapshots would otherwise crowd the user's own facts out.
+ */
+function isSessionSnapshot(fact) {
+  return fact.category === 'session' && fact.source === 'system';
+}
+
+/**
+ * Shorten text to about `tokens` tokens
+ */
+function truncateToTokens(text, tokens) {
+  const max = tokens * 4;
+  return text.length > max ? text.substring(0, max - 3) + '...' : text;
+}
+
+/**
+ * Scale scores so the best is 1
+ * @param {Map<*, number>} scores
+ * @returns {Map<*, number>}
+ */
+function normalizeScores(scores) {
+  const best = Math.max(0, ...scores.values());
+  if (best <= 0) return new Map();
+  return new Map([...scores].map(([key, score]) => [key, Math.max(0, score) / best]));
+}
+
+/**
+ * Parse an SQLite CURRENT_TIMESTAMP value (UTC, no zone) to ms
+ */
+function parseTimestamp(value) {
+  if (!value) return Date.now();
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
 // Singleton instance
 let instance = null;
 
@@ -204,5 +455,7 @@ function getContextBuilder(options = {}) {
 
 module.exports = {
   ContextBuilder,
-  getContextBuilder
+  getContextBuilder,
+  DEFAULT_CONTEXT_OPTIONS,
+  estimateTokens
 };
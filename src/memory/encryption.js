@@ -0,0 +1,137 @@
+/**
+ * Memory Encryption - Optional encryption at rest for memory.db
+ *
+ * When enabled, fact text, message content, conversation summaries and the
+ * session output journal are stored as AES-256-GCM ciphertext. The key is
+ * derived with scrypt from a passphrase, given in CLAUDE_ALWAYS_MEMORY_KEY or
+ * typed at `claude-always start`. The salt and a check value (to tell a wrong
+ * passphrase from corrupt data) are kept in memory.db's settings table.
+ */
+
+const crypto = require('crypto');
+
+// Environment variable holding the passphrase
+const MEMORY_KEY_ENV = 'CLAUDE_ALWAYS_MEMORY_KEY';
+
+// Columns stored encrypted
+const ENCRYPTED_COLUMNS = {
+  facts: ['fact'],
+  messages: ['content'],
+  conversations: ['summary'],
+  journal: ['content', 'data']
+};
+
+// Marks an encrypted value: prefix + base64(iv | auth tag | ciphertext)
+const PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted with the key to check a passphrase against
+const CHECK_TEXT = 'claude-alwaysrunning memory';
+
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Error for memory that is encrypted but has no key
+ */
+class MemoryLockedError extends Error {
+  constructor() {
+    super(`memory.db is encrypted: set ${MEMORY_KEY_ENV} or enter the passphrase at start`);
+    this.name = 'MemoryLockedError';
+    this.code = 'memory_locked';
+  }
+}
+
+class MemoryCipher {
+  /**
+   * @param {Buffer} key - 32-byte AES key
+   */
+  constructor(key) {
+    this.key = key;
+  }
+
+  /**
+   * Derive the key from a passphrase
+   * @param {string} passphrase
+   * @param {string} salt - Hex
+   * @returns {MemoryCipher}
+   */
+  static fromPassphrase(passphrase, salt) {
+    if (!passphrase) {
+      throw new Error('Passphrase is required');
+    }
+    return new MemoryCipher(crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32, SCRYPT_OPTIONS));
+  }
+
+  /**
+   * A new random salt (hex)
+   */
+  static createSalt() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Encrypt text (null and undefined stay as they are)
+   * @param {string|null} text
+   * @returns {string|null}
+   */
+  encrypt(text) {
+    if (text === null || text === undefined) return text;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+    return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  /**
+   * Decrypt a value written by encrypt() (anything else is returned as it is)
+   * @param {string|null} value
+   * @returns {string|null}
+   */
+  decrypt(value) {
+    if (!isEncryptedValue(value)) return value;
+    const data = Buffer.from(value.slice(PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    try {
+      return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (e) {
+      throw new Error('Cannot decrypt memory (wrong key or damaged data)');
+    }
+  }
+
+  /**
+   * A value to store and later check a passphrase with
+   */
+  createCheck() {
+    return this.encrypt(CHECK_TEXT);
+  }
+
+  /**
+   * Whether this key made a check value
+   * @returns {boolean}
+   */
+  verifyCheck(check) {
+    try {
+      return this.decrypt(check) === CHECK_TEXT;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Whether a stored value is ciphertext
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+module.exports = {
+  MEMORY_KEY_ENV,
+  ENCRYPTED_COLUMNS,
+  MemoryCipher,
+  MemoryLockedError,
+  isEncryptedValue
+};
@@ -0,0 +1,107 @@
+/**
+ * Fact helpers - Sources, tags and near-duplicate detection
+ *
+ * Every fact records where it came from and how sure we are of it. Before a
+ * fact is inserted it is compared against the stored ones, so the same thing
+ * said twice (or extracted from two replies) is merged instead of repeated.
+ */
+
+const FACT_SOURCES = {
+  manual: 'Added by the user (CLI, desktop app or API)',
+  extracted: 'Picked up from one of Claude\'s replies',
+  whatsapp: 'Extracted from a WhatsApp conversation',
+  voice: 'Extracted from a voice conversation',
+  system: 'Written by the service itself (session snapshots)'
+};
+
+// Confidence a new fact gets when none is given
+const DEFAULT_CONFIDENCE = {
+  manual: 1,
+  extracted: 0.6,
+  whatsapp: 0.6,
+  voice: 0.5,
+  system: 1
+};
+
+// Word-set overlap at or above which two facts count as the same
+const DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Check a fact source
+ * @returns {string}
+ */
+function parseSource(source) {
+  if (!FACT_SOURCES[source]) {
+    throw new Error(`Unknown fact source "${source}" (available: ${Object.keys(FACT_SOURCES).join(', ')})`);
+  }
+  return source;
+}
+
+/**
+ * Check a confidence value (0 to 1)
+ * @returns {number}
+ */
+function parseConfidence(confidence) {
+  const value = Number(confidence);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    throw new Error(`Confidence must be between 0 and 1 (got "${confidence}")`);
+  }
+  return value;
+}
+
+/**
+ * Normalise a tag list: lowercase, trimmed, no duplicates
+ * @param {string|string[]} tags - Array or comma-separated string
+ * @returns {string[]}
+ */
+function parseTags(tags) {
+  if (!tags) return [];
+  const list = (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(list)];
+}
+
+/**
+ * Reduce a fact to the words that matter for comparison
+ * @returns {string}
+ */
+function normalizeFact(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * How alike two facts are: 1 for the same normalised text, otherwise the
+ * Jaccard overlap of their word sets
+ * @returns {number} 0 to 1
+ */
+function factSimilarity(a, b) {
+  const left = normalizeFact(a);
+  const right = normalizeFact(b);
+  if (left === right) return 1;
+
+  const leftWords = new Set(left.split(' ').filter(Boolean));
+  const rightWords = new Set(right.split(' ').filter(Boolean));
+  if (leftWords.size === 0 || rightWords.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of leftWords) {
+    if (rightWords.has(word)) shared++;
+  }
+  return shared / (leftWords.size + rightWords.size - shared);
+}
+
+module.exports = {
+  FACT_SOURCES,
+  DEFAULT_CONFIDENCE,
+  DUPLICATE_THRESHOLD,
+  parseSource,
+  parseConfidence,
+  parseTags,
+  normalizeFact,
+  factSimilarity
+};
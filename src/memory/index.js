@@ -3,11 +3,38 @@
  */
 
 const { MemoryStore, getMemoryStore } = require('./store');
-const { ContextBuilder, getContextBuilder } = require('./context');
+const { ContextBuilder, getContextBuilder, DEFAULT_CONTEXT_OPTIONS, estimateTokens } = require('./context');
+const { FACT_SOURCES, parseTags, factSimilarity } = require('./facts');
+const { SEARCH_KINDS, toFtsQuery } = require('./search');
+const { ConversationSummarizer, DEFAULT_SUMMARY_OPTIONS } = require('./summarizer');
+const { EXPORT_VERSION, serializeExport, parseExport, formatForFile } = require('./transfer');
+const { RETENTION_TABLES, DEFAULT_RETENTION, parseRetention } = require('./retention');
+const { MIGRATIONS, LATEST_VERSION } = require('./migrations');
+const { MEMORY_KEY_ENV, MemoryLockedError } = require('./encryption');
 
 module.exports = {
   MemoryStore,
   getMemoryStore,
   ContextBuilder,
-  getContextBuilder
+  getContextBuilder,
+  DEFAULT_CONTEXT_OPTIONS,
+  estimateTokens,
+  FACT_SOURCES,
+  parseTags,
+  factSimilarity,
+  SEARCH_KINDS,
+  toFtsQuery,
+  ConversationSummarizer,
+  DEFAULT_SUMMARY_OPTIONS,
+  EXPORT_VERSION,
+  serializeExport,
+  parseExport,
+  formatForFile,
+  RETENTION_TABLES,
+  DEFAULT_RETENTION,
+  parseRetention,
+  MIGRATIONS,
+  LATEST_VERSION,
+  MEMORY_KEY_ENV,
+  MemoryLockedError
 };
@@ -0,0 +1,379 @@
+/**
+ * Memory Migrations - Versioned schema changes for memory.db
+ *
+ * The schema version is kept in `PRAGMA user_version`. Each migration moves
+ * the database up one version and runs in its own transaction together with
+ * the version bump, so a failed migration leaves the database as it was.
+ *
+ * Databases created before migrations existed are at version 0 but may
+ * already have some of the tables and columns, so migrations only add what
+ * is missing.
+ *
+ * Never edit a released migration; add a new one at the end.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Conversations, messages, facts and reminders',
+    up(db) {
+      db.exec(`
+        -- Conversation sessions
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME,
+          summary TEXT
+        );
+
+        -- Individual messages
+        CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT,
+          role TEXT,
+          content TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+        );
+
+        -- Long-term facts/preferences
+        CREATE TABLE IF NOT EXISTS facts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fact TEXT,
+          category TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Scheduled reminders
+        CREATE TABLE IF NOT EXISTS reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message TEXT,
+          trigger_at DATETIME,
+          cron_expression TEXT,
+          channel TEXT DEFAULT 'notification',
+          status TEXT DEFAULT 'pending',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_facts_category ON facts(category);
+        CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status);
+        CREATE INDEX IF NOT EXISTS idx_reminders_trigger ON reminders(trigger_at);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Session output journal',
+    up(db) {
+      db.exec(`
+        -- Append-only log of everything each Claude session said
+        CREATE TABLE IF NOT EXISTS journal (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session TEXT,
+          conversation_id TEXT,
+          time INTEGER,
+          type TEXT,
+          message_type TEXT,
+          request_id TEXT,
+          content TEXT,
+          data TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_journal_session_time ON journal(session, time);
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Fact tags, confidence, source and edit time',
+    up(db) {
+      addMissingColumns(db, 'facts', {
+        tags: `TEXT DEFAULT '[]'`,
+        confidence: 'REAL DEFAULT 1',
+        source: `TEXT DEFAULT 'manual'`,
+        updated_at: 'DATETIME'
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Full-text index over facts, messages and conversation summaries',
+    up(db) {
+      db.exec(`
+        -- facts and messages are indexed in place (external content, rowid = id)
+        CREATE VIRTUAL TABLE IF NOT EXISTS facts_fts USING fts5(
+          fact, content='facts', content_rowid='id', tokenize='porter unicode61'
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          content, content='messages', content_rowid='id', tokenize='porter unicode61'
+        );
+        -- conversations are keyed by a text ID, so summaries keep their own copy
+        CREATE VIRTUAL TABLE IF NOT EXISTS summaries_fts USING fts5(
+          conversation_id UNINDEXED, summary, tokenize='porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS facts_fts_insert AFTER INSERT ON facts BEGIN
+          INSERT INTO facts_fts(rowid, fact) VALUES (new.id, new.fact);
+        END;
+        CREATE TRIGGER IF NOT EXISTS facts_fts_delete AFTER DELETE ON facts BEGIN
+          INSERT INTO facts_fts(facts_fts, rowid, fact) VALUES ('delete', old.id, old.fact);
+        END;
+        CREATE TRIGGER IF NOT EXISTS facts_fts_update AFTER UPDATE OF fact ON facts BEGIN
+          INSERT INTO facts_fts(facts_fts, rowid, fact) VALUES ('delete', old.id, old.fact);
+          INSERT INTO facts_fts(rowid, fact) VALUES (new.id, new.fact);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS summaries_fts_insert AFTER INSERT ON conversations
+        WHEN new.summary IS NOT NULL BEGIN
+          INSERT INTO summaries_fts(conversation_id, summary) VALUES (new.id, new.summary);
+        END;
+        CREATE TRIGGER IF NOT EXISTS summaries_fts_delete AFTER DELETE ON conversations BEGIN
+          DELETE FROM summaries_fts WHERE conversation_id = old.id;
+        END;
+        CREATE TRIGGER IF NOT EXISTS summaries_fts_update AFTER UPDATE OF summary ON conversations BEGIN
+          DELETE FROM summaries_fts WHERE conversation_id = old.id;
+          INSERT INTO summaries_fts(conversation_id, summary)
+            SELECT new.id, new.summary WHERE new.summary IS NOT NULL;
+        END;
+      `);
+
+      // Index what is already stored
+      rebuildSearchIndex(db);
+    }
+  },
+  {
+    version: 5,
+    description: 'Pinned facts',
+    up(db) {
+      addMissingColumns(db, 'facts', {
+        pinned: 'INTEGER DEFAULT 0'
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Conversation summary time',
+    up(db) {
+      addMissingColumns(db, 'conversations', {
+        summarized_at: 'DATETIME'
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Prune log for retention stats',
+    up(db) {
+      db.exec(`
+        -- Rows removed by retention rules, per run
+        CREATE TABLE IF NOT EXISTS prune_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          time DATETIME DEFAULT CURRENT_TIMESTAMP,
+          table_name TEXT,
+          category TEXT,
+          removed INTEGER
+        );
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Settings (encryption salt and key check)',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * The schema version a database is at
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {number}
+ */
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Migrations a database still needs, oldest first
+ * @param {Database} db
+ * @returns {object[]}
+ * @throws If the database is newer than this code
+ */
+function getPendingMigrations(db) {
+  const version = getSchemaVersion(db);
+  if (version > LATEST_VERSION) {
+    throw new Error(`memory.db is at schema version ${version}, newer than this version of claude-alwaysrunning supports (${LATEST_VERSION}); update it`);
+  }
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+/**
+ * Apply every pending migration
+ * @param {Database} db
+ * @returns {Array<{version: number, description: string}>} What was applied
+ */
+function runMigrations(db) {
+  const applied = [];
+  for (const migration of getPendingMigrations(db)) {
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    applied.push({ version: migration.version, description: migration.description });
+  }
+  return applied;
+}
+
+/**
+ * Tables, indexes, triggers and columns of a database (FTS5 shadow tables left out)
+ * @param {Database} db
+ * @returns {Set<string>} Entries such as "table facts" or "column facts.tags"
+ */
+function describeSchema(db) {
+  const entries = new Set();
+  const objects = db.prepare(`
+    SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name
+  `).all();
+
+  for (const { type, name } of objects) {
+    if (type === 'table' && /_fts_(data|idx|docsize|config|content)$/.test(name)) continue;
+    entries.add(`${type} ${name}`);
+    if (type === 'table' && !name.endsWith('_fts')) {
+      for (const column of db.prepare(`PRAGMA table_info(${name})`).all()) {
+        entries.add(`column ${name}.${column.name}`);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Add columns a database lacks (older installs may already have some)
+ * @param {Database} db
+ * @param {string} table - Table name
+ * @param {object} columns - Column name -> type and default
+ */
+function addMissingColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/**
+ * Create the FTS5 tables over facts, messages and conversation summaries,
+ * and the triggers that keep them in sync (the index migration 4 created,
+ * for turning encryption off; migrations keep their own SQL)
+ * @param {Database} db
+ */
+function createSearchIndex(db) {
+  db.exec(`
+    -- facts and messages are indexed in place (external content, rowid = id)
+    CREATE VIRTUAL TABLE IF NOT EXISTS facts_fts USING fts5(
+      fact, content='facts', content_rowid='id', tokenize='porter unicode61'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content, content='messages', content_rowid='id', tokenize='porter unicode61'
+    );
+    -- conversations are keyed by a text ID, so summaries keep their own copy
+    CREATE VIRTUAL TABLE IF NOT EXISTS summaries_fts USING fts5(
+      conversation_id UNINDEXED, summary, tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS facts_fts_insert AFTER INSERT ON facts BEGIN
+      INSERT INTO facts_fts(rowid, fact) VALUES (new.id, new.fact);
+    END;
+    CREATE TRIGGER IF NOT EXISTS facts_fts_delete AFTER DELETE ON facts BEGIN
+      INSERT INTO facts_fts(facts_fts, rowid, fact) VALUES ('delete', old.id, old.fact);
+    END;
+    CREATE TRIGGER IF NOT EXISTS facts_fts_update AFTER UPDATE OF fact ON facts BEGIN
+      INSERT INTO facts_fts(facts_fts, rowid, fact) VALUES ('delete', old.id, old.fact);
+      INSERT INTO facts_fts(rowid, fact) VALUES (new.id, new.fact);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+      INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS summaries_fts_insert AFTER INSERT ON conversations
+    WHEN new.summary IS NOT NULL BEGIN
+      INSERT INTO summaries_fts(conversation_id, summary) VALUES (new.id, new.summary);
+    END;
+    CREATE TRIGGER IF NOT EXISTS summaries_fts_delete AFTER DELETE ON conversations BEGIN
+      DELETE FROM summaries_fts WHERE conversation_id = old.id;
+    END;
+    CREATE TRIGGER IF NOT EXISTS summaries_fts_update AFTER UPDATE OF summary ON conversations BEGIN
+      DELETE FROM summaries_fts WHERE conversation_id = old.id;
+      INSERT INTO summaries_fts(conversation_id, summary)
+        SELECT new.id, new.summary WHERE new.summary IS NOT NULL;
+    END;
+  `);
+}
+
+/**
+ * Remove the FTS5 tables and their triggers (encrypted memory has no index)
+ * @param {Database} db
+ */
+function dropSearchIndex(db) {
+  for (const table of ['facts', 'messages', 'summaries']) {
+    for (const event of ['insert', 'delete', 'update']) {
+      db.exec(`DROP TRIGGER IF EXISTS ${table}_fts_${event}`);
+    }
+    db.exec(`DROP TABLE IF EXISTS ${table}_fts`);
+  }
+}
+
+/**
+ * Re-index every fact, message and summary
+ * @param {Database} db
+ */
+function rebuildSearchIndex(db) {
+  db.exec(`
+    INSERT INTO facts_fts(facts_fts) VALUES ('rebuild');
+    INSERT INTO messages_fts(messages_fts) VALUES ('rebuild');
+    DELETE FROM summaries_fts;
+    INSERT INTO summaries_fts(conversation_id, summary)
+      SELECT id, summary FROM conversations WHERE summary IS NOT NULL;
+  `);
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations,
+  describeSchema,
+  createSearchIndex,
+  dropSearchIndex,
+  rebuildSearchIndex
+};
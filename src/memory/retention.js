@@ -0,0 +1,82 @@
+/**
+ * Memory Retention - How long memory.db keeps things
+ *
+ * Rules come from the `retention` section of config.json. Each table can have
+ * a maximum age and a maximum row count; facts can also have rules per
+ * category (the hourly `session` snapshots get one by default). Pinned facts,
+ * pending reminders and conversations still in progress are never pruned.
+ * `MemoryStore.prune()` applies the rules.
+ */
+
+const { parseDuration } = require('../auth/api-key');
+
+// Tables rules can be given for
+const RETENTION_TABLES = ['messages', 'conversations', 'facts', 'reminders', 'journal'];
+
+const DEFAULT_RETENTION = {
+  enabled: true,
+  interval: '6h',              // How often the memory-prune job runs
+  vacuum: true,                // VACUUM after rows were removed
+  messages: {},
+  conversations: {},           // Ended conversations, with their messages
+  facts: {
+    categories: {
+      session: { maxAge: '7d', maxCount: 24 }
+    }
+  },
+  reminders: { maxAge: '90d' }, // Completed and cancelled reminders
+  journal: { maxAge: '30d' }
+};
+
+/**
+ * Merge retention settings over DEFAULT_RETENTION and check them
+ * @param {object} [settings] - config.json `retention`
+ * @returns {object} Rules with maxAge in ms and maxCount as a number (or null)
+ */
+function parseRetention(settings = {}) {
+  const merged = {
+    ...DEFAULT_RETENTION,
+    ...settings,
+    facts: {
+      ...DEFAULT_RETENTION.facts,
+      ...settings.facts,
+      categories: { ...DEFAULT_RETENTION.facts.categories, ...(settings.facts || {}).categories }
+    }
+  };
+
+  const rules = {
+    enabled: merged.enabled !== false,
+    interval: parseDuration(merged.interval),
+    vacuum: merged.vacuum !== false
+  };
+  for (const table of RETENTION_TABLES) {
+    rules[table] = parseRule(merged[table], table);
+  }
+  rules.facts.categories = {};
+  for (const [category, rule] of Object.entries(merged.facts.categories)) {
+    // null removes a default category rule
+    if (rule) rules.facts.categories[category] = parseRule(rule, `facts.categories.${category}`);
+  }
+  return rules;
+}
+
+/**
+ * Check one rule
+ * @param {object} rule - { maxAge, maxCount }
+ * @param {string} where - For error messages
+ * @returns {{maxAge: number|null, maxCount: number|null}}
+ */
+function parseRule(rule = {}, where) {
+  const maxAge = rule.maxAge === undefined || rule.maxAge === null ? null : parseDuration(rule.maxAge);
+  const maxCount = rule.maxCount === undefined || rule.maxCount === null ? null : Number(rule.maxCount);
+  if (maxCount !== null && (!Number.isInteger(maxCount) || maxCount < 0)) {
+    throw new Error(`retention.${where}.maxCount must be a whole number (got "${rule.maxCount}")`);
+  }
+  return { maxAge, maxCount };
+}
+
+module.exports = {
+  RETENTION_TABLES,
+  DEFAULT_RETENTION,
+  parseRetention
+};
@@ -0,0 +1,141 @@
+/**
+ * Memory Search - Query building for the FTS5 index
+ *
+ * Facts, messages and conversation summaries are indexed by MemoryStore
+ * (facts_fts, messages_fts, summaries_fts). User input is turned into an FTS5
+ * query here so punctuation and stray operators can't break the syntax.
+ *
+ * Encrypted memory has no index (it would hold the plain text), so the store
+ * decrypts rows and scans them with toSearchTerms() and scanText() instead.
+ */
+
+// What `MemoryStore.search` can look in
+const SEARCH_KINDS = ['fact', 'message', 'summary'];
+const PLURALS = { facts: 'fact', messages: 'message', summaries: 'summary' };
+
+/**
+ * Build an FTS5 MATCH expression from free text
+ * @param {string} text - What the user typed
+ * @param {object} [options]
+ * @param {string} [options.match='all'] - "all" words must appear, or "any" of them
+ * @param {boolean} [options.prefix=true] - Let the last word match as a prefix (search as you type)
+ * @param {boolean} [options.raw=false] - Pass `text` through as FTS5 syntax
+ * @returns {string|null} null if there is nothing to search for
+ */
+function toFtsQuery(text, options = {}) {
+  if (options.raw) {
+    return String(text).trim() || null;
+  }
+
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu);
+  if (!words) return null;
+
+  const terms = words.map(word => `"${word}"`);
+  if (options.prefix !== false) {
+    terms[terms.length - 1] += '*';
+  }
+  return terms.join(options.match === 'any' ? ' OR ' : ' ');
+}
+
+/**
+ * Build search terms for scanning text without the index
+ * @param {string} text - What the user typed
+ * @param {object} [options] - As for toFtsQuery (raw queries are not supported)
+ * @returns {{words: string[], prefix: string|null, match: string}|null} null if there is nothing to search for
+ */
+function toSearchTerms(text, options = {}) {
+  if (options.raw) {
+    throw new Error('Raw queries need the full-text index, which is off while memory is encrypted');
+  }
+
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu);
+  if (!words) return null;
+
+  return {
+    words: [...new Set(words)],
+    prefix: options.prefix !== false ? words[words.length - 1] : null,
+    match: options.match === 'any' ? 'any' : 'all'
+  };
+}
+
+/**
+ * Match text against search terms
+ * @param {string} text
+ * @param {object} terms - From toSearchTerms()
+ * @param {string[]} [highlight] - Markers around matched words; builds a snippet when given
+ * @returns {{score: number, snippet?: string}|null} null if it doesn't match.
+ *   `score` is how many times the words occur.
+ */
+function scanText(text, terms, highlight = null) {
+  const tokens = [...String(text || '').matchAll(/[\p{L}\p{N}_]+/gu)];
+  const found = new Set();
+  const hits = new Set();
+
+  tokens.forEach((token, i) => {
+    const value = token[0].toLowerCase();
+    const word = terms.words.find(w => value === w || (w === terms.prefix && value.startsWith(w)));
+    if (word) {
+      found.add(word);
+      hits.add(i);
+    }
+  });
+
+  if (found.size === 0 || (terms.match === 'all' && found.size < terms.words.length)) {
+    return null;
+  }
+  if (!highlight) {
+    return { score: hits.size };
+  }
+  return { score: hits.size, snippet: buildSnippet(text, tokens, hits, highlight) };
+}
+
+/**
+ * About 16 words around the first match, matches wrapped in highlight
+ * markers (like FTS5's snippet())
+ */
+function buildSnippet(text, tokens, hits, [open, close]) {
+  const first = Math.min(...hits);
+  const from = Math.max(0, first - 4);
+  const to = Math.min(tokens.length - 1, from + 15);
+
+  const start = tokens[from].index;
+  const end = tokens[to].index + tokens[to][0].length;
+  let snippet = '';
+  let position = start;
+  for (let i = from; i <= to; i++) {
+    if (!hits.has(i)) continue;
+    const token = tokens[i];
+    snippet += text.slice(position, token.index) + open + token[0] + close;
+    position = token.index + token[0].length;
+  }
+  snippet += text.slice(position, end);
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+}
+
+/**
+ * Check a list of search kinds
+ * @param {string|string[]} kinds - Array or comma-separated string
+ * @returns {string[]}
+ */
+function parseKinds(kinds) {
+  if (!kinds) return SEARCH_KINDS;
+  const list = (Array.isArray(kinds) ? kinds : String(kinds).split(','))
+    .map(kind => String(kind).trim().toLowerCase())
+    .map(kind => PLURALS[kind] || kind)
+    .filter(Boolean);
+
+  const unknown = list.find(kind => !SEARCH_KINDS.includes(kind));
+  if (unknown) {
+    throw new Error(`Unknown search kind "${unknown}" (available: ${SEARCH_KINDS.join(', ')})`);
+  }
+  return list.length > 0 ? [...new Set(list)] : SEARCH_KINDS;
+}
+
+module.exports = {
+  SEARCH_KINDS,
+  toFtsQuery,
+  toSearchTerms,
+  scanText,
+  parseKinds
+};
@@ -1,7 +1,10 @@
 /**
  * Memory Store - SQLite-based persistent memory for Jarvis
  *
- * Stores conversations, messages, facts, and reminders
+ * Stores conversations, messages, facts, reminders, and the session output journal.
+ * Facts, messages and conversation summaries have an FTS5 full-text index.
+ * The schema is created and upgraded by the migrations in migrations.js.
+ * Sensitive columns can be encrypted at rest (see encryption.js).
  */
 
 const Database = require('better-sqlite3');
@@ -9,6 +12,35 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const crypto = require('crypto');
+const {
+  DEFAULT_CONFIDENCE,
+  DUPLICATE_THRESHOLD,
+  parseSource,
+  parseConfidence,
+  parseTags,
+  normalizeFact,
+  factSimilarity
+} = require('./facts');
+const { toFtsQuery, toSearchTerms, scanText, parseKinds } = require('./search');
+const {
+  MEMORY_KEY_ENV,
+  ENCRYPTED_COLUMNS,
+  MemoryCipher,
+  MemoryLockedError
+} = require('./encryption');
+const {
+  LATEST_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations,
+  describeSchema,
+  createSearchIndex,
+  dropSearchIndex,
+  rebuildSearchIndex
+} = require('./migrations');
+
+// Automatic backups kept in ~/.claude-alwaysrunning/backups/
+const MAX_BACKUPS = 10;
 
 class MemoryStore {
   constructor(options = {}) {
@@ -23,58 +55,297 @@ class MemoryStore {
     this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL');
 
-    this.initSchema();
+    // `migrate: false` leaves an out-of-date schema for `memory migrate` to report on
+    this.migration = options.migrate === false ? null : this.migrate();
+
+    // Encrypted memory stays locked (facts and messages can't be read or
+    // written) until it has the passphrase
+    this.cipher = null;
+    this.encrypted = !!this.getSetting('encryption_salt');
+    const passphrase = options.passphrase || process.env[MEMORY_KEY_ENV];
+    if (this.encrypted && passphrase) {
+      this.unlock(passphrase);
+    }
   }
 
   /**
-   * Initialize database schema
+   * Bring the schema up to date. A database that already has tables is
+   * backed up first.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Try the migrations on a copy and report what they change
+   * @returns {{from: number, to: number, migrations: Array<{version: number, description: string}>, backup: string|null, changes?: string[]}}
    */
-  initSchema() {
-    this.db.exec(`
-      -- Conversation sessions
-      CREATE TABLE IF NOT EXISTS conversations (
-        id TEXT PRIMARY KEY,
-        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        ended_at DATETIME,
-        summary TEXT
-      );
+  migrate(options = {}) {
+    const from = getSchemaVersion(this.db);
+    const pending = getPendingMigrations(this.db)
+      .map(({ version, description }) => ({ version, description }));
+    const result = { from, to: from, migrations: pending, backup: null };
+    if (pending.length === 0) return result;
 
-      -- Individual messages
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        conversation_id TEXT,
-        role TEXT,
-        content TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conversation_id) REFERENCES conversations(id)
-      );
+    if (options.dryRun) {
+      return { ...result, to: LATEST_VERSION, changes: this.tryMigrations() };
+    }
 
-      -- Long-term facts/preferences
-      CREATE TABLE IF NOT EXISTS facts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        fact TEXT,
-        category TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
+    const hasTables = this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' LIMIT 1`).get();
+    if (hasTables) {
+      result.backup = this.backup(`v${from}`);
+    }
+    runMigrations(this.db);
+    return { ...result, to: getSchemaVersion(this.db) };
+  }
 
-      -- Scheduled reminders
-      CREATE TABLE IF NOT EXISTS reminders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        message TEXT,
-        trigger_at DATETIME,
-        cron_expression TEXT,
-        channel TEXT DEFAULT 'notification',
-        status TEXT DEFAULT 'pending',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
+  /**
+   * Run the pending migrations on a temporary copy of the database
+   * @returns {string[]} What they add, such as "column facts.pinned"
+   */
+  tryMigrations() {
+    const file = path.join(os.tmpdir(), `claude-alwaysrunning-migrate-${process.pid}-${Date.now()}.db`);
+    this.db.prepare(`VACUUM INTO ?`).run(file);
 
-      -- Create indexes for performance
-      CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
-      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_facts_category ON facts(category);
-      CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status);
-      CREATE INDEX IF NOT EXISTS idx_reminders_trigger ON reminders(trigger_at);
-    `);
+    const copy = new Database(file);
+    try {
+      const before = describeSchema(copy);
+      runMigrations(copy);
+      const added = [...describeSchema(copy)].filter(entry => !before.has(entry));
+      // Columns are only worth listing for tables that already existed
+      return added.filter(entry => !entry.startsWith('column ') ||
+        before.has(`table ${entry.slice(7).split('.')[0]}`));
+    } finally {
+      copy.close();
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  /**
+   * The schema version memory.db is at
+   * @returns {number}
+   */
+  getSchemaVersion() {
+    return getSchemaVersion(this.db);
+  }
+
+  /**
+   * Re-index every fact, message and summary
+   */
+  rebuildSearchIndex() {
+    if (this.encrypted) return;
+    this.db.transaction(() => rebuildSearchIndex(this.db))();
+  }
+
+  /**
+   * Read a value from the settings table
+   * @returns {string|null}
+   */
+  getSetting(key) {
+    return readSetting(this.db, key);
+  }
+
+  /**
+   * Write a value to the settings table (null removes it)
+   */
+  setSetting(key, value) {
+    writeSetting(this.db, key, value);
+  }
+
+  // =========================================================================
+  // Encryption
+  // =========================================================================
+
+  /**
+   * Give encrypted memory its passphrase
+   * @param {string} passphrase
+   * @throws If the passphrase is wrong
+   */
+  unlock(passphrase) {
+    const cipher = MemoryCipher.fromPassphrase(passphrase, this.getSetting('encryption_salt'));
+    if (!cipher.verifyCheck(this.getSetting('encryption_check'))) {
+      throw new Error('Wrong memory passphrase');
+    }
+    this.cipher = cipher;
+  }
+
+  /**
+   * Whether memory is encrypted but has no passphrase yet
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.encrypted && !this.cipher;
+  }
+
+  /**
+   * Encrypt all stored fact text, message content, conversation summaries
+   * and journal entries. The full-text index is dropped, since it would
+   * keep the plain text; search scans the decrypted rows instead.
+   * memory.db is backed up first, and every backup is then encrypted too.
+   * @param {string} passphrase
+   * @returns {{backup: string, backups: string[], unconverted: Array<{file: string, error: string}>}}
+   *   See convertBackups()
+   */
+  enableEncryption(passphrase) {
+    if (this.encrypted) {
+      throw new Error('Memory is already encrypted');
+    }
+
+    const salt = MemoryCipher.createSalt();
+    const cipher = MemoryCipher.fromPassphrase(passphrase, salt);
+    const backup = this.backup('encrypt');
+
+    convertEncryption(this.db, null, cipher, salt);
+    this.encrypted = true;
+    this.cipher = cipher;
+    this.compact();
+
+    // The backups, the one just taken included, still hold the plain text
+    return { backup, ...this.convertBackups(null, cipher, salt) };
+  }
+
+  /**
+   * Re-encrypt everything, backups included, under a new passphrase
+   * @param {string} passphrase - The new passphrase
+   * @returns {{backup: string, backups: string[], unconverted: Array<{file: string, error: string}>}}
+   */
+  rotateEncryptionKey(passphrase) {
+    if (!this.encrypted) {
+      throw new Error('Memory is not encrypted');
+    }
+    if (!this.cipher) {
+      throw new MemoryLockedError();
+    }
+
+    const previous = this.cipher;
+    const salt = MemoryCipher.createSalt();
+    const cipher = MemoryCipher.fromPassphrase(passphrase, salt);
+    const backup = this.backup('rotate');
+
+    convertEncryption(this.db, previous, cipher, salt);
+    this.cipher = cipher;
+    this.compact();
+
+    // Backups under the old passphrase would stay readable with it
+    return { backup, ...this.convertBackups(previous, cipher, salt) };
+  }
+
+  /**
+   * Decrypt everything, backups included, and bring back the full-text index
+   * @returns {{backup: string, backups: string[], unconverted: Array<{file: string, error: string}>}}
+   */
+  disableEncryption() {
+    if (!this.encrypted) {
+      throw new Error('Memory is not encrypted');
+    }
+    if (!this.cipher) {
+      throw new MemoryLockedError();
+    }
+
+    const previous = this.cipher;
+    const backup = this.backup('decrypt');
+
+    convertEncryption(this.db, previous, null, null);
+    this.encrypted = false;
+    this.cipher = null;
+    this.compact();
+
+    // Backups would otherwise need a passphrase that is no longer in use
+    return { backup, ...this.convertBackups(previous, null, null) };
+  }
+
+  /**
+   * Apply an encryption change to every backup, so that no copy of memory
+   * keeps the plain text or data under a replaced passphrase
+   * @param {MemoryCipher|null} from - Key the backups are encrypted with (null: not encrypted)
+   * @param {MemoryCipher|null} to - Key to encrypt them with (null: decrypt them)
+   * @param {string|null} salt - Salt `to` was derived with
+   * @returns {{backups: string[], unconverted: Array<{file: string, error: string}>}}
+   *   backups: files converted; unconverted: files left as they were (damaged,
+   *   or not in the state `from` describes), for the user to deal with
+   */
+  convertBackups(from, to, salt) {
+    const backups = [];
+    const unconverted = [];
+
+    for (const file of this.listBackups()) {
+      let db = null;
+      try {
+        db = new Database(file);
+        const check = readSetting(db, 'encryption_check');
+        if (from ? !check || !from.verifyCheck(check) : check) {
+          throw new Error(check ? 'Encrypted with another passphrase' : 'Not encrypted');
+        }
+        convertEncryption(db, from, to, salt);
+        // Leave no old copies of the rows in free pages
+        db.exec('VACUUM');
+        backups.push(file);
+      } catch (err) {
+        unconverted.push({ file, error: err.message });
+      } finally {
+        if (db) db.close();
+      }
+    }
+    return { backups, unconverted };
+  }
+
+  /**
+   * Rewrite the file so no old copies of the rows are left in free pages or the WAL
+   */
+  compact() {
+    this.db.exec('VACUUM');
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+  }
+
+  /**
+   * Prepare a value of an encrypted column for storage
+   */
+  encryptValue(value) {
+    if (!this.encrypted || value === null || value === undefined) return value;
+    if (!this.cipher) throw new MemoryLockedError();
+    return this.cipher.encrypt(value);
+  }
+
+  /**
+   * Read a value of an encrypted column
+   */
+  decryptValue(value) {
+    if (!this.encrypted || value === null || value === undefined) return value;
+    if (!this.cipher) throw new MemoryLockedError();
+    return this.cipher.decrypt(value);
+  }
+
+  /**
+   * A facts row as returned to callers (decrypted, tags as an array)
+   */
+  decodeFact(row) {
+    return parseFactRow({ ...row, fact: this.decryptValue(row.fact) });
+  }
+
+  /**
+   * A messages row with its content decrypted
+   */
+  decodeMessage(row) {
+    return { ...row, content: this.decryptValue(row.content) };
+  }
+
+  /**
+   * A conversations row with its summary decrypted
+   */
+  decodeConversation(row) {
+    return { ...row, summary: this.decryptValue(row.summary) };
+  }
+
+  /**
+   * Rank rows by scanning their decrypted text (search while encrypted)
+   * @param {object[]} rows
+   * @param {function} getText - Row -> decrypted text
+   * @param {object} terms - From toSearchTerms()
+   * @param {string[]} [highlight] - Build snippets with these markers
+   * @returns {object[]} Matching rows with `score` (and `snippet`), best first
+   */
+  scanRows(rows, getText, terms, highlight = null) {
+    const matches = [];
+    for (const row of rows) {
+      const match = scanText(getText(row), terms, highlight);
+      if (match) matches.push({ ...row, ...match });
+    }
+    return matches.sort((a, b) => b.score - a.score);
   }
 
   // =========================================================================
@@ -93,30 +364,97 @@ class MemoryStore {
   }
 
   /**
-   * End a conversation session
+   * End a conversation session (an existing summary is kept unless a new one is given)
    */
   endConversation(id, summary = null) {
     this.db.prepare(`
-      UPDATE conversations SET ended_at = CURRENT_TIMESTAMP, summary = ? WHERE id = ?
-    `).run(summary, id);
+      UPDATE conversations SET ended_at = CURRENT_TIMESTAMP, summary = COALESCE(?, summary) WHERE id = ?
+    `).run(this.encryptValue(summary), id);
+  }
+
+  /**
+   * Store a conversation's summary
+   */
+  setConversationSummary(id, summary) {
+    this.db.prepare(`
+      UPDATE conversations SET summary = ?, summarized_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(this.encryptValue(summary), id);
   }
 
   /**
    * Get conversation by ID
    */
   getConversation(id) {
-    return this.db.prepare(`
+    const row = this.db.prepare(`
       SELECT * FROM conversations WHERE id = ?
     `).get(id);
+    return row ? this.decodeConversation(row) : row;
   }
 
   /**
-   * Get recent conversations
+   * Get recent conversations, with how many messages each has
    */
   getRecentConversations(limit = 10) {
     return this.db.prepare(`
-      SELECT * FROM conversations ORDER BY started_at DESC LIMIT ?
-    `).all(limit);
+      SELECT c.*, (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count
+      FROM conversations c ORDER BY c.started_at DESC LIMIT ?
+    `).all(limit).map(row => this.decodeConversation(row));
+  }
+
+  /**
+   * Conversations whose summary is missing or older than their last message
+   * @param {object} [options]
+   * @param {number} [options.idleMinutes=0] - Only if the last message is at least this old
+   * @param {number} [options.minMessages=2] - Only with at least this many messages
+   * @param {number} [options.limit=10]
+   * @returns {Array<{id: string, message_count: number, last_message_at: string}>}
+   */
+  getConversationsToSummarize(options = {}) {
+    const { idleMinutes = 0, minMessages = 2, limit = 10 } = options;
+    return this.db.prepare(`
+      SELECT c.id, COUNT(m.id) AS message_count, MAX(m.timestamp) AS last_message_at
+      FROM conversations c JOIN messages m ON m.conversation_id = c.id
+      GROUP BY c.id
+      HAVING message_count >= ?
+        AND last_message_at <= datetime('now', ?)
+        AND (c.summarized_at IS NULL OR c.summarized_at < last_message_at)
+      ORDER BY last_message_at DESC LIMIT ?
+    `).all(minMessages, `-${idleMinutes} minutes`, limit);
+  }
+
+  /**
+   * Latest conversation summaries, newest first
+   * @param {number} [limit=10]
+   * @param {string} [excludeId] - Leave out this conversation (usually the current one)
+   */
+  getRecentSummaries(limit = 10, excludeId = null) {
+    return this.db.prepare(`
+      SELECT id, started_at, ended_at, summary, summarized_at FROM conversations
+      WHERE summary IS NOT NULL AND id IS NOT ?
+      ORDER BY COALESCE(ended_at, started_at) DESC LIMIT ?
+    `).all(excludeId, limit).map(row => this.decodeConversation(row));
+  }
+
+  /**
+   * BM25 relevance of conversation summaries to some text (any word may match)
+   * @returns {Map<string, number>} Conversation ID -> score (higher is better)
+   */
+  rankSummaries(text, limit = 20) {
+    if (this.encrypted) {
+      const terms = toSearchTerms(text, { match: 'any', prefix: false });
+      if (!terms) return new Map();
+      const rows = this.db.prepare(`SELECT id, summary FROM conversations WHERE summary IS NOT NULL`).all();
+      return new Map(this.scanRows(rows, row => this.decryptValue(row.summary), terms)
+        .slice(0, limit).map(row => [row.id, row.score]));
+    }
+
+    const match = toFtsQuery(text, { match: 'any', prefix: false });
+    if (!match) return new Map();
+    const rows = this.db.prepare(`
+      SELECT conversation_id AS id, bm25(summaries_fts) AS rank FROM summaries_fts
+      WHERE summaries_fts MATCH ? ORDER BY rank LIMIT ?
+    `).all(match, limit);
+    return new Map(rows.map(row => [row.id, -row.rank]));
   }
 
   /**
@@ -137,7 +475,7 @@ class MemoryStore {
   addMessage(conversationId, role, content) {
     const result = this.db.prepare(`
       INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)
-    `).run(conversationId, role, content);
+    `).run(conversationId, role, this.encryptValue(content));
     return result.lastInsertRowid;
   }
 
@@ -146,8 +484,41 @@ class MemoryStore {
    */
   getMessages(conversationId, limit = 100) {
     return this.db.prepare(`
-      SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp ASC LIMIT ?
-    `).all(conversationId, limit);
+      SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp ASC, id ASC LIMIT ?
+    `).all(conversationId, limit).map(row => this.decodeMessage(row));
+  }
+
+  /**
+   * Get the last messages of a conversation, oldest first
+   */
+  getLatestMessages(conversationId, limit = 10) {
+    return this.db.prepare(`
+      SELECT * FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?
+    `).all(conversationId, limit).reverse().map(row => this.decodeMessage(row));
+  }
+
+  /**
+   * Messages of a conversation most relevant to some text (BM25, any word
+   * may match)
+   * @returns {Array<object>} Message rows with `score` (higher is better)
+   */
+  rankMessages(conversationId, text, limit = 20) {
+    if (this.encrypted) {
+      const terms = toSearchTerms(text, { match: 'any', prefix: false });
+      if (!terms) return [];
+      const rows = this.db.prepare(`SELECT * FROM messages WHERE conversation_id = ?`).all(conversationId)
+        .map(row => this.decodeMessage(row));
+      return this.scanRows(rows, row => row.content, terms).slice(0, limit);
+    }
+
+    const match = toFtsQuery(text, { match: 'any', prefix: false });
+    if (!match) return [];
+    return this.db.prepare(`
+      SELECT m.*, -bm25(messages_fts) AS score
+      FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid
+      WHERE messages_fts MATCH ? AND m.conversation_id = ?
+      ORDER BY score DESC LIMIT ?
+    `).all(match, conversationId, limit);
   }
 
   /**
@@ -156,7 +527,7 @@ class MemoryStore {
   getRecentMessages(limit = 50) {
     return this.db.prepare(`
       SELECT * FROM messages ORDER BY timestamp DESC LIMIT ?
-    `).all(limit);
+    `).all(limit).map(row => this.decodeMessage(row));
   }
 
   /**
@@ -173,35 +544,216 @@ class MemoryStore {
 
   /**
    * Add a fact/preference
+   * @returns {number} ID of the new fact, or of the stored fact it duplicates
+   */
+  addFact(fact, category = 'general', options = {}) {
+    return this.upsertFact(fact, { ...options, category }).id;
+  }
+
+  /**
+   * Add a fact unless a near-duplicate is already stored. A fact with the
+   * same normalised text is merged: its tags are combined, the higher
+   * confidence is kept and updated_at is touched. A near-duplicate that says
+   * something different (a changed day, place or number) is most likely a
+   * correction, so its text, source and confidence replace the stored ones
+   * (tags are still combined).
+   * @param {string} fact - Fact text
+   * @param {object} [options]
+   * @param {string} [options.category='general']
+   * @param {string|string[]} [options.tags]
+   * @param {number} [options.confidence] - 0 to 1 (default depends on source)
+   * @param {string} [options.source='manual'] - manual, extracted, whatsapp, voice or system
+   * @param {boolean} [options.pinned=false] - Always include in memory context
+   * @param {boolean} [options.dedupe=true] - Check for near-duplicates first
+   * @returns {{id: number, duplicate: boolean, updated: boolean, previous?: string, fact: object}}
+   *   `updated` when a near-duplicate was replaced; `previous` is its old text
    */
-  addFact(fact, category = 'general') {
+  upsertFact(fact, options = {}) {
+    const source = parseSource(options.source || 'manual');
+    const confidence = options.confidence !== undefined && options.confidence !== null
+      ? parseConfidence(options.confidence)
+      : DEFAULT_CONFIDENCE[source];
+    const tags = parseTags(options.tags);
+
+    const existing = options.dedupe === false ? null : this.findDuplicateFact(fact);
+    if (existing && normalizeFact(existing.fact) === normalizeFact(fact)) {
+      this.db.prepare(`
+        UPDATE facts SET tags = ?, confidence = ?, pinned = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(
+        JSON.stringify(parseTags([...existing.tags, ...tags])),
+        Math.max(existing.confidence, confidence),
+        existing.pinned || options.pinned ? 1 : 0,
+        existing.id
+      );
+      return { id: existing.id, duplicate: true, updated: false, fact: this.getFact(existing.id) };
+    }
+    if (existing) {
+      const updated = this.updateFact(existing.id, {
+        fact,
+        category: options.category,
+        addTags: tags,
+        confidence,
+        source,
+        pinned: existing.pinned || Boolean(options.pinned)
+      });
+      return { id: existing.id, duplicate: false, updated: true, previous: existing.fact, fact: updated };
+    }
+
     const result = this.db.prepare(`
-      INSERT INTO facts (fact, category) VALUES (?, ?)
-    `).run(fact, category);
-    return result.lastInsertRowid;
+      INSERT INTO facts (fact, category, tags, confidence, source, pinned) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(this.encryptValue(fact), options.category || 'general', JSON.stringify(tags), confidence, source, options.pinned ? 1 : 0);
+    const id = Number(result.lastInsertRowid);
+    return { id, duplicate: false, updated: false, fact: this.getFact(id) };
+  }
+
+  /**
+   * Find a stored fact that says (nearly) the same thing
+   * @param {string} fact - Fact text
+   * @param {number} [excludeId] - Fact to leave out (when editing it)
+   * @returns {object|null} The closest match at or above DUPLICATE_THRESHOLD
+   */
+  findDuplicateFact(fact, excludeId = null) {
+    let best = null;
+    let bestScore = DUPLICATE_THRESHOLD;
+    for (const row of this.db.prepare(`SELECT * FROM facts`).iterate()) {
+      if (row.id === excludeId) continue;
+      const score = factSimilarity(fact, this.decryptValue(row.fact));
+      if (score >= bestScore) {
+        best = row;
+        bestScore = score;
+      }
+    }
+    return best ? this.decodeFact(best) : null;
+  }
+
+  /**
+   * Change a fact
+   * @param {number} id - Fact ID
+   * @param {object} changes
+   * @param {string} [changes.fact] - New text
+   * @param {string} [changes.category]
+   * @param {string|string[]} [changes.tags] - Replace all tags
+   * @param {string|string[]} [changes.addTags]
+   * @param {string|string[]} [changes.removeTags]
+   * @param {number} [changes.confidence] - 0 to 1
+   * @param {string} [changes.source]
+   * @param {boolean} [changes.pinned] - Always include in memory context
+   * @returns {object|null} The updated fact, or null if it doesn't exist
+   */
+  updateFact(id, changes = {}) {
+    const current = this.getFact(id);
+    if (!current) return null;
+
+    let tags = changes.tags !== undefined && changes.tags !== null ? parseTags(changes.tags) : current.tags;
+    tags = parseTags([...tags, ...parseTags(changes.addTags)]);
+    const removed = parseTags(changes.removeTags);
+    tags = tags.filter(tag => !removed.includes(tag));
+
+    const fact = typeof changes.fact === 'string' && changes.fact.trim() ? changes.fact.trim() : current.fact;
+
+    this.db.prepare(`
+      UPDATE facts
+      SET fact = ?, category = ?, tags = ?, confidence = ?, source = ?, pinned = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      this.encryptValue(fact),
+      changes.category || current.category,
+      JSON.stringify(tags),
+      changes.confidence !== undefined && changes.confidence !== null
+        ? parseConfidence(changes.confidence)
+        : current.confidence,
+      changes.source ? parseSource(changes.source) : current.source,
+      (typeof changes.pinned === 'boolean' ? changes.pinned : current.pinned) ? 1 : 0,
+      id
+    );
+
+    return this.getFact(id);
   }
 
   /**
    * Get all facts
+   * @param {string} [category] - Only this category
+   * @param {object} [options]
+   * @param {string} [options.tag] - Only facts with this tag
    */
-  getFacts(category = null) {
+  getFacts(category = null, options = {}) {
+    const where = [];
+    const params = [];
     if (category) {
-      return this.db.prepare(`
-        SELECT * FROM facts WHERE category = ? ORDER BY created_at DESC
-      `).all(category);
+      where.push('category = ?');
+      params.push(category);
+    }
+    if (options.tag) {
+      where.push('EXISTS (SELECT 1 FROM json_each(facts.tags) WHERE value = ?)');
+      params.push(String(options.tag).trim().toLowerCase());
     }
+
     return this.db.prepare(`
-      SELECT * FROM facts ORDER BY created_at DESC
-    `).all();
+      SELECT * FROM facts ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC
+    `).all(...params).map(row => this.decodeFact(row));
+  }
+
+  /**
+   * Get a fact by ID
+   */
+  getFact(id) {
+    const row = this.db.prepare(`
+      SELECT * FROM facts WHERE id = ?
+    `).get(id);
+    return row ? this.decodeFact(row) : undefined;
   }
 
   /**
-   * Search facts
+   * Get the facts pinned into every memory context
+   */
+  getPinnedFacts() {
+    return this.db.prepare(`
+      SELECT * FROM facts WHERE pinned = 1 ORDER BY created_at ASC
+    `).all().map(row => this.decodeFact(row));
+  }
+
+  /**
+   * BM25 relevance of facts to some text, for context selection. Any word
+   * may match.
+   * @param {string} text - Usually the user's prompt
+   * @param {number} [limit=50]
+   * @returns {Map<number, number>} Fact ID -> score (higher is better)
+   */
+  rankFacts(text, limit = 50) {
+    if (this.encrypted) {
+      const terms = toSearchTerms(text, { match: 'any', prefix: false });
+      if (!terms) return new Map();
+      const rows = this.db.prepare(`SELECT id, fact FROM facts`).all();
+      return new Map(this.scanRows(rows, row => this.decryptValue(row.fact), terms)
+        .slice(0, limit).map(row => [row.id, row.score]));
+    }
+
+    const match = toFtsQuery(text, { match: 'any', prefix: false });
+    if (!match) return new Map();
+    const rows = this.db.prepare(`
+      SELECT rowid AS id, bm25(facts_fts) AS rank FROM facts_fts
+      WHERE facts_fts MATCH ? ORDER BY rank LIMIT ?
+    `).all(match, limit);
+    return new Map(rows.map(row => [row.id, -row.rank]));
+  }
+
+  /**
+   * Search facts, best match first
    */
   searchFacts(query) {
+    if (this.encrypted) {
+      const terms = toSearchTerms(query);
+      if (!terms) return [];
+      const facts = this.db.prepare(`SELECT * FROM facts`).all().map(row => this.decodeFact(row));
+      return this.scanRows(facts, fact => fact.fact, terms).map(({ score, ...fact }) => fact);
+    }
+
+    const match = toFtsQuery(query);
+    if (!match) return [];
     return this.db.prepare(`
-      SELECT * FROM facts WHERE fact LIKE ? ORDER BY created_at DESC
-    `).all(`%${query}%`);
+      SELECT facts.* FROM facts_fts JOIN facts ON facts.id = facts_fts.rowid
+      WHERE facts_fts MATCH ? ORDER BY bm25(facts_fts)
+    `).all(match).map(row => this.decodeFact(row));
   }
 
   /**
@@ -304,6 +856,515 @@ class MemoryStore {
     return row.count;
   }
 
+  // =========================================================================
+  // Journal
+  // =========================================================================
+
+  /**
+   * Append an entry to a session's output journal
+   * @param {string} session - Session name
+   * @param {object} entry
+   * @param {string} entry.type - command, message or output
+   * @param {string} [entry.conversationId] - Conversation of the Claude process
+   * @param {string} [entry.messageType] - stream-json type of a message
+   * @param {string} [entry.requestId] - Command the entry belongs to
+   * @param {string} [entry.content] - Text of the entry
+   * @param {object} [entry.data] - Raw stream-json message
+   * @returns {number} Entry ID
+   */
+  appendJournal(session, entry) {
+    const result = this.db.prepare(`
+      INSERT INTO journal (session, conversation_id, time, type, message_type, request_id, content, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      session,
+      entry.conversationId || null,
+      entry.time || Date.now(),
+      entry.type,
+      entry.messageType || null,
+      entry.requestId != null ? String(entry.requestId) : null,
+      this.encryptValue(entry.content ?? null),
+      entry.data ? this.encryptValue(JSON.stringify(entry.data)) : null
+    );
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Page through a session's journal, newest page first
+   * @param {string} session - Session name
+   * @param {object} [options]
+   * @param {number} [options.limit=100] - Maximum entries
+   * @param {number} [options.before] - Only entries with a smaller ID (cursor for the next page back)
+   * @param {number} [options.since] - Only entries at or after this time (ms)
+   * @param {number} [options.until] - Only entries before this time (ms)
+   * @returns {{entries: object[], hasMore: boolean}} Entries in chronological order
+   */
+  getJournal(session, options = {}) {
+    const limit = options.limit || 100;
+    const conditions = ['session = ?'];
+    const params = [session];
+
+    if (options.before) {
+      conditions.push('id < ?');
+      params.push(options.before);
+    }
+    if (options.since) {
+      conditions.push('time >= ?');
+      params.push(options.since);
+    }
+    if (options.until) {
+      conditions.push('time < ?');
+      params.push(options.until);
+    }
+
+    // One extra row tells us whether there is an older page
+    const rows = this.db.prepare(`
+      SELECT * FROM journal WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?
+    `).all(...params, limit + 1);
+
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit).reverse().map(row => ({
+      id: row.id,
+      session: row.session,
+      conversationId: row.conversation_id,
+      time: row.time,
+      type: row.type,
+      messageType: row.message_type,
+      requestId: row.request_id,
+      content: this.decryptValue(row.content),
+      data: row.data ? JSON.parse(this.decryptValue(row.data)) : null
+    }));
+
+    return { entries, hasMore };
+  }
+
+  /**
+   * Get journal entry count
+   */
+  getJournalCount() {
+    const row = this.db.prepare(`SELECT COUNT(*) as count FROM journal`).get();
+    return row.count;
+  }
+
+  // =========================================================================
+  // Search
+  // =========================================================================
+
+  /**
+   * Full-text search over facts, messages and conversation summaries
+   * @param {string} query - Words to look for
+   * @param {object} [options]
+   * @param {string|string[]} [options.kinds] - fact, message and/or summary (default: all)
+   * @param {number} [options.limit=20] - Most results to return
+   * @param {string} [options.match='all'] - "all" words must appear, or "any" of them
+   * @param {boolean} [options.raw=false] - Treat the query as FTS5 syntax
+   * @param {string[]} [options.highlight=['**', '**']] - Markers around matched words in snippets
+   * @returns {Array<{kind: string, id: number|string, snippet: string, score: number, time: string}>}
+   *   Best match first. `score` is the negated BM25 rank to 4 significant digits (higher is better).
+   *   Facts add category and tags; messages add conversationId and role.
+   */
+  search(query, options = {}) {
+    if (this.encrypted) {
+      return this.scanSearch(query, options);
+    }
+
+    const match = toFtsQuery(query, options);
+    if (!match) return [];
+
+    const kinds = parseKinds(options.kinds);
+    const limit = options.limit || 20;
+    const [open, close] = options.highlight || ['**', '**'];
+    const results = [];
+
+    try {
+      if (kinds.includes('fact')) {
+        const rows = this.db.prepare(`
+          SELECT f.id, f.category, f.tags, f.created_at AS time,
+            snippet(facts_fts, 0, ?, ?, '…', 16) AS snippet, bm25(facts_fts) AS rank
+          FROM facts_fts JOIN facts f ON f.id = facts_fts.rowid
+          WHERE facts_fts MATCH ? ORDER BY rank LIMIT ?
+        `).all(open, close, match, limit);
+        for (const row of rows) {
+          const { tags } = parseFactRow(row);
+          results.push({ kind: 'fact', ...row, tags });
+        }
+      }
+
+      if (kinds.includes('message')) {
+        const rows = this.db.prepare(`
+          SELECT m.id, m.conversation_id AS conversationId, m.role, m.timestamp AS time,
+            snippet(messages_fts, 0, ?, ?, '…', 16) AS snippet, bm25(messages_fts) AS rank
+          FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid
+          WHERE messages_fts MATCH ? ORDER BY rank LIMIT ?
+        `).all(open, close, match, limit);
+        for (const row of rows) {
+          results.push({ kind: 'message', ...row });
+        }
+      }
+
+      if (kinds.includes('summary')) {
+        const rows = this.db.prepare(`
+          SELECT c.id, c.id AS conversationId, c.started_at AS time,
+            snippet(summaries_fts, 1, ?, ?, '…', 16) AS snippet, bm25(summaries_fts) AS rank
+          FROM summaries_fts JOIN conversations c ON c.id = summaries_fts.conversation_id
+          WHERE summaries_fts MATCH ? ORDER BY rank LIMIT ?
+        `).all(open, close, match, limit);
+        for (const row of rows) {
+          results.push({ kind: 'summary', ...row });
+        }
+      }
+    } catch (err) {
+      // Only raw queries can carry FTS5 syntax errors
+      if (options.raw && err.code === 'SQLITE_ERROR') {
+        throw new Error(`Invalid search query: ${err.message}`);
+      }
+      throw err;
+    }
+
+    return results
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit)
+      // BM25 ranks of common words are tiny, so round to significant digits, not decimals
+      .map(({ rank, ...result }) => ({ ...result, score: Number((-rank).toPrecision(4)) || 0 }));
+  }
+
+  /**
+   * search() for encrypted memory: decrypts and scans every row, since there
+   * is no full-text index. `score` is how often the words occur; words match
+   * exactly (no stemming) and raw queries are not supported.
+   */
+  scanSearch(query, options = {}) {
+    const terms = toSearchTerms(query, options);
+    if (!terms) return [];
+
+    const kinds = parseKinds(options.kinds);
+    const limit = options.limit || 20;
+    const highlight = options.highlight || ['**', '**'];
+    const results = [];
+
+    if (kinds.includes('fact')) {
+      const facts = this.db.prepare(`SELECT * FROM facts`).all().map(row => this.decodeFact(row));
+      for (const fact of this.scanRows(facts, row => row.fact, terms, highlight).slice(0, limit)) {
+        results.push({
+          kind: 'fact', id: fact.id, category: fact.category, tags: fact.tags,
+          time: fact.created_at, snippet: fact.snippet, score: fact.score
+        });
+      }
+    }
+
+    if (kinds.includes('message')) {
+      const messages = this.db.prepare(`SELECT * FROM messages`).all().map(row => this.decodeMessage(row));
+      for (const message of this.scanRows(messages, row => row.content, terms, highlight).slice(0, limit)) {
+        results.push({
+          kind: 'message', id: message.id, conversationId: message.conversation_id, role: message.role,
+          time: message.timestamp, snippet: message.snippet, score: message.score
+        });
+      }
+    }
+
+    if (kinds.includes('summary')) {
+      const conversations = this.db.prepare(`SELECT * FROM conversations WHERE summary IS NOT NULL`).all()
+        .map(row => this.decodeConversation(row));
+      for (const conv of this.scanRows(conversations, row => row.summary, terms, highlight).slice(0, limit)) {
+        results.push({
+          kind: 'summary', id: conv.id, conversationId: conv.id,
+          time: conv.started_at, snippet: conv.snippet, score: conv.score
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // =========================================================================
+  // Retention
+  // =========================================================================
+
+  /**
+   * Remove what the retention rules no longer keep. Pinned facts, pending
+   * reminders and conversations that haven't ended are left alone; an ended
+   * conversation is removed with its messages.
+   * @param {object} rules - From parseRetention()
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only count what would go
+   * @returns {{dryRun: boolean, removed: object, factCategories: object, total: number}}
+   *   removed: rows per table; factCategories: facts removed per category
+   */
+  prune(rules, options = {}) {
+    const dryRun = !!options.dryRun;
+    const removed = { messages: 0, conversations: 0, facts: 0, reminders: 0, journal: 0 };
+    const factCategories = {};
+
+    // Count or delete the rows of `table` matching a retention condition
+    const apply = (table, condition) => {
+      if (!condition) return 0;
+      const sql = dryRun
+        ? `SELECT COUNT(*) as count FROM ${table} WHERE ${condition.sql}`
+        : `DELETE FROM ${table} WHERE ${condition.sql}`;
+      const statement = this.db.prepare(sql);
+      return dryRun ? statement.get(...condition.params).count : statement.run(...condition.params).changes;
+    };
+
+    this.db.transaction(() => {
+      const conversations = retentionCondition('conversations', 'ended_at IS NOT NULL', [], 'ended_at', rules.conversations);
+      if (conversations) {
+        removed.messages += apply('messages', {
+          sql: `conversation_id IN (SELECT id FROM conversations WHERE ${conversations.sql})`,
+          params: conversations.params
+        });
+        removed.conversations = apply('conversations', conversations);
+      }
+
+      removed.messages += apply('messages', retentionCondition('messages', '1', [], 'timestamp', rules.messages));
+
+      const categories = Object.keys(rules.facts.categories || {});
+      for (const category of categories) {
+        const count = apply('facts', retentionCondition(
+          'facts', 'pinned = 0 AND category = ?', [category],
+          'COALESCE(updated_at, created_at)', rules.facts.categories[category]
+        ));
+        if (count > 0) factCategories[category] = count;
+        removed.facts += count;
+      }
+      // The table-wide fact rule covers the categories without one of their own
+      const otherFacts = apply('facts', retentionCondition(
+        'facts', `pinned = 0 AND IFNULL(category, '') NOT IN (${categories.map(() => '?').join(', ')})`, categories,
+        'COALESCE(updated_at, created_at)', rules.facts
+      ));
+      removed.facts += otherFacts;
+
+      removed.reminders = apply('reminders', retentionCondition(
+        'reminders', `status IN ('completed', 'cancelled')`, [], 'created_at', rules.reminders
+      ));
+      removed.journal = apply('journal', retentionCondition('journal', '1', [], 'time', rules.journal, true));
+
+      if (!dryRun) {
+        const log = this.db.prepare(`INSERT INTO prune_log (table_name, category, removed) VALUES (?, ?, ?)`);
+        for (const [table, count] of Object.entries(removed)) {
+          if (table === 'facts') continue;
+          if (count > 0) log.run(table, null, count);
+        }
+        for (const [category, count] of Object.entries(factCategories)) {
+          log.run('facts', category, count);
+        }
+        if (otherFacts > 0) log.run('facts', null, otherFacts);
+      }
+    })();
+
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+    return { dryRun, removed, factCategories, total };
+  }
+
+  /**
+   * Rows removed by retention so far
+   * @returns {{messages: number, conversations: number, facts: number, reminders: number, journal: number, lastPrunedAt: string|null}}
+   */
+  getPruneStats() {
+    const stats = { messages: 0, conversations: 0, facts: 0, reminders: 0, journal: 0, lastPrunedAt: null };
+    for (const row of this.db.prepare(`
+      SELECT table_name, SUM(removed) as removed, MAX(time) as last FROM prune_log GROUP BY table_name
+    `).all()) {
+      stats[row.table_name] = row.removed;
+      if (!stats.lastPrunedAt || row.last > stats.lastPrunedAt) stats.lastPrunedAt = row.last;
+    }
+    return stats;
+  }
+
+  /**
+   * Give the space of removed rows back to the file system
+   */
+  vacuum() {
+    this.db.exec('VACUUM');
+  }
+
+  // =========================================================================
+  // Export / Import
+  // =========================================================================
+
+  /**
+   * Everything worth moving to another machine, as plain rows
+   * (the session output journal is left out)
+   * @returns {{facts: object[], conversations: object[], messages: object[], reminders: object[]}}
+   */
+  exportData() {
+    return {
+      facts: this.db.prepare(`SELECT * FROM facts ORDER BY id`).all().map(row => this.decodeFact(row)),
+      conversations: this.db.prepare(`SELECT * FROM conversations ORDER BY started_at`).all()
+        .map(row => this.decodeConversation(row)),
+      messages: this.db.prepare(`SELECT * FROM messages ORDER BY id`).all().map(row => this.decodeMessage(row)),
+      reminders: this.db.prepare(`SELECT * FROM reminders ORDER BY id`).all()
+    };
+  }
+
+  /**
+   * Load exported rows. "merge" adds them to what is stored, skipping
+   * conversations already present, messages and reminders that are already
+   * there, and merging near-duplicate facts as upsertFact does (the newer of
+   * two near-duplicates that differ keeps its text). "replace"
+   * backs up memory.db, then swaps the stored facts, conversations, messages
+   * and reminders for the imported ones. Runs in one transaction.
+   * @param {object} data - { facts, conversations, messages, reminders }
+   * @param {object} [options]
+   * @param {string} [options.mode='merge'] - "merge" or "replace"
+   * @returns {{mode: string, backup: string|null, facts: object, conversations: object, messages: object, reminders: object}}
+   *   Per table: { added, skipped }; facts also count near-duplicates `updated` with the imported text
+   */
+  importData(data, options = {}) {
+    const mode = options.mode || 'merge';
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode "${mode}" (use merge or replace)`);
+    }
+
+    const counts = () => ({ added: 0, skipped: 0 });
+    const result = {
+      mode,
+      backup: mode === 'replace' ? this.backup('import') : null,
+      facts: { ...counts(), updated: 0 },
+      conversations: counts(),
+      messages: counts(),
+      reminders: counts()
+    };
+    const replace = mode === 'replace';
+
+    const insertFact = this.db.prepare(`
+      INSERT INTO facts (fact, category, created_at, tags, confidence, source, updated_at, pinned)
+      VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?, ?)
+    `);
+    const insertConversation = this.db.prepare(`
+      INSERT OR IGNORE INTO conversations (id, started_at, ended_at, summary, summarized_at)
+      VALUES (?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?)
+    `);
+    // Compared after decryption, since encrypting the same text twice gives different values
+    const sameTimeMessages = this.db.prepare(`
+      SELECT content FROM messages WHERE conversation_id IS ? AND role IS ? AND timestamp = ?
+    `);
+    const messageExists = (row) => sameTimeMessages.all(row.conversation_id || null, row.role || null, row.timestamp)
+      .some(existing => this.decryptValue(existing.content) === row.content);
+    const insertMessage = this.db.prepare(`
+      INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+    const reminderExists = this.db.prepare(`
+      SELECT 1 FROM reminders WHERE message = ? AND trigger_at IS ? AND cron_expression IS ?
+    `);
+    const insertReminder = this.db.prepare(`
+      INSERT INTO reminders (message, trigger_at, cron_expression, channel, status, created_at)
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+
+    this.db.transaction(() => {
+      if (replace) {
+        this.db.exec(`
+          DELETE FROM messages;
+          DELETE FROM conversations;
+          DELETE FROM facts;
+          DELETE FROM reminders;
+        `);
+      }
+
+      for (const row of data.facts || []) {
+        if (!row.fact) continue;
+        const source = parseSource(row.source || 'manual');
+        const confidence = row.confidence !== undefined && row.confidence !== null
+          ? parseConfidence(row.confidence)
+          : DEFAULT_CONFIDENCE[source];
+
+        const existing = replace ? null : this.findDuplicateFact(row.fact);
+        if (existing && normalizeFact(existing.fact) !== normalizeFact(row.fact) &&
+            !isNewer(row.updated_at || row.created_at, existing.updated_at || existing.created_at)) {
+          // The stored near-duplicate is the later statement; keep its text
+          this.updateFact(existing.id, { addTags: row.tags });
+          result.facts.skipped++;
+          continue;
+        }
+        if (existing) {
+          const { updated } = this.upsertFact(row.fact, {
+            category: row.category, tags: row.tags, confidence, source, pinned: row.pinned
+          });
+          result.facts[updated ? 'updated' : 'skipped']++;
+          continue;
+        }
+        insertFact.run(
+          this.encryptValue(row.fact), row.category || 'general', row.created_at || null,
+          JSON.stringify(parseTags(row.tags)), confidence, source,
+          row.updated_at || null, row.pinned ? 1 : 0
+        );
+        result.facts.added++;
+      }
+
+      for (const row of data.conversations || []) {
+        if (!row.id) continue;
+        const info = insertConversation.run(
+          row.id, row.started_at || null, row.ended_at || null, this.encryptValue(row.summary || null), row.summarized_at || null
+        );
+        result.conversations[info.changes ? 'added' : 'skipped']++;
+      }
+
+      for (const row of data.messages || []) {
+        if (!row.content) continue;
+        if (!replace && row.timestamp &&
+            messageExists(row)) {
+          result.messages.skipped++;
+          continue;
+        }
+        insertMessage.run(row.conversation_id || null, row.role || null, this.encryptValue(row.content), row.timestamp || null);
+        result.messages.added++;
+      }
+
+      for (const row of data.reminders || []) {
+        if (!row.message) continue;
+        if (!replace && reminderExists.get(row.message, row.trigger_at || null, row.cron_expression || null)) {
+          result.reminders.skipped++;
+          continue;
+        }
+        insertReminder.run(
+          row.message, row.trigger_at || null, row.cron_expression || null,
+          row.channel || 'notification', row.status || 'pending', row.created_at || null
+        );
+        result.reminders.added++;
+      }
+    })();
+
+    return result;
+  }
+
+  /**
+   * Copy memory.db to ~/.claude-alwaysrunning/backups/ (only the latest
+   * MAX_BACKUPS are kept)
+   * @param {string} [reason='manual'] - Goes into the file name
+   * @returns {string} Path of the backup
+   */
+  backup(reason = 'manual') {
+    const dir = path.join(this.configDir, 'backups');
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `memory-${stamp}-${reason.replace(/[^\w-]/g, '')}.db`);
+    // VACUUM INTO writes a consistent copy even while the service has the database open
+    this.db.prepare(`VACUUM INTO ?`).run(file);
+
+    for (const old of this.listBackups().slice(0, -MAX_BACKUPS)) {
+      try {
+        fs.unlinkSync(old);
+      } catch (e) {}
+    }
+    return file;
+  }
+
+  /**
+   * Backup files, oldest first
+   * @returns {string[]} Full paths
+   */
+  listBackups() {
+    const dir = path.join(this.configDir, 'backups');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => /^memory-.*\.db$/.test(name))
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
   // =========================================================================
   // Utilities
   // =========================================================================
@@ -316,24 +1377,31 @@ class MemoryStore {
       conversations: this.getConversationCount(),
       messages: this.getMessageCount(),
       facts: this.getFactCount(),
+      journalEntries: this.getJournalCount(),
       reminders: {
         pending: this.getReminderCount('pending'),
         completed: this.getReminderCount('completed'),
         cancelled: this.getReminderCount('cancelled')
-      }
+      },
+      pruned: this.getPruneStats()
     };
   }
 
   /**
-   * Clear all memory
+   * Clear all memory (memory.db is backed up first)
+   * @returns {string} Path of the backup
    */
   clearAll() {
+    const backup = this.backup('clear');
     this.db.exec(`
       DELETE FROM messages;
       DELETE FROM conversations;
       DELETE FROM facts;
       DELETE FROM reminders;
+      DELETE FROM journal;
+      DELETE FROM prune_log;
     `);
+    return backup;
   }
 
   /**
@@ -344,6 +1412,132 @@ class MemoryStore {
   }
 }
 
+/**
+ * SQL matching the rows a retention rule drops: older than maxAge, or
+ * beyond the newest maxCount
+ * @param {string} table
+ * @param {string} scope - Which rows the rule covers
+ * @param {Array} scopeParams
+ * @param {string} timeColumn - Expression to age rows by
+ * @param {{maxAge: number|null, maxCount: number|null}} rule
+ * @param {boolean} [epochMs=false] - timeColumn holds milliseconds instead of a SQLite timestamp
+ * @returns {{sql: string, params: Array}|null} null if the rule keeps everything
+ */
+function retentionCondition(table, scope, scopeParams, timeColumn, rule, epochMs = false) {
+  if (!rule) return null;
+  const parts = [];
+  const params = [];
+
+  if (rule.maxAge !== null && rule.maxAge !== undefined) {
+    const cutoff = Date.now() - rule.maxAge;
+    parts.push(`${timeColumn} < ?`);
+    params.push(epochMs ? cutoff : new Date(cutoff).toISOString().replace('T', ' ').substring(0, 19));
+  }
+  if (rule.maxCount !== null && rule.maxCount !== undefined) {
+    parts.push(`rowid NOT IN (SELECT rowid FROM ${table} WHERE ${scope} ORDER BY ${timeColumn} DESC, rowid DESC LIMIT ?)`);
+    params.push(...scopeParams, rule.maxCount);
+  }
+  if (parts.length === 0) return null;
+
+  return {
+    sql: `${scope} AND (${parts.join(' OR ')})`,
+    params: [...scopeParams, ...params]
+  };
+}
+
+/**
+ * Read a value from a database's settings table
+ * @param {Database} db - memory.db or a backup
+ * @returns {string|null}
+ */
+function readSetting(db, key) {
+  // Databases from before migration 8 (or opened with `migrate: false`) have no settings table
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'settings'`).get();
+  if (!exists) return null;
+  const row = db.prepare(`SELECT value FROM settings WHERE key = ?`).get(key);
+  return row ? row.value : null;
+}
+
+/**
+ * Write a value to a database's settings table (null removes it)
+ */
+function writeSetting(db, key, value) {
+  if (value === null || value === undefined) {
+    if (readSetting(db, key) !== null) {
+      db.prepare(`DELETE FROM settings WHERE key = ?`).run(key);
+    }
+    return;
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)`);
+  db.prepare(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`).run(key, String(value));
+}
+
+/**
+ * Re-encode the encrypted columns of memory.db or a backup, in one
+ * transaction. Encrypting drops the full-text index (it would keep the plain
+ * text); decrypting rebuilds it.
+ * @param {Database} db
+ * @param {MemoryCipher|null} from - Key the data is encrypted with (null: not encrypted)
+ * @param {MemoryCipher|null} to - Key to encrypt it with (null: decrypt)
+ * @param {string|null} salt - Salt `to` was derived with
+ */
+function convertEncryption(db, from, to, salt) {
+  const columnsOf = table => new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+
+  db.transaction(() => {
+    if (to) dropSearchIndex(db);
+
+    for (const [table, allColumns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      // Backups from older schema versions may lack a table or column
+      const existing = columnsOf(table);
+      const columns = allColumns.filter(column => existing.has(column));
+      if (columns.length === 0) continue;
+
+      const update = db.prepare(`
+        UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE rowid = ?
+      `);
+      const rows = db.prepare(`SELECT rowid AS _rowid, ${columns.join(', ')} FROM ${table}`).all();
+      for (const row of rows) {
+        update.run(...columns.map(column => {
+          const plain = from ? from.decrypt(row[column]) : row[column];
+          return to ? to.encrypt(plain) : plain;
+        }), row._rowid);
+      }
+    }
+
+    writeSetting(db, 'encryption_salt', to ? salt : null);
+    writeSetting(db, 'encryption_check', to ? to.createCheck() : null);
+
+    // Schema versions before 4 get the index from their migration
+    if (!to && getSchemaVersion(db) >= 4) {
+      createSearchIndex(db);
+      rebuildSearchIndex(db);
+    }
+  })();
+}
+
+/**
+ * Whether one stored timestamp (SQLite "YYYY-MM-DD HH:MM:SS" UTC, or ISO) is
+ * later than another. A missing timestamp is never the later one.
+ */
+function isNewer(time, than) {
+  const parse = (value) => Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+  if (!time) return false;
+  if (!than) return true;
+  return parse(time) > parse(than);
+}
+
+/**
+ * Turn a facts row's JSON tag column into an array
+ */
+function parseFactRow(row) {
+  let tags = [];
+  try {
+    tags = JSON.parse(row.tags || '[]');
+  } catch (e) {}
+  return { ...row, tags: Array.isArray(tags) ? tags : [], pinned: !!row.pinned };
+}
+
 // Singleton instance
 let instance = null;
 
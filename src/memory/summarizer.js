@@ -0,0 +1,139 @@
+/**
+ * Conversation Summarizer - Fills conversations.summary
+ *
+ * When a conversation closes, or has been idle for a while, its messages are
+ * sent to Claude in a side `claude --print` run that asks for a short
+ * summary. Summaries are searchable and ContextBuilder injects the recent
+ * and relevant ones into later prompts.
+ *
+ * Runs are done one at a time. Settings come from the `summaries` section of
+ * config.json.
+ */
+
+const DEFAULT_SUMMARY_OPTIONS = {
+  enabled: true,
+  idleMinutes: 30,             // Summarize a conversation this long after its last message
+  minMessages: 2,              // Skip shorter conversations
+  maxTranscriptChars: 20000,   // Only the latest messages that fit are sent
+  maxMessageChars: 2000,       // Longer messages are shortened
+  timeout: 2 * 60 * 1000,      // Give up on Claude after this many ms
+  model: null                  // Model for the summary run (default: the session's)
+};
+
+const SUMMARY_PROMPT = 'Summarize the conversation below between a user and an AI assistant in two to four ' +
+  'sentences. Say what the user wanted, what was decided or done, and anything left open. ' +
+  'Reply with the summary only.';
+
+class ConversationSummarizer {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   * @param {function} options.printText - ({config, prompt, timeout}) => Promise<string>, runs `claude --print`
+   * @param {function} options.getConfig - Returns the Claude settings to run with (claudePath, cwd, env, model)
+   * @param {object} [options.settings] - Overrides for DEFAULT_SUMMARY_OPTIONS
+   * @param {function} [options.log] - Logger
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.printText = options.printText;
+    this.getConfig = options.getConfig;
+    this.options = { ...DEFAULT_SUMMARY_OPTIONS, ...options.settings };
+    this.log = options.log || console.log;
+
+    this.queue = Promise.resolve();
+    this.pending = new Set();
+  }
+
+  /**
+   * Summarize a conversation if it has enough messages (queued behind other runs)
+   * @param {string} conversationId
+   * @returns {Promise<string|null>} The summary, or null if skipped or failed
+   */
+  summarize(conversationId) {
+    if (!this.options.enabled || this.pending.has(conversationId)) {
+      return Promise.resolve(null);
+    }
+    this.pending.add(conversationId);
+
+    const run = this.queue.then(() => this.run(conversationId));
+    this.queue = run.catch(() => {});
+    return run.finally(() => this.pending.delete(conversationId));
+  }
+
+  /**
+   * Summarize every conversation that has gone idle since its last summary
+   * @returns {Promise<number>} How many were summarized
+   */
+  async summarizeIdle() {
+    if (!this.options.enabled) return 0;
+
+    const conversations = this.store.getConversationsToSummarize({
+      idleMinutes: this.options.idleMinutes,
+      minMessages: this.options.minMessages
+    });
+
+    let count = 0;
+    for (const { id } of conversations) {
+      if (await this.summarize(id)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Ask Claude for the summary and store it
+   */
+  async run(conversationId) {
+    const messages = this.store.getLatestMessages(conversationId, 500);
+    if (messages.length < this.options.minMessages) return null;
+
+    const config = { ...this.getConfig() };
+    if (this.options.model) config.model = this.options.model;
+
+    try {
+      const text = await this.printText({
+        config,
+        prompt: `${SUMMARY_PROMPT}\n\n${this.buildTranscript(messages)}`,
+        timeout: this.options.timeout
+      });
+      const summary = text.trim();
+      if (!summary) return null;
+
+      this.store.setConversationSummary(conversationId, summary);
+      this.log(`Summarized conversation ${conversationId} (${messages.length} messages)`);
+      return summary;
+    } catch (err) {
+      this.log(`Failed to summarize conversation ${conversationId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The latest messages as a transcript, within maxTranscriptChars
+   */
+  buildTranscript(messages) {
+    const { maxTranscriptChars, maxMessageChars } = this.options;
+    const lines = [];
+    let length = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const msg = messages[i];
+      const content = msg.content.length > maxMessageChars
+        ? msg.content.substring(0, maxMessageChars) + '...'
+        : msg.content;
+      const line = `${msg.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+      if (length + line.length > maxTranscriptChars && lines.length > 0) {
+        lines.unshift('[earlier messages omitted]');
+        break;
+      }
+      lines.unshift(line);
+      length += line.length;
+    }
+
+    return lines.join('\n\n');
+  }
+}
+
+module.exports = {
+  ConversationSummarizer,
+  DEFAULT_SUMMARY_OPTIONS
+};
@@ -0,0 +1,144 @@
+/**
+ * Memory Transfer - Portable export format for memory.db
+ *
+ * `MemoryStore.exportData()` gives facts, conversations, messages and
+ * reminders as plain rows; this module writes them as one JSON document or
+ * as JSONL (a header line, then one record per line) and reads either back.
+ * The format is versioned so older exports keep importing after the schema
+ * changes.
+ */
+
+const EXPORT_FORMAT = 'claude-alwaysrunning-memory';
+const EXPORT_VERSION = 1;
+
+// Tables in an export, in the order they are imported (messages need their conversations)
+const EXPORT_TABLES = ['facts', 'conversations', 'messages', 'reminders'];
+
+// JSONL record type -> table
+const RECORD_TYPES = {
+  fact: 'facts',
+  conversation: 'conversations',
+  message: 'messages',
+  reminder: 'reminders'
+};
+
+/**
+ * Serialize exported rows
+ * @param {object} data - { facts, conversations, messages, reminders }
+ * @param {string} [format='json'] - "json" or "jsonl"
+ * @returns {string}
+ */
+function serializeExport(data, format = 'json') {
+  const header = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    counts: Object.fromEntries(EXPORT_TABLES.map(table => [table, (data[table] || []).length]))
+  };
+
+  if (format === 'json') {
+    const tables = Object.fromEntries(EXPORT_TABLES.map(table => [table, data[table] || []]));
+    return JSON.stringify({ ...header, ...tables }, null, 2) + '\n';
+  }
+  if (format !== 'jsonl') {
+    throw new Error(`Unknown export format "${format}" (use json or jsonl)`);
+  }
+
+  const lines = [JSON.stringify(header)];
+  for (const [type, table] of Object.entries(RECORD_TYPES)) {
+    for (const row of data[table] || []) {
+      lines.push(JSON.stringify({ type, data: row }));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse an export written by serializeExport (JSON or JSONL)
+ * @param {string} text - File contents
+ * @returns {object} { version, exportedAt, facts, conversations, messages, reminders }
+ */
+function parseExport(text) {
+  const trimmed = String(text).trim();
+  if (!trimmed) {
+    throw new Error('Export is empty');
+  }
+
+  let header;
+  const data = Object.fromEntries(EXPORT_TABLES.map(table => [table, []]));
+
+  // A JSON export parses as one document; JSONL only line by line
+  const document = tryParseJson(trimmed);
+  if (document && !Array.isArray(document)) {
+    header = document;
+    for (const table of EXPORT_TABLES) {
+      if (header[table] !== undefined && !Array.isArray(header[table])) {
+        throw new Error(`"${table}" must be an array`);
+      }
+      data[table] = header[table] || [];
+    }
+  } else {
+    const lines = trimmed.split('\n');
+    header = parseJson(lines[0], 'line 1');
+    for (let i = 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      const record = parseJson(lines[i], `line ${i + 1}`);
+      const table = RECORD_TYPES[record.type];
+      if (!table || !record.data || typeof record.data !== 'object') {
+        throw new Error(`Line ${i + 1}: unknown record "${record.type}"`);
+      }
+      data[table].push(record.data);
+    }
+  }
+
+  checkHeader(header);
+  return { version: header.version, exportedAt: header.exportedAt || null, ...data };
+}
+
+/**
+ * Check an export's format marker and version
+ */
+function checkHeader(header) {
+  if (!header || header.format !== EXPORT_FORMAT) {
+    throw new Error('Not a claude-alwaysrunning memory export');
+  }
+  if (!Number.isInteger(header.version) || header.version < 1) {
+    throw new Error(`Invalid export version "${header.version}"`);
+  }
+  if (header.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${header.version} is newer than this version supports (${EXPORT_VERSION}); update claude-alwaysrunning`);
+  }
+}
+
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseJson(text, where) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${where}: ${e.message}`);
+  }
+}
+
+/**
+ * Pick the format from a file name (.jsonl -> jsonl, anything else -> json)
+ * @returns {string}
+ */
+function formatForFile(file) {
+  return /\.jsonl$/i.test(file || '') ? 'jsonl' : 'json';
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  EXPORT_TABLES,
+  serializeExport,
+  parseExport,
+  formatForFile
+};
@@ -0,0 +1,13 @@
+/**
+ * Protocol Module - Exports
+ */
+
+const { ProtocolRouter, AUTH_LEVELS, validateParams } = require('./router');
+const { createServiceRouter } = require('./routes');
+
+module.exports = {
+  ProtocolRouter,
+  AUTH_LEVELS,
+  validateParams,
+  createServiceRouter
+};
@@ -0,0 +1,291 @@
+/**
+ * ProtocolRouter - One route table for every client transport
+ *
+ * TCP and WebSocket clients speak the same JSON messages. Each message
+ * `type` maps to a route that declares who may call it, which fields it
+ * expects and whether it targets a Claude session:
+ *
+ *   router.register('session:kill', {
+ *     params: { name: { type: 'string', required: true } },
+ *     handler: (msg, ctx) => ctx.reply({ type: 'session:killed', data: { name: msg.name } })
+ *   });
+ *
+ * Errors the router itself sends carry a `code`: invalid, unknown_type,
+ * unauthorized, forbidden, not_found or internal.
+ *
+ * Auth levels:
+ * - none: allowed before the client has authenticated
+ * - key: authenticated clients (local connections are authenticated automatically)
+ * - local: clients connected from this machine only
+ *
+ * A route may also name the API key scope it needs (`scope: 'memory:write'`).
+ * Clients that authenticated with a key must hold that scope (or `admin`);
+ * local connections without a key are not restricted.
+ *
+ * With an `onAudit` callback, every dispatched message is reported with a
+ * summary of its fields and its outcome. Long strings are shortened unless
+ * the route sets `audit: 'full'`; `audit: false` skips the route. Handlers
+ * can add details with ctx.audit({ ... }).
+ */
+
+const { API_KEY_SCOPES, hasScope } = require('../auth');
+
+const AUTH_LEVELS = ['none', 'key', 'local'];
+const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'any'];
+const AUDIT_MODES = [true, false, 'full'];
+const AUDIT_STRING_LIMIT = 200;
+
+// Router errors that mean the caller was turned away rather than the handler failing
+const DENIED_CODES = ['invalid', 'unknown_type', 'unauthorized', 'forbidden'];
+
+class ProtocolRouter {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.resolveSession] - (name) => session or null, for session routes
+   * @param {function} [options.onAudit] - (entry, ctx) Called after each message with
+   *   { route, args, result: 'ok'|'denied'|'error', detail }
+   */
+  constructor(options = {}) {
+    this.routes = new Map();
+    this.resolveSession = options.resolveSession || (() => null);
+    this.onAudit = options.onAudit || null;
+  }
+
+  /**
+   * Register a route
+   * @param {string} type - Message type
+   * @param {object} route
+   * @param {function} route.handler - (msg, ctx) => void or Promise; answers through ctx.reply
+   * @param {string} [route.auth='key'] - none, key or local
+   * @param {string} [route.scope] - API key scope the route needs
+   * @param {object} [route.params] - Field rules, e.g. { limit: { type: 'integer' } }
+   * @param {boolean} [route.session] - Look up `msg.session` and pass it as ctx.session
+   * @param {boolean|string} [route.audit=true] - false to skip auditing, 'full' to keep long strings
+   */
+  register(type, route) {
+    if (this.routes.has(type)) {
+      throw new Error(`Route "${type}" is already registered`);
+    }
+    if (typeof route.handler !== 'function') {
+      throw new Error(`Route "${type}" needs a handler`);
+    }
+
+    const auth = route.auth || 'key';
+    if (!AUTH_LEVELS.includes(auth)) {
+      throw new Error(`Route "${type}" has unknown auth level "${auth}"`);
+    }
+    if (route.scope && !API_KEY_SCOPES[route.scope]) {
+      throw new Error(`Route "${type}" has unknown scope "${route.scope}"`);
+    }
+    const audit = route.audit ?? true;
+    if (!AUDIT_MODES.includes(audit)) {
+      throw new Error(`Route "${type}" has unknown audit mode "${audit}"`);
+    }
+
+    const params = { ...route.params };
+    if (route.session) {
+      params.session = params.session || { type: 'string' };
+    }
+    for (const [name, rule] of Object.entries(params)) {
+      const types = [].concat(rule.type || 'any');
+      const unknown = types.find(t => !PARAM_TYPES.includes(t));
+      if (unknown) {
+        throw new Error(`Route "${type}" param "${name}" has unknown type "${unknown}"`);
+      }
+    }
+
+    this.routes.set(type, { ...route, type, auth, params, audit });
+    return this;
+  }
+
+  /**
+   * Check whether a message type has a route
+   */
+  has(type) {
+    return this.routes.has(type);
+  }
+
+  /**
+   * List registered routes (type, auth level, scope and params)
+   */
+  list() {
+    return [...this.routes.values()].map(({ type, auth, scope, params, session }) => ({
+      type,
+      auth,
+      scope: scope || null,
+      session: !!session,
+      params: Object.keys(params)
+    }));
+  }
+
+  /**
+   * Route a message from a client
+   * @param {object} msg - Parsed message
+   * @param {object} ctx - Caller details
+   * @param {function} ctx.reply - Send a reply to the caller
+   * @param {string} ctx.label - Name of the caller for logs
+   * @param {boolean} ctx.authenticated - Whether the caller has authenticated
+   * @param {boolean} ctx.isLocal - Whether the caller is on this machine
+   * @param {string} [ctx.keyName] - API key the caller authenticated with
+   * @param {string[]|null} [ctx.scopes] - Scopes of that key (null = unrestricted)
+   * @param {string} [ctx.transport] - tcp or ws
+   * @returns {Promise<boolean>} True if the message reached a handler
+   */
+  async dispatch(msg, ctx) {
+    const route = msg && typeof msg.type === 'string' ? this.routes.get(msg.type) : undefined;
+
+    if (!this.onAudit || (route && route.audit === false)) {
+      return this.handle(msg, { ...ctx, audit: () => {} }, route);
+    }
+
+    // Watch the first reply to learn the outcome
+    let outcome = null;
+    const details = {};
+    const handled = await this.handle(msg, {
+      ...ctx,
+      reply: (payload) => {
+        if (!outcome) outcome = payload;
+        ctx.reply(payload);
+      },
+      audit: (extra) => Object.assign(details, extra)
+    }, route);
+
+    let result = 'ok';
+    if (outcome && outcome.type === 'error') {
+      result = DENIED_CODES.includes(outcome.code) ? 'denied' : 'error';
+    }
+
+    this.onAudit({
+      route: msg && typeof msg.type === 'string' ? msg.type : null,
+      args: { ...(route ? summarizeArgs(msg, route) : {}), ...details },
+      result,
+      detail: result === 'ok' ? null : outcome.message
+    }, ctx);
+
+    return handled;
+  }
+
+  /**
+   * Check and run a message against its route
+   */
+  async handle(msg, ctx, route) {
+    const { reply } = ctx;
+
+    if (!msg || typeof msg.type !== 'string') {
+      reply({ type: 'error', code: 'invalid', message: 'Message type is required' });
+      return false;
+    }
+
+    if (!route) {
+      reply({ type: 'error', code: 'unknown_type', message: `Unknown message type "${msg.type}"` });
+      return false;
+    }
+
+    const denied = checkAuth(route, ctx);
+    if (denied) {
+      reply({ type: 'error', ...denied });
+      return false;
+    }
+
+    const invalid = validateParams(msg, route.params);
+    if (invalid) {
+      reply({ type: 'error', code: 'invalid', message: `Invalid "${msg.type}" message: ${invalid}` });
+      return false;
+    }
+
+    let session = null;
+    if (route.session) {
+      session = this.resolveSession(msg.session);
+      if (!session) {
+        reply({ type: 'error', code: 'not_found', message: `Session "${msg.session}" not found` });
+        return false;
+      }
+    }
+
+    try {
+      await route.handler(msg, { ...ctx, session });
+    } catch (err) {
+      reply({ type: 'error', code: 'internal', message: err.message });
+    }
+    return true;
+  }
+}
+
+/**
+ * Why a caller may not use a route ({code, message}), or null if it may
+ */
+function checkAuth(route, ctx) {
+  if (route.auth === 'none') return null;
+  if (!ctx.authenticated) {
+    return { code: 'unauthorized', message: 'Authentication required' };
+  }
+  if (route.auth === 'local' && !ctx.isLocal) {
+    return { code: 'forbidden', message: `"${route.type}" is only available to local clients` };
+  }
+  if (route.scope && !hasScope(ctx.scopes, route.scope)) {
+    return { code: 'forbidden', message: `API key "${ctx.keyName}" lacks the "${route.scope}" scope` };
+  }
+  return null;
+}
+
+/**
+ * The message fields a route declares, with long strings shortened
+ */
+function summarizeArgs(msg, route) {
+  const args = {};
+  for (const name of Object.keys(route.params)) {
+    const value = msg[name];
+    if (value === undefined || value === null) continue;
+    args[name] = typeof value === 'string' && route.audit !== 'full' && value.length > AUDIT_STRING_LIMIT
+      ? `${value.slice(0, AUDIT_STRING_LIMIT)}... (${value.length} chars)`
+      : value;
+  }
+  return args;
+}
+
+/**
+ * Check message fields against route params
+ * @returns {string|null} What is wrong, or null if the message is valid
+ */
+function validateParams(msg, params) {
+  for (const [name, rule] of Object.entries(params)) {
+    const value = msg[name];
+
+    // null counts as absent so clients can send optional fields unset
+    if (value === undefined || value === null) {
+      if (rule.required) return `"${name}" is required`;
+      continue;
+    }
+
+    const types = [].concat(rule.type || 'any');
+    if (!types.some(type => matchesType(value, type))) {
+      return `"${name}" must be ${types.map(article).join(' or ')}`;
+    }
+
+    if (rule.required && typeof value === 'string' && value.trim() === '') {
+      return `"${name}" must not be empty`;
+    }
+  }
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'any': return true;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+  ProtocolRouter,
+  AUTH_LEVELS,
+  validateParams
+};
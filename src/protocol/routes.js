@@ -0,0 +1,501 @@
+/**
+ * Service Routes - Every message the service understands
+ *
+ * Shared by TCP and WebSocket clients through ProtocolRouter. Handlers
+ * answer with ctx.reply; session routes get the target session as ctx.session.
+ * `scope` is the API key scope a route needs (see auth/scopes.js).
+ */
+
+const fs = require('fs');
+const { ProtocolRouter } = require('./router');
+const { DEFAULT_SESSION } = require('../session');
+
+/**
+ * Build the router for a ClaudeService
+ * @param {ClaudeService} service
+ * @returns {ProtocolRouter}
+ */
+function createServiceRouter(service) {
+  const router = new ProtocolRouter({
+    resolveSession: (name) => service.getSession(name),
+    onAudit: (entry, ctx) => service.auditRequest(entry, ctx)
+  });
+
+  registerSystemRoutes(router, service);
+  registerSessionRoutes(router, service);
+  registerMemoryRoutes(router, service);
+  registerReminderRoutes(router, service);
+  registerScheduleRoutes(router, service);
+
+  return router;
+}
+
+// ==================== System ====================
+
+function registerSystemRoutes(router, service) {
+  router.register('ping', {
+    auth: 'none',
+    audit: false,
+    handler: (msg, { reply }) => reply({ type: 'pong' })
+  });
+
+  router.register('logs:get', {
+    scope: 'admin',
+    params: { lines: { type: 'integer' } },
+    handler: (msg, { reply }) => {
+      try {
+        const logContent = fs.existsSync(service.logFile)
+          ? fs.readFileSync(service.logFile, 'utf8')
+          : '';
+        const lines = logContent.split('\n').filter(Boolean);
+        const lastLines = lines.slice(-(msg.lines || 100));
+        reply({ type: 'logs:content', data: lastLines.join('\n') });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to read logs: ${err.message}` });
+      }
+    }
+  });
+
+  router.register('crashes:list', {
+    scope: 'admin',
+    params: { limit: { type: 'integer' }, session: { type: 'string' } },
+    handler: (msg, { reply }) => {
+      reply({
+        type: 'crashes:list',
+        data: service.crashReporter.list({ limit: msg.limit, session: msg.session })
+      });
+    }
+  });
+
+  router.register('crashes:get', {
+    scope: 'admin',
+    params: { id: { type: ['string', 'number'], required: true } },
+    handler: (msg, { reply }) => {
+      const report = service.crashReporter.get(String(msg.id));
+      if (report) {
+        reply({ type: 'crashes:report', data: report });
+      } else {
+        reply({ type: 'error', code: 'not_found', message: `Crash report "${msg.id}" not found` });
+      }
+    }
+  });
+}
+
+// ==================== Sessions ====================
+
+function registerSessionRoutes(router, service) {
+  router.register('session:list', {
+    scope: 'chat',
+    handler: (msg, { reply }) => reply({ type: 'session:list', data: service.listSessions() })
+  });
+
+  router.register('session:new', {
+    scope: 'admin',
+    params: { name: { type: 'string', required: true }, cwd: { type: 'string' } },
+    handler: async (msg, { reply }) => {
+      try {
+        const session = await service.createSession(msg.name, { cwd: msg.cwd });
+        reply({ type: 'session:created', data: session.getInfo() });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to create session: ${err.message}` });
+      }
+    }
+  });
+
+  router.register('session:kill', {
+    scope: 'admin',
+    params: { name: { type: 'string', required: true } },
+    handler: (msg, { reply }) => {
+      if (msg.name === DEFAULT_SESSION) {
+        reply({ type: 'error', message: 'The default session cannot be killed' });
+      } else if (service.killSession(msg.name)) {
+        reply({ type: 'session:killed', data: { name: msg.name } });
+      } else {
+        reply({ type: 'error', code: 'not_found', message: `Session "${msg.name}" not found` });
+      }
+    }
+  });
+
+  router.register('input', {
+    scope: 'raw-input',
+    session: true,
+    audit: 'full', // Keystrokes go straight to Claude, so keep all of them
+    params: { data: { type: 'string', required: true } },
+    handler: (msg, { session, reply }) => {
+      // Raw input - send directly without modification (for interactive mode)
+      if (!session.write(msg.data)) {
+        reply({ type: 'error', message: 'Claude not running' });
+      }
+    }
+  });
+
+  router.register('command', {
+    scope: 'chat',
+    session: true,
+    params: {
+      data: { type: 'string', required: true },
+      withContext: { type: 'boolean' },
+      timeout: { type: 'number' }
+    },
+    handler: (msg, { session, reply, label }) => {
+      // Runs once Claude is ready and has finished the commands ahead of it
+      session.enqueue({ msg, reply, label });
+    }
+  });
+
+  router.register('cancel', {
+    scope: 'chat',
+    session: true,
+    params: { target: { type: ['string', 'number'] } },
+    handler: (msg, { session, reply, label }) => {
+      // `target` is the request ID of the command to cancel; without it, the running command
+      const target = msg.target ?? session.getQueueInfo().activeRequestId;
+      const where = session.cancel(msg.target);
+      if (where) {
+        service.log(`${label} cancelled ${where} command in session "${session.name}"`);
+        reply({ type: 'cancelled', target, running: where === 'running' });
+      } else if (msg.target === undefined || msg.target === null) {
+        reply({ type: 'error', message: 'No command is running' });
+      } else {
+        reply({ type: 'error', message: `No queued or running command with request ID "${msg.target}"` });
+      }
+    }
+  });
+
+  router.register('status', {
+    scope: 'chat',
+    session: true,
+    audit: false, // Polled by clients
+    handler: (msg, { session, reply }) => {
+      const info = session.getInfo();
+      reply({
+        type: 'status',
+        session: session.name,
+        running: info.running,
+        ready: info.ready,
+        health: info.health,
+        pid: process.pid,
+        port: service.port,
+        wsPort: service.port + 1,
+        clients: service.clients.size,
+        wsClients: service.wsClients.size,
+        restarts: info.restarts,
+        queuedCommands: info.queuedCommands,
+        ...session.getQueueInfo(),
+        sessions: service.listSessions()
+      });
+    }
+  });
+
+  router.register('history', {
+    scope: 'chat',
+    session: true,
+    params: {
+      limit: { type: 'integer' },
+      before: { type: 'integer' },
+      since: { type: ['string', 'number'] },
+      until: { type: ['string', 'number'] }
+    },
+    handler: (msg, { session, reply }) => {
+      let history;
+      try {
+        history = session.getHistory({
+          limit: msg.limit || 100,
+          before: msg.before,
+          since: msg.since,
+          until: msg.until
+        });
+      } catch (err) {
+        reply({ type: 'error', message: err.message });
+        return;
+      }
+      reply({
+        type: 'history',
+        session: session.name,
+        data: history.text,
+        entries: history.entries,
+        hasMore: history.hasMore,
+        // Pass as `before` to get the previous page
+        before: history.entries.length > 0 ? history.entries[0].id : null
+      });
+    }
+  });
+
+  router.register('resize', {
+    scope: 'raw-input',
+    session: true,
+    audit: false,
+    params: { cols: { type: 'integer', required: true }, rows: { type: 'integer', required: true } },
+    handler: (msg, { session }) => session.resize(msg.cols, msg.rows)
+  });
+
+  router.register('session:config', {
+    scope: 'admin',
+    session: true,
+    handler: (msg, { session, reply }) => {
+      reply({
+        type: 'session:config',
+        session: session.name,
+        data: { config: session.config, command: session.buildCommand() }
+      });
+    }
+  });
+
+  // Settings choose the program Claude runs as, so only local clients may change them
+  router.register('session:configure', {
+    session: true,
+    auth: 'local',
+    scope: 'admin',
+    params: { config: { type: 'object', required: true } },
+    handler: async (msg, { session, reply }) => {
+      try {
+        await service.configureSession(session.name, msg.config);
+        reply({
+          type: 'session:configured',
+          session: session.name,
+          data: { config: session.config, command: session.buildCommand() }
+        });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to configure session: ${err.message}` });
+      }
+    }
+  });
+}
+
+// ==================== Memory ====================
+
+function registerMemoryRoutes(router, service) {
+  const store = service.memoryStore;
+
+  router.register('memory:stats', {
+    scope: 'memory:read',
+    handler: (msg, { reply }) => reply({ type: 'memory:stats', data: store.getStats() })
+  });
+
+  router.register('memory:facts', {
+    scope: 'memory:read',
+    params: { category: { type: 'string' }, tag: { type: 'string' } },
+    handler: (msg, { reply }) => {
+      reply({ type: 'memory:facts', data: store.getFacts(msg.category || null, { tag: msg.tag }) });
+    }
+  });
+
+  // A fact already stored is merged into it (`duplicate`); a near-duplicate
+  // that differs is replaced by the new text (`updated`, old text in `previous`)
+  router.register('memory:addFact', {
+    scope: 'memory:write',
+    params: {
+      fact: { type: 'string', required: true },
+      category: { type: 'string' },
+      tags: { type: ['array', 'string'] },
+      confidence: { type: 'number' },
+      source: { type: 'string' },
+      pinned: { type: 'boolean' }
+    },
+    handler: (msg, { reply, audit }) => {
+      let result;
+      try {
+        result = store.upsertFact(msg.fact.trim(), {
+          category: msg.category || 'general',
+          tags: msg.tags,
+          confidence: msg.confidence,
+          source: msg.source,
+          pinned: msg.pinned
+        });
+      } catch (err) {
+        reply({ type: 'error', code: 'invalid', message: err.message });
+        return;
+      }
+      if (result.duplicate) audit({ duplicateOf: result.id });
+      if (result.updated) audit({ updated: result.id });
+      reply({
+        type: 'memory:factAdded',
+        data: { ...result.fact, duplicate: result.duplicate, updated: result.updated, previous: result.previous }
+      });
+    }
+  });
+
+  router.register('memory:updateFact', {
+    scope: 'memory:write',
+    params: {
+      id: { type: 'integer', required: true },
+      fact: { type: 'string' },
+      category: { type: 'string' },
+      tags: { type: ['array', 'string'] },
+      addTags: { type: ['array', 'string'] },
+      removeTags: { type: ['array', 'string'] },
+      confidence: { type: 'number' },
+      source: { type: 'string' },
+      pinned: { type: 'boolean' }
+    },
+    handler: (msg, { reply, audit }) => {
+      const before = store.getFact(msg.id);
+      if (!before) {
+        reply({ type: 'error', code: 'not_found', message: `Fact ${msg.id} not found` });
+        return;
+      }
+
+      let fact;
+      try {
+        fact = store.updateFact(msg.id, msg);
+      } catch (err) {
+        reply({ type: 'error', code: 'invalid', message: err.message });
+        return;
+      }
+      // Keep the old text, since an edit overwrites it
+      if (fact.fact !== before.fact) audit({ previous: before.fact });
+      reply({ type: 'memory:factUpdated', data: fact });
+    }
+  });
+
+  router.register('memory:deleteFact', {
+    scope: 'memory:write',
+    params: { id: { type: 'integer', required: true } },
+    handler: (msg, { reply, audit }) => {
+      // Keep what was deleted, since it can't be recovered
+      const fact = store.getFact(msg.id);
+      audit(fact ? { fact: fact.fact, category: fact.category } : { missing: true });
+      store.removeFact(msg.id);
+      reply({ type: 'memory:factDeleted', data: { id: msg.id } });
+    }
+  });
+
+  router.register('memory:search', {
+    scope: 'memory:read',
+    params: {
+      query: { type: 'string', required: true },
+      kinds: { type: ['array', 'string'] },
+      limit: { type: 'integer' },
+      match: { type: 'string' },
+      raw: { type: 'boolean' }
+    },
+    handler: (msg, { reply }) => {
+      try {
+        const results = store.search(msg.query, {
+          kinds: msg.kinds,
+          limit: Math.min(msg.limit || 20, 100),
+          match: msg.match,
+          raw: msg.raw
+        });
+        reply({ type: 'memory:search', query: msg.query, data: results });
+      } catch (err) {
+        reply({ type: 'error', code: 'invalid', message: err.message });
+      }
+    }
+  });
+
+  router.register('memory:conversations', {
+    scope: 'memory:read',
+    params: { limit: { type: 'integer' } },
+    handler: (msg, { reply }) => {
+      reply({ type: 'memory:conversations', data: store.getRecentConversations(msg.limit || 10) });
+    }
+  });
+
+  router.register('memory:messages', {
+    scope: 'memory:read',
+    params: { conversationId: { type: 'string', required: true }, limit: { type: 'integer' } },
+    handler: (msg, { reply }) => {
+      reply({ type: 'memory:messages', data: store.getMessages(msg.conversationId, msg.limit || 100) });
+    }
+  });
+}
+
+// ==================== Reminders ====================
+
+function registerReminderRoutes(router, service) {
+  router.register('reminders:list', {
+    scope: 'reminders',
+    handler: (msg, { reply }) => reply({ type: 'reminders:list', data: service.scheduler.listReminders() })
+  });
+
+  router.register('reminders:add', {
+    scope: 'reminders',
+    params: {
+      message: { type: 'string', required: true },
+      time: { type: 'string', required: true },
+      channel: { type: 'string' }
+    },
+    handler: (msg, { reply, audit }) => {
+      try {
+        const reminder = service.scheduler.addReminder(msg.message, msg.time, msg.channel || 'notification');
+        audit({ reminderId: reminder.id, triggerAt: reminder.triggerAt, cron: reminder.cron });
+        reply({ type: 'reminders:added', data: reminder });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to add reminder: ${err.message}` });
+      }
+    }
+  });
+
+  router.register('reminders:cancel', {
+    scope: 'reminders',
+    params: { id: { type: 'integer', required: true } },
+    handler: (msg, { reply, audit }) => {
+      const reminder = service.memoryStore.getReminder(msg.id);
+      audit(reminder
+        ? { message: reminder.message, triggerAt: reminder.trigger_at, cron: reminder.cron_expression, status: reminder.status }
+        : { missing: true });
+      service.scheduler.cancelReminder(msg.id);
+      reply({ type: 'reminders:cancelled', data: { id: msg.id } });
+    }
+  });
+}
+
+// ==================== Schedule ====================
+
+function registerScheduleRoutes(router, service) {
+  const jobName = { name: { type: 'string', required: true } };
+
+  router.register('schedule:status', {
+    scope: 'schedule',
+    handler: (msg, { reply }) => reply({ type: 'schedule:status', data: service.schedule.getAllStatus() })
+  });
+
+  router.register('schedule:report', {
+    scope: 'schedule',
+    handler: (msg, { reply }) => reply({ type: 'schedule:report', data: service.schedule.getReport() })
+  });
+
+  router.register('schedule:run', {
+    scope: 'schedule',
+    params: jobName,
+    handler: async (msg, { reply }) => {
+      try {
+        await service.schedule.run(msg.name);
+        reply({ type: 'schedule:ran', data: { name: msg.name, status: service.schedule.getStatus(msg.name) } });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to run scheduled job: ${err.message}` });
+      }
+    }
+  });
+
+  router.register('schedule:stop', {
+    scope: 'schedule',
+    params: jobName,
+    handler: (msg, { reply }) => {
+      try {
+        service.schedule.stop(msg.name);
+        reply({ type: 'schedule:stopped', data: { name: msg.name } });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to stop scheduled job: ${err.message}` });
+      }
+    }
+  });
+
+  router.register('schedule:start', {
+    scope: 'schedule',
+    params: { ...jobName, immediate: { type: 'boolean' } },
+    handler: (msg, { reply }) => {
+      try {
+        service.schedule.startJob(msg.name, msg.immediate || false);
+        reply({ type: 'schedule:started', data: { name: msg.name } });
+      } catch (err) {
+        reply({ type: 'error', message: `Failed to start scheduled job: ${err.message}` });
+      }
+    }
+  });
+}
+
+module.exports = {
+  createServiceRouter
+};
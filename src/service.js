@@ -3,26 +3,40 @@
  *
  * Runs Claude Code as a persistent background service with:
  * - Auto-restart on crash
+ * - Several named Claude sessions, each in its own PTY
  * - TCP socket for receiving commands
+ * - Optional HTTP API (REST + Server-Sent Events)
+ * - Optional TLS for every server, with a self-signed certificate if none is configured
  * - Response streaming to connected clients
  */
 
 const net = require('net');
-const pty = require('node-pty');
+const tls = require('tls');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const WebSocket = require('ws');
-const { getAPIKeyManager } = require('./auth');
+const { getAPIKeyManager, RateLimiter } = require('./auth');
+const { getAuditLog } = require('./audit');
 const { getSchedulerManager } = require('./scheduler');
 const { getAlertChannels } = require('./alerts');
-const { getMemoryStore } = require('./memory');
+const {
+  getMemoryStore,
+  getContextBuilder,
+  ConversationSummarizer,
+  parseRetention,
+  MemoryLockedError,
+  MEMORY_KEY_ENV
+} = require('./memory');
 const { getScheduleService } = require('./schedule');
+const { ClaudeSession, DEFAULT_SESSION, isValidSessionName, getCrashReporter, printText } = require('./session');
+const { getServiceConfig, normalizeSessionConfig, mergeSessionConfig } = require('./config');
+const { createServiceRouter } = require('./protocol');
+const { HttpApiServer } = require('./http');
+const { loadTlsOptions } = require('./tls');
 
 const DEFAULT_PORT = 3377;
-const RESTART_DELAY = 2000;
-const MAX_RESTART_ATTEMPTS = 10;
-const RESTART_RESET_TIME = 60000;
 
 class ClaudeService {
   constructor(options = {}) {
@@ -30,28 +44,36 @@ class ClaudeService {
     this.configDir = path.join(os.homedir(), '.claude-alwaysrunning');
     this.remoteMode = options.remote || false;
 
+    // Optional HTTP API (true = TCP port + 2)
+    this.httpOption = options.http || false;
+    this.httpServer = null;
+
+    // Claude process settings: config.json, plus command-line overrides for the default session
+    this.config = getServiceConfig();
+    this.claudeOptions = normalizeSessionConfig(options.claude);
+
+    // Restart policy from config.json `restart`, overridden by command-line options
+    this.restartPolicy = { ...this.config.get('restart', {}), ...options.restartPolicy };
+    this.crashReporter = getCrashReporter();
+
+    // TLS for all servers: config.json `tls` ({ enabled, cert, key }), overridden by command-line options
+    this.tlsSettings = { ...this.config.get('tls', {}), ...options.tls };
+    this.tls = null; // { cert, key, fingerprint, ... } once loaded
+
     // State
-    this.ptyProcess = null;
+    this.sessions = new Map();
     this.server = null;
     this.wsServer = null;
+    this.wssHttpsServer = null;
     this.clients = new Map();
     this.wsClients = new Map();
     this.clientIdCounter = 0;
-    this.outputBuffer = [];
-    this.maxBufferSize = 500;
-    this.jsonLineBuffer = ''; // Buffer for incomplete JSON lines
-    this.restartAttempts = 0;
-    this.lastRestartTime = 0;
     this.isShuttingDown = false;
 
-    // Claude ready state (wait for startup to complete)
-    this.claudeReady = false;
-    this.lastOutputTime = 0;
-    this.commandQueue = [];
-    this.readyCheckInterval = null;
-
-    // Authentication
-    this.apiKeyManager = this.remoteMode ? getAPIKeyManager() : null;
+    // Authentication (keys are also needed locally by the HTTP API)
+    this.apiKeyManager = getAPIKeyManager();
+    this.rateLimiter = new RateLimiter(this.config.get('rateLimit', {}));
+    this.auditLog = getAuditLog();
 
     // Scheduler and alerts
     this.scheduler = getSchedulerManager();
@@ -60,12 +82,29 @@ class ClaudeService {
     // Memory store for UI access
     this.memoryStore = getMemoryStore();
 
+    // Context injection for commands that opt in with `withContext`
+    this.contextBuilder = getContextBuilder({ ...this.config.get('context', {}), store: this.memoryStore });
+    this.extractFacts = options.extractFacts !== false;
+
+    // Summaries of finished and idle conversations, from a side `claude --print`
+    this.summarizer = new ConversationSummarizer({
+      store: this.memoryStore,
+      printText,
+      getConfig: () => this.getSummaryConfig(),
+      settings: this.config.get('summaries', {}),
+      log: (message) => this.log(message)
+    });
+
     // Schedule service for periodic jobs
     this.schedule = getScheduleService();
 
+    // Message routes shared by TCP and WebSocket clients
+    this.router = createServiceRouter(this);
+
     // Files
     this.pidFile = path.join(this.configDir, 'service.pid');
     this.portFile = path.join(this.configDir, 'service.port');
+    this.tlsFile = path.join(this.configDir, 'service.tls'); // Fingerprint for local clients
     this.logFile = path.join(this.configDir, 'service.log');
 
     // Ensure config directory exists
@@ -80,10 +119,33 @@ class ClaudeService {
   async start() {
     this.log('Starting Claude Always Running service...');
 
+    // The memory store migrates its schema when it opens
+    const migration = this.memoryStore.migration;
+    if (migration && migration.migrations.length > 0) {
+      this.log(`memory.db migrated from schema version ${migration.from} to ${migration.to}` +
+        (migration.backup ? ` (backup: ${migration.backup})` : ''));
+    }
+
+    // Every command, reply and output chunk is written to memory.db, so
+    // encrypted memory must be unlocked before anything runs
+    if (this.memoryStore.isLocked()) {
+      throw new MemoryLockedError();
+    }
+    // The store holds the key now; keep the passphrase out of the environment
+    // every child process (Claude and its tools) inherits
+    delete process.env[MEMORY_KEY_ENV];
+
     if (await this.isRunning()) {
       throw new Error('Service is already running');
     }
 
+    // Load or generate the certificate before anything listens
+    if (this.tlsSettings.enabled) {
+      this.tls = loadTlsOptions({ ...this.tlsSettings, configDir: this.configDir });
+      const source = this.tls.selfSigned ? 'self-signed' : this.tls.certPath;
+      this.log(`TLS enabled (${source}), SHA-256 fingerprint ${this.tls.fingerprint}`);
+    }
+
     // Save PID
     fs.writeFileSync(this.pidFile, process.pid.toString());
 
@@ -96,6 +158,11 @@ class ClaudeService {
     // Start WebSocket server
     await this.startWebSocketServer();
 
+    // Start HTTP API if enabled
+    if (this.httpOption) {
+      await this.startHttpServer();
+    }
+
     // Start scheduler for reminders
     this.startScheduler();
 
@@ -110,193 +177,205 @@ class ClaudeService {
   }
 
   /**
-   * Start Claude in a PTY
+   * Start the default Claude session
    */
   async startClaude() {
-    return new Promise((resolve, reject) => {
-      try {
-        const isWindows = os.platform() === 'win32';
-        const shell = isWindows ? 'cmd.exe' : process.env.SHELL || '/bin/bash';
-        const claudeCmd = 'claude --output-format stream-json';
-        const shellArgs = isWindows ? ['/c', claudeCmd] : ['-c', claudeCmd];
-
-        this.log('Starting Claude process...');
-
-        // Reset ready state
-        this.claudeReady = false;
-        this.lastOutputTime = Date.now();
-        this.startReadyCheck();
-
-        this.ptyProcess = pty.spawn(shell, shellArgs, {
-          name: 'xterm-256color',
-          cols: 120,
-          rows: 40,
-          cwd: process.env.HOME || process.env.USERPROFILE,
-          env: process.env
-        });
-
-        this.ptyProcess.onData((data) => {
-          this.handleOutput(data);
-        });
-
-        this.ptyProcess.onExit(({ exitCode }) => {
-          this.log(`Claude exited with code ${exitCode}`);
-          this.handleClaudeExit(exitCode);
-        });
-
-        this.log(`Claude started - PID: ${this.ptyProcess.pid}`);
-        resolve();
-      } catch (err) {
-        this.log(`Failed to start Claude: ${err.message}`);
-        reject(err);
-      }
-    });
+    await this.createSession(DEFAULT_SESSION);
   }
 
   /**
-   * Start checking if Claude is ready (startup complete)
+   * Create and start a named Claude session
+   * @param {string} name - Session name
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Working directory (overrides config.json)
+   * @returns {Promise<ClaudeSession>}
    */
-  startReadyCheck() {
-    // Clear any existing interval
-    if (this.readyCheckInterval) {
-      clearInterval(this.readyCheckInterval);
+  async createSession(name, options = {}) {
+    if (!isValidSessionName(name)) {
+      throw new Error(`Invalid session name "${name}"`);
+    }
+    if (this.sessions.has(name)) {
+      throw new Error(`Session "${name}" already exists`);
     }
 
-    // Check every 500ms if output has settled
-    this.readyCheckInterval = setInterval(() => {
-      const silenceTime = Date.now() - this.lastOutputTime;
+    const config = mergeSessionConfig(
+      this.config.getSessionConfig(name),
+      name === DEFAULT_SESSION ? this.claudeOptions : {}
+    );
+    if (options.cwd) {
+      config.cwd = options.cwd;
+    }
+    if (config.cwd && !fs.existsSync(config.cwd)) {
+      throw new Error(`Directory not found: ${config.cwd}`);
+    }
 
-      // Claude is ready after 4 seconds of silence (welcome screen done)
-      if (silenceTime > 4000 && !this.claudeReady) {
-        this.claudeReady = true;
-        clearInterval(this.readyCheckInterval);
-        this.readyCheckInterval = null;
-        this.log('Claude is ready (startup complete)');
+    const session = new ClaudeSession(name, {
+      config,
+      memoryStore: this.memoryStore,
+      contextBuilder: this.contextBuilder,
+      extractFacts: this.extractFacts,
+      restartPolicy: this.restartPolicy,
+      log: (message) => this.log(message)
+    });
+
+    session.on('message', (msg) => {
+      this.broadcastAll({ ...msg, session: name });
+    });
+
+    session.on('ready', () => {
+      this.broadcastAll({ type: 'ready', ready: true, session: name });
+    });
+
+    session.on('health', ({ state, reason }) => {
+      this.broadcastAll({ type: 'health', state, reason, session: name });
+    });
 
-        // Notify WebSocket clients
-        this.broadcastWs({ type: 'ready', ready: true });
+    session.on('cancelled', ({ requestId, running }) => {
+      this.broadcastAll({ type: 'cancelled', target: requestId, running, session: name });
+    });
 
-        // Process any queued commands
-        this.processCommandQueue();
+    session.on('crashed', (crash) => {
+      this.handleCrash(name, crash);
+    });
+
+    session.on('conversationEnded', ({ conversationId }) => {
+      // Conversations cut off by shutdown are picked up by the idle job next time
+      if (!this.isShuttingDown) {
+        this.summarizer.summarize(conversationId);
       }
-    }, 500);
-  }
+    });
 
-  /**
-   * Process queued commands after Claude is ready
-   */
-  processCommandQueue() {
-    while (this.commandQueue.length > 0) {
-      const { clientId, msg, isWs } = this.commandQueue.shift();
-      this.log(`Processing queued command from ${isWs ? 'WS' : 'TCP'} client ${clientId}`);
-      if (isWs) {
-        this.executeWsCommand(clientId, msg);
+    session.on('restarting', ({ attempt }) => {
+      this.broadcastAll({ type: 'status', message: `Restarting Claude (attempt ${attempt})...`, session: name });
+    });
+
+    session.on('failed', () => {
+      this.broadcastAll({ type: 'error', message: 'Claude crashed too many times', session: name });
+      if (name === DEFAULT_SESSION) {
+        this.stop();
       } else {
-        this.executeCommand(clientId, msg);
+        this.sessions.delete(name);
+        this.broadcastAll({ type: 'session:list', data: this.listSessions() });
       }
+    });
+
+    this.sessions.set(name, session);
+
+    try {
+      await session.start();
+    } catch (err) {
+      this.sessions.delete(name);
+      throw err;
     }
+
+    this.broadcastAll({ type: 'session:list', data: this.listSessions() });
+    return session;
   }
 
   /**
-   * Handle Claude exit - auto restart
+   * Write a crash report, tell clients, and raise an alert
    */
-  handleClaudeExit(exitCode) {
-    if (this.isShuttingDown) return;
-
-    const now = Date.now();
-
-    // Reset counter if stable for a while
-    if (now - this.lastRestartTime > RESTART_RESET_TIME) {
-      this.restartAttempts = 0;
+  handleCrash(name, crash) {
+    let report;
+    try {
+      report = this.crashReporter.record({ session: name, ...crash });
+      this.log(`Crash report written: ${report.id}`);
+    } catch (err) {
+      this.log(`Failed to write crash report: ${err.message}`);
+      report = { session: name, ...crash };
     }
 
-    this.restartAttempts++;
-    this.lastRestartTime = now;
-
-    if (this.restartAttempts > MAX_RESTART_ATTEMPTS) {
-      this.log(`Max restart attempts exceeded. Stopping.`);
-      this.broadcast({ type: 'error', message: 'Claude crashed too many times' });
-      this.stop();
-      return;
+    const { lastOutput, ...summary } = report;
+    this.broadcastAll({ type: 'crash', session: name, data: summary });
+
+    // config.json `crashAlert`: channel name, or false to disable
+    const channel = this.config.get('crashAlert', 'notification');
+    if (channel) {
+      const exit = crash.exitCode !== null && crash.exitCode !== undefined
+        ? `exit code ${crash.exitCode}`
+        : crash.reason || 'no exit code';
+      const next = crash.willRestart
+        ? `restarting in ${Math.round(crash.restartDelay / 1000)}s`
+        : 'giving up';
+      this.alertChannels
+        .send({ message: `Claude session "${name}" crashed (${exit}), ${next}` }, channel)
+        .catch(err => this.log(`Crash alert failed: ${err.message}`));
     }
-
-    this.log(`Restarting Claude in ${RESTART_DELAY}ms (attempt ${this.restartAttempts}/${MAX_RESTART_ATTEMPTS})`);
-    this.broadcast({ type: 'status', message: `Restarting Claude (attempt ${this.restartAttempts})...` });
-
-    setTimeout(() => {
-      this.startClaude().catch(err => {
-        this.log(`Restart failed: ${err.message}`);
-      });
-    }, RESTART_DELAY);
   }
 
   /**
-   * Handle output from Claude (stream-json format)
+   * Get a session by name (default session when no name given)
    */
-  handleOutput(data) {
-    // Track last output time for ready detection
-    this.lastOutputTime = Date.now();
-
-    // Buffer raw output for history/logs
-    this.outputBuffer.push({ time: Date.now(), data });
-    while (this.outputBuffer.length > this.maxBufferSize) {
-      this.outputBuffer.shift();
-    }
-
-    // Parse JSON lines
-    this.jsonLineBuffer += data;
-    const lines = this.jsonLineBuffer.split('\n');
-
-    // Keep the last incomplete line in buffer
-    this.jsonLineBuffer = lines.pop() || '';
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
+  getSession(name) {
+    return this.sessions.get(name || DEFAULT_SESSION) || null;
+  }
 
-      try {
-        const msg = JSON.parse(trimmed);
-        this.handleJsonMessage(msg);
-      } catch (e) {
-        // Not valid JSON, send as raw text (fallback)
-        this.broadcast({ type: 'output', data: trimmed });
-        this.broadcastWs({ type: 'output', data: trimmed });
-      }
-    }
+  /**
+   * Claude settings for summary runs: the default session's binary,
+   * directory, environment and model, without its tools
+   */
+  getSummaryConfig() {
+    const session = this.getSession();
+    const { claudePath, cwd, env, model } = session
+      ? session.config
+      : mergeSessionConfig(this.config.getSessionConfig(DEFAULT_SESSION), this.claudeOptions);
+    return { claudePath, cwd, env, model };
   }
 
   /**
-   * Handle parsed JSON message from Claude
+   * Stop and remove a session
+   * @returns {boolean} False if the session does not exist
    */
-  handleJsonMessage(msg) {
-    // Extract content based on message type
-    // Common types: assistant, tool_use, tool_result, result, system
-    const structured = {
-      type: 'message',
-      messageType: msg.type,
-      data: msg
-    };
+  killSession(name) {
+    const session = this.sessions.get(name);
+    if (!session) return false;
+
+    session.stop();
+    session.removeAllListeners();
+    this.sessions.delete(name);
+    this.log(`Session "${name}" killed`);
+    this.broadcastAll({ type: 'session:list', data: this.listSessions() });
+    return true;
+  }
 
-    // For assistant messages, extract the text content
-    if (msg.type === 'assistant' && msg.message?.content) {
-      const textContent = msg.message.content
-        .filter(c => c.type === 'text')
-        .map(c => c.text)
-        .join('');
-      structured.content = textContent;
+  /**
+   * Save new settings for a session and restart its Claude process
+   * @param {string} name - Session name
+   * @param {object} config - Settings (see ServiceConfig)
+   * @returns {Promise<ClaudeSession>}
+   */
+  async configureSession(name, config) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
     }
 
-    // For result messages (final response)
-    if (msg.type === 'result' && msg.result) {
-      structured.content = msg.result;
-      structured.isComplete = true;
+    const normalized = normalizeSessionConfig(config);
+    if (normalized.cwd && !fs.existsSync(normalized.cwd)) {
+      throw new Error(`Directory not found: ${normalized.cwd}`);
     }
 
-    // Broadcast structured message to TCP clients
-    this.broadcast(structured);
+    this.config.setSessionConfig(name, normalized);
+    this.log(`Session "${name}" reconfigured`);
+    await session.reconfigure(this.config.getSessionConfig(name));
+
+    this.broadcastAll({ type: 'session:list', data: this.listSessions() });
+    return session;
+  }
+
+  /**
+   * Summaries of all sessions
+   */
+  listSessions() {
+    return Array.from(this.sessions.values()).map(session => session.getInfo());
+  }
 
-    // Broadcast to WebSocket clients
-    this.broadcastWs(structured);
+  /**
+   * Copy a request's correlation ID onto a reply
+   */
+  withRequestId(payload, msg) {
+    if (msg.requestId === undefined) return payload;
+    return { ...payload, requestId: msg.requestId };
   }
 
   /**
@@ -304,9 +383,16 @@ class ClaudeService {
    */
   async startServer() {
     return new Promise((resolve, reject) => {
-      this.server = net.createServer((socket) => {
-        this.handleClient(socket);
-      });
+      const onConnection = (socket) => this.handleClient(socket);
+      this.server = this.tls
+        ? tls.createServer({ cert: this.tls.cert, key: this.tls.key }, onConnection)
+        : net.createServer(onConnection);
+
+      if (this.tls) {
+        this.server.on('tlsClientError', (err, socket) => {
+          this.log(`TLS handshake with ${socket.remoteAddress || 'a client'} failed: ${err.message}`);
+        });
+      }
 
       // Bind to 0.0.0.0 in remote mode, 127.0.0.1 otherwise
       const bindAddress = this.remoteMode ? '0.0.0.0' : '127.0.0.1';
@@ -323,8 +409,14 @@ class ClaudeService {
 
       this.server.listen(this.port, bindAddress, () => {
         fs.writeFileSync(this.portFile, this.port.toString());
+        if (this.tls) {
+          fs.writeFileSync(this.tlsFile, this.tls.fingerprint);
+        } else if (fs.existsSync(this.tlsFile)) {
+          fs.unlinkSync(this.tlsFile);
+        }
         const modeStr = this.remoteMode ? ' (REMOTE MODE - auth required)' : '';
-        this.log(`TCP server listening on ${bindAddress}:${this.port}${modeStr}`);
+        const tlsStr = this.tls ? ' with TLS' : '';
+        this.log(`TCP server listening on ${bindAddress}:${this.port}${tlsStr}${modeStr}`);
 
         if (this.remoteMode) {
           const keyCount = this.apiKeyManager.count();
@@ -348,25 +440,51 @@ class ClaudeService {
       const wsPort = this.port + 1;
       const bindAddress = this.remoteMode ? '0.0.0.0' : '127.0.0.1';
 
-      this.wsServer = new WebSocket.Server({
-        port: wsPort,
-        host: bindAddress
-      });
+      const onError = (err) => {
+        this.log(`WebSocket server error: ${err.message}`);
+        reject(err);
+      };
+
+      if (this.tls) {
+        // wss:// needs its own HTTPS server for the upgrade
+        this.wssHttpsServer = https.createServer({ cert: this.tls.cert, key: this.tls.key });
+        this.wsServer = new WebSocket.Server({ server: this.wssHttpsServer });
+        this.wssHttpsServer.on('error', onError);
+        this.wssHttpsServer.listen(wsPort, bindAddress, () => {
+          this.log(`WebSocket server listening on ${bindAddress}:${wsPort} (wss)`);
+          resolve();
+        });
+      } else {
+        this.wsServer = new WebSocket.Server({
+          port: wsPort,
+          host: bindAddress
+        });
+
+        this.wsServer.on('listening', () => {
+          this.log(`WebSocket server listening on ${bindAddress}:${wsPort}`);
+          resolve();
+        });
+      }
 
       this.wsServer.on('connection', (ws, req) => {
         this.handleWebSocketClient(ws, req);
       });
 
-      this.wsServer.on('listening', () => {
-        this.log(`WebSocket server listening on ${bindAddress}:${wsPort}`);
-        resolve();
-      });
+      this.wsServer.on('error', onError);
+    });
+  }
 
-      this.wsServer.on('error', (err) => {
-        this.log(`WebSocket server error: ${err.message}`);
-        reject(err);
-      });
+  /**
+   * Start the HTTP API (port from --http, or TCP port + 2)
+   */
+  async startHttpServer() {
+    const port = this.httpOption === true ? this.port + 2 : parseInt(this.httpOption);
+    this.httpServer = new HttpApiServer(this, {
+      port,
+      host: this.remoteMode ? '0.0.0.0' : '127.0.0.1',
+      tls: this.tls
     });
+    await this.httpServer.start();
   }
 
   /**
@@ -379,10 +497,18 @@ class ClaudeService {
 
     this.log(`WebSocket client ${clientId} connected from ${remoteAddr}`);
 
+    if (!isLocal && this.refuseBanned(remoteAddr, 'ws', (msg) => ws.send(JSON.stringify(msg)))) {
+      ws.close();
+      return;
+    }
+
     const clientState = {
       ws,
       authenticated: !this.remoteMode || isLocal,
-      keyName: isLocal ? 'local' : null
+      isLocal,
+      remoteAddress: remoteAddr,
+      keyName: isLocal ? 'local' : null,
+      scopes: null // Set from the API key; null = unrestricted
     };
 
     this.wsClients.set(clientId, clientState);
@@ -391,14 +517,10 @@ class ClaudeService {
       try {
         const msg = JSON.parse(data.toString());
 
-        if (!clientState.authenticated) {
-          if (msg.type === 'auth') {
-            this.handleWsAuth(clientId, msg);
-          } else {
-            this.sendToWs(clientId, { type: 'error', message: 'Authentication required' });
-          }
+        if (msg.type === 'auth' && !clientState.authenticated) {
+          this.handleWsAuth(clientId, msg);
         } else {
-          this.handleWsMessage(clientId, msg);
+          this.routeMessage(clientState, msg, (reply) => this.sendToWs(clientId, reply), `WS client ${clientId}`);
         }
       } catch (e) {
         // Ignore parse errors
@@ -420,8 +542,7 @@ class ClaudeService {
         type: 'connected',
         port: this.port,
         wsPort: this.port + 1,
-        ready: this.claudeReady,
-        running: !!this.ptyProcess
+        ...this.getDefaultSessionState()
       });
     } else {
       this.sendToWs(clientId, { type: 'auth_required', message: 'Please authenticate with API key' });
@@ -435,257 +556,164 @@ class ClaudeService {
     const clientState = this.wsClients.get(clientId);
     if (!clientState) return;
 
-    const result = this.apiKeyManager.validate(msg.key);
+    const result = this.checkApiKey(msg.key, {
+      remoteAddress: clientState.remoteAddress,
+      transport: 'ws',
+      label: `WebSocket client ${clientId}`
+    });
 
     if (result.valid) {
       clientState.authenticated = true;
       clientState.keyName = result.name;
-      this.log(`WebSocket client ${clientId} authenticated as "${result.name}"`);
+      clientState.scopes = result.scopes;
       this.sendToWs(clientId, {
         type: 'connected',
         port: this.port,
         wsPort: this.port + 1,
         authenticated: true,
-        ready: this.claudeReady,
-        running: !!this.ptyProcess
+        scopes: result.scopes,
+        ...this.getDefaultSessionState()
       });
     } else {
-      this.log(`WebSocket client ${clientId} authentication failed`);
-      this.sendToWs(clientId, { type: 'auth_failed', message: 'Invalid API key' });
+      this.sendToWs(clientId, { type: 'auth_failed', message: result.message });
       setTimeout(() => clientState.ws.close(), 1000);
     }
   }
 
   /**
-   * Handle WebSocket message
+   * Check an API key, with brute-force protection and auditing
+   * @param {string} key - Key sent by the client
+   * @param {object} client
+   * @param {string} client.remoteAddress - Client address (failures are counted per address)
+   * @param {string} client.transport - tcp, ws or http
+   * @param {string} client.label - Name of the client for logs
+   * @param {boolean} [client.quiet] - Don't log or audit successes (per-request HTTP auth)
+   * @returns {{valid: boolean, name?: string, scopes?: string[], message?: string, retryAfter?: number}}
    */
-  async handleWsMessage(clientId, msg) {
-    switch (msg.type) {
-      case 'input':
-        if (this.ptyProcess) {
-          this.ptyProcess.write(msg.data);
-        } else {
-          this.sendToWs(clientId, { type: 'error', message: 'Claude not running' });
-        }
-        break;
-
-      case 'command':
-        if (!this.claudeReady) {
-          this.log(`Claude not ready, queuing command from WS client ${clientId}`);
-          this.sendToWs(clientId, { type: 'status', message: 'Waiting for Claude to be ready...' });
-          this.commandQueue.push({ clientId, msg, isWs: true });
-        } else {
-          this.executeWsCommand(clientId, msg);
-        }
-        break;
-
-      case 'status':
-        this.sendToWs(clientId, {
-          type: 'status',
-          running: !!this.ptyProcess,
-          ready: this.claudeReady,
-          pid: process.pid,
-          port: this.port,
-          wsPort: this.port + 1,
-          clients: this.clients.size,
-          wsClients: this.wsClients.size,
-          restarts: this.restartAttempts,
-          queuedCommands: this.commandQueue.length
-        });
-        break;
-
-      case 'history':
-        const limit = msg.limit || 100;
-        const history = this.outputBuffer.slice(-limit);
-        this.sendToWs(clientId, {
-          type: 'history',
-          data: history.map(h => h.data).join('')
-        });
-        break;
-
-      case 'resize':
-        if (this.ptyProcess && msg.cols && msg.rows) {
-          this.ptyProcess.resize(msg.cols, msg.rows);
-        }
-        break;
-
-      case 'ping':
-        this.sendToWs(clientId, { type: 'pong' });
-        break;
-
-      // Memory operations
-      case 'memory:stats':
-        this.sendToWs(clientId, {
-          type: 'memory:stats',
-          data: this.memoryStore.getStats()
-        });
-        break;
-
-      case 'memory:facts':
-        this.sendToWs(clientId, {
-          type: 'memory:facts',
-          data: this.memoryStore.getFacts(msg.category || null)
-        });
-        break;
-
-      case 'memory:addFact':
-        const factId = this.memoryStore.addFact(msg.fact, msg.category || 'general');
-        this.sendToWs(clientId, {
-          type: 'memory:factAdded',
-          data: { id: factId, fact: msg.fact, category: msg.category || 'general' }
-        });
-        break;
-
-      case 'memory:deleteFact':
-        this.memoryStore.removeFact(msg.id);
-        this.sendToWs(clientId, {
-          type: 'memory:factDeleted',
-          data: { id: msg.id }
-        });
-        break;
-
-      case 'memory:conversations':
-        this.sendToWs(clientId, {
-          type: 'memory:conversations',
-          data: this.memoryStore.getRecentConversations(msg.limit || 10)
-        });
-        break;
-
-      case 'memory:messages':
-        this.sendToWs(clientId, {
-          type: 'memory:messages',
-          data: this.memoryStore.getMessages(msg.conversationId, msg.limit || 100)
-        });
-        break;
-
-      // Reminder operations
-      case 'reminders:list':
-        this.sendToWs(clientId, {
-          type: 'reminders:list',
-          data: this.scheduler.listReminders()
-        });
-        break;
+  checkApiKey(key, { remoteAddress, transport, label, quiet = false }) {
+    const banned = this.rateLimiter.banRemaining(remoteAddress);
+    if (banned > 0) {
+      this.auditLog.record('auth', { remoteAddress, transport, result: 'banned' });
+      return { valid: false, message: bannedMessage(banned), retryAfter: banned };
+    }
 
-      case 'reminders:add':
-        try {
-          const reminder = this.scheduler.addReminder(msg.message, msg.time, msg.channel || 'notification');
-          this.sendToWs(clientId, {
-            type: 'reminders:added',
-            data: reminder
-          });
-        } catch (err) {
-          this.sendToWs(clientId, {
-            type: 'error',
-            message: `Failed to add reminder: ${err.message}`
-          });
-        }
-        break;
+    const result = this.apiKeyManager.validate(key);
 
-      case 'reminders:cancel':
-        this.scheduler.cancelReminder(msg.id);
-        this.sendToWs(clientId, {
-          type: 'reminders:cancelled',
-          data: { id: msg.id }
-        });
-        break;
+    if (result.valid) {
+      this.rateLimiter.recordSuccess(remoteAddress);
+      if (quiet) return result;
+
+      const rotated = result.rotated ? ' with its pre-rotation secret' : '';
+      this.log(`${label} authenticated as "${result.name}"${rotated} (scopes: ${result.scopes.join(', ')})`);
+      this.auditLog.record('auth', {
+        keyName: result.name,
+        remoteAddress,
+        transport,
+        result: 'ok',
+        detail: result.rotated ? 'pre-rotation secret' : null
+      });
+      return result;
+    }
 
-      // Logs
-      case 'logs:get':
-        try {
-          const logContent = fs.existsSync(this.logFile)
-            ? fs.readFileSync(this.logFile, 'utf8')
-            : '';
-          const lines = logContent.split('\n').filter(Boolean);
-          const lastLines = lines.slice(-(msg.lines || 100));
-          this.sendToWs(clientId, {
-            type: 'logs:content',
-            data: lastLines.join('\n')
-          });
-        } catch (err) {
-          this.sendToWs(clientId, {
-            type: 'error',
-            message: `Failed to read logs: ${err.message}`
-          });
-        }
-        break;
+    const message = result.reason === 'expired' ? `API key "${result.name}" has expired` : 'Invalid API key';
+    const failure = this.rateLimiter.recordFailure(remoteAddress);
+    this.log(`${label} authentication failed from ${remoteAddress}: ${message}`);
+    this.auditLog.record('auth', {
+      keyName: result.name,
+      remoteAddress,
+      transport,
+      result: result.reason || 'failed',
+      detail: message
+    });
 
-      // Trigger operations
-      case 'schedule:status':
-        this.sendToWs(clientId, {
-          type: 'schedule:status',
-          data: this.schedule.getAllStatus()
-        });
-        break;
+    if (failure.banned) {
+      const duration = failure.until - Date.now();
+      this.log(`Banned ${remoteAddress} for ${Math.round(duration / 60000)} min after ${failure.failures} failed attempts`);
+      this.auditLog.record('auth:ban', {
+        remoteAddress,
+        transport,
+        result: 'banned',
+        detail: `${failure.failures} failed attempts, banned until ${new Date(failure.until).toISOString()}`
+      });
+      return { valid: false, message: bannedMessage(duration), retryAfter: duration };
+    }
 
-      case 'schedule:report':
-        this.sendToWs(clientId, {
-          type: 'schedule:report',
-          data: this.schedule.getReport()
-        });
-        break;
+    return { valid: false, message };
+  }
 
-      case 'schedule:run':
-        try {
-          await this.schedule.run(msg.name);
-          this.sendToWs(clientId, {
-            type: 'schedule:ran',
-            data: { name: msg.name, status: this.schedule.getStatus(msg.name) }
-          });
-        } catch (err) {
-          this.sendToWs(clientId, {
-            type: 'error',
-            message: `Failed to run scheduled job: ${err.message}`
-          });
-        }
-        break;
+  /**
+   * Record a routed message in the audit log
+   * Only clients that authenticated with an API key are audited; local
+   * connections without a key (the CLI, the desktop app) are not.
+   * @param {object} entry - { route, args, result, detail } from ProtocolRouter
+   * @param {object} ctx - Router context of the caller
+   */
+  auditRequest(entry, ctx) {
+    if (!ctx.scopes) return;
+    this.auditLog.record('request', {
+      keyName: ctx.keyName,
+      remoteAddress: ctx.remoteAddress,
+      transport: ctx.transport,
+      route: entry.route,
+      args: entry.args,
+      result: entry.result,
+      detail: entry.detail
+    });
+  }
 
-      case 'schedule:stop':
-        try {
-          this.schedule.stop(msg.name);
-          this.sendToWs(clientId, {
-            type: 'schedule:stopped',
-            data: { name: msg.name }
-          });
-        } catch (err) {
-          this.sendToWs(clientId, {
-            type: 'error',
-            message: `Failed to stop scheduled job: ${err.message}`
-          });
-        }
-        break;
+  /**
+   * Turn away a connection from a banned address
+   * @returns {boolean} True if the address is banned
+   */
+  refuseBanned(remoteAddress, transport, send) {
+    const banned = this.rateLimiter.banRemaining(remoteAddress);
+    if (banned === 0) return false;
+
+    this.log(`Refused connection from banned address ${remoteAddress}`);
+    this.auditLog.record('auth', { remoteAddress, transport, result: 'banned', detail: 'connection refused' });
+    send({ type: 'auth_failed', message: bannedMessage(banned) });
+    return true;
+  }
 
-      case 'schedule:start':
-        try {
-          this.schedule.startJob(msg.name, msg.immediate || false);
-          this.sendToWs(clientId, {
-            type: 'schedule:started',
-            data: { name: msg.name }
-          });
-        } catch (err) {
-          this.sendToWs(clientId, {
-            type: 'error',
-            message: `Failed to start scheduled job: ${err.message}`
-          });
-        }
-        break;
-    }
+  /**
+   * Ready/running flags of the default session for welcome messages
+   */
+  getDefaultSessionState() {
+    const session = this.getSession(DEFAULT_SESSION);
+    return {
+      ready: session ? session.claudeReady : false,
+      health: session ? session.health : 'starting',
+      running: session ? !!session.ptyProcess : false
+    };
   }
 
   /**
-   * Execute command from WebSocket client
+   * Route a message from a TCP or WebSocket client
+   * @param {object} clientState - Connection state (authenticated, isLocal, keyName, scopes)
+   * @param {object} msg - Parsed message
+   * @param {function} send - Writes a message to this client
+   * @param {string} label - Name of the client for logs
    */
-  executeWsCommand(clientId, msg) {
-    if (this.ptyProcess) {
-      this.log(`WS Client ${clientId}: ${msg.data.substring(0, 50)}...`);
-      this.ptyProcess.write(msg.data);
-      setTimeout(() => {
-        if (this.ptyProcess && !this.isShuttingDown) {
-          this.ptyProcess.write('\r');
-        }
-      }, 200);
-    } else {
-      this.sendToWs(clientId, { type: 'error', message: 'Claude not running' });
+  routeMessage(clientState, msg, send, label) {
+    // Clients that authenticated with a key are rate limited per key and per address
+    if (clientState.scopes && msg && msg.type !== 'ping') {
+      const retryAfter = this.rateLimiter.checkRequest(clientState.keyName, clientState.remoteAddress);
+      if (retryAfter > 0) {
+        send(this.withRequestId(rateLimitedError(retryAfter), msg));
+        return Promise.resolve(false);
+      }
     }
+
+    return this.router.dispatch(msg, {
+      reply: (payload) => send(this.withRequestId(payload, msg)),
+      label,
+      transport: clientState.ws ? 'ws' : 'tcp',
+      authenticated: clientState.authenticated,
+      isLocal: clientState.isLocal,
+      remoteAddress: clientState.remoteAddress,
+      keyName: clientState.keyName,
+      scopes: clientState.scopes
+    });
   }
 
   /**
@@ -720,11 +748,19 @@ class ClaudeService {
 
     this.log(`Client ${clientId} connected from ${remoteAddr}`);
 
+    if (!isLocal && this.refuseBanned(remoteAddr, 'tcp', (msg) => socket.write(JSON.stringify(msg) + '\n'))) {
+      socket.end();
+      return;
+    }
+
     // Client state
     const clientState = {
       socket,
       authenticated: !this.remoteMode || isLocal, // Local connections auto-authenticated
-      keyName: isLocal ? 'local' : null
+      isLocal,
+      remoteAddress: remoteAddr,
+      keyName: isLocal ? 'local' : null,
+      scopes: null // Set from the API key; null = unrestricted
     };
 
     this.clients.set(clientId, clientState);
@@ -742,15 +778,11 @@ class ClaudeService {
         try {
           const parsed = JSON.parse(msg);
 
-          // Check authentication for non-local connections
-          if (!clientState.authenticated) {
-            if (parsed.type === 'auth') {
-              this.handleAuth(clientId, parsed);
-            } else {
-              this.sendTo(clientId, { type: 'error', message: 'Authentication required' });
-            }
+          // Non-local connections authenticate first; the router turns away everything else
+          if (parsed.type === 'auth' && !clientState.authenticated) {
+            this.handleAuth(clientId, parsed);
           } else {
-            this.handleMessage(clientId, parsed);
+            this.routeMessage(clientState, parsed, (reply) => this.sendTo(clientId, reply), `Client ${clientId}`);
           }
         } catch (e) {
           // Ignore parse errors
@@ -769,7 +801,12 @@ class ClaudeService {
 
     // Welcome message with auth requirement
     if (clientState.authenticated) {
-      this.sendTo(clientId, { type: 'connected', port: this.port });
+      this.sendTo(clientId, {
+        type: 'connected',
+        port: this.port,
+        wsPort: this.port + 1,
+        ...this.getDefaultSessionState()
+      });
     } else {
       this.sendTo(clientId, { type: 'auth_required', message: 'Please authenticate with API key' });
     }
@@ -782,16 +819,26 @@ class ClaudeService {
     const clientState = this.clients.get(clientId);
     if (!clientState) return;
 
-    const result = this.apiKeyManager.validate(msg.key);
+    const result = this.checkApiKey(msg.key, {
+      remoteAddress: clientState.remoteAddress,
+      transport: 'tcp',
+      label: `Client ${clientId}`
+    });
 
     if (result.valid) {
       clientState.authenticated = true;
       clientState.keyName = result.name;
-      this.log(`Client ${clientId} authenticated as "${result.name}"`);
-      this.sendTo(clientId, { type: 'connected', port: this.port, authenticated: true });
+      clientState.scopes = result.scopes;
+      this.sendTo(clientId, {
+        type: 'connected',
+        port: this.port,
+        wsPort: this.port + 1,
+        authenticated: true,
+        scopes: result.scopes,
+        ...this.getDefaultSessionState()
+      });
     } else {
-      this.log(`Client ${clientId} authentication failed`);
-      this.sendTo(clientId, { type: 'auth_failed', message: 'Invalid API key' });
+      this.sendTo(clientId, { type: 'auth_failed', message: result.message });
 
       // Disconnect after failed auth
       setTimeout(() => {
@@ -802,87 +849,6 @@ class ClaudeService {
     }
   }
 
-  /**
-   * Handle message from client
-   */
-  handleMessage(clientId, msg) {
-    switch (msg.type) {
-      case 'input':
-        // Raw input - send directly without modification (for interactive mode)
-        if (this.ptyProcess) {
-          this.ptyProcess.write(msg.data);
-        } else {
-          this.sendTo(clientId, { type: 'error', message: 'Claude not running' });
-        }
-        break;
-
-      case 'command':
-        // Queue command if Claude isn't ready yet (still starting up)
-        if (!this.claudeReady) {
-          this.log(`Claude not ready, queuing command from client ${clientId}`);
-          this.sendTo(clientId, { type: 'status', message: 'Waiting for Claude to be ready...' });
-          this.commandQueue.push({ clientId, msg });
-        } else {
-          this.executeCommand(clientId, msg);
-        }
-        break;
-
-      case 'status':
-        this.sendTo(clientId, {
-          type: 'status',
-          running: !!this.ptyProcess,
-          ready: this.claudeReady,
-          pid: process.pid,
-          port: this.port,
-          clients: this.clients.size,
-          restarts: this.restartAttempts,
-          queuedCommands: this.commandQueue.length
-        });
-        break;
-
-      case 'history':
-        const limit = msg.limit || 100;
-        const history = this.outputBuffer.slice(-limit);
-        this.sendTo(clientId, {
-          type: 'history',
-          data: history.map(h => h.data).join('')
-        });
-        break;
-
-      case 'resize':
-        if (this.ptyProcess && msg.cols && msg.rows) {
-          this.ptyProcess.resize(msg.cols, msg.rows);
-        }
-        break;
-
-      case 'ping':
-        this.sendTo(clientId, { type: 'pong' });
-        break;
-    }
-  }
-
-  /**
-   * Execute a command (after Claude is ready)
-   */
-  executeCommand(clientId, msg) {
-    if (this.ptyProcess) {
-      this.log(`Client ${clientId}: ${msg.data.substring(0, 50)}...`);
-      this.log(`PTY pid=${this.ptyProcess.pid}, writing command...`);
-      // Send command first
-      const written = this.ptyProcess.write(msg.data);
-      this.log(`Command written: ${written}`);
-      // Delay then send Enter - Claude Code needs time to process input
-      setTimeout(() => {
-        if (this.ptyProcess && !this.isShuttingDown) {
-          const enterWritten = this.ptyProcess.write('\r');
-          this.log(`Sent Enter for client ${clientId}: ${enterWritten}`);
-        }
-      }, 200);
-    } else {
-      this.sendTo(clientId, { type: 'error', message: 'Claude not running' });
-    }
-  }
-
   /**
    * Send to specific client
    */
@@ -893,6 +859,15 @@ class ClaudeService {
     }
   }
 
+  /**
+   * Broadcast to all authenticated TCP and WebSocket clients
+   */
+  broadcastAll(msg) {
+    this.broadcast(msg);
+    this.broadcastWs(msg);
+    if (this.httpServer) this.httpServer.handleBroadcast(msg);
+  }
+
   /**
    * Broadcast to all authenticated clients
    */
@@ -934,17 +909,37 @@ class ClaudeService {
       },
     });
 
+    // Conversation summaries: every 10 minutes, for conversations gone idle
+    this.schedule.register('conversation-summaries', {
+      interval: 10 * 60 * 1000,  // 10 minutes
+      description: 'Summarize idle conversations',
+      handler: async () => {
+        const count = await this.summarizer.summarizeIdle();
+        if (count > 0) {
+          this.log(`Summarized ${count} idle conversation(s)`);
+        }
+      },
+    });
+
+    // Memory retention: every 6 hours unless configured otherwise
+    const retention = this.loadRetention();
+    if (retention.enabled) {
+      this.schedule.register('memory-prune', {
+        interval: retention.interval,
+        description: 'Prune memory past its retention rules',
+        handler: () => this.pruneMemory(retention),
+      });
+    }
+
     // Output buffer cleanup: every 30 minutes
     this.schedule.register('buffer-cleanup', {
       interval: 30 * 60 * 1000,  // 30 minutes
       description: 'Clean up old output buffer entries',
       handler: () => {
-        const before = this.outputBuffer.length;
-        // Keep only last 500 entries
-        if (this.outputBuffer.length > this.maxBufferSize) {
-          this.outputBuffer = this.outputBuffer.slice(-this.maxBufferSize);
+        let removed = 0;
+        for (const session of this.sessions.values()) {
+          removed += session.trimBuffer();
         }
-        const removed = before - this.outputBuffer.length;
         if (removed > 0) {
           this.log(`Buffer cleanup: removed ${removed} old entries`);
         }
@@ -989,6 +984,35 @@ class ClaudeService {
     this.log(`Schedule started: ${this.schedule.jobs.size} jobs registered`);
   }
 
+  /**
+   * Read the `retention` rules from config.json (pruning is off if they are invalid)
+   */
+  loadRetention() {
+    try {
+      return parseRetention(this.config.get('retention', {}));
+    } catch (error) {
+      this.log(`Invalid retention settings, memory will not be pruned: ${error.message}`);
+      return { enabled: false };
+    }
+  }
+
+  /**
+   * Apply the retention rules, then VACUUM if anything was removed
+   */
+  pruneMemory(rules) {
+    const result = this.memoryStore.prune(rules);
+    if (result.total === 0) return;
+
+    const removed = Object.entries(result.removed)
+      .filter(([, count]) => count > 0)
+      .map(([table, count]) => `${count} ${table}`);
+    this.log(`Memory pruned: ${removed.join(', ')}`);
+
+    if (rules.vacuum) {
+      this.memoryStore.vacuum();
+    }
+  }
+
   /**
    * Save current session info to memory
    */
@@ -999,17 +1023,19 @@ class ClaudeService {
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
         clientCount: this.clients.size + this.wsClients.size,
-        restartAttempts: this.restartAttempts,
-        outputBufferSize: this.outputBuffer.length,
+        sessionCount: this.sessions.size,
+        outputBufferSize: Array.from(this.sessions.values())
+          .reduce((sum, session) => sum + session.outputBuffer.length, 0),
       };
 
       // Store session summary as a fact for persistence
       const summary = `Session snapshot at ${new Date().toISOString()}: ` +
         `${sessionInfo.clientCount} clients, ` +
+        `${sessionInfo.sessionCount} Claude sessions, ` +
         `${sessionInfo.outputBufferSize} buffered messages, ` +
         `uptime ${Math.floor(sessionInfo.uptime / 60)} minutes`;
 
-      this.memoryStore.addFact(summary, 'session');
+      this.memoryStore.addFact(summary, 'session', { source: 'system', dedupe: false });
       this.log(`Session saved: ${summary}`);
     } catch (error) {
       this.log(`Failed to save session: ${error.message}`);
@@ -1035,11 +1061,12 @@ class ClaudeService {
       this.log('Schedule stopped');
     }
 
-    // Clear ready check interval
-    if (this.readyCheckInterval) {
-      clearInterval(this.readyCheckInterval);
-      this.readyCheckInterval = null;
+    // Stop all Claude sessions
+    for (const session of this.sessions.values()) {
+      session.stop();
+      session.removeAllListeners();
     }
+    this.sessions.clear();
 
     this.broadcast({ type: 'shutdown' });
     this.broadcastWs({ type: 'shutdown' });
@@ -1060,7 +1087,8 @@ class ClaudeService {
 
     if (this.server) this.server.close();
     if (this.wsServer) this.wsServer.close();
-    if (this.ptyProcess) this.ptyProcess.kill();
+    if (this.wssHttpsServer) this.wssHttpsServer.close();
+    if (this.httpServer) this.httpServer.stop();
 
     this.cleanup();
     this.log('Service stopped');
@@ -1073,6 +1101,7 @@ class ClaudeService {
     try {
       if (fs.existsSync(this.pidFile)) fs.unlinkSync(this.pidFile);
       if (fs.existsSync(this.portFile)) fs.unlinkSync(this.portFile);
+      if (fs.existsSync(this.tlsFile)) fs.unlinkSync(this.tlsFile);
     } catch (e) {}
   }
 
@@ -1120,6 +1149,7 @@ function getServiceStatus() {
   const configDir = path.join(os.homedir(), '.claude-alwaysrunning');
   const pidFile = path.join(configDir, 'service.pid');
   const portFile = path.join(configDir, 'service.port');
+  const tlsFile = path.join(configDir, 'service.tls');
 
   if (!fs.existsSync(pidFile)) {
     return { running: false };
@@ -1129,12 +1159,29 @@ function getServiceStatus() {
     const pid = parseInt(fs.readFileSync(pidFile, 'utf8'));
     process.kill(pid, 0);
     const port = fs.existsSync(portFile) ? parseInt(fs.readFileSync(portFile, 'utf8')) : DEFAULT_PORT;
-    return { running: true, pid, port };
+    const fingerprint = fs.existsSync(tlsFile) ? fs.readFileSync(tlsFile, 'utf8').trim() : null;
+    return { running: true, pid, port, tls: !!fingerprint, fingerprint };
   } catch (e) {
     return { running: false };
   }
 }
 
+/**
+ * Error reply for a client over its request limit
+ */
+function rateLimitedError(retryAfter) {
+  return {
+    type: 'error',
+    code: 'rate_limited',
+    retryAfter,
+    message: `Too many requests, retry in ${Math.ceil(retryAfter / 1000)}s`
+  };
+}
+
+function bannedMessage(remaining) {
+  return `Too many failed attempts, try again in ${Math.ceil(remaining / 60000)} min`;
+}
+
 /**
  * Stop service externally
  */
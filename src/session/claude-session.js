@@ -0,0 +1,1047 @@
+/**
+ * ClaudeSession - One named Claude Code process in a PTY
+ *
+ * Each session owns its own PTY, restart counter, output buffer,
+ * command queue and memory conversation. The service routes protocol
+ * messages to a session by name and rebroadcasts its events.
+ *
+ * Events:
+ * - message: Structured or raw output ({ type: 'message' | 'output', ... })
+ * - ready: Claude sent its stream-json init event, or drew its input prompt
+ * - health: ({ state, reason }) starting, ready, degraded or hung
+ * - crashed: ({ exitCode, reason, uptime, lastOutput, ... }) Claude exited unexpectedly or hung
+ * - cancelled: ({ requestId, running }) A command was cancelled or interrupted
+ * - restarting: ({ attempt, delay }) Claude exited and will be restarted
+ * - failed: Claude crashed too many times and will not be restarted
+ * - conversationEnded: ({ conversationId }) The memory conversation was closed
+ */
+
+const EventEmitter = require('events');
+const pty = require('node-pty');
+const os = require('os');
+const fs = require('fs');
+const { RestartPolicy } = require('./restart-policy');
+const { MEMORY_KEY_ENV } = require('../memory/encryption');
+
+const DEFAULT_SESSION = 'default';
+const CRASH_OUTPUT_LINES = 50;
+const DEFAULT_COMMAND_TIMEOUT = 10 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL = 5000;
+const STARTUP_TIMEOUT = 60000; // Not ready by then: hung
+const STARTUP_OUTPUT_LIMIT = 4096; // Startup output kept while looking for the prompt
+// Interactive Claude's input prompt: the "? for shortcuts" hint, or a line
+// holding only the ">" prompt (inside the input box's borders)
+const STARTUP_PROMPT = /\? for shortcuts|^[\s│]*>[\s│]*$/m;
+const ANSI_ESCAPE = /\x1b(?:\[[0-?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const DEGRADED_AFTER = 60000; // Silence while answering before we warn
+const HUNG_AFTER = 5 * 60 * 1000; // Silence while answering before the watchdog restarts Claude
+const INTERRUPT_RESULT_TIMEOUT = 5000; // Wait this long for an interrupted turn's result
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+class ClaudeSession extends EventEmitter {
+  /**
+   * @param {string} name - Session name
+   * @param {object} [options]
+   * @param {object} [options.config] - Process settings
+   * @param {string} [options.config.cwd] - Working directory (default: home directory)
+   * @param {object} [options.config.env] - Extra environment variables
+   * @param {string} [options.config.claudePath] - Claude binary (default: claude)
+   * @param {string} [options.config.model] - Model passed as --model
+   * @param {string[]} [options.config.allowedTools] - Tools passed as --allowedTools
+   * @param {string} [options.config.mcpConfig] - File passed as --mcp-config
+   * @param {string[]} [options.config.args] - Extra CLI arguments
+   * @param {MemoryStore} [options.memoryStore] - Store for conversations and messages
+   * @param {ContextBuilder} [options.contextBuilder] - Builds memory context for commands
+   * @param {boolean} [options.extractFacts=true] - Store facts found in results
+   * @param {object} [options.restartPolicy] - RestartPolicy options
+   * @param {function} [options.log] - Logger
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.setConfig(options.config);
+    this.memoryStore = options.memoryStore || null;
+    this.contextBuilder = options.contextBuilder || null;
+    this.extractFacts = options.extractFacts !== false;
+    this.logger = options.log || console.log;
+
+    // Process state
+    this.ptyProcess = null;
+    this.outputBuffer = [];
+    this.maxBufferSize = 500;
+    this.jsonLineBuffer = ''; // Buffer for incomplete JSON lines
+    this.restartPolicy = new RestartPolicy(options.restartPolicy);
+    this.restartTimer = null;
+    this.stopped = false;
+    this.createdAt = Date.now();
+
+    // Claude ready state (set by the stream-json init event or the input prompt)
+    this.claudeReady = false;
+    this.startupOutput = '';
+    this.health = 'starting';
+    this.processStartedAt = 0;
+    this.lastOutputTime = 0;
+    this.commandQueue = [];
+    this.healthCheckInterval = null;
+
+    // Current conversation in the memory store (one per Claude process)
+    this.conversationId = null;
+
+    // Command whose response is currently streaming ({ label, requestId, reply, startedAt, timer })
+    this.activeRequest = null;
+
+    // Interrupted command whose turn may still send a result ({ requestId, timer })
+    this.interruptedRequest = null;
+  }
+
+  /**
+   * Start Claude in a PTY
+   */
+  async start() {
+    return new Promise((resolve, reject) => {
+      try {
+        const isWindows = os.platform() === 'win32';
+        const shell = isWindows ? 'cmd.exe' : process.env.SHELL || '/bin/bash';
+        const claudeCmd = this.buildCommand()
+          .map(arg => quoteShellArg(arg, isWindows))
+          .join(' ');
+        const shellArgs = isWindows ? ['/c', claudeCmd] : ['-c', claudeCmd];
+
+        this.log(`Starting Claude process in ${this.cwd}...`);
+        this.stopped = false;
+
+        // Each Claude process gets its own conversation
+        this.openConversation();
+
+        // Reset ready state; Claude is ready once it sends its init event or draws its prompt
+        this.claudeReady = false;
+        this.startupOutput = '';
+        this.setHealth('starting');
+        this.processStartedAt = Date.now();
+        this.lastOutputTime = Date.now();
+        this.startHealthCheck();
+
+        const ptyProcess = pty.spawn(shell, shellArgs, {
+          name: 'xterm-256color',
+          cols: 120,
+          rows: 40,
+          cwd: this.cwd,
+          env: buildClaudeEnv(this.config)
+        });
+        this.ptyProcess = ptyProcess;
+
+        ptyProcess.onData((data) => {
+          this.handleOutput(data);
+        });
+
+        ptyProcess.onExit(({ exitCode, signal }) => {
+          // Ignore exits of processes we already replaced
+          if (this.ptyProcess !== ptyProcess) return;
+          this.log(`Claude exited with code ${exitCode}`);
+          this.ptyProcess = null;
+          this.handleExit(exitCode, signal ? `Killed by signal ${signal}` : null);
+        });
+
+        this.log(`Claude started - PID: ${ptyProcess.pid}`);
+        resolve();
+      } catch (err) {
+        this.log(`Failed to start Claude: ${err.message}`);
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Claude command line for the current settings
+   * @returns {string[]}
+   */
+  buildCommand() {
+    return buildClaudeCommand(this.config);
+  }
+
+  /**
+   * Replace the process settings (takes effect on the next start)
+   */
+  setConfig(config = {}) {
+    this.config = { ...config, env: { ...config.env } };
+    this.cwd = config.cwd || process.env.HOME || process.env.USERPROFILE;
+  }
+
+  /**
+   * Apply new settings and restart Claude with them
+   * @param {object} config - See constructor options.config
+   */
+  async reconfigure(config) {
+    this.setConfig(config);
+    await this.restart();
+  }
+
+  /**
+   * Replace the running Claude process with a fresh one
+   */
+  async restart() {
+    this.log('Restarting Claude with current settings...');
+    this.clearRestartTimer();
+    this.stopHealthCheck();
+    this.claudeReady = false;
+    this.abortActiveRequest('Claude was restarted before answering');
+    this.clearInterruptedRequest();
+
+    if (this.ptyProcess) {
+      // Clearing ptyProcess first makes onExit ignore this exit
+      const ptyProcess = this.ptyProcess;
+      this.ptyProcess = null;
+      ptyProcess.kill();
+    }
+    this.closeConversation();
+
+    // Queued commands stay queued until the new process is ready
+    await this.start();
+  }
+
+  /**
+   * Handle Claude exit - auto restart
+   */
+  handleExit(exitCode, reason = null) {
+    const uptime = this.processStartedAt ? Date.now() - this.processStartedAt : 0;
+
+    this.closeConversation();
+    this.stopHealthCheck();
+    this.claudeReady = false;
+    this.abortActiveRequest('Claude exited before answering');
+    this.clearInterruptedRequest();
+
+    if (this.stopped) return;
+
+    const decision = this.restartPolicy.next(uptime);
+
+    this.emit('crashed', {
+      exitCode,
+      reason,
+      uptime,
+      attempt: decision.attempt,
+      willRestart: decision.restart,
+      restartDelay: decision.delay,
+      cwd: this.cwd,
+      command: this.buildCommand(),
+      lastOutput: this.getLastOutputLines(CRASH_OUTPUT_LINES)
+    });
+
+    if (!decision.restart) {
+      this.log(`Max restart attempts exceeded. Giving up.`);
+      this.stopped = true;
+      this.emit('failed', { exitCode, attempts: decision.attempt - 1 });
+      return;
+    }
+
+    this.log(`Restarting Claude in ${decision.delay}ms (attempt ${decision.attempt}/${this.restartPolicy.describeLimit()})`);
+    this.emit('restarting', { attempt: decision.attempt, delay: decision.delay, exitCode });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.stopped) return;
+      this.start().catch(err => {
+        this.log(`Restart failed: ${err.message}`);
+      });
+    }, decision.delay);
+  }
+
+  /**
+   * Cancel a scheduled restart
+   */
+  clearRestartTimer() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+  }
+
+  // =========================================================================
+  // Health
+  // =========================================================================
+
+  /**
+   * Start the liveness probe and watchdog for the current process
+   */
+  startHealthCheck() {
+    this.stopHealthCheck();
+    this.healthCheckInterval = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the health check timer
+   */
+  stopHealthCheck() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+  }
+
+  /**
+   * Check the process and decide whether Claude is ready, degraded or hung.
+   *
+   * Claude's stream-json protocol has no ping, so nothing here can ask an
+   * idle Claude whether it still answers. The process check only sees a
+   * process that is gone, stopped or a zombie; a process that is alive but
+   * stuck is caught by the output watchdog once a command is waiting on it.
+   */
+  checkHealth() {
+    if (!this.ptyProcess) return;
+    const now = Date.now();
+
+    // The process must exist and not be stopped or a zombie
+    if (!isProcessAlive(this.ptyProcess.pid)) {
+      this.handleHung('Claude process is gone or stopped');
+      return;
+    }
+
+    if (!this.claudeReady) {
+      if (now - this.processStartedAt > STARTUP_TIMEOUT) {
+        this.handleHung(`Not ready within ${STARTUP_TIMEOUT / 1000}s of starting`);
+      }
+      return;
+    }
+
+    // Only a command in progress is expected to produce output
+    const silence = this.isBusy() ? now - this.lastOutputTime : 0;
+    if (silence > HUNG_AFTER) {
+      this.handleHung(`No output for ${Math.round(silence / 1000)}s while answering`);
+    } else if (silence > DEGRADED_AFTER) {
+      this.setHealth('degraded', `No output for ${Math.round(silence / 1000)}s while answering`);
+    } else {
+      this.setHealth('ready');
+    }
+  }
+
+  /**
+   * Interactive Claude in a PTY does not reliably send the stream-json init
+   * event, but it does draw its input prompt once it accepts input. Look for
+   * that prompt in the startup output, without terminal escape codes.
+   * @param {string} data - Output just received
+   */
+  checkStartupPrompt(data) {
+    this.startupOutput = (this.startupOutput + data.replace(ANSI_ESCAPE, '')).slice(-STARTUP_OUTPUT_LIMIT);
+    if (STARTUP_PROMPT.test(this.startupOutput)) {
+      this.markReady('prompt shown');
+    }
+  }
+
+  /**
+   * Claude finished starting: accept commands
+   * @param {string} reason - What showed it was ready, for the log
+   */
+  markReady(reason) {
+    if (this.claudeReady || !this.ptyProcess) return;
+    this.claudeReady = true;
+    this.startupOutput = '';
+    this.log(`Claude is ready (${reason})`);
+    this.setHealth('ready');
+    this.emit('ready');
+
+    // Process any queued commands
+    this.processCommandQueue();
+  }
+
+  /**
+   * Watchdog: kill a hung Claude and go through the normal restart path
+   */
+  handleHung(reason) {
+    this.setHealth('hung', reason);
+    this.log(`Watchdog: ${reason}, restarting Claude`);
+
+    const ptyProcess = this.ptyProcess;
+    this.ptyProcess = null;
+    if (ptyProcess) {
+      try {
+        ptyProcess.kill('SIGKILL');
+      } catch (err) {
+        this.log(`Failed to kill hung Claude: ${err.message}`);
+      }
+    }
+
+    this.handleExit(null, reason);
+  }
+
+  /**
+   * Record a health state change and tell listeners
+   * @param {'starting'|'ready'|'degraded'|'hung'} state
+   * @param {string} [reason]
+   */
+  setHealth(state, reason = null) {
+    if (this.health === state) return;
+    this.health = state;
+    if (reason) {
+      this.log(`Health: ${state} (${reason})`);
+    }
+    this.emit('health', { state, reason });
+  }
+
+  // =========================================================================
+  // Commands
+  // =========================================================================
+
+  /**
+   * Add a command to the queue. Commands run one at a time: the next one
+   * is written to Claude only after the previous one's `result` arrives.
+   * @param {object} entry
+   * @param {object} entry.msg - The `command` protocol message (optional `timeout` in ms)
+   * @param {function} entry.reply - Sends a message back to the requesting client
+   * @param {string} entry.label - Client description for logs
+   */
+  enqueue(entry) {
+    entry.timeout = entry.msg.timeout > 0 ? entry.msg.timeout : DEFAULT_COMMAND_TIMEOUT;
+    entry.queuedAt = Date.now();
+    this.commandQueue.push(entry);
+
+    if (!this.claudeReady) {
+      this.log(`Claude not ready, queuing command from ${entry.label}`);
+      entry.reply({ type: 'status', message: 'Waiting for Claude to be ready...' });
+    }
+
+    this.processCommandQueue();
+
+    // Still waiting: tell the client where it stands
+    const position = this.commandQueue.indexOf(entry) + 1;
+    if (position > 0) {
+      entry.reply({ type: 'queued', position, queueLength: this.commandQueue.length, busy: this.isBusy() });
+    }
+  }
+
+  /**
+   * Start the next queued command if Claude is ready and idle
+   */
+  processCommandQueue() {
+    if (!this.claudeReady || !this.ptyProcess || this.isBusy()) return;
+    if (this.commandQueue.length === 0) return;
+
+    const entry = this.commandQueue.shift();
+    this.execute(entry);
+    this.notifyQueuePositions();
+  }
+
+  /**
+   * Tell waiting clients their new place in the queue after it moved
+   */
+  notifyQueuePositions() {
+    this.commandQueue.forEach((entry, index) => {
+      entry.reply({
+        type: 'queued',
+        position: index + 1,
+        queueLength: this.commandQueue.length,
+        busy: this.isBusy()
+      });
+    });
+  }
+
+  /**
+   * Whether a command is waiting for its result (or an interrupted one for its late result)
+   */
+  isBusy() {
+    return this.activeRequest !== null || this.interruptedRequest !== null;
+  }
+
+  /**
+   * Write a command to Claude
+   */
+  execute(entry) {
+    const { msg, reply, label } = entry;
+    if (!this.ptyProcess) {
+      reply({ type: 'error', message: 'Claude not running' });
+      return;
+    }
+
+    this.log(`${label}: ${msg.data.substring(0, 50)}...`);
+    const text = this.prepareCommand(msg);
+    this.recordMessage('user', msg.data);
+    this.journal({ type: 'command', requestId: msg.requestId, content: msg.data });
+    this.lastOutputTime = Date.now();
+
+    this.activeRequest = {
+      label,
+      requestId: msg.requestId,
+      reply,
+      startedAt: Date.now(),
+      timer: setTimeout(() => this.handleCommandTimeout(), entry.timeout)
+    };
+
+    // Send command first
+    this.ptyProcess.write(text);
+
+    // Delay then send Enter - Claude Code needs time to process input
+    setTimeout(() => {
+      if (this.ptyProcess && !this.stopped) {
+        this.ptyProcess.write('\r');
+      }
+    }, 200);
+  }
+
+  /**
+   * The active command ran past its timeout: interrupt Claude and move on
+   */
+  handleCommandTimeout() {
+    const active = this.activeRequest;
+    if (!active) return;
+
+    const seconds = Math.round((Date.now() - active.startedAt) / 1000);
+    this.log(`Command from ${active.label} timed out after ${seconds}s`);
+    active.reply({ type: 'error', message: `Command timed out after ${seconds}s` });
+    this.interruptActiveRequest();
+  }
+
+  /**
+   * Stop the current Claude turn and let the next queued command run
+   */
+  interruptActiveRequest() {
+    const active = this.activeRequest;
+    this.finishActiveRequest();
+    if (!active || !this.ptyProcess) {
+      this.processCommandQueue();
+      return;
+    }
+
+    // Escape interrupts the current Claude turn
+    this.ptyProcess.write('\x1b');
+
+    // The turn can still end with a result; hold the queue until it arrives
+    // (or INTERRUPT_RESULT_TIMEOUT passes) so it is not taken as the next
+    // command's answer
+    this.interruptedRequest = {
+      requestId: active.requestId,
+      timer: setTimeout(() => {
+        this.log('No result after interrupt, starting the next command');
+        this.settleInterruptedRequest();
+      }, INTERRUPT_RESULT_TIMEOUT)
+    };
+  }
+
+  /**
+   * The interrupted turn is over: let the next queued command run
+   */
+  settleInterruptedRequest() {
+    this.clearInterruptedRequest();
+    this.processCommandQueue();
+  }
+
+  /**
+   * Stop waiting for an interrupted turn's result
+   */
+  clearInterruptedRequest() {
+    if (this.interruptedRequest) {
+      clearTimeout(this.interruptedRequest.timer);
+      this.interruptedRequest = null;
+    }
+  }
+
+  /**
+   * Clear the active command (its result arrived, it timed out, or Claude went away)
+   */
+  finishActiveRequest() {
+    if (this.activeRequest) {
+      clearTimeout(this.activeRequest.timer);
+      this.activeRequest = null;
+    }
+  }
+
+  /**
+   * Fail the active command because its Claude process went away
+   */
+  abortActiveRequest(message) {
+    if (this.activeRequest) {
+      this.activeRequest.reply({ type: 'error', message });
+      this.finishActiveRequest();
+    }
+  }
+
+  /**
+   * Cancel a command: drop it from the queue, or interrupt it if it is running
+   * @param {string} [requestId] - Request ID the command was sent with (default: the running command)
+   * @returns {'queued'|'running'|null} Where the command was, or null if not found
+   */
+  cancel(requestId) {
+    const active = this.activeRequest;
+    const targetsActive = requestId === undefined || requestId === null
+      ? active !== null
+      : active !== null && active.requestId === requestId;
+
+    if (targetsActive) {
+      this.log(`Cancelled running command from ${active.label}`);
+      active.reply({ type: 'cancelled', running: true });
+      this.journal({ type: 'cancelled', requestId: active.requestId });
+      this.interruptActiveRequest();
+      this.emit('cancelled', { requestId: active.requestId, running: true });
+      return 'running';
+    }
+
+    const index = requestId == null ? -1 : this.commandQueue.findIndex(entry => entry.msg.requestId === requestId);
+    if (index === -1) return null;
+
+    const [entry] = this.commandQueue.splice(index, 1);
+    this.log(`Cancelled queued command from ${entry.label}`);
+    entry.reply({ type: 'cancelled', running: false });
+    this.notifyQueuePositions();
+    this.emit('cancelled', { requestId, running: false });
+    return 'queued';
+  }
+
+  /**
+   * Active command and waiting commands, for status replies
+   */
+  getQueueInfo() {
+    return {
+      busy: this.isBusy(),
+      activeRequestId: this.activeRequest ? this.activeRequest.requestId : null,
+      queue: this.commandQueue.map((entry, index) => ({
+        position: index + 1,
+        requestId: entry.msg.requestId,
+        waitingMs: Date.now() - entry.queuedAt
+      }))
+    };
+  }
+
+  /**
+   * Write raw input to the PTY
+   * @returns {boolean} False if Claude is not running
+   */
+  write(data) {
+    if (!this.ptyProcess) return false;
+    this.ptyProcess.write(data);
+    return true;
+  }
+
+  /**
+   * Resize the PTY
+   */
+  resize(cols, rows) {
+    if (this.ptyProcess && cols && rows) {
+      this.ptyProcess.resize(cols, rows);
+    }
+  }
+
+  /**
+   * Build the text to send to Claude for a command, prepending memory
+   * context when the client asked for it
+   */
+  prepareCommand(msg) {
+    if (!msg.withContext || !this.contextBuilder) return msg.data;
+    try {
+      return this.contextBuilder.wrapMessage(msg.data, this.conversationId);
+    } catch (err) {
+      this.log(`Failed to build memory context: ${err.message}`);
+      return msg.data;
+    }
+  }
+
+  // =========================================================================
+  // Memory
+  // =========================================================================
+
+  /**
+   * Open a new memory conversation, closing any previous one
+   */
+  openConversation() {
+    this.closeConversation();
+    if (!this.memoryStore) return;
+    try {
+      this.conversationId = this.memoryStore.startConversation();
+      this.log(`Conversation started: ${this.conversationId}`);
+    } catch (err) {
+      this.conversationId = null;
+      this.log(`Failed to start conversation: ${err.message}`);
+    }
+  }
+
+  /**
+   * Close the current memory conversation
+   */
+  closeConversation() {
+    if (!this.conversationId) return;
+    try {
+      this.memoryStore.endConversation(this.conversationId);
+      this.log(`Conversation ended: ${this.conversationId}`);
+      this.emit('conversationEnded', { conversationId: this.conversationId });
+    } catch (err) {
+      this.log(`Failed to end conversation: ${err.message}`);
+    }
+    this.conversationId = null;
+  }
+
+  /**
+   * Record a message in the current conversation
+   */
+  recordMessage(role, content) {
+    if (!this.conversationId || !content) return;
+    try {
+      this.memoryStore.addMessage(this.conversationId, role, content);
+    } catch (err) {
+      this.log(`Failed to record ${role} message: ${err.message}`);
+    }
+  }
+
+  /**
+   * Append an entry to the persistent output journal
+   */
+  journal(entry) {
+    if (!this.memoryStore) return;
+    try {
+      this.memoryStore.appendJournal(this.name, { ...entry, conversationId: this.conversationId });
+    } catch (err) {
+      this.log(`Failed to write journal: ${err.message}`);
+    }
+  }
+
+  /**
+   * Store facts Claude acknowledged in a response
+   */
+  storeResponseFacts(response) {
+    if (!this.extractFacts || !this.contextBuilder) return;
+    try {
+      const facts = this.contextBuilder.extractFacts(response);
+      if (facts.length > 0) {
+        const { added, updated, duplicates } = this.contextBuilder.storeFacts(facts);
+        this.log(`Stored ${added} fact(s) from response${updated ? `, updated ${updated}` : ''}${duplicates ? `, ${duplicates} already known` : ''}`);
+      }
+    } catch (err) {
+      this.log(`Failed to store facts: ${err.message}`);
+    }
+  }
+
+  // =========================================================================
+  // Output
+  // =========================================================================
+
+  /**
+   * Handle output from Claude (stream-json format)
+   */
+  handleOutput(data) {
+    // Track last output time for the health check
+    this.lastOutputTime = Date.now();
+    if (!this.claudeReady) {
+      this.checkStartupPrompt(data);
+    }
+
+    // Buffer raw output for history/logs
+    this.outputBuffer.push({ time: Date.now(), data });
+    while (this.outputBuffer.length > this.maxBufferSize) {
+      this.outputBuffer.shift();
+    }
+
+    // Parse JSON lines
+    this.jsonLineBuffer += data;
+    const lines = this.jsonLineBuffer.split('\n');
+
+    // Keep the last incomplete line in buffer
+    this.jsonLineBuffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      try {
+        const msg = JSON.parse(trimmed);
+        this.handleJsonMessage(msg);
+      } catch (e) {
+        // Not valid JSON, send as raw text (fallback)
+        const output = this.tagActiveRequest({ type: 'output', data: trimmed });
+        this.journal({ type: 'output', requestId: output.requestId, content: trimmed });
+        this.emit('message', output);
+      }
+    }
+  }
+
+  /**
+   * Handle parsed JSON message from Claude
+   */
+  handleJsonMessage(msg) {
+    if (msg.type === 'system' && msg.subtype === 'init') {
+      this.markReady('init received');
+    }
+
+    // Extract content based on message type
+    // Common types: assistant, tool_use, tool_result, result, system
+    const structured = {
+      type: 'message',
+      messageType: msg.type,
+      data: msg
+    };
+
+    // For assistant messages, extract the text content
+    if (msg.type === 'assistant' && msg.message?.content) {
+      const textContent = msg.message.content
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('');
+      structured.content = textContent;
+    }
+
+    // Output after an interrupt belongs to the interrupted command, not the next one
+    const interrupted = this.interruptedRequest !== null;
+    if (interrupted) {
+      structured.interrupted = true;
+    }
+
+    // For result messages (final response)
+    if (msg.type === 'result') {
+      structured.isComplete = true;
+      if (msg.result) {
+        structured.content = msg.result;
+      }
+      if (msg.result && !interrupted) {
+        this.recordMessage('assistant', msg.result);
+        this.storeResponseFacts(msg.result);
+      }
+    }
+
+    // Tie the message to the command that produced it
+    this.tagActiveRequest(structured);
+    this.journal({
+      type: 'message',
+      messageType: msg.type,
+      requestId: structured.requestId,
+      content: structured.content,
+      data: msg
+    });
+    this.emit('message', structured);
+
+    // The turn is over; Claude can take the next command
+    if (msg.type === 'result') {
+      if (interrupted) {
+        this.settleInterruptedRequest();
+      } else {
+        this.finishActiveRequest();
+        this.processCommandQueue();
+      }
+    }
+  }
+
+  /**
+   * Add the request ID of the command producing output (active or interrupted) to an outgoing message
+   */
+  tagActiveRequest(payload) {
+    const request = this.activeRequest || this.interruptedRequest;
+    if (request && request.requestId !== undefined) {
+      payload.requestId = request.requestId;
+    }
+    return payload;
+  }
+
+  /**
+   * Page back through the session's transcript. Reads the persistent
+   * journal, so it covers earlier Claude processes and daemon runs;
+   * without a memory store only the in-memory output buffer is available.
+   * @param {object} [options]
+   * @param {number} [options.limit=100] - Maximum entries
+   * @param {number} [options.before] - Entry ID cursor from a previous page
+   * @param {number|string} [options.since] - Start time (ms or ISO date)
+   * @param {number|string} [options.until] - End time (ms or ISO date)
+   * @returns {{entries: object[], hasMore: boolean, text: string}}
+   */
+  getHistory(options = {}) {
+    const limit = options.limit || 100;
+
+    if (!this.memoryStore) {
+      return {
+        entries: [],
+        hasMore: this.outputBuffer.length > limit,
+        text: this.outputBuffer.slice(-limit).map(h => h.data).join('')
+      };
+    }
+
+    const { entries, hasMore } = this.memoryStore.getJournal(this.name, {
+      limit,
+      before: options.before,
+      since: toTime(options.since),
+      until: toTime(options.until)
+    });
+    return { entries, hasMore, text: renderTranscript(entries) };
+  }
+
+  /**
+   * Last lines of raw PTY output, for crash reports
+   */
+  getLastOutputLines(count) {
+    const text = this.outputBuffer.slice(-count).map(h => h.data).join('');
+    return text.split(/\r?\n/).filter(line => line.trim()).slice(-count);
+  }
+
+  /**
+   * Drop buffered output beyond the buffer size
+   * @returns {number} Number of entries removed
+   */
+  trimBuffer() {
+    const before = this.outputBuffer.length;
+    if (this.outputBuffer.length > this.maxBufferSize) {
+      this.outputBuffer = this.outputBuffer.slice(-this.maxBufferSize);
+    }
+    return before - this.outputBuffer.length;
+  }
+
+  // =========================================================================
+  // Lifecycle
+  // =========================================================================
+
+  /**
+   * Get session summary
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      cwd: this.cwd,
+      command: this.buildCommand(),
+      running: !!this.ptyProcess,
+      ready: this.claudeReady,
+      health: this.health,
+      pid: this.ptyProcess ? this.ptyProcess.pid : null,
+      restarts: this.restartPolicy.attempts,
+      queuedCommands: this.commandQueue.length,
+      busy: this.isBusy(),
+      conversationId: this.conversationId,
+      createdAt: new Date(this.createdAt).toISOString()
+    };
+  }
+
+  /**
+   * Stop Claude without restarting
+   */
+  stop() {
+    this.stopped = true;
+    this.clearRestartTimer();
+    this.stopHealthCheck();
+
+    for (const entry of this.commandQueue) {
+      entry.reply({ type: 'error', message: `Session "${this.name}" stopped` });
+    }
+    this.commandQueue = [];
+
+    if (this.ptyProcess) {
+      const ptyProcess = this.ptyProcess;
+      this.ptyProcess = null;
+      ptyProcess.kill();
+    }
+
+    this.claudeReady = false;
+    this.abortActiveRequest(`Session "${this.name}" stopped`);
+    this.clearInterruptedRequest();
+    this.closeConversation();
+  }
+
+  /**
+   * Log message with the session name
+   */
+  log(message) {
+    this.logger(`[${this.name}] ${message}`);
+  }
+}
+
+/**
+ * Claude command line for a set of session settings
+ * @param {object} config - claudePath, model, allowedTools, mcpConfig, args
+ * @param {object} [options]
+ * @param {boolean} [options.print] - One-shot `--print` run that reads the prompt from stdin
+ * @returns {string[]}
+ */
+function buildClaudeCommand(config, options = {}) {
+  const { claudePath, model, allowedTools, mcpConfig, args } = config;
+  const command = [claudePath || 'claude'];
+
+  // --print only emits stream-json with --verbose
+  if (options.print) command.push('--print', '--verbose');
+  command.push('--output-format', 'stream-json');
+
+  if (model) command.push('--model', model);
+  if (allowedTools && allowedTools.length > 0) {
+    command.push('--allowedTools', allowedTools.join(','));
+  }
+  if (mcpConfig) command.push('--mcp-config', mcpConfig);
+  if (args) command.push(...args);
+
+  return command;
+}
+
+/**
+ * Environment for a Claude process: the service's own plus the session's
+ * extra variables, without the memory passphrase (Claude's tools and
+ * anything the model runs could read it)
+ * @param {object} config - Session settings
+ * @returns {object}
+ */
+function buildClaudeEnv(config) {
+  const env = { ...process.env, ...config.env };
+  delete env[MEMORY_KEY_ENV];
+  return env;
+}
+
+/**
+ * Time option as ms since the epoch (accepts ms or a date string)
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}"`);
+  }
+  return time;
+}
+
+/**
+ * Plain-text transcript of journal entries: commands and final answers
+ */
+function renderTranscript(entries) {
+  return entries.map(entry => {
+    if (entry.type === 'command') return `\n> ${entry.content}\n\n`;
+    if (entry.type === 'output') return `${entry.content}\n`;
+    if (entry.type === 'cancelled') return '[cancelled]\n';
+    if (entry.messageType === 'result' && entry.content) return `${entry.content}\n`;
+    return '';
+  }).join('');
+}
+
+/**
+ * Whether the process exists and is not stopped or a zombie. This says
+ * nothing about whether Claude inside it still answers.
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (err) {
+    // EPERM means it exists but belongs to someone else
+    return err.code === 'EPERM';
+  }
+
+  if (os.platform() === 'linux') {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      const state = stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3);
+      return state !== 'Z' && state !== 'T';
+    } catch (err) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Quote an argument for the shell that runs Claude
+ */
+function quoteShellArg(arg, isWindows) {
+  if (/^[A-Za-z0-9_\/.,:=@%+-]+$/.test(arg)) return arg;
+  if (isWindows) return `"${arg.replace(/"/g, '""')}"`;
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Check that a session name is safe to use (letters, digits, _ . -)
+ */
+function isValidSessionName(name) {
+  return typeof name === 'string' && SESSION_NAME_PATTERN.test(name);
+}
+
+module.exports = {
+  ClaudeSession,
+  DEFAULT_SESSION,
+  isValidSessionName,
+  buildClaudeCommand,
+  buildClaudeEnv
+};
@@ -0,0 +1,120 @@
+/**
+ * Crash Reports - One JSON file per Claude crash
+ *
+ * Stored in ~/.claude-alwaysrunning/crashes/ as
+ * <time>-<session>.json so a directory listing sorts by time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const MAX_REPORTS = 200;
+
+class CrashReporter {
+  constructor(options = {}) {
+    this.configDir = options.configDir || path.join(os.homedir(), '.claude-alwaysrunning');
+    this.crashDir = path.join(this.configDir, 'crashes');
+    this.maxReports = options.maxReports || MAX_REPORTS;
+  }
+
+  /**
+   * Write a crash report
+   * @param {object} report - session, exitCode, reason, uptime, lastOutput, ...
+   * @returns {object} The saved report with its ID
+   */
+  record(report) {
+    if (!fs.existsSync(this.crashDir)) {
+      fs.mkdirSync(this.crashDir, { recursive: true });
+    }
+
+    const time = new Date();
+    const id = `${time.toISOString().replace(/[:.]/g, '-')}-${report.session}`;
+    const saved = { id, time: time.toISOString(), ...report };
+
+    fs.writeFileSync(path.join(this.crashDir, `${id}.json`), JSON.stringify(saved, null, 2));
+    this.prune();
+    return saved;
+  }
+
+  /**
+   * List reports, newest first
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Maximum reports
+   * @param {string} [options.session] - Only this session's reports
+   */
+  list(options = {}) {
+    const limit = options.limit || 20;
+    const reports = [];
+
+    for (const file of this.files().reverse()) {
+      const report = this.read(file);
+      if (!report) continue;
+      if (options.session && report.session !== options.session) continue;
+      reports.push(report);
+      if (reports.length >= limit) break;
+    }
+
+    return reports;
+  }
+
+  /**
+   * Get one report by ID
+   */
+  get(id) {
+    if (!/^[\w.-]+$/.test(id)) return null;
+    return this.read(`${id}.json`);
+  }
+
+  /**
+   * Report file names, oldest first
+   */
+  files() {
+    if (!fs.existsSync(this.crashDir)) return [];
+    return fs.readdirSync(this.crashDir).filter(f => f.endsWith('.json')).sort();
+  }
+
+  /**
+   * Read and parse a report file
+   */
+  read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.crashDir, file), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Delete the oldest reports beyond the limit
+   */
+  prune() {
+    const files = this.files();
+    for (const file of files.slice(0, Math.max(0, files.length - this.maxReports))) {
+      try {
+        fs.unlinkSync(path.join(this.crashDir, file));
+      } catch (e) {
+        // Already gone
+      }
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the crash reporter instance
+ * @returns {CrashReporter}
+ */
+function getCrashReporter() {
+  if (!instance) {
+    instance = new CrashReporter();
+  }
+  return instance;
+}
+
+module.exports = {
+  CrashReporter,
+  getCrashReporter
+};
@@ -0,0 +1,29 @@
+/**
+ * Session Module - Exports
+ */
+
+const {
+  ClaudeSession,
+  DEFAULT_SESSION,
+  isValidSessionName,
+  buildClaudeCommand,
+  buildClaudeEnv
+} = require('./claude-session');
+const { RestartPolicy, DEFAULT_RESTART_POLICY } = require('./restart-policy');
+const { CrashReporter, getCrashReporter } = require('./crash-reports');
+const { PrintError, runPrint, printText } = require('./print');
+
+module.exports = {
+  ClaudeSession,
+  DEFAULT_SESSION,
+  isValidSessionName,
+  buildClaudeCommand,
+  buildClaudeEnv,
+  RestartPolicy,
+  DEFAULT_RESTART_POLICY,
+  CrashReporter,
+  getCrashReporter,
+  PrintError,
+  runPrint,
+  printText
+};
@@ -0,0 +1,131 @@
+/**
+ * One-shot Claude runs - `claude --print` outside any session
+ *
+ * Used for OpenAI-compatible print-mode completions and for side tasks such
+ * as summarizing conversations. The prompt goes to stdin and Claude's
+ * stream-json output is parsed line by line.
+ */
+
+const { spawn } = require('child_process');
+const { buildClaudeCommand, buildClaudeEnv } = require('./claude-session');
+
+const DEFAULT_PRINT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Error from a print run. `code` is "timeout", "spawn_failed" or "failed".
+ */
+class PrintError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Run one prompt through `claude --print`
+ * @param {object} options
+ * @param {object} options.config - Session settings (claudePath, cwd, env, model, ...)
+ * @param {string} options.prompt - Prompt, written to Claude's stdin
+ * @param {number} [options.timeout=600000] - Kill Claude after this many ms
+ * @param {function} [options.onMessage] - Called with each parsed stream-json message
+ * @param {function} options.onDone - (err, result) Called once with the `result` message or a PrintError
+ * @returns {function} Stops Claude
+ */
+function runPrint({ config, prompt, timeout = DEFAULT_PRINT_TIMEOUT, onMessage = () => {}, onDone }) {
+  const [command, ...args] = buildClaudeCommand(config, { print: true });
+  let result = null;
+  let stderr = '';
+  let buffer = '';
+  let done = false;
+
+  const finish = (err) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    onDone(err, result);
+  };
+
+  const claude = spawn(command, args, {
+    cwd: config.cwd || process.env.HOME || process.env.USERPROFILE,
+    env: buildClaudeEnv(config),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  const timer = setTimeout(() => {
+    claude.kill();
+    finish(new PrintError('Claude did not answer in time', 'timeout'));
+  }, timeout);
+
+  claude.stdout.on('data', (data) => {
+    buffer += data.toString();
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line) continue;
+      try {
+        const msg = JSON.parse(line);
+        if (msg.type === 'result') result = msg;
+        onMessage(msg);
+      } catch (e) {
+        // Not stream-json
+      }
+    }
+  });
+
+  claude.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  claude.on('error', (err) => {
+    finish(new PrintError(`Failed to run Claude: ${err.message}`, 'spawn_failed'));
+  });
+
+  claude.on('close', (code) => {
+    if (result) {
+      finish(null);
+    } else {
+      const detail = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      finish(new PrintError(`Claude failed: ${detail}`, 'failed'));
+    }
+  });
+
+  claude.stdin.on('error', () => {});
+  claude.stdin.end(prompt);
+
+  return () => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    claude.kill();
+  };
+}
+
+/**
+ * Run a prompt and resolve with Claude's final answer text
+ * @param {object} options - config, prompt, timeout (see runPrint)
+ * @returns {Promise<string>}
+ */
+function printText(options) {
+  return new Promise((resolve, reject) => {
+    runPrint({
+      ...options,
+      onDone: (err, result) => {
+        if (err) {
+          reject(err);
+        } else if (result.is_error) {
+          reject(new PrintError(`Claude failed: ${result.result || result.subtype}`, 'failed'));
+        } else {
+          resolve(result.result || '');
+        }
+      }
+    });
+  });
+}
+
+module.exports = {
+  PrintError,
+  runPrint,
+  printText,
+  DEFAULT_PRINT_TIMEOUT
+};
@@ -0,0 +1,90 @@
+/**
+ * RestartPolicy - When and how often to restart a crashed Claude process
+ *
+ * Delays grow exponentially from `initialDelay` up to `maxDelay`, with
+ * random jitter so several sessions don't restart in lockstep. After
+ * `maxAttempts` quick crashes in a row the policy gives up, unless
+ * `retryForever` is set, in which case it keeps retrying at `maxDelay`.
+ * A process that stayed up for `resetAfter` starts the count over.
+ */
+
+const DEFAULT_RESTART_POLICY = {
+  initialDelay: 2000,
+  maxDelay: 60000,
+  multiplier: 2,
+  jitter: 0.2, // +/- 20% of the delay
+  maxAttempts: 10,
+  retryForever: false,
+  resetAfter: 60000
+};
+
+class RestartPolicy {
+  /**
+   * @param {object} [options] - Overrides for DEFAULT_RESTART_POLICY
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RESTART_POLICY };
+    for (const [key, value] of Object.entries(options)) {
+      if (!(key in DEFAULT_RESTART_POLICY)) {
+        throw new Error(`Unknown restart policy setting "${key}"`);
+      }
+      if (value !== undefined && value !== null) {
+        this.options[key] = value;
+      }
+    }
+
+    this.attempts = 0;
+  }
+
+  /**
+   * Decide what to do after a crash
+   * @param {number} uptime - How long the crashed process ran (ms)
+   * @returns {{restart: boolean, attempt: number, delay: number}}
+   */
+  next(uptime) {
+    const { maxAttempts, retryForever, resetAfter } = this.options;
+
+    // A process that stayed up for a while wasn't crash-looping
+    if (uptime >= resetAfter) {
+      this.attempts = 0;
+    }
+
+    this.attempts++;
+
+    if (this.attempts > maxAttempts && !retryForever) {
+      return { restart: false, attempt: this.attempts, delay: 0 };
+    }
+
+    return { restart: true, attempt: this.attempts, delay: this.delayFor(this.attempts) };
+  }
+
+  /**
+   * Backoff delay for an attempt number (1-based), with jitter
+   */
+  delayFor(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.options;
+    const base = Math.min(initialDelay * Math.pow(multiplier, attempt - 1), maxDelay);
+    const spread = base * jitter;
+    const delay = base - spread + Math.random() * spread * 2;
+    return Math.round(Math.min(Math.max(delay, 0), maxDelay));
+  }
+
+  /**
+   * Human-readable attempt limit for logs
+   */
+  describeLimit() {
+    return this.options.retryForever ? 'unlimited' : String(this.options.maxAttempts);
+  }
+
+  /**
+   * Forget earlier crashes
+   */
+  reset() {
+    this.attempts = 0;
+  }
+}
+
+module.exports = {
+  RestartPolicy,
+  DEFAULT_RESTART_POLICY
+};
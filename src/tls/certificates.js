@@ -0,0 +1,138 @@
+/**
+ * TLS Certificates - Certificate loading, self-signed generation and pinning
+ *
+ * The service uses the certificate and key from config.json `tls`, or
+ * generates a self-signed pair in ~/.claude-alwaysrunning/tls/ with openssl.
+ * Self-signed certificates can't be verified against a CA, so clients pin
+ * the certificate's SHA-256 fingerprint instead (`--fingerprint`).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const SELF_SIGNED_DAYS = 825;
+
+/**
+ * Load the certificate and key the service should serve
+ * @param {object} [options]
+ * @param {string} [options.cert] - Certificate file (PEM)
+ * @param {string} [options.key] - Private key file (PEM)
+ * @param {string} [options.configDir] - Where self-signed files live (default: ~/.claude-alwaysrunning)
+ * @returns {{cert: string, key: string, certPath: string, keyPath: string, fingerprint: string, selfSigned: boolean}}
+ */
+function loadTlsOptions(options = {}) {
+  if (options.cert || options.key) {
+    if (!options.cert || !options.key) {
+      throw new Error('TLS needs both a certificate and a key file');
+    }
+    const certPath = expandHome(options.cert);
+    const keyPath = expandHome(options.key);
+    const cert = readPem(certPath, 'certificate');
+    const key = readPem(keyPath, 'key');
+    return { cert, key, certPath, keyPath, fingerprint: certFingerprint(cert), selfSigned: false };
+  }
+
+  const configDir = options.configDir || path.join(os.homedir(), '.claude-alwaysrunning');
+  const { certPath, keyPath } = ensureSelfSignedCert(path.join(configDir, 'tls'));
+  const cert = readPem(certPath, 'certificate');
+  const key = readPem(keyPath, 'key');
+  return { cert, key, certPath, keyPath, fingerprint: certFingerprint(cert), selfSigned: true };
+}
+
+/**
+ * Generate a self-signed certificate in `dir` unless one is already there
+ * @param {string} dir - Directory for cert.pem and key.pem
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Replace an existing certificate
+ * @returns {{certPath: string, keyPath: string, created: boolean}}
+ */
+function ensureSelfSignedCert(dir, options = {}) {
+  const certPath = path.join(dir, 'cert.pem');
+  const keyPath = path.join(dir, 'key.pem');
+
+  if (!options.force && fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    return { certPath, keyPath, created: false };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const altNames = ['DNS:localhost', 'IP:127.0.0.1', 'IP:::1', `DNS:${os.hostname()}`];
+  try {
+    execFileSync('openssl', [
+      'req', '-x509',
+      '-newkey', 'rsa:2048',
+      '-nodes',
+      '-sha256',
+      '-days', String(SELF_SIGNED_DAYS),
+      '-subj', '/CN=claude-alwaysrunning',
+      '-addext', `subjectAltName=${altNames.join(',')}`,
+      '-keyout', keyPath,
+      '-out', certPath
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+  } catch (err) {
+    const detail = err.code === 'ENOENT' ? 'openssl not found' : (err.stderr || err.message).toString().trim();
+    throw new Error(`Failed to generate a self-signed certificate: ${detail}`);
+  }
+
+  // Restrict key permissions (owner read/write only)
+  if (os.platform() !== 'win32') {
+    fs.chmodSync(keyPath, 0o600);
+  }
+
+  return { certPath, keyPath, created: true };
+}
+
+/**
+ * SHA-256 fingerprint of a PEM certificate (AA:BB:... form)
+ */
+function certFingerprint(pem) {
+  return new crypto.X509Certificate(pem).fingerprint256;
+}
+
+/**
+ * Canonical form of a fingerprint: uppercase hex pairs joined by colons
+ */
+function normalizeFingerprint(fingerprint) {
+  const hex = String(fingerprint).replace(/[^0-9a-f]/gi, '').toUpperCase();
+  return hex.match(/.{1,2}/g)?.join(':') || '';
+}
+
+/**
+ * Check a TLS socket's certificate against a pinned fingerprint
+ * @param {tls.TLSSocket} socket - Connected socket
+ * @param {string} expected - Pinned SHA-256 fingerprint
+ * @returns {string|null} Why it does not match, or null if it does
+ */
+function checkFingerprint(socket, expected) {
+  const cert = socket.getPeerCertificate();
+  if (!cert || !cert.fingerprint256) {
+    return 'Server sent no certificate';
+  }
+  if (normalizeFingerprint(cert.fingerprint256) !== normalizeFingerprint(expected)) {
+    return `TLS fingerprint mismatch: expected ${normalizeFingerprint(expected)}, got ${cert.fingerprint256}`;
+  }
+  return null;
+}
+
+function readPem(file, what) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read TLS ${what} "${file}": ${err.message}`);
+  }
+}
+
+function expandHome(file) {
+  return file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : path.resolve(file);
+}
+
+module.exports = {
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  certFingerprint,
+  normalizeFingerprint,
+  checkFingerprint
+};
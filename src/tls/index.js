@@ -0,0 +1,19 @@
+/**
+ * TLS Module - Exports
+ */
+
+const {
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  certFingerprint,
+  normalizeFingerprint,
+  checkFingerprint
+} = require('./certificates');
+
+module.exports = {
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  certFingerprint,
+  normalizeFingerprint,
+  checkFingerprint
+};
@@ -11,6 +11,8 @@ const { createSTTProvider } = require('./providers/stt');
 const { createTTSProvider } = require('./providers/tts');
 const { AudioRecorder } = require('./audio/recorder');
 const { AudioPlayer } = require('./audio/player');
+const { getContextBuilder } = require('./memory');
+const { buildClaudeEnv } = require('./session');
 
 class VoiceBridge {
   constructor(options = {}) {
@@ -21,6 +23,10 @@ class VoiceBridge {
     this.maxTimeout = options.maxTimeout || 300000;
     this.continuous = options.continuous || false;
 
+    // Memory context injection and fact extraction (opt-in)
+    this.contextEnabled = options.context === true;
+    this.contextBuilder = null;
+
     this.stt = null;
     this.tts = null;
     this.recorder = null;
@@ -57,6 +63,11 @@ class VoiceBridge {
     this.player = new AudioPlayer();
     await this.player.initialize();
 
+    if (this.contextEnabled) {
+      console.log('Loading memory context...');
+      this.contextBuilder = getContextBuilder();
+    }
+
     console.log('');
     console.log('Voice Bridge ready!');
   }
@@ -229,18 +240,38 @@ class VoiceBridge {
   /**
    * Send text to Claude and get response
    */
-  sendToClaude(text) {
+  async sendToClaude(text) {
+    const prompt = this.contextBuilder ? this.contextBuilder.wrapMessage(text) : text;
+    const response = await this.runClaude(prompt);
+
+    if (this.contextBuilder && response) {
+      const facts = this.contextBuilder.extractFacts(response);
+      if (facts.length > 0) {
+        const { added, updated, duplicates } = this.contextBuilder.storeFacts(facts, { source: 'voice' });
+        console.log(`[Memory] Stored ${added} fact(s)${updated ? `, updated ${updated}` : ''}${duplicates ? `, ${duplicates} already known` : ''}`);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Run claude --print with the prompt on stdin
+   */
+  runClaude(prompt) {
     return new Promise((resolve, reject) => {
-      const escapedText = text.replace(/"/g, '\\"');
-      const command = `claude --print --continue --dangerously-skip-permissions "${escapedText}"`;
+      // Prompt goes through stdin so memory context is never shell-interpreted
+      const command = 'claude --print --continue --dangerously-skip-permissions';
 
       const claude = spawn(command, [], {
         cwd: process.cwd(),
-        env: process.env,
-        stdio: ['ignore', 'pipe', 'pipe'],
+        env: buildClaudeEnv({}),
+        stdio: ['pipe', 'pipe', 'pipe'],
         shell: true
       });
 
+      claude.stdin.end(prompt);
+
       let stdout = '';
       let stderr = '';
 
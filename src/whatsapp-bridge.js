@@ -13,6 +13,8 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const { createSTTProvider } = require('./providers/stt');
+const { getContextBuilder } = require('./memory');
+const { buildClaudeEnv } = require('./session');
 
 class WhatsAppBridge {
   constructor(options = {}) {
@@ -30,6 +32,10 @@ class WhatsAppBridge {
     this.voiceEnabled = options.voice !== false; // Default: true
     this.sttProvider = options.sttProvider || 'whisper';
     this.stt = null;
+
+    // Memory context injection and fact extraction (opt-in)
+    this.contextEnabled = options.context === true;
+    this.contextBuilder = null;
   }
 
   /**
@@ -55,6 +61,11 @@ class WhatsAppBridge {
       console.log(`STT initialized (${this.sttProvider})`);
     }
 
+    if (this.contextEnabled) {
+      this.contextBuilder = getContextBuilder();
+      console.log('Memory context enabled');
+    }
+
     console.log('');
 
     this.client = new Client({
@@ -260,18 +271,38 @@ class WhatsAppBridge {
   /**
    * Send message to Claude and get response
    */
-  sendToClaude(text) {
+  async sendToClaude(text) {
+    const prompt = this.contextBuilder ? this.contextBuilder.wrapMessage(text) : text;
+    const response = await this.runClaude(prompt);
+
+    if (this.contextBuilder && response) {
+      const facts = this.contextBuilder.extractFacts(response);
+      if (facts.length > 0) {
+        const { added, updated, duplicates } = this.contextBuilder.storeFacts(facts, { source: 'whatsapp' });
+        console.log(`[Memory] Stored ${added} fact(s)${updated ? `, updated ${updated}` : ''}${duplicates ? `, ${duplicates} already known` : ''}`);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Run claude --print with the prompt on stdin
+   */
+  runClaude(prompt) {
     return new Promise((resolve, reject) => {
-      const escapedText = text.replace(/"/g, '\\"');
-      const command = `claude --print --continue --dangerously-skip-permissions "${escapedText}"`;
+      // Pass the prompt on stdin rather than as a quoted shell argument
+      const command = 'claude --print --continue --dangerously-skip-permissions';
 
       const claude = spawn(command, [], {
         cwd: process.cwd(),
-        env: process.env,
-        stdio: ['ignore', 'pipe', 'pipe'],
+        env: buildClaudeEnv({}),
+        stdio: ['pipe', 'pipe', 'pipe'],
         shell: true
       });
 
+      claude.stdin.end(prompt);
+
       let stdout = '';
       let stderr = '';
 
@@ -0,0 +1,109 @@
+/**
+ * Tests for API keys and their scopes (src/auth/api-key.js and
+ * src/auth/scopes.js). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { APIKeyManager, parseDuration, parseExpiry, parseScopes, hasScope } = require('../src/auth');
+
+let configDir;
+let keys;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  keys = new APIKeyManager({ configDir });
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('keys are stored hashed and validate with their scopes', () => {
+  const { key, scopes } = keys.generate('phone', { scopes: 'chat,memory:read' });
+
+  assert.deepEqual(scopes, ['chat', 'memory:read']);
+  assert.ok(!fs.readFileSync(path.join(configDir, 'api-keys.json'), 'utf8').includes(key));
+  const result = keys.validate(key);
+  assert.equal(result.valid, true);
+  assert.equal(result.name, 'phone');
+  assert.deepEqual(result.scopes, scopes);
+  assert.deepEqual(keys.validate('nope'), { valid: false });
+  assert.throws(() => keys.generate('phone'), /already exists/);
+});
+
+test('new keys default to admin', () => {
+  assert.deepEqual(keys.generate('laptop').scopes, ['admin']);
+});
+
+test('scopes are checked', () => {
+  assert.throws(() => parseScopes('chat,root'), /Unknown scope "root"/);
+  assert.throws(() => parseScopes(''), /At least one scope/);
+  assert.ok(hasScope(['admin'], 'memory:write'));
+  assert.ok(hasScope(null, 'memory:write'));
+  assert.ok(!hasScope(['memory:read'], 'memory:write'));
+});
+
+test('changed scopes apply to the next validation', () => {
+  const { key } = keys.generate('phone', { scopes: 'chat' });
+  assert.deepEqual(keys.setScopes('phone', ['memory:read', 'memory:read']), ['memory:read']);
+  assert.deepEqual(keys.validate(key).scopes, ['memory:read']);
+  assert.throws(() => keys.setScopes('missing', 'chat'), /not found/);
+});
+
+test('changes made by another process are not overwritten', () => {
+  keys.generate('phone', { scopes: 'chat' });
+  const cli = new APIKeyManager({ configDir });
+  const { key } = cli.generate('laptop');
+
+  // The daemon's copy is stale; changing it must not drop the CLI's key
+  keys.setScopes('phone', 'memory:read');
+  assert.equal(keys.validate(key).name, 'laptop');
+  assert.deepEqual(new APIKeyManager({ configDir }).list().map(k => k.name).sort(), ['laptop', 'phone']);
+
+  cli.generate('tablet');
+  assert.throws(() => keys.generate('tablet'), /already exists/);
+  assert.equal(keys.remove('tablet'), true);
+  assert.deepEqual(new APIKeyManager({ configDir }).list().map(k => k.name).sort(), ['laptop', 'phone']);
+});
+
+test('expired keys are refused', () => {
+  const { key } = keys.generate('temp', { expires: '1h' });
+  assert.equal(keys.validate(key).valid, true);
+
+  keys.keys.temp.expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert.deepEqual(keys.validate(key), { valid: false, reason: 'expired', name: 'temp' });
+  assert.equal(keys.list()[0].expired, true);
+
+  assert.equal(keys.setExpiry('temp', 'never'), null);
+  assert.equal(keys.validate(key).valid, true);
+});
+
+test('a rotated key keeps its old secret for the grace period', () => {
+  const { key: old } = keys.generate('phone');
+  const { key, graceUntil } = keys.rotate('phone', { grace: '1h' });
+
+  assert.ok(graceUntil);
+  assert.equal(keys.validate(key).rotated, false);
+  assert.equal(keys.validate(old).rotated, true);
+
+  keys.keys.phone.previous.expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert.equal(keys.validate(old).reason, 'expired');
+
+  const { key: next } = keys.rotate('phone', { grace: '0' });
+  assert.equal(keys.validate(key).valid, false);
+  assert.equal(keys.validate(next).valid, true);
+});
+
+test('durations and expiry dates are parsed', () => {
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('1500'), 1500);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+  assert.equal(parseExpiry('2099-01-01T00:00:00Z'), '2099-01-01T00:00:00.000Z');
+  assert.throws(() => parseExpiry('2001-01-01'), /in the past/);
+  assert.throws(() => parseExpiry('someday'), /Invalid expiry/);
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for the audit log (src/audit/audit-log.js) and what the protocol
+ * router and the service record in it. Run with `npm test`.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { AuditLog } = require('../src/audit');
+const { ProtocolRouter } = require('../src/protocol');
+
+let service;
+
+after(() => {
+  if (service) service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function createAuditLog() {
+  return new AuditLog({ configDir: fs.mkdtempSync(path.join(home, 'audit-')) });
+}
+
+/**
+ * A router that collects its audit entries
+ */
+function auditedRouter() {
+  const entries = [];
+  const router = new ProtocolRouter({ onAudit: entry => entries.push(entry) });
+  return { router, entries };
+}
+
+function caller() {
+  const replies = [];
+  return { replies, reply: r => replies.push(r), label: 'test', authenticated: true, isLocal: false, scopes: ['admin'] };
+}
+
+test('events are listed newest first and filtered', () => {
+  const log = createAuditLog();
+  log.record('auth', { keyName: 'phone', remoteAddress: '10.0.0.1', transport: 'ws', result: 'ok', time: 1000 });
+  log.record('request', { keyName: 'phone', route: 'memory:deleteFact', args: { id: 3 }, result: 'ok', time: 2000 });
+  log.record('request', { keyName: 'laptop', route: 'command', args: { data: 'hi' }, result: 'denied', detail: 'no', time: 3000 });
+
+  assert.deepEqual(log.list().map(e => e.time), [3000, 2000, 1000]);
+  assert.deepEqual(log.list({ oldestFirst: true, limit: 2 }).map(e => e.time), [1000, 2000]);
+  assert.deepEqual(log.list({ keyName: 'phone', event: 'request' }).map(e => e.route), ['memory:deleteFact']);
+  assert.deepEqual(log.list({ result: 'denied' })[0].args, { data: 'hi' });
+  assert.deepEqual(log.list({ since: 2000, until: 3000 }).map(e => e.time), [2000]);
+
+  const visited = [];
+  assert.equal(log.each({ keyName: 'phone' }, entry => visited.push(entry.event)), 2);
+  assert.deepEqual(visited, ['auth', 'request']);
+  log.close();
+});
+
+test('a failing write does not throw', () => {
+  const log = createAuditLog();
+  log.close();
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(log.record('auth', { result: 'ok' }), null);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('the router summarizes arguments, shortening long strings', async () => {
+  const { router, entries } = auditedRouter();
+  router
+    .register('command', { params: { data: { type: 'string' }, n: { type: 'integer' } }, handler: () => {} })
+    .register('input', { audit: 'full', params: { data: { type: 'string' } }, handler: () => {} })
+    .register('status', { audit: false, handler: () => {} });
+
+  const long = 'x'.repeat(250);
+  await router.dispatch({ type: 'command', data: long, n: 2, undeclared: 'secret' }, caller());
+  await router.dispatch({ type: 'input', data: long }, caller());
+  await router.dispatch({ type: 'status' }, caller());
+
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries[0], {
+    route: 'command',
+    args: { data: `${'x'.repeat(200)}... (250 chars)`, n: 2 },
+    result: 'ok',
+    detail: null
+  });
+  assert.equal(entries[1].args.data, long);
+});
+
+test('the router records denials, errors and handler details', async () => {
+  const { router, entries } = auditedRouter();
+  router
+    .register('memory:deleteFact', {
+      scope: 'memory:write',
+      params: { id: { type: 'integer', required: true } },
+      handler: (msg, { audit, reply }) => {
+        audit({ fact: 'Deleted text' });
+        reply({ type: 'memory:factDeleted' });
+      }
+    })
+    .register('broken', { handler: () => { throw new Error('boom'); } });
+
+  await router.dispatch({ type: 'memory:deleteFact', id: 4 }, caller());
+  await router.dispatch({ type: 'memory:deleteFact' }, caller());
+  await router.dispatch({ type: 'memory:deleteFact', id: 4 }, { ...caller(), keyName: 'phone', scopes: ['chat'] });
+  await router.dispatch({ type: 'broken' }, caller());
+  await router.dispatch({ type: 'nonsense' }, caller());
+
+  assert.deepEqual(entries[0], { route: 'memory:deleteFact', args: { id: 4, fact: 'Deleted text' }, result: 'ok', detail: null });
+  assert.deepEqual(entries.slice(1).map(e => [e.route, e.result]), [
+    ['memory:deleteFact', 'denied'],
+    ['memory:deleteFact', 'denied'],
+    ['broken', 'error'],
+    ['nonsense', 'denied']
+  ]);
+  assert.match(entries[2].detail, /lacks the "memory:write" scope/);
+  assert.equal(entries[3].detail, 'boom');
+});
+
+test('the service audits key-authenticated clients only', async () => {
+  service = new ClaudeService();
+  service.log = () => {};
+  const factId = service.memoryStore.addFact('The garage code is 4321', 'home');
+  const send = () => {};
+  const phone = {
+    authenticated: true,
+    isLocal: false,
+    remoteAddress: '10.3.3.3',
+    keyName: 'phone',
+    scopes: ['admin'],
+    ws: {}
+  };
+  const local = { authenticated: true, isLocal: true, keyName: 'local', scopes: null };
+
+  await service.routeMessage(phone, { type: 'memory:deleteFact', id: factId }, send, 'phone');
+  await service.routeMessage(phone, { type: 'input', data: 'y'.repeat(300) }, send, 'phone');
+  await service.routeMessage(local, { type: 'memory:facts' }, send, 'local');
+
+  const events = service.auditLog.list({ event: 'request' });
+  assert.equal(events.length, 2);
+  const [input, deleted] = events;
+  assert.ok(deleted.time > 0);
+  assert.deepEqual({ ...deleted, id: null, time: null }, {
+    id: null,
+    time: null,
+    event: 'request',
+    keyName: 'phone',
+    remoteAddress: '10.3.3.3',
+    transport: 'ws',
+    route: 'memory:deleteFact',
+    args: { id: factId, fact: 'The garage code is 4321', category: 'home' },
+    result: 'ok',
+    detail: null
+  });
+  // Raw input is kept in full, even when it fails
+  assert.equal(input.args.data.length, 300);
+  assert.equal(input.result, 'error');
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for the HTTP API (src/http/api-server.js): authentication, scopes,
+ * routing onto the protocol routes and commands, with
+ * test/fixtures/fake-claude as Claude. Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { HttpApiServer } = require('../src/http');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+
+let service;
+let baseUrl;
+let adminKey;
+let readerKey;
+
+before(async () => {
+  service = new ClaudeService({ claude: { claudePath: FAKE_CLAUDE } });
+  service.log = () => {};
+  adminKey = service.apiKeyManager.generate('admin').key;
+  readerKey = service.apiKeyManager.generate('reader', { scopes: 'memory:read' }).key;
+
+  const session = await service.createSession('default');
+  await new Promise(resolve => (session.claudeReady ? resolve() : session.once('ready', resolve)));
+
+  service.httpServer = new HttpApiServer(service, { port: 0 });
+  await service.httpServer.start();
+  baseUrl = `http://127.0.0.1:${service.httpServer.server.address().port}`;
+});
+
+after(async () => {
+  await service.stop();
+  service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Call the API and parse the JSON answer
+ * @returns {Promise<{status: number, headers: Headers, body: object|null}>}
+ */
+async function request(method, pathname, { key = adminKey, body, headers = {} } = {}) {
+  const res = await fetch(baseUrl + pathname, {
+    method,
+    headers: {
+      ...(key ? { Authorization: `Bearer ${key}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+test('requests need a valid API key', async () => {
+  const missing = await request('GET', '/v1/facts', { key: null });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.equal(missing.body.code, 'unauthorized');
+
+  const wrong = await request('GET', '/v1/facts', { key: 'car_not-a-real-key' });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.message, 'Invalid API key');
+
+  const header = await request('GET', '/v1/facts', { key: null, headers: { 'X-API-Key': adminKey } });
+  assert.equal(header.status, 200);
+});
+
+test('unknown paths and methods are refused', async () => {
+  const unknown = await request('GET', '/v1/nothing');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'not_found');
+
+  const method = await request('PUT', '/v1/facts');
+  assert.equal(method.status, 405);
+  assert.equal(method.headers.get('allow'), 'GET, POST');
+});
+
+test('a malformed path parameter is a bad request', async () => {
+  const res = await request('DELETE', '/v1/facts/%E0%A4%A');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid');
+  assert.match(res.body.message, /Malformed path/);
+});
+
+test('bodies must be JSON objects', async () => {
+  const invalid = await request('POST', '/v1/facts', { body: '{"fact":' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.message, 'Request body is not valid JSON');
+
+  const array = await request('POST', '/v1/facts', { body: '[1]' });
+  assert.equal(array.status, 400);
+  assert.equal(array.body.message, 'Request body must be a JSON object');
+});
+
+test('facts can be added, listed, edited and deleted', async () => {
+  const added = await request('POST', '/v1/facts', { body: { fact: 'Owns a bike', category: 'personal', tags: 'sport' } });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.type, 'memory:factAdded');
+  assert.equal(added.body.data.fact, 'Owns a bike');
+  const { id } = added.body.data;
+
+  const listed = await request('GET', '/v1/facts?tag=sport');
+  assert.deepEqual(listed.body.data.map(fact => fact.id), [id]);
+
+  const edited = await request('PATCH', `/v1/facts/${id}`, { body: { fact: 'Owns two bikes', addTags: ['cycling'] } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.data.fact, 'Owns two bikes');
+  assert.deepEqual(edited.body.data.tags, ['sport', 'cycling']);
+
+  const deleted = await request('DELETE', `/v1/facts/${id}`);
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body.data, { id });
+  assert.deepEqual((await request('GET', '/v1/facts')).body.data, []);
+});
+
+test('parameters are validated by the route', async () => {
+  const noFact = await request('POST', '/v1/facts', { body: { category: 'x' } });
+  assert.equal(noFact.status, 400);
+  assert.equal(noFact.body.code, 'invalid');
+
+  const badId = await request('PATCH', '/v1/facts/abc', { body: { fact: 'x' } });
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.code, 'invalid');
+});
+
+test('a key without the scope a route needs is forbidden', async () => {
+  const read = await request('GET', '/v1/facts', { key: readerKey });
+  assert.equal(read.status, 200);
+
+  const write = await request('POST', '/v1/facts', { key: readerKey, body: { fact: 'Not allowed' } });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.code, 'forbidden');
+
+  const command = await request('POST', '/v1/commands', { key: readerKey, body: { command: 'hi' } });
+  assert.equal(command.status, 403);
+});
+
+test('a command answers with its final message', async () => {
+  const res = await request('POST', '/v1/commands', { body: { command: 'hello', requestId: 'mine' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, 'message');
+  assert.equal(res.body.isComplete, true);
+  assert.equal(res.body.content, 'echo: hello');
+  assert.equal(res.body.requestId, 'mine');
+  assert.equal(service.httpServer.pendingCommands.size, 0);
+});
+
+test('a command can stream its messages as Server-Sent Events', async () => {
+  const res = await fetch(`${baseUrl}/v1/commands?stream=true`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${adminKey}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ command: 'streamed' })
+  });
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+
+  const events = (await res.text()).split('\n\n').filter(Boolean).map((block) => {
+    const [event, data] = block.split('\n');
+    return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+  });
+  assert.deepEqual(events.map(e => e.event), ['message', 'message']);
+  assert.equal(events[0].data.messageType, 'assistant');
+  assert.equal(events[1].data.content, 'echo: streamed');
+});
+
+test('commands to an unknown session are refused', async () => {
+  const res = await request('POST', '/v1/commands', { body: { command: 'hi', session: 'nope' } });
+  assert.equal(res.status, 404);
+  assert.equal(service.httpServer.pendingCommands.size, 0);
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for choosing the memory context of a prompt (src/memory/context.js):
+ * relevance and recency ranking, pinned facts, session snapshots and the
+ * token budget. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { ContextBuilder, estimateTokens } = require('../src/memory/context');
+
+let configDir;
+let store;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  store = new MemoryStore({ configDir });
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * Make a fact look as if it was last changed `days` ago
+ */
+function age(id, days) {
+  const time = new Date(Date.now() - days * 86400000).toISOString().replace('T', ' ').slice(0, 19);
+  store.db.prepare(`UPDATE facts SET created_at = ?, updated_at = ? WHERE id = ?`).run(time, time, id);
+}
+
+function factTexts(facts) {
+  return facts.map(fact => fact.fact);
+}
+
+test('the facts relevant to the prompt come first', () => {
+  store.addFact('User likes hiking in the Alps', 'preference');
+  store.addFact('The staging database runs postgres 15', 'work');
+  store.addFact('Favourite coffee is a flat white', 'preference');
+  const builder = new ContextBuilder({ store });
+
+  assert.equal(builder.selectFacts('which postgres version is on staging?', 1000)[0].fact,
+    'The staging database runs postgres 15');
+  assert.equal(builder.selectFacts('order me a coffee', 1000)[0].fact, 'Favourite coffee is a flat white');
+});
+
+test('without a relevant fact, newer facts rank higher', () => {
+  const old = store.addFact('User lived in Lisbon', 'personal');
+  const recent = store.addFact('User lives in Porto', 'personal', { dedupe: false });
+  age(old, 60);
+  age(recent, 1);
+  const builder = new ContextBuilder({ store });
+
+  assert.deepEqual(factTexts(builder.selectFacts('hello', 1000)), ['User lives in Porto', 'User lived in Lisbon']);
+
+  // Confidence scales the score
+  store.updateFact(recent, { confidence: 0.1 });
+  age(recent, 1);
+  assert.equal(builder.selectFacts('hello', 1000)[0].fact, 'User lived in Lisbon');
+});
+
+test('pinned facts are always included, even over budget', () => {
+  store.addFact('Never deploy on Fridays', 'work', { pinned: true });
+  store.addFact('The staging database runs postgres 15', 'work');
+  const builder = new ContextBuilder({ store });
+
+  assert.deepEqual(factTexts(builder.selectFacts('postgres', 0)), ['Never deploy on Fridays']);
+  assert.deepEqual(factTexts(builder.selectFacts('postgres', 1000)), [
+    'Never deploy on Fridays',
+    'The staging database runs postgres 15'
+  ]);
+});
+
+test('facts are added while they fit the budget and maxFacts', () => {
+  for (let i = 1; i <= 6; i++) {
+    store.addFact(`Project number ${i} uses language number ${i * 7}`, 'work', { dedupe: false });
+  }
+  const oneFact = estimateTokens('Project number 1 uses language number 7') + 3;
+
+  assert.equal(new ContextBuilder({ store }).selectFacts('', oneFact * 2).length, 2);
+  assert.equal(new ContextBuilder({ store, maxFacts: 4 }).selectFacts('', 10000).length, 4);
+  // A long fact that doesn't fit is skipped for shorter ones that do
+  store.addFact('A very long fact '.repeat(40), 'work');
+  const selected = new ContextBuilder({ store }).selectFacts('very long', oneFact * 3);
+  assert.ok(!selected.some(fact => fact.fact.startsWith('A very long fact')));
+  assert.equal(selected.length, 3);
+});
+
+test('session snapshots are left out unless pinned', () => {
+  store.addFact('Session active with 3 messages', 'session', { source: 'system' });
+  store.addFact('User is working on the session manager', 'work');
+  const builder = new ContextBuilder({ store });
+
+  assert.deepEqual(factTexts(builder.selectFacts('session', 1000)), ['User is working on the session manager']);
+
+  const [snapshot] = store.getFacts('session');
+  store.updateFact(snapshot.id, { pinned: true });
+  assert.ok(factTexts(builder.selectFacts('session', 1000)).includes('Session active with 3 messages'));
+});
+
+test('earlier messages are picked by relevance and recency, in order', () => {
+  const conversationId = store.startConversation();
+  store.addMessage(conversationId, 'user', 'The wifi password is swordfish');
+  for (let i = 0; i < 8; i++) {
+    store.addMessage(conversationId, i % 2 ? 'assistant' : 'user', `small talk ${i}`);
+  }
+  store.addMessage(conversationId, 'assistant', 'x'.repeat(2000));
+  const builder = new ContextBuilder({ store, maxMessages: 3, maxMessageTokens: 20 });
+
+  const messages = builder.selectMessages(conversationId, 'what was the wifi password?', 1000);
+  assert.equal(messages.length, 3);
+  assert.equal(messages[0].content, 'The wifi password is swordfish');
+  assert.ok(messages.every((msg, i) => i === 0 || messages[i - 1].id < msg.id));
+  // Long messages are shortened
+  assert.equal(messages.at(-1).content, `${'x'.repeat(77)}...`);
+
+  const history = builder.buildHistoryContext(conversationId, 'wifi', 1000);
+  assert.match(history, /^Recent Conversation:\n {2}User: The wifi password is swordfish\n/);
+});
+
+test('summaries of other conversations are included, oldest first', () => {
+  const first = store.startConversation();
+  store.endConversation(first, 'Planned the postgres upgrade');
+  const second = store.startConversation();
+  store.endConversation(second, 'Chose a new coffee grinder');
+  const current = store.startConversation();
+  store.endConversation(current, 'The current conversation');
+  const builder = new ContextBuilder({ store });
+
+  const summaries = builder.selectSummaries('postgres', 1000, current);
+  assert.deepEqual(summaries.map(c => c.summary), ['Planned the postgres upgrade', 'Chose a new coffee grinder']);
+  assert.equal(new ContextBuilder({ store, maxSummaries: 1 }).selectSummaries('postgres', 1000, current)[0].id, first);
+  assert.deepEqual(new ContextBuilder({ store, maxSummaries: 0 }).selectSummaries('postgres', 1000, current), []);
+});
+
+test('the whole context stays within the token budget', () => {
+  for (let i = 0; i < 40; i++) {
+    store.addFact(`Fact number ${i} about the garden shed and its ${i} tools`, 'home', { dedupe: false });
+  }
+  const conversationId = store.startConversation();
+  for (let i = 0; i < 20; i++) {
+    store.addMessage(conversationId, 'user', `message ${i} about the garden shed `.repeat(5));
+  }
+  const builder = new ContextBuilder({ store, tokenBudget: 300 });
+
+  const context = builder.buildContext(conversationId, 'garden shed');
+  assert.match(context, /^\[JARVIS MEMORY CONTEXT\]\nUser Facts & Preferences:\n {2}home:\n/);
+  assert.match(context, /Recent Conversation:/);
+  assert.ok(estimateTokens(context) <= 300 + 20, `context is ${estimateTokens(context)} tokens`);
+
+  const empty = new MemoryStore({ configDir: fs.mkdtempSync(path.join(configDir, 'empty-')) });
+  assert.equal(new ContextBuilder({ store: empty }).buildContext(null, 'garden shed'), null);
+  empty.close();
+});
+
+test('settings must be non-negative numbers', () => {
+  const builder = new ContextBuilder({ store, tokenBudget: -1, maxFacts: 'ten', maxSummaries: 0, unknown: 5 });
+  assert.equal(builder.options.tokenBudget, 1500);
+  assert.equal(builder.options.maxFacts, 20);
+  assert.equal(builder.options.maxSummaries, 0);
+  assert.equal('unknown' in builder.options, false);
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for memory.db encryption (src/memory/encryption.js and the
+ * MemoryStore encryption methods). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { MEMORY_KEY_ENV } = require('../src/memory/encryption');
+
+const SECRET = 'zebra-colored umbrella';
+
+let configDir;
+
+beforeEach(() => {
+  delete process.env[MEMORY_KEY_ENV];
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * A store with the secret in a fact, a message, a summary and the journal,
+ * and a couple of plain-text backups
+ */
+function createStore() {
+  const store = new MemoryStore({ configDir });
+  store.addFact(`The spare key is under the ${SECRET}`, 'home');
+  const conversationId = store.startConversation();
+  store.addMessage(conversationId, 'user', `where is the ${SECRET}?`);
+  store.endConversation(conversationId, `Talked about the ${SECRET}`);
+  store.appendJournal('default', { type: 'output', content: `the ${SECRET}` });
+  store.backup('manual');
+  // Replacing backs memory up again
+  store.importData(store.exportData(), { mode: 'replace' });
+  return store;
+}
+
+/**
+ * Files under the config directory (memory.db, its WAL, backups) that contain text
+ */
+function filesContaining(text) {
+  const found = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (fs.readFileSync(file).includes(text)) {
+        found.push(path.relative(configDir, file));
+      }
+    }
+  };
+  walk(configDir);
+  return found;
+}
+
+/**
+ * Open a backup as if it had been restored to memory.db
+ */
+function openBackup(file, passphrase) {
+  const dir = fs.mkdtempSync(path.join(configDir, 'restore-'));
+  fs.copyFileSync(file, path.join(dir, 'memory.db'));
+  return new MemoryStore({ configDir: dir, passphrase });
+}
+
+test('enabling encryption leaves no unencrypted copy of memory', () => {
+  const store = createStore();
+  assert.ok(filesContaining(SECRET).length > 0);
+
+  const result = store.enableEncryption('correct horse');
+  store.close();
+
+  assert.deepEqual(filesContaining(SECRET), []);
+  assert.equal(result.backups.length, store.listBackups().length);
+  assert.ok(result.backups.includes(result.backup));
+  assert.deepEqual(result.unconverted, []);
+});
+
+test('encrypted backups restore with the passphrase', () => {
+  const store = createStore();
+  const { backup } = store.enableEncryption('correct horse');
+  store.close();
+
+  assert.throws(() => openBackup(backup, 'wrong horse'), /Wrong memory passphrase/);
+  const restored = openBackup(backup, 'correct horse');
+  assert.ok(restored.encrypted);
+  assert.equal(restored.getFacts()[0].fact, `The spare key is under the ${SECRET}`);
+  assert.equal(restored.search('umbrella').length, 3);
+  restored.close();
+});
+
+test('rotating the key re-encrypts the backups', () => {
+  const store = createStore();
+  store.enableEncryption('correct horse');
+  const result = store.rotateEncryptionKey('battery staple');
+  store.close();
+
+  assert.deepEqual(result.unconverted, []);
+  assert.deepEqual(filesContaining(SECRET), []);
+  for (const file of result.backups) {
+    assert.throws(() => openBackup(file, 'correct horse'), /Wrong memory passphrase/);
+    const restored = openBackup(file, 'battery staple');
+    assert.equal(restored.getFacts().length, 1);
+    restored.close();
+  }
+});
+
+test('disabling encryption decrypts the backups and rebuilds their index', () => {
+  const store = createStore();
+  store.enableEncryption('correct horse');
+  const result = store.disableEncryption();
+
+  assert.equal(store.search('umbrella').length, 3);
+  store.close();
+
+  assert.deepEqual(result.unconverted, []);
+  const restored = openBackup(result.backup);
+  assert.equal(restored.encrypted, false);
+  assert.equal(restored.search('umbrella').length, 3);
+  restored.close();
+});
+
+test('backups that cannot be converted are reported', () => {
+  const store = createStore();
+  const damaged = path.join(configDir, 'backups', 'memory-0000-damaged.db');
+  fs.writeFileSync(damaged, `not a database: ${SECRET}`);
+
+  const result = store.enableEncryption('correct horse');
+  store.close();
+
+  assert.deepEqual(result.unconverted.map(entry => entry.file), [damaged]);
+  assert.deepEqual(filesContaining(SECRET), [path.relative(configDir, damaged)]);
+});
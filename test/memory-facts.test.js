@@ -0,0 +1,118 @@
+/**
+ * Tests for fact sources, tags and near-duplicate handling
+ * (src/memory/facts.js and MemoryStore.upsertFact). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { ContextBuilder } = require('../src/memory/context');
+const { factSimilarity, parseTags, parseConfidence, parseSource } = require('../src/memory/facts');
+
+const MEETING = 'The weekly planning meeting with the design team is on Tuesday at 10am in room four';
+const MOVED = 'The weekly planning meeting with the design team is on Friday at 10am in room four';
+
+let configDir;
+let store;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  store = new MemoryStore({ configDir });
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('similarity ignores case and punctuation', () => {
+  assert.equal(factSimilarity('Prefers TypeScript!', 'prefers typescript'), 1);
+  assert.ok(factSimilarity(MEETING, MOVED) >= 0.8);
+  assert.ok(factSimilarity('Lives in Berlin', 'Works in Berlin') < 0.8);
+});
+
+test('tags, confidence and source are checked', () => {
+  assert.deepEqual(parseTags(' Work, coding,work '), ['work', 'coding']);
+  assert.throws(() => parseConfidence(1.5), /between 0 and 1/);
+  assert.throws(() => parseSource('email'), /Unknown fact source/);
+  assert.throws(() => store.upsertFact('x', { source: 'email' }), /Unknown fact source/);
+});
+
+test('the same fact is merged into the stored one', () => {
+  const first = store.upsertFact('Prefers TypeScript', { tags: 'coding', source: 'extracted' });
+  const again = store.upsertFact('prefers typescript.', { tags: 'languages', confidence: 0.9 });
+
+  assert.equal(again.id, first.id);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.updated, false);
+  assert.equal(again.fact.fact, 'Prefers TypeScript');
+  assert.deepEqual(again.fact.tags, ['coding', 'languages']);
+  assert.equal(again.fact.confidence, 0.9);
+  assert.equal(store.getFacts().length, 1);
+});
+
+test('a near-duplicate that differs replaces the stored text', () => {
+  const first = store.upsertFact(MEETING, { tags: 'work', pinned: true });
+  const moved = store.upsertFact(MOVED, { source: 'extracted' });
+
+  assert.equal(moved.id, first.id);
+  assert.equal(moved.duplicate, false);
+  assert.equal(moved.updated, true);
+  assert.equal(moved.previous, MEETING);
+  assert.equal(moved.fact.fact, MOVED);
+  assert.equal(moved.fact.source, 'extracted');
+  assert.equal(moved.fact.confidence, 0.6);
+  assert.deepEqual(moved.fact.tags, ['work']);
+  assert.equal(moved.fact.pinned, true);
+  assert.deepEqual(store.getFacts().map(f => f.fact), [MOVED]);
+});
+
+test('dedupe can be turned off', () => {
+  store.upsertFact(MEETING);
+  const second = store.upsertFact(MEETING, { dedupe: false });
+  assert.equal(second.duplicate, false);
+  assert.equal(store.getFacts().length, 2);
+});
+
+test('storeFacts counts added, updated and already known facts', () => {
+  store.upsertFact(MEETING);
+  store.upsertFact('Prefers TypeScript');
+  const context = new ContextBuilder({ store });
+
+  const result = context.storeFacts([
+    { fact: MOVED, category: 'work' },
+    { fact: 'Prefers TypeScript', category: 'preference' },
+    { fact: 'Has a dog called Rex', category: 'personal' }
+  ]);
+
+  assert.deepEqual(result, { added: 1, updated: 1, duplicates: 1 });
+  assert.ok(store.getFacts().some(f => f.fact === MOVED && f.category === 'work'));
+  assert.ok(!store.getFacts().some(f => f.fact === MEETING));
+});
+
+test('importing a newer near-duplicate updates the stored fact', () => {
+  store.upsertFact(MEETING, { tags: 'work' });
+  const result = store.importData({
+    facts: [{ fact: MOVED, tags: ['calendar'], created_at: '2099-01-01 00:00:00' }]
+  });
+
+  assert.deepEqual(result.facts, { added: 0, skipped: 0, updated: 1 });
+  const [fact] = store.getFacts();
+  assert.equal(fact.fact, MOVED);
+  assert.deepEqual(fact.tags, ['work', 'calendar']);
+});
+
+test('importing an older near-duplicate keeps the stored text', () => {
+  store.upsertFact(MEETING, { tags: 'work' });
+  const result = store.importData({
+    facts: [{ fact: MOVED, tags: ['calendar'], created_at: '2001-01-01 00:00:00' }]
+  });
+
+  assert.deepEqual(result.facts, { added: 0, skipped: 1, updated: 0 });
+  const [fact] = store.getFacts();
+  assert.equal(fact.fact, MEETING);
+  assert.deepEqual(fact.tags, ['work', 'calendar']);
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the memory.db migrations (src/memory/migrations.js) and
+ * MemoryStore.migrate(). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MemoryStore } = require('../src/memory/store');
+const { MIGRATIONS, LATEST_VERSION, describeSchema } = require('../src/memory/migrations');
+
+let configDir;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * A memory.db as the first release created it (no user_version), with some data
+ */
+function createBaselineDb() {
+  const db = new Database(path.join(configDir, 'memory.db'));
+  db.exec(`
+    CREATE TABLE conversations (
+      id TEXT PRIMARY KEY,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME,
+      summary TEXT
+    );
+    CREATE TABLE messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT,
+      role TEXT,
+      content TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+    );
+    CREATE TABLE facts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fact TEXT,
+      category TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message TEXT,
+      trigger_at DATETIME,
+      cron_expression TEXT,
+      channel TEXT DEFAULT 'notification',
+      status TEXT DEFAULT 'pending',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO conversations (id, ended_at, summary)
+      VALUES ('c1', CURRENT_TIMESTAMP, 'Planned the postgres upgrade');
+    INSERT INTO messages (conversation_id, role, content)
+      VALUES ('c1', 'user', 'which postgres version should we deploy');
+    INSERT INTO facts (fact, category) VALUES ('User drinks green tea', 'preference');
+    INSERT INTO reminders (message, trigger_at) VALUES ('Renew certificate', '2030-01-01T09:00:00Z');
+  `);
+  db.close();
+}
+
+function backupFiles() {
+  const dir = path.join(configDir, 'backups');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+test('migrates a baseline memory.db to the latest version', () => {
+  createBaselineDb();
+  const store = new MemoryStore({ configDir });
+
+  assert.equal(store.getSchemaVersion(), LATEST_VERSION);
+  assert.equal(store.migration.from, 0);
+  assert.equal(store.migration.to, LATEST_VERSION);
+  assert.deepEqual(store.migration.migrations.map(m => m.version), MIGRATIONS.map(m => m.version));
+  assert.ok(store.migration.backup && fs.existsSync(store.migration.backup));
+  store.close();
+});
+
+test('keeps data and indexes it for full-text search', () => {
+  createBaselineDb();
+  const store = new MemoryStore({ configDir });
+
+  const [fact] = store.getFacts();
+  assert.equal(fact.fact, 'User drinks green tea');
+  assert.deepEqual(fact.tags, []);
+  assert.equal(fact.confidence, 1);
+  assert.equal(fact.pinned, false);
+  assert.equal(store.getPendingReminders()[0].message, 'Renew certificate');
+  assert.equal(store.getConversation('c1').summary, 'Planned the postgres upgrade');
+
+  const kinds = store.search('postgres').map(result => result.kind).sort();
+  assert.deepEqual(kinds, ['message', 'summary']);
+  assert.equal(store.search('tea')[0].id, fact.id);
+
+  // Rows added after migrating are indexed by the triggers
+  store.addFact('Deploys go to fly.io', 'work');
+  assert.equal(store.search('fly.io').length, 1);
+  store.close();
+});
+
+test('re-running migrations is a no-op', () => {
+  createBaselineDb();
+  new MemoryStore({ configDir }).close();
+  const backups = backupFiles();
+
+  const store = new MemoryStore({ configDir });
+  assert.deepEqual(store.migration.migrations, []);
+  assert.equal(store.migration.backup, null);
+  assert.equal(store.migration.from, LATEST_VERSION);
+  assert.deepEqual(store.migrate().migrations, []);
+  assert.equal(store.getFacts().length, 1);
+  assert.deepEqual(backupFiles(), backups);
+  store.close();
+});
+
+test('a dry run reports the changes without making them', () => {
+  createBaselineDb();
+  const dbPath = path.join(configDir, 'memory.db');
+  const original = new Database(dbPath, { readonly: true });
+  const before = describeSchema(original);
+  original.close();
+
+  const store = new MemoryStore({ configDir, migrate: false });
+  const result = store.migrate({ dryRun: true });
+  store.close();
+
+  assert.equal(result.from, 0);
+  assert.equal(result.to, LATEST_VERSION);
+  assert.equal(result.backup, null);
+  assert.ok(result.changes.includes('column facts.tags'));
+  assert.ok(result.changes.includes('table facts_fts'));
+
+  const db = new Database(dbPath, { readonly: true });
+  assert.equal(db.pragma('user_version', { simple: true }), 0);
+  assert.deepEqual(describeSchema(db), before);
+  db.close();
+  assert.deepEqual(backupFiles(), []);
+});
+
+test('a failing migration is rolled back and the backup is kept', () => {
+  createBaselineDb();
+  new MemoryStore({ configDir }).close();
+
+  MIGRATIONS.push({
+    version: LATEST_VERSION + 1,
+    description: 'Broken',
+    up(db) {
+      db.exec(`CREATE TABLE half_done (id INTEGER)`);
+      throw new Error('migration failed');
+    }
+  });
+  try {
+    assert.throws(() => new MemoryStore({ configDir }), /migration failed/);
+  } finally {
+    MIGRATIONS.pop();
+  }
+
+  const db = new Database(path.join(configDir, 'memory.db'), { readonly: true });
+  assert.equal(db.pragma('user_version', { simple: true }), LATEST_VERSION);
+  assert.equal(db.prepare(`SELECT 1 FROM sqlite_master WHERE name = 'half_done'`).get(), undefined);
+  assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM facts`).get().n, 1);
+  db.close();
+
+  const backup = backupFiles().find(name => name.endsWith(`-v${LATEST_VERSION}.db`));
+  assert.ok(backup, 'backup taken before the failing migration');
+  const copy = new Database(path.join(configDir, 'backups', backup), { readonly: true });
+  assert.equal(copy.prepare(`SELECT fact FROM facts`).get().fact, 'User drinks green tea');
+  copy.close();
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for memory retention (src/memory/retention.js, MemoryStore.prune and
+ * the service's memory-prune job). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { MemoryStore } = require('../src/memory/store');
+const { parseRetention } = require('../src/memory/retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let configDir;
+let store;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(home, 'memory-'));
+  store = new MemoryStore({ configDir });
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * An SQLite timestamp `days` ago
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function addFact(text, category, days, options = {}) {
+  const id = store.addFact(text, category, { dedupe: false, ...options });
+  store.db.prepare(`UPDATE facts SET created_at = ?, updated_at = ? WHERE id = ?`).run(daysAgo(days), daysAgo(days), id);
+  return id;
+}
+
+/**
+ * Rules with nothing but `overrides`
+ */
+function rules(overrides) {
+  return parseRetention({ facts: { categories: { session: null } }, reminders: {}, journal: {}, ...overrides });
+}
+
+test('rules are merged over the defaults', () => {
+  const defaults = parseRetention();
+  assert.equal(defaults.enabled, true);
+  assert.equal(defaults.interval, 6 * 60 * 60 * 1000);
+  assert.deepEqual(defaults.facts.categories, { session: { maxAge: 7 * DAY, maxCount: 24 } });
+  assert.deepEqual(defaults.reminders, { maxAge: 90 * DAY, maxCount: null });
+  assert.deepEqual(defaults.messages, { maxAge: null, maxCount: null });
+
+  const custom = parseRetention({
+    enabled: false,
+    messages: { maxAge: '30d', maxCount: '1000' },
+    facts: { maxCount: 500, categories: { work: { maxAge: '365d' } } }
+  });
+  assert.equal(custom.enabled, false);
+  assert.deepEqual(custom.messages, { maxAge: 30 * DAY, maxCount: 1000 });
+  assert.equal(custom.facts.maxCount, 500);
+  assert.deepEqual(Object.keys(custom.facts.categories).sort(), ['session', 'work']);
+  assert.deepEqual(Object.keys(parseRetention({ facts: { categories: { session: null } } }).facts.categories), []);
+});
+
+test('invalid rules are refused', () => {
+  assert.throws(() => parseRetention({ messages: { maxCount: -1 } }), /retention\.messages\.maxCount must be a whole number/);
+  assert.throws(
+    () => parseRetention({ facts: { categories: { session: { maxCount: 2.5 } } } }),
+    /retention\.facts\.categories\.session\.maxCount/
+  );
+  assert.throws(() => parseRetention({ journal: { maxAge: 'soon' } }));
+});
+
+test('facts past a category rule go, pinned facts stay', () => {
+  addFact('Session snapshot old', 'session', 10, { source: 'system' });
+  addFact('Session snapshot new', 'session', 1, { source: 'system' });
+  addFact('Pinned session note', 'session', 30, { pinned: true });
+  addFact('User drinks green tea', 'preference', 400);
+
+  const result = store.prune(rules({ facts: { categories: { session: { maxAge: '7d' } } } }));
+  assert.deepEqual(result.removed.facts, 1);
+  assert.deepEqual(result.factCategories, { session: 1 });
+  assert.deepEqual(store.getFacts().map(f => f.fact).sort(), [
+    'Pinned session note',
+    'Session snapshot new',
+    'User drinks green tea'
+  ]);
+});
+
+test('maxCount keeps the newest rows', () => {
+  for (let i = 1; i <= 5; i++) {
+    addFact(`Session snapshot ${i}`, 'session', 6 - i);
+  }
+  addFact('Work fact one', 'work', 50);
+  addFact('Work fact two', 'work', 40);
+  addFact('Work fact three', 'work', 30);
+
+  // The table-wide rule covers the categories without a rule of their own
+  const result = store.prune(rules({ facts: { maxCount: 1, categories: { session: { maxCount: 2 } } } }));
+  assert.deepEqual(result.factCategories, { session: 3 });
+  assert.equal(result.removed.facts, 5);
+  assert.deepEqual(store.getFacts().map(f => f.fact).sort(), [
+    'Session snapshot 4',
+    'Session snapshot 5',
+    'Work fact three'
+  ]);
+});
+
+test('ended conversations go with their messages, ongoing ones stay', () => {
+  const ended = store.startConversation();
+  store.addMessage(ended, 'user', 'old question');
+  store.endConversation(ended, 'Old talk');
+  const ongoing = store.startConversation();
+  store.addMessage(ongoing, 'user', 'still talking');
+  store.db.prepare(`UPDATE conversations SET started_at = ?, ended_at = ? WHERE id = ?`)
+    .run(daysAgo(100), daysAgo(99), ended);
+  store.db.prepare(`UPDATE conversations SET started_at = ? WHERE id = ?`).run(daysAgo(100), ongoing);
+
+  const result = store.prune(rules({ conversations: { maxAge: '30d' } }));
+  assert.deepEqual([result.removed.conversations, result.removed.messages], [1, 1]);
+  assert.equal(store.getConversation(ended), undefined);
+  assert.equal(store.getConversation(ongoing).id, ongoing);
+  assert.equal(store.getMessageCount(), 1);
+});
+
+test('only finished reminders and old journal entries are pruned', () => {
+  const done = store.addReminder('Done long ago', '2020-01-01T09:00:00Z');
+  store.completeReminder(done);
+  const cancelled = store.addReminder('Cancelled', '2020-01-01T09:00:00Z');
+  store.cancelReminder(cancelled);
+  store.addReminder('Still pending', '2020-01-01T09:00:00Z');
+  store.db.prepare(`UPDATE reminders SET created_at = ?`).run(daysAgo(200));
+
+  store.appendJournal('default', { type: 'output', content: 'old' });
+  store.appendJournal('default', { type: 'output', content: 'new' });
+  store.db.prepare(`UPDATE journal SET time = ? WHERE id = (SELECT MIN(id) FROM journal)`).run(Date.now() - 40 * DAY);
+
+  const result = store.prune(rules({ reminders: { maxAge: '90d' }, journal: { maxAge: '30d' } }));
+  assert.equal(result.removed.reminders, 2);
+  assert.equal(result.removed.journal, 1);
+  assert.equal(store.getPendingReminders()[0].message, 'Still pending');
+  assert.equal(store.getJournalCount(), 1);
+});
+
+test('a dry run counts without removing', () => {
+  addFact('Old work fact', 'work', 100);
+  const dryRun = store.prune(rules({ facts: { maxAge: '30d' } }), { dryRun: true });
+  assert.equal(dryRun.dryRun, true);
+  assert.equal(dryRun.total, 1);
+  assert.equal(store.getFacts().length, 1);
+  assert.equal(store.getPruneStats().lastPrunedAt, null);
+});
+
+test('stats add up what was pruned', () => {
+  addFact('Old work fact', 'work', 100);
+  addFact('Old snapshot', 'session', 100);
+  store.prune(rules({ facts: { maxAge: '30d', categories: { session: { maxAge: '7d' } } } }));
+  addFact('Another old work fact', 'work', 100);
+  store.prune(rules({ facts: { maxAge: '30d' } }));
+
+  const stats = store.getPruneStats();
+  assert.equal(stats.facts, 3);
+  assert.equal(stats.messages, 0);
+  assert.ok(stats.lastPrunedAt);
+  const byCategory = store.db.prepare(`SELECT category, SUM(removed) AS removed FROM prune_log GROUP BY category`).all();
+  assert.deepEqual(byCategory.map(row => [row.category, row.removed]), [[null, 2], ['session', 1]]);
+});
+
+test('the service prunes with the configured rules and skips invalid ones', () => {
+  const service = new ClaudeService();
+  const logged = [];
+  service.log = message => logged.push(message);
+  try {
+    service.memoryStore.addFact('Old work fact', 'work', { dedupe: false });
+    service.memoryStore.db.prepare(`UPDATE facts SET created_at = ?, updated_at = ?`).run(daysAgo(100), daysAgo(100));
+
+    service.pruneMemory(rules({ facts: { maxAge: '30d' } }));
+    assert.equal(service.memoryStore.getFacts().length, 0);
+    assert.deepEqual(logged, ['Memory pruned: 1 facts']);
+
+    service.config.get = (key, fallback) => (key === 'retention' ? { messages: { maxCount: 'lots' } } : fallback);
+    assert.deepEqual(service.loadRetention(), { enabled: false });
+    assert.match(logged[1], /Invalid retention settings, memory will not be pruned/);
+  } finally {
+    service.memoryStore.close();
+  }
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for memory search (src/memory/search.js and MemoryStore.search),
+ * with the full-text index and on encrypted memory. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { MEMORY_KEY_ENV } = require('../src/memory/encryption');
+const { toFtsQuery, toSearchTerms, scanText, parseKinds, SEARCH_KINDS } = require('../src/memory/search');
+
+let configDir;
+let store;
+
+beforeEach(() => {
+  delete process.env[MEMORY_KEY_ENV];
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  store = new MemoryStore({ configDir });
+  store.addFact('The staging database runs postgres 15', 'work');
+  store.addFact('Deploys go out on Thursdays', 'work', { tags: ['release'] });
+  const conversationId = store.startConversation();
+  store.addMessage(conversationId, 'user', 'should we upgrade postgres before the deploy?');
+  store.addMessage(conversationId, 'assistant', 'Upgrade postgres first, then deploy');
+  store.endConversation(conversationId, 'Planned the postgres upgrade');
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('free text becomes a safe FTS5 query', () => {
+  assert.equal(toFtsQuery('postgres upgrade'), '"postgres" "upgrade"*');
+  assert.equal(toFtsQuery('postgres upgrade', { match: 'any', prefix: false }), '"postgres" OR "upgrade"');
+  assert.equal(toFtsQuery('"NEAR(a b)" OR -x'), '"NEAR" "a" "b" "OR" "x"*');
+  assert.equal(toFtsQuery('?!'), null);
+  assert.equal(toFtsQuery('a NEAR b', { raw: true }), 'a NEAR b');
+});
+
+test('search kinds accept plurals and lists', () => {
+  assert.deepEqual(parseKinds(), SEARCH_KINDS);
+  assert.deepEqual(parseKinds('facts, Messages'), ['fact', 'message']);
+  assert.deepEqual(parseKinds(['summary', 'summaries']), ['summary']);
+  assert.throws(() => parseKinds('notes'), /Unknown search kind "notes"/);
+});
+
+test('scanning matches whole words and a prefix of the last one', () => {
+  const terms = toSearchTerms('Postgres upg');
+  assert.deepEqual(terms, { words: ['postgres', 'upg'], prefix: 'upg', match: 'all' });
+  assert.deepEqual(scanText('Upgrade postgres, then postgres again', terms), { score: 3 });
+  assert.equal(scanText('postgres only', terms), null);
+  assert.deepEqual(scanText('postgres only', toSearchTerms('postgres upg', { match: 'any' })), { score: 1 });
+  assert.equal(scanText('upgrades', toSearchTerms('upg', { prefix: false })), null);
+
+  const long = 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen postgres';
+  assert.equal(
+    scanText(long, toSearchTerms('fourteen'), ['[', ']']).snippet,
+    '…ten eleven twelve thirteen [fourteen] fifteen sixteen seventeen eighteen postgres'
+  );
+  assert.throws(() => toSearchTerms('x', { raw: true }), /Raw queries need the full-text index/);
+});
+
+test('finds facts, messages and summaries, best match first', () => {
+  const results = store.search('postgres');
+  assert.deepEqual(results.map(r => r.kind).sort(), ['fact', 'message', 'message', 'summary']);
+  assert.ok(results.every((r, i) => i === 0 || results[i - 1].score >= r.score));
+  assert.ok(results.every(r => r.snippet.includes('**postgres**')));
+
+  const [fact] = store.search('thursdays', { kinds: 'facts', highlight: ['<b>', '</b>'] });
+  assert.equal(fact.kind, 'fact');
+  assert.equal(fact.category, 'work');
+  assert.deepEqual(fact.tags, ['release']);
+  assert.equal(fact.snippet, 'Deploys go out on <b>Thursdays</b>');
+
+  const [message] = store.search('should', { kinds: ['message'] });
+  assert.equal(message.role, 'user');
+  assert.ok(message.conversationId);
+});
+
+test('all words must match unless any is asked for', () => {
+  assert.deepEqual(store.search('postgres thursdays'), []);
+  assert.deepEqual(
+    store.search('postgres thursdays', { match: 'any', kinds: 'fact' }).map(r => r.snippet).sort(),
+    ['Deploys go out on **Thursdays**', 'The staging database runs **postgres** 15']
+  );
+  // The last word is a prefix, for search as you type
+  assert.equal(store.search('Thurs').length, 1);
+  assert.equal(store.search('Thurs', { prefix: false }).length, 0);
+});
+
+test('limit caps the results across kinds', () => {
+  assert.equal(store.search('postgres', { limit: 2 }).length, 2);
+  assert.equal(store.search('?!').length, 0);
+});
+
+test('raw queries use FTS5 syntax and report mistakes', () => {
+  assert.equal(store.search('postgres NOT upgrade', { raw: true, kinds: 'message' }).length, 0);
+  assert.equal(store.search('deploy*', { raw: true, kinds: 'message' }).length, 2);
+  assert.throws(() => store.search('"unbalanced', { raw: true }), /Invalid search query/);
+});
+
+test('encrypted memory is searched by scanning', () => {
+  store.enableEncryption('correct horse');
+
+  const results = store.search('postgres');
+  assert.deepEqual(results.map(r => r.kind).sort(), ['fact', 'message', 'message', 'summary']);
+  assert.deepEqual(store.search('postgres first', { kinds: 'message' }).map(r => r.snippet), [
+    'Upgrade **postgres** **first**, then deploy'
+  ]);
+  // Scores count how often the words occur
+  assert.deepEqual(store.search('deploy', { kinds: 'message' }).map(r => r.score), [1, 1]);
+  assert.equal(store.search('upgrade', { kinds: ['message', 'summary'] }).length, 3);
+  assert.equal(store.search('thursdays postgres', { match: 'any', kinds: 'fact' }).length, 2);
+  assert.equal(store.search('postgres', { limit: 1 }).length, 1);
+  assert.deepEqual(store.search('thursdays', { kinds: 'fact' })[0].tags, ['release']);
+  assert.throws(() => store.search('deploy*', { raw: true }), /Raw queries need the full-text index/);
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for conversation summaries (src/memory/summarizer.js), with a stand-in
+ * for `claude --print` and with test/fixtures/fake-claude. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { ConversationSummarizer } = require('../src/memory/summarizer');
+const { printText } = require('../src/session');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+
+let configDir;
+let store;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  store = new MemoryStore({ configDir });
+});
+
+afterEach(() => {
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * A summarizer whose Claude runs are recorded and answered by `answer`
+ */
+function createSummarizer(settings = {}, answer = async () => 'The user planned a postgres upgrade.') {
+  const runs = [];
+  const logged = [];
+  const summarizer = new ConversationSummarizer({
+    store,
+    printText: (options) => {
+      runs.push(options);
+      return answer(options);
+    },
+    getConfig: () => ({ claudePath: 'claude', model: 'sonnet' }),
+    settings,
+    log: message => logged.push(message)
+  });
+  return { summarizer, runs, logged };
+}
+
+function createConversation(messages = ['should we upgrade postgres?', 'Yes, to 16 first.']) {
+  const id = store.startConversation();
+  messages.forEach((content, i) => store.addMessage(id, i % 2 ? 'assistant' : 'user', content));
+  return id;
+}
+
+test('a conversation\'s summary comes from Claude and is stored', async () => {
+  const { summarizer, runs } = createSummarizer({ timeout: 5000 });
+  const id = createConversation();
+
+  assert.equal(await summarizer.summarize(id), 'The user planned a postgres upgrade.');
+  assert.equal(store.getConversation(id).summary, 'The user planned a postgres upgrade.');
+  assert.equal(runs.length, 1);
+  assert.deepEqual(runs[0].config, { claudePath: 'claude', model: 'sonnet' });
+  assert.equal(runs[0].timeout, 5000);
+  assert.match(runs[0].prompt, /^Summarize the conversation below/);
+  assert.ok(runs[0].prompt.endsWith('\n\nUser: should we upgrade postgres?\n\nAssistant: Yes, to 16 first.'));
+});
+
+test('the summary model can differ from the session\'s', async () => {
+  const { summarizer, runs } = createSummarizer({ model: 'haiku' });
+  await summarizer.summarize(createConversation());
+  assert.equal(runs[0].config.model, 'haiku');
+});
+
+test('short conversations and disabled summaries are skipped', async () => {
+  const { summarizer, runs } = createSummarizer();
+  assert.equal(await summarizer.summarize(createConversation(['hi'])), null);
+
+  const disabled = createSummarizer({ enabled: false });
+  assert.equal(await disabled.summarizer.summarize(createConversation()), null);
+  assert.equal(await disabled.summarizer.summarizeIdle(), 0);
+  assert.equal(runs.length + disabled.runs.length, 0);
+});
+
+test('a failed or empty answer leaves the summary unset', async () => {
+  const failing = createSummarizer({}, async () => { throw new Error('claude exited with code 1'); });
+  const id = createConversation();
+  assert.equal(await failing.summarizer.summarize(id), null);
+  assert.match(failing.logged[0], /Failed to summarize conversation .*: claude exited with code 1/);
+
+  const empty = createSummarizer({}, async () => '  \n');
+  assert.equal(await empty.summarizer.summarize(id), null);
+  assert.equal(store.getConversation(id).summary, null);
+});
+
+test('runs happen one at a time and a conversation is queued once', async () => {
+  let active = 0;
+  let most = 0;
+  const { summarizer, runs } = createSummarizer({}, async () => {
+    most = Math.max(most, ++active);
+    await new Promise(resolve => setImmediate(resolve));
+    active--;
+    return 'Summary';
+  });
+  const first = createConversation();
+  const second = createConversation();
+
+  const results = await Promise.all([
+    summarizer.summarize(first),
+    summarizer.summarize(first),
+    summarizer.summarize(second)
+  ]);
+  assert.deepEqual(results, ['Summary', null, 'Summary']);
+  assert.equal(runs.length, 2);
+  assert.equal(most, 1);
+});
+
+test('only the latest messages that fit are sent', () => {
+  const { summarizer } = createSummarizer({ maxTranscriptChars: 40, maxMessageChars: 10 });
+  const transcript = summarizer.buildTranscript([
+    { role: 'user', content: 'the oldest message' },
+    { role: 'assistant', content: 'middle' },
+    { role: 'user', content: 'a rather long final message' }
+  ]);
+  assert.equal(transcript, '[earlier messages omitted]\n\nAssistant: middle\n\nUser: a rather l...');
+});
+
+test('idle conversations are summarized until they change again', async () => {
+  const { summarizer, runs } = createSummarizer({ idleMinutes: 0 });
+  const id = createConversation();
+  createConversation(['too short']);
+
+  assert.equal(await summarizer.summarizeIdle(), 1);
+  assert.equal(await summarizer.summarizeIdle(), 0);
+
+  // Messages newer than the summary make it stale
+  store.db.prepare(`UPDATE conversations SET summarized_at = datetime('now', '-1 minute') WHERE id = ?`).run(id);
+  assert.equal(await summarizer.summarizeIdle(), 1);
+  assert.equal(runs.length, 2);
+
+  const waiting = createSummarizer({ idleMinutes: 30 });
+  createConversation();
+  assert.equal(await waiting.summarizer.summarizeIdle(), 0);
+});
+
+test('summaries can come from claude --print', async () => {
+  const summarizer = new ConversationSummarizer({
+    store,
+    printText,
+    getConfig: () => ({ claudePath: FAKE_CLAUDE }),
+    log: () => {}
+  });
+  const id = createConversation();
+
+  const summary = await summarizer.summarize(id);
+  assert.match(summary, /^echo: Summarize the conversation below/);
+  assert.equal(store.getConversation(id).summary, summary);
+});
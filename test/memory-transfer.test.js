@@ -0,0 +1,170 @@
+/**
+ * Tests for memory export and import (src/memory/transfer.js and
+ * MemoryStore.exportData/importData). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { MEMORY_KEY_ENV } = require('../src/memory/encryption');
+const { serializeExport, parseExport, formatForFile, EXPORT_VERSION } = require('../src/memory/transfer');
+
+let configDir;
+const stores = [];
+
+beforeEach(() => {
+  delete process.env[MEMORY_KEY_ENV];
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+});
+
+afterEach(() => {
+  while (stores.length > 0) stores.pop().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function openStore(name, options = {}) {
+  const store = new MemoryStore({ configDir: path.join(configDir, name), ...options });
+  stores.push(store);
+  return store;
+}
+
+/**
+ * A store with some of everything an export carries
+ */
+function createSource(options) {
+  const store = openStore('source', options);
+  store.addFact('User drinks green tea', 'preference', { tags: ['drinks'], confidence: 0.8 });
+  store.addFact('Never deploy on Fridays', 'work', { pinned: true, source: 'voice' });
+  const conversationId = store.startConversation();
+  store.addMessage(conversationId, 'user', 'which postgres version should we deploy?');
+  store.addMessage(conversationId, 'assistant', 'Postgres 16');
+  store.endConversation(conversationId, 'Chose postgres 16');
+  store.addReminder('Renew certificate', '2030-01-01T09:00:00Z');
+  store.addReminder('Water the plants', null, '0 9 * * *', 'whatsapp');
+  return store;
+}
+
+/**
+ * Exported rows without the IDs a new database assigns (and, with
+ * `merged`, without the updated_at a merge touches)
+ */
+function portable(data, { merged = false } = {}) {
+  const strip = rows => rows.map(({ id, ...row }) => row);
+  return {
+    facts: strip(data.facts).map(fact => (merged ? { ...fact, updated_at: null } : fact)),
+    conversations: data.conversations,
+    messages: strip(data.messages),
+    reminders: strip(data.reminders)
+  };
+}
+
+test('an export imports into an empty store unchanged', () => {
+  const source = createSource();
+  for (const format of ['json', 'jsonl']) {
+    const target = openStore(`target-${format}`);
+    const result = target.importData(parseExport(serializeExport(source.exportData(), format)));
+
+    assert.deepEqual(portable(target.exportData()), portable(source.exportData()));
+    assert.deepEqual(result.facts, { added: 2, skipped: 0, updated: 0 });
+    assert.deepEqual(result.messages, { added: 2, skipped: 0 });
+    assert.equal(result.backup, null);
+    // Imported rows are searchable
+    assert.equal(target.search('postgres').length, 3);
+  }
+});
+
+test('merging the same export again adds nothing', () => {
+  const source = createSource();
+  const target = openStore('target');
+  const data = parseExport(serializeExport(source.exportData()));
+  target.importData(data);
+
+  const again = target.importData(data);
+  for (const table of ['facts', 'conversations', 'messages', 'reminders']) {
+    assert.equal(again[table].added, 0, table);
+  }
+  assert.deepEqual(again.facts, { added: 0, skipped: 2, updated: 0 });
+  assert.deepEqual(portable(target.exportData(), { merged: true }), portable(source.exportData(), { merged: true }));
+});
+
+test('merging keeps what is stored and adds the rest', () => {
+  const source = createSource();
+  const target = openStore('target');
+  target.addFact('User lives in Porto', 'personal');
+  target.addFact('User drinks green tea', 'preference', { tags: ['morning'] });
+
+  const result = target.importData(source.exportData());
+  assert.deepEqual(result.facts, { added: 1, skipped: 1, updated: 0 });
+  assert.deepEqual(target.getFacts().map(f => f.fact).sort(), [
+    'Never deploy on Fridays',
+    'User drinks green tea',
+    'User lives in Porto'
+  ]);
+  assert.deepEqual(target.getFacts('preference')[0].tags, ['morning', 'drinks']);
+});
+
+test('replace swaps memory for the export after a backup', () => {
+  const source = createSource();
+  const target = openStore('target');
+  target.addFact('User lives in Porto', 'personal');
+
+  const result = target.importData(source.exportData(), { mode: 'replace' });
+  assert.ok(fs.existsSync(result.backup));
+  assert.deepEqual(portable(target.exportData()), portable(source.exportData()));
+
+  fs.mkdirSync(path.join(configDir, 'restored'));
+  fs.copyFileSync(result.backup, path.join(configDir, 'restored', 'memory.db'));
+  assert.deepEqual(openStore('restored').getFacts().map(f => f.fact), ['User lives in Porto']);
+});
+
+test('encrypted memory exports plain text and imports encrypted', () => {
+  const source = createSource({ passphrase: 'correct horse' });
+  source.enableEncryption('correct horse');
+  const text = serializeExport(source.exportData(), 'jsonl');
+  assert.ok(text.includes('User drinks green tea'));
+
+  const target = openStore('target');
+  target.enableEncryption('battery staple');
+  target.importData(parseExport(text));
+  // Messages compare by their decrypted text, so a second import adds none
+  assert.equal(target.importData(parseExport(text)).messages.added, 0);
+  assert.deepEqual(portable(target.exportData(), { merged: true }), portable(source.exportData(), { merged: true }));
+});
+
+test('clearing memory backs it up first', () => {
+  const store = createSource();
+  const backup = store.clearAll();
+  assert.ok(fs.existsSync(backup));
+  assert.equal(store.getFacts().length, 0);
+  assert.deepEqual(store.listBackups(), [backup]);
+});
+
+test('exports are checked when read', () => {
+  const header = { format: 'claude-alwaysrunning-memory', version: EXPORT_VERSION };
+  assert.throws(() => parseExport('  '), /Export is empty/);
+  assert.throws(() => parseExport('{"facts": []}'), /Not a claude-alwaysrunning memory export/);
+  assert.throws(() => parseExport(JSON.stringify({ ...header, version: 0 })), /Invalid export version "0"/);
+  assert.throws(() => parseExport(JSON.stringify({ ...header, version: EXPORT_VERSION + 1 })), /is newer than this version supports/);
+  assert.throws(() => parseExport(JSON.stringify({ ...header, facts: {} })), /"facts" must be an array/);
+  assert.throws(() => parseExport(`${JSON.stringify(header)}\n{oops`), /Invalid JSON in line 2/);
+  assert.throws(() => parseExport(`${JSON.stringify(header)}\n{"type":"note","data":{}}`), /Line 2: unknown record "note"/);
+
+  const parsed = parseExport(`${JSON.stringify(header)}\n\n{"type":"fact","data":{"fact":"x"}}\n`);
+  assert.deepEqual(parsed.facts, [{ fact: 'x' }]);
+  assert.deepEqual(parsed.reminders, []);
+});
+
+test('formats follow the file name and must be known', () => {
+  assert.equal(formatForFile('memory.jsonl'), 'jsonl');
+  assert.equal(formatForFile('memory.JSONL'), 'jsonl');
+  assert.equal(formatForFile('memory.json'), 'json');
+  assert.equal(formatForFile(), 'json');
+  assert.throws(() => serializeExport({}, 'csv'), /Unknown export format "csv"/);
+  assert.throws(() => openStore('target').importData({}, { mode: 'overwrite' }), /Unknown import mode "overwrite"/);
+
+  const header = JSON.parse(serializeExport({ facts: [{ fact: 'x' }] }, 'jsonl').split('\n')[0]);
+  assert.deepEqual(header.counts, { facts: 1, conversations: 0, messages: 0, reminders: 0 });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for the OpenAI-compatible endpoints (src/http/openai.js and
+ * /v1/chat/completions, /v1/models in src/http/api-server.js), with
+ * test/fixtures/fake-claude as Claude. Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { HttpApiServer } = require('../src/http');
+const { parseChatRequest, transcriptPrompt, sessionPrompt, isClaudeModel, usageFrom } = require('../src/http/openai');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+
+let service;
+let baseUrl;
+let chatKey;
+let readerKey;
+
+before(async () => {
+  service = new ClaudeService({ claude: { claudePath: FAKE_CLAUDE } });
+  service.log = () => {};
+  chatKey = service.apiKeyManager.generate('chat', { scopes: 'chat' }).key;
+  readerKey = service.apiKeyManager.generate('reader', { scopes: 'memory:read' }).key;
+
+  const session = await service.createSession('default');
+  await new Promise(resolve => (session.claudeReady ? resolve() : session.once('ready', resolve)));
+
+  service.httpServer = new HttpApiServer(service, { port: 0 });
+  await service.httpServer.start();
+  baseUrl = `http://127.0.0.1:${service.httpServer.server.address().port}`;
+});
+
+after(async () => {
+  await service.stop();
+  service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function post(body, key = chatKey) {
+  return fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * The `data:` payloads of a Server-Sent Events body
+ */
+async function streamedData(res) {
+  return (await res.text()).split('\n\n').filter(Boolean).map((block) => {
+    assert.ok(block.startsWith('data: '), `unexpected event ${block}`);
+    const data = block.slice('data: '.length);
+    return data === '[DONE]' ? data : JSON.parse(data);
+  });
+}
+
+test('requests are checked and filled in with defaults', () => {
+  const messages = [{ role: 'user', content: 'hi' }];
+  assert.deepEqual(parseChatRequest({ messages }), {
+    model: 'claude-always',
+    messages,
+    stream: false,
+    mode: 'session',
+    session: null,
+    withContext: false
+  });
+  const request = parseChatRequest({ messages, model: 'gpt-4', stream: true }, { mode: 'print', withContext: true });
+  assert.equal(request.mode, 'print');
+  assert.equal(request.withContext, true);
+  assert.equal(parseChatRequest({ messages, with_context: false }, { withContext: true }).withContext, false);
+
+  assert.throws(() => parseChatRequest({ messages: [] }), /non-empty array/);
+  assert.throws(() => parseChatRequest({ messages: [{ role: 'robot', content: 'x' }] }), /messages\[0\]\.role/);
+  assert.throws(() => parseChatRequest({ messages: [{ role: 'user', content: [{ type: 'image_url' }] }] }), /text parts/);
+  assert.throws(() => parseChatRequest({ messages, mode: 'batch' }), /"mode" must be one of/);
+  assert.throws(() => parseChatRequest({ messages, session: 1 }), /"session" must be a string/);
+});
+
+test('prompts come from the last user message or the whole transcript', () => {
+  const messages = [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'ok' },
+    { role: 'user', content: [{ type: 'text', text: 'second' }, 'part'] }
+  ];
+  assert.equal(sessionPrompt(messages), 'second\npart');
+  assert.throws(() => sessionPrompt([{ role: 'system', content: 'x' }]), /"user" message is required/);
+
+  assert.equal(transcriptPrompt([{ role: 'user', content: 'only' }]), 'only');
+  assert.equal(
+    transcriptPrompt(messages),
+    'System: Be brief\n\nUser: first\n\nAssistant: ok\n\nUser: second\npart\n\n' +
+    'Reply to the last User message as the Assistant.'
+  );
+});
+
+test('Claude model names and usage are passed through', () => {
+  assert.ok(isClaudeModel('claude-sonnet-4'));
+  assert.ok(isClaudeModel('Opus'));
+  assert.ok(!isClaudeModel('gpt-4'));
+  assert.deepEqual(usageFrom({ usage: { input_tokens: 3, cache_read_input_tokens: 4, output_tokens: 2 } }), {
+    prompt_tokens: 7,
+    completion_tokens: 2,
+    total_tokens: 9
+  });
+  assert.equal(usageFrom({}), undefined);
+});
+
+test('a session completion answers with the session\'s reply', async () => {
+  const res = await post({ model: 'gpt-4', messages: [{ role: 'system', content: 'x' }, { role: 'user', content: 'hello' }] });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, 'chat.completion');
+  assert.match(body.id, /^chatcmpl-/);
+  assert.equal(body.model, 'gpt-4');
+  assert.deepEqual(body.choices, [{
+    index: 0,
+    message: { role: 'assistant', content: 'echo: hello' },
+    finish_reason: 'stop'
+  }]);
+});
+
+test('a print completion sends the transcript and reports usage', async () => {
+  const res = await post({
+    mode: 'print',
+    messages: [{ role: 'assistant', content: 'Hi' }, { role: 'user', content: 'again' }]
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(
+    body.choices[0].message.content,
+    'echo: Assistant: Hi\n\nUser: again\n\nReply to the last User message as the Assistant.'
+  );
+  assert.deepEqual(body.usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+});
+
+test('streamed completions send chunks and end with [DONE]', async () => {
+  for (const mode of ['session', 'print']) {
+    const res = await post({ mode, stream: true, messages: [{ role: 'user', content: 'streamed' }] });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+
+    const events = await streamedData(res);
+    assert.equal(events.pop(), '[DONE]');
+    assert.ok(events.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.id === events[0].id));
+    assert.deepEqual(events[0].choices[0].delta, { role: 'assistant', content: '' });
+    assert.deepEqual(events[1].choices[0].delta, { content: 'echo: streamed' });
+    assert.equal(events.at(-1).choices[0].finish_reason, 'stop');
+  }
+});
+
+test('errors use the OpenAI error format', async () => {
+  const invalid = await post({ messages: [] });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(await invalid.json(), {
+    error: { message: '"messages" must be a non-empty array', type: 'invalid_request_error', code: null }
+  });
+
+  const missing = await post({ session: 'nope', messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error.code, 'session_not_found');
+
+  const forbidden = await post({ mode: 'print', messages: [{ role: 'user', content: 'hi' }] }, readerKey);
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).error.code, 'insufficient_scope');
+
+  const unauthorized = await post({ messages: [{ role: 'user', content: 'hi' }] }, 'wrong');
+  assert.equal(unauthorized.status, 401);
+  assert.equal((await unauthorized.json()).error.code, 'invalid_api_key');
+});
+
+test('models are listed for OpenAI clients', async () => {
+  const res = await fetch(`${baseUrl}/v1/models`, { headers: { Authorization: `Bearer ${readerKey}` } });
+  const body = await res.json();
+  assert.equal(body.object, 'list');
+  assert.deepEqual(body.data.map(model => model.id), ['claude-always', 'sonnet', 'opus', 'haiku']);
+});
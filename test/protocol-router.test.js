@@ -0,0 +1,198 @@
+/**
+ * Tests for the route table every client transport shares
+ * (src/protocol/router.js) and the API key scopes of the service routes
+ * (src/protocol/routes.js). Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProtocolRouter, createServiceRouter } = require('../src/protocol');
+
+/**
+ * Caller details as the service passes them; replies are collected
+ */
+function caller(overrides = {}) {
+  const replies = [];
+  return {
+    replies,
+    reply: (payload) => replies.push(payload),
+    label: 'test client',
+    authenticated: true,
+    isLocal: true,
+    keyName: null,
+    scopes: null,
+    transport: 'tcp',
+    ...overrides
+  };
+}
+
+function createRouter(options) {
+  return new ProtocolRouter(options)
+    .register('ping', { auth: 'none', handler: (msg, { reply }) => reply({ type: 'pong' }) })
+    .register('echo', {
+      params: {
+        text: { type: 'string', required: true },
+        times: { type: 'integer' },
+        id: { type: ['string', 'number'] }
+      },
+      handler: (msg, { reply }) => reply({ type: 'echo', data: msg.text.repeat(msg.times || 1) })
+    })
+    .register('shutdown', { auth: 'local', handler: (msg, { reply }) => reply({ type: 'bye' }) });
+}
+
+test('routes messages to their handler', async () => {
+  const router = createRouter();
+  const ctx = caller();
+
+  assert.equal(await router.dispatch({ type: 'echo', text: 'hi', times: 2 }, ctx), true);
+  assert.deepEqual(ctx.replies, [{ type: 'echo', data: 'hihi' }]);
+  assert.deepEqual(router.list().find(route => route.type === 'echo'), {
+    type: 'echo',
+    auth: 'key',
+    scope: null,
+    session: false,
+    params: ['text', 'times', 'id']
+  });
+});
+
+test('messages without a known type are refused', async () => {
+  const router = createRouter();
+  const ctx = caller();
+
+  assert.equal(await router.dispatch({ text: 'hi' }, ctx), false);
+  assert.equal(await router.dispatch(null, ctx), false);
+  assert.equal(await router.dispatch({ type: 'nonsense' }, ctx), false);
+  assert.deepEqual(ctx.replies.map(reply => reply.code), ['invalid', 'invalid', 'unknown_type']);
+  assert.match(ctx.replies[2].message, /Unknown message type "nonsense"/);
+});
+
+test('unauthenticated callers only reach routes without auth', async () => {
+  const router = createRouter();
+  const ctx = caller({ authenticated: false, isLocal: false });
+
+  await router.dispatch({ type: 'ping' }, ctx);
+  await router.dispatch({ type: 'echo', text: 'hi' }, ctx);
+  assert.deepEqual(ctx.replies[0], { type: 'pong' });
+  assert.deepEqual(ctx.replies[1], { type: 'error', code: 'unauthorized', message: 'Authentication required' });
+});
+
+test('local routes refuse remote callers even with a key', async () => {
+  const router = createRouter();
+  const remote = caller({ isLocal: false, keyName: 'phone', scopes: ['admin'] });
+  const local = caller();
+
+  await router.dispatch({ type: 'shutdown' }, remote);
+  await router.dispatch({ type: 'shutdown' }, local);
+  assert.equal(remote.replies[0].code, 'forbidden');
+  assert.match(remote.replies[0].message, /only available to local clients/);
+  assert.deepEqual(local.replies, [{ type: 'bye' }]);
+});
+
+test('params are checked against the route', async () => {
+  const router = createRouter();
+  const cases = [
+    [{ type: 'echo' }, '"text" is required'],
+    [{ type: 'echo', text: '  ' }, '"text" must not be empty'],
+    [{ type: 'echo', text: 5 }, '"text" must be a string'],
+    [{ type: 'echo', text: 'hi', times: 1.5 }, '"times" must be an integer'],
+    [{ type: 'echo', text: 'hi', id: true }, '"id" must be a string or a number']
+  ];
+  for (const [msg, message] of cases) {
+    const ctx = caller();
+    assert.equal(await router.dispatch(msg, ctx), false);
+    assert.deepEqual(ctx.replies, [{ type: 'error', code: 'invalid', message: `Invalid "echo" message: ${message}` }]);
+  }
+
+  // null counts as absent
+  const ctx = caller();
+  await router.dispatch({ type: 'echo', text: 'hi', times: null, id: 7 }, ctx);
+  assert.deepEqual(ctx.replies, [{ type: 'echo', data: 'hi' }]);
+});
+
+test('session routes get the session the message names', async () => {
+  const sessions = { default: { name: 'default' }, work: { name: 'work' } };
+  const router = new ProtocolRouter({ resolveSession: name => sessions[name || 'default'] || null })
+    .register('status', {
+      session: true,
+      handler: (msg, { session, reply }) => reply({ type: 'status', session: session.name })
+    });
+
+  const ctx = caller();
+  await router.dispatch({ type: 'status' }, ctx);
+  await router.dispatch({ type: 'status', session: 'work' }, ctx);
+  await router.dispatch({ type: 'status', session: 'missing' }, ctx);
+  await router.dispatch({ type: 'status', session: 3 }, ctx);
+  assert.deepEqual(ctx.replies.slice(0, 3), [
+    { type: 'status', session: 'default' },
+    { type: 'status', session: 'work' },
+    { type: 'error', code: 'not_found', message: 'Session "missing" not found' }
+  ]);
+  assert.equal(ctx.replies[3].code, 'invalid');
+});
+
+test('a failing handler is reported as an internal error', async () => {
+  const router = new ProtocolRouter()
+    .register('broken', { handler: () => { throw new Error('boom'); } })
+    .register('rejects', { handler: async () => { throw new Error('later boom'); } });
+
+  const ctx = caller();
+  assert.equal(await router.dispatch({ type: 'broken' }, ctx), true);
+  await router.dispatch({ type: 'rejects' }, ctx);
+  assert.deepEqual(ctx.replies, [
+    { type: 'error', code: 'internal', message: 'boom' },
+    { type: 'error', code: 'internal', message: 'later boom' }
+  ]);
+});
+
+test('mistakes in a route are caught when it is registered', () => {
+  const router = createRouter();
+  const handler = () => {};
+
+  assert.throws(() => router.register('ping', { handler }), /already registered/);
+  assert.throws(() => router.register('a', {}), /needs a handler/);
+  assert.throws(() => router.register('b', { auth: 'admin', handler }), /unknown auth level "admin"/);
+  assert.throws(() => router.register('c', { scope: 'everything', handler }), /unknown scope "everything"/);
+  assert.throws(() => router.register('d', { audit: 'some', handler }), /unknown audit mode "some"/);
+  assert.throws(
+    () => router.register('e', { params: { n: { type: 'float' } }, handler }),
+    /param "n" has unknown type "float"/
+  );
+  assert.equal(router.has('a'), false);
+});
+
+test('keys without the scope a route needs are forbidden', async () => {
+  const router = new ProtocolRouter()
+    .register('memory:addFact', { scope: 'memory:write', handler: (msg, { reply }) => reply({ type: 'ok' }) });
+
+  const phone = caller({ isLocal: false, keyName: 'phone', scopes: ['chat', 'memory:read'] });
+  await router.dispatch({ type: 'memory:addFact' }, phone);
+  assert.deepEqual(phone.replies, [
+    { type: 'error', code: 'forbidden', message: 'API key "phone" lacks the "memory:write" scope' }
+  ]);
+
+  for (const scopes of [['memory:write'], ['admin'], null]) {
+    const ctx = caller({ keyName: 'laptop', scopes });
+    await router.dispatch({ type: 'memory:addFact' }, ctx);
+    assert.deepEqual(ctx.replies, [{ type: 'ok' }]);
+  }
+});
+
+test('every service route that needs auth names a scope', async () => {
+  const router = createServiceRouter({ getSession: () => null, auditRequest: () => {} });
+  const scopeOf = Object.fromEntries(router.list().map(route => [route.type, route.scope]));
+
+  for (const route of router.list()) {
+    if (route.auth !== 'none') assert.ok(route.scope, `"${route.type}" has no scope`);
+  }
+  assert.equal(scopeOf.command, 'chat');
+  assert.equal(scopeOf.input, 'raw-input');
+  assert.equal(scopeOf['memory:deleteFact'], 'memory:write');
+  assert.equal(scopeOf['session:kill'], 'admin');
+
+  // A read-and-chat key reaches chat routes but not raw input or memory changes
+  const phone = caller({ isLocal: false, keyName: 'phone', scopes: ['chat', 'memory:read'] });
+  await router.dispatch({ type: 'input', data: 'y' }, phone);
+  await router.dispatch({ type: 'memory:deleteFact', id: 1 }, phone);
+  await router.dispatch({ type: 'status' }, phone);
+  assert.deepEqual(phone.replies.map(reply => reply.code), ['forbidden', 'forbidden', 'not_found']);
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for brute-force bans and request limits (src/auth/rate-limiter.js)
+ * and how the service applies them. Run with `npm test`.
+ */
+
+const { test, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { RateLimiter } = require('../src/auth/rate-limiter');
+
+const START = Date.parse('2030-01-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+let service;
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+after(() => {
+  if (service) service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function getService() {
+  if (!service) {
+    service = new ClaudeService();
+    service.log = () => {};
+  }
+  return service;
+}
+
+test('too many failures ban an address for a while', () => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  const limiter = new RateLimiter({ maxFailures: 3, banDuration: 15 * MINUTE });
+
+  assert.deepEqual(limiter.recordFailure('10.0.0.1'), { banned: false, failures: 1 });
+  assert.deepEqual(limiter.recordFailure('10.0.0.1'), { banned: false, failures: 2 });
+  assert.deepEqual(limiter.recordFailure('10.0.0.1'), { banned: true, until: START + 15 * MINUTE, failures: 3 });
+  assert.equal(limiter.banRemaining('10.0.0.1'), 15 * MINUTE);
+  assert.equal(limiter.banRemaining('10.0.0.2'), 0);
+
+  mock.timers.tick(15 * MINUTE);
+  assert.equal(limiter.banRemaining('10.0.0.1'), 0);
+  // The ban wiped the count
+  assert.equal(limiter.recordFailure('10.0.0.1').failures, 1);
+});
+
+test('failures outside the window or before a success are forgotten', () => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  const limiter = new RateLimiter({ maxFailures: 3, failureWindow: 10 * MINUTE });
+
+  limiter.recordFailure('10.0.0.1');
+  limiter.recordFailure('10.0.0.1');
+  mock.timers.tick(10 * MINUTE);
+  assert.equal(limiter.recordFailure('10.0.0.1').failures, 1);
+
+  limiter.recordFailure('10.0.0.1');
+  limiter.recordSuccess('10.0.0.1');
+  assert.equal(limiter.recordFailure('10.0.0.1').failures, 1);
+});
+
+test('requests are limited per key and per address each minute', () => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  const limiter = new RateLimiter({ requestsPerMinute: 2 });
+
+  assert.equal(limiter.checkRequest('phone', '10.0.0.1'), 0);
+  mock.timers.tick(20 * 1000);
+  assert.equal(limiter.checkRequest('phone', '10.0.0.1'), 0);
+  assert.equal(limiter.checkRequest('phone', '10.0.0.1'), 40 * 1000);
+
+  // The same key from another address is still over its limit; another key from there is not
+  assert.equal(limiter.checkRequest('phone', '10.0.0.2'), 40 * 1000);
+  assert.equal(limiter.checkRequest('laptop', '10.0.0.3'), 0);
+
+  mock.timers.tick(40 * 1000);
+  assert.equal(limiter.checkRequest('phone', '10.0.0.1'), 0);
+});
+
+test('a request limit of 0 means unlimited', () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 0 });
+  for (let i = 0; i < 500; i++) {
+    assert.equal(limiter.checkRequest('phone', '10.0.0.1'), 0);
+  }
+  assert.equal(limiter.windows.size, 0);
+});
+
+test('the service bans an address that keeps sending wrong keys', () => {
+  const svc = getService();
+  svc.rateLimiter = new RateLimiter({ maxFailures: 2 });
+  const { key } = svc.apiKeyManager.generate('phone', { scopes: 'chat' });
+  const client = { remoteAddress: '10.1.1.1', transport: 'tcp', label: 'test client' };
+
+  assert.deepEqual(svc.checkApiKey('wrong', client), { valid: false, message: 'Invalid API key' });
+  const banned = svc.checkApiKey('wrong', client);
+  assert.equal(banned.valid, false);
+  assert.match(banned.message, /Too many failed attempts, try again in 15 min/);
+  assert.ok(banned.retryAfter > 0);
+
+  // Even the right key is refused while banned
+  assert.ok(svc.checkApiKey(key, client).retryAfter > 0);
+  assert.equal(svc.checkApiKey(key, { ...client, remoteAddress: '10.1.1.2' }).valid, true);
+
+  const events = svc.auditLog.list({ remoteAddress: '10.1.1.1', oldestFirst: true });
+  assert.deepEqual(events.map(e => `${e.event}:${e.result}`), ['auth:failed', 'auth:failed', 'auth:ban:banned', 'auth:banned']);
+});
+
+test('the service answers key-authenticated clients over their limit', async () => {
+  const svc = getService();
+  svc.rateLimiter = new RateLimiter({ requestsPerMinute: 1 });
+  const replies = [];
+  const clientState = { authenticated: true, isLocal: false, remoteAddress: '10.2.2.2', keyName: 'phone', scopes: ['chat'] };
+  const send = (reply) => replies.push(reply);
+
+  await svc.routeMessage(clientState, { type: 'session:list', requestId: 1 }, send, 'test client');
+  await svc.routeMessage(clientState, { type: 'session:list', requestId: 2 }, send, 'test client');
+  // Pings are never limited
+  await svc.routeMessage(clientState, { type: 'ping', requestId: 3 }, send, 'test client');
+
+  assert.equal(replies[0].type, 'session:list');
+  assert.equal(replies[1].code, 'rate_limited');
+  assert.equal(replies[1].requestId, 2);
+  assert.match(replies[1].message, /Too many requests, retry in \d+s/);
+  assert.deepEqual(replies[2], { type: 'pong', requestId: 3 });
+
+  // Local connections without a key are not limited
+  const local = { authenticated: true, isLocal: true, keyName: 'local', scopes: null };
+  await svc.routeMessage(local, { type: 'session:list', requestId: 4 }, send, 'local client');
+  assert.equal(replies[3].type, 'session:list');
+});
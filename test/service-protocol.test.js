@@ -0,0 +1,323 @@
+/**
+ * Tests for the service's TCP and WebSocket protocol (src/service.js and
+ * src/protocol/routes.js), with test/fixtures/fake-claude as Claude.
+ * Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { buildClaudeCommand } = require('../src/session');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+const WAIT_TIMEOUT = 5000;
+
+let service;
+
+before(async () => {
+  const configDir = path.join(home, '.claude-alwaysrunning');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.mkdirSync(path.join(home, 'work'));
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+    defaults: { claudePath: FAKE_CLAUDE, env: { FOO: 'base', BAR: 'base' } },
+    sessions: { work: { cwd: '~/work', env: { FOO: 'work' } } },
+    crashAlert: false
+  }));
+
+  service = new ClaudeService({ port: await freePorts() });
+  service.log = () => {};
+  await service.startServer();
+  await service.startWebSocketServer();
+  await waitReady(await service.createSession('default'));
+});
+
+after(async () => {
+  await service.stop();
+  service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * A port whose next port (for WebSocket) is free as well
+ */
+async function freePorts() {
+  const canListen = (port) => new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+  });
+  for (;;) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    if (await canListen(port) && await canListen(port + 1)) return port;
+  }
+}
+
+function waitReady(session) {
+  return new Promise(resolve => (session.claudeReady ? resolve() : session.once('ready', resolve)));
+}
+
+/**
+ * Collects what a connection receives; waitFor() resolves with the first
+ * message (received so far or later) that matches
+ */
+function createClient(send, close) {
+  const received = [];
+  const waiters = [];
+  return {
+    received,
+    send: (msg) => send(JSON.stringify(msg)),
+    close,
+    receive(msg) {
+      received.push(msg);
+      for (const waiter of [...waiters]) {
+        if (waiter.match(msg)) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          clearTimeout(waiter.timer);
+          waiter.resolve(msg);
+        }
+      }
+    },
+    waitFor(match) {
+      const found = received.find(match);
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`No matching message; received ${JSON.stringify(received)}`));
+        }, WAIT_TIMEOUT);
+        waiters.push(waiter);
+      });
+    }
+  };
+}
+
+function connectTcp() {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(service.port, '127.0.0.1');
+    const client = createClient((data) => socket.write(data + '\n'), () => socket.end());
+    let buffer = '';
+    socket.on('data', (data) => {
+      buffer += data.toString();
+      let idx;
+      while ((idx = buffer.indexOf('\n')) !== -1) {
+        client.receive(JSON.parse(buffer.slice(0, idx)));
+        buffer = buffer.slice(idx + 1);
+      }
+    });
+    socket.once('error', reject);
+    client.waitFor(msg => msg.type === 'connected').then(() => resolve(client), reject);
+  });
+}
+
+function connectWs() {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${service.port + 1}`);
+    const client = createClient((data) => ws.send(data), () => ws.close());
+    ws.on('message', (data) => client.receive(JSON.parse(data.toString())));
+    ws.once('error', reject);
+    client.waitFor(msg => msg.type === 'connected').then(() => resolve(client), reject);
+  });
+}
+
+test('replies carry the request ID they answer', async () => {
+  for (const connect of [connectTcp, connectWs]) {
+    const client = await connect();
+    client.send({ type: 'ping', requestId: 'p1' });
+    assert.deepEqual(await client.waitFor(msg => msg.type === 'pong'), { type: 'pong', requestId: 'p1' });
+
+    client.send({ type: 'nonsense', requestId: 7 });
+    const error = await client.waitFor(msg => msg.type === 'error');
+    assert.equal(error.requestId, 7);
+    assert.equal(error.code, 'unknown_type');
+    client.close();
+  }
+});
+
+test('command output is tagged with the request ID on every connection', async () => {
+  const tcp = await connectTcp();
+  const ws = await connectWs();
+
+  tcp.send({ type: 'command', data: 'from tcp', requestId: 'tcp-1' });
+  ws.send({ type: 'command', data: 'from ws', requestId: 'ws-1' });
+
+  for (const client of [tcp, ws]) {
+    const tcpResult = await client.waitFor(msg => msg.isComplete && msg.requestId === 'tcp-1');
+    const wsResult = await client.waitFor(msg => msg.isComplete && msg.requestId === 'ws-1');
+    assert.equal(tcpResult.content, 'echo: from tcp');
+    assert.equal(wsResult.content, 'echo: from ws');
+    assert.equal(tcpResult.session, 'default');
+  }
+  tcp.close();
+  ws.close();
+});
+
+test('another client can cancel queued and running commands', async () => {
+  const owner = await connectTcp();
+  const other = await connectWs();
+
+  owner.send({ type: 'command', data: 'slow', requestId: 'slow-1' });
+  owner.send({ type: 'command', data: 'waiting', requestId: 'queued-1' });
+  await owner.waitFor(msg => msg.type === 'queued' && msg.requestId === 'queued-1');
+
+  other.send({ type: 'cancel', target: 'queued-1', requestId: 'c1' });
+  assert.deepEqual(
+    await other.waitFor(msg => msg.requestId === 'c1'),
+    { type: 'cancelled', target: 'queued-1', running: false, requestId: 'c1' }
+  );
+  const queuedCancelled = await owner.waitFor(msg => msg.type === 'cancelled' && msg.requestId === 'queued-1');
+  assert.equal(queuedCancelled.running, false);
+
+  // Without a target the running command is cancelled
+  other.send({ type: 'cancel', requestId: 'c2' });
+  const running = await other.waitFor(msg => msg.requestId === 'c2');
+  assert.equal(running.target, 'slow-1');
+  assert.equal(running.running, true);
+  assert.equal((await owner.waitFor(msg => msg.type === 'cancelled' && msg.requestId === 'slow-1')).running, true);
+  // Every client hears about it
+  await other.waitFor(msg => msg.type === 'cancelled' && msg.target === 'slow-1' && msg.session === 'default');
+
+  other.send({ type: 'cancel', target: 'queued-1', requestId: 'c3' });
+  assert.match((await other.waitFor(msg => msg.requestId === 'c3')).message, /No queued or running command/);
+
+  // The next command runs once the interrupted turn is over
+  owner.send({ type: 'command', data: 'after', requestId: 'after-1' });
+  assert.equal((await owner.waitFor(msg => msg.isComplete && msg.requestId === 'after-1')).content, 'echo: after');
+  other.send({ type: 'cancel', requestId: 'c4' });
+  assert.match((await other.waitFor(msg => msg.requestId === 'c4')).message, /No command is running/);
+  owner.close();
+  other.close();
+});
+
+test('named sessions run their own Claude and can be killed', async () => {
+  const client = await connectTcp();
+
+  client.send({ type: 'session:new', name: 'notes', requestId: 'new' });
+  const created = await client.waitFor(msg => msg.requestId === 'new');
+  assert.equal(created.type, 'session:created');
+  assert.equal(created.data.name, 'notes');
+  await waitReady(service.getSession('notes'));
+  assert.notEqual(service.getSession('notes').ptyProcess.pid, service.getSession().ptyProcess.pid);
+
+  client.send({ type: 'session:new', name: 'notes', requestId: 'again' });
+  assert.match((await client.waitFor(msg => msg.requestId === 'again')).message, /already exists/);
+  client.send({ type: 'session:new', name: '../etc', requestId: 'bad' });
+  assert.match((await client.waitFor(msg => msg.requestId === 'bad')).message, /Invalid session name/);
+
+  client.send({ type: 'command', session: 'notes', data: 'to notes', requestId: 'n1' });
+  const result = await client.waitFor(msg => msg.isComplete && msg.requestId === 'n1');
+  assert.equal(result.session, 'notes');
+  assert.equal(result.content, 'echo: to notes');
+
+  client.send({ type: 'session:list', requestId: 'list' });
+  const list = await client.waitFor(msg => msg.requestId === 'list');
+  assert.deepEqual(list.data.map(s => s.name).sort(), ['default', 'notes']);
+
+  client.send({ type: 'session:kill', name: 'default', requestId: 'kill-default' });
+  assert.match((await client.waitFor(msg => msg.requestId === 'kill-default')).message, /cannot be killed/);
+  client.send({ type: 'session:kill', name: 'notes', requestId: 'kill' });
+  assert.equal((await client.waitFor(msg => msg.requestId === 'kill')).type, 'session:killed');
+  assert.equal(service.getSession('notes'), null);
+
+  client.send({ type: 'command', session: 'notes', data: 'gone', requestId: 'n2' });
+  assert.equal((await client.waitFor(msg => msg.requestId === 'n2')).code, 'not_found');
+  client.close();
+});
+
+test('sessions start in their configured directory with their environment', async () => {
+  const client = await connectTcp();
+  client.send({ type: 'session:new', name: 'work', requestId: 'work' });
+  const created = await client.waitFor(msg => msg.requestId === 'work');
+  assert.equal(created.data.cwd, path.join(home, 'work'));
+
+  const init = await client.waitFor(msg => msg.session === 'work' && msg.messageType === 'system');
+  assert.equal(init.data.cwd, fs.realpathSync(path.join(home, 'work')));
+  assert.equal(init.data.foo, 'work');
+  assert.equal(service.getSession('work').config.env.BAR, 'base');
+
+  // A directory given when creating the session wins over config.json
+  client.send({ type: 'session:new', name: 'elsewhere', cwd: home, requestId: 'elsewhere' });
+  assert.equal((await client.waitFor(msg => msg.requestId === 'elsewhere')).data.cwd, home);
+  client.send({ type: 'session:new', name: 'missing', cwd: path.join(home, 'nope'), requestId: 'missing' });
+  assert.match((await client.waitFor(msg => msg.requestId === 'missing')).message, /Directory not found/);
+
+  service.killSession('work');
+  service.killSession('elsewhere');
+  client.close();
+});
+
+test('local clients can reconfigure a session, which restarts it', async () => {
+  const client = await connectTcp();
+  client.send({ type: 'session:new', name: 'tune', requestId: 'tune' });
+  await client.waitFor(msg => msg.requestId === 'tune');
+  const oldPid = service.getSession('tune').ptyProcess.pid;
+
+  client.send({
+    type: 'session:configure',
+    session: 'tune',
+    config: { claudePath: FAKE_CLAUDE, model: 'opus', env: { FOO: 'tuned' } },
+    requestId: 'configure'
+  });
+  const configured = await client.waitFor(msg => msg.requestId === 'configure');
+  assert.equal(configured.type, 'session:configured');
+  assert.deepEqual(configured.data.command, [FAKE_CLAUDE, '--output-format', 'stream-json', '--model', 'opus']);
+
+  const init = await client.waitFor(msg => msg.session === 'tune' && msg.messageType === 'system' && msg.data.foo === 'tuned');
+  assert.equal(init.data.foo, 'tuned');
+  assert.notEqual(service.getSession('tune').ptyProcess.pid, oldPid);
+
+  client.send({ type: 'session:configure', session: 'tune', config: { colour: 'red' }, requestId: 'unknown' });
+  assert.match((await client.waitFor(msg => msg.requestId === 'unknown')).message, /Unknown session setting "colour"/);
+
+  service.killSession('tune');
+  client.close();
+});
+
+test('the Claude command line follows the session settings', () => {
+  assert.deepEqual(buildClaudeCommand({}), ['claude', '--output-format', 'stream-json']);
+  assert.deepEqual(buildClaudeCommand({
+    claudePath: '/opt/claude',
+    model: 'sonnet',
+    allowedTools: ['Read', 'Edit'],
+    mcpConfig: '/etc/mcp.json',
+    args: ['--debug']
+  }), [
+    '/opt/claude', '--output-format', 'stream-json', '--model', 'sonnet',
+    '--allowedTools', 'Read,Edit', '--mcp-config', '/etc/mcp.json', '--debug'
+  ]);
+  assert.deepEqual(buildClaudeCommand({}, { print: true }), ['claude', '--print', '--verbose', '--output-format', 'stream-json']);
+});
+
+test('a crash is reported to clients and kept as a crash report', async () => {
+  const client = await connectTcp();
+  client.send({ type: 'session:new', name: 'fragile', requestId: 'fragile' });
+  await client.waitFor(msg => msg.requestId === 'fragile');
+  await waitReady(service.getSession('fragile'));
+
+  process.kill(service.getSession('fragile').ptyProcess.pid, 'SIGKILL');
+  const crash = await client.waitFor(msg => msg.type === 'crash' && msg.session === 'fragile');
+  assert.equal(crash.data.willRestart, true);
+  assert.equal(crash.data.lastOutput, undefined);
+  await client.waitFor(msg => msg.type === 'status' && msg.session === 'fragile' && /Restarting/.test(msg.message));
+
+  client.send({ type: 'crashes:list', session: 'fragile', requestId: 'crashes' });
+  const [report] = (await client.waitFor(msg => msg.requestId === 'crashes')).data;
+  assert.equal(report.id, crash.data.id);
+  assert.ok(Array.isArray(report.lastOutput));
+
+  client.send({ type: 'crashes:get', id: report.id, requestId: 'report' });
+  assert.equal((await client.waitFor(msg => msg.requestId === 'report')).data.session, 'fragile');
+
+  service.killSession('fragile');
+  client.close();
+});
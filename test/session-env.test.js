@@ -0,0 +1,64 @@
+/**
+ * Tests for the environment Claude processes get (buildClaudeEnv in
+ * src/session/claude-session.js), using test/fixtures/fake-claude as
+ * Claude. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ClaudeSession, buildClaudeEnv } = require('../src/session/claude-session');
+const { runPrint } = require('../src/session/print');
+const { MEMORY_KEY_ENV } = require('../src/memory/encryption');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+const config = { claudePath: FAKE_CLAUDE, env: { FOO: 'bar' } };
+
+beforeEach(() => {
+  process.env[MEMORY_KEY_ENV] = 'correct horse';
+});
+
+afterEach(() => {
+  delete process.env[MEMORY_KEY_ENV];
+});
+
+test('buildClaudeEnv drops the memory passphrase and adds the session variables', () => {
+  const env = buildClaudeEnv({ env: { FOO: 'bar', [MEMORY_KEY_ENV]: 'from config' } });
+
+  assert.equal(env[MEMORY_KEY_ENV], undefined);
+  assert.equal(env.FOO, 'bar');
+  assert.equal(env.PATH, process.env.PATH);
+  assert.equal(process.env[MEMORY_KEY_ENV], 'correct horse');
+});
+
+test('print runs do not inherit the memory passphrase', async () => {
+  const result = await new Promise((resolve, reject) => {
+    runPrint({
+      config,
+      prompt: 'hi',
+      onDone: (err, msg) => (err ? reject(err) : resolve(msg))
+    });
+  });
+
+  assert.equal(result.result, 'echo: hi');
+  assert.equal(result.memoryKey, null);
+  assert.equal(result.foo, 'bar');
+});
+
+test('session processes do not inherit the memory passphrase', async () => {
+  const session = new ClaudeSession('env-test', { config, log: () => {} });
+  const init = new Promise((resolve) => {
+    session.on('message', (msg) => {
+      if (msg.messageType === 'system') resolve(msg.data);
+    });
+  });
+
+  await session.start();
+  try {
+    const data = await init;
+    assert.equal(data.memoryKey, null);
+    assert.equal(data.foo, 'bar');
+  } finally {
+    session.stop();
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for ClaudeSession readiness and the health watchdog
+ * (src/session/claude-session.js). Run with `npm test`.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { once } = require('events');
+const { ClaudeSession } = require('../src/session/claude-session');
+
+const FAKE_CLAUDE = path.join(__dirname, 'fixtures', 'fake-claude');
+
+let session;
+
+afterEach(() => {
+  session.stop();
+});
+
+/**
+ * A session whose PTY is a stand-in that records what is written to it
+ */
+function createSession() {
+  session = new ClaudeSession('health-test', { log: () => {}, restartPolicy: { maxAttempts: 0 } });
+  session.ptyProcess = { pid: process.pid, written: [], write(data) { this.written.push(data); }, kill() {} };
+  session.processStartedAt = Date.now();
+  session.lastOutputTime = Date.now();
+  return session;
+}
+
+test('becomes ready on the stream-json init event', async () => {
+  session = new ClaudeSession('health-test', { config: { claudePath: FAKE_CLAUDE }, log: () => {} });
+  const ready = once(session, 'ready');
+  await session.start();
+  await ready;
+  assert.equal(session.claudeReady, true);
+  assert.equal(session.health, 'ready');
+});
+
+test('becomes ready when interactive Claude draws its prompt', async () => {
+  session = new ClaudeSession('health-test', {
+    config: { claudePath: FAKE_CLAUDE, env: { FAKE_CLAUDE_NO_INIT: '1' } },
+    log: () => {}
+  });
+  const ready = once(session, 'ready');
+  await session.start();
+  await ready;
+  assert.equal(session.claudeReady, true);
+});
+
+test('startup output without a prompt is not readiness', async () => {
+  createSession();
+  session.handleOutput('\x1b[1mWelcome to Claude Code\x1b[0m\r\n');
+  session.handleOutput('Do you trust the files in this folder?\r\n❯ 1. Yes, proceed\r\n  2. No, exit\r\n');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(session.claudeReady, false);
+
+  session.handleOutput('\x1b[2K\x1b[38;5;246m│ >\x1b[39m                │\r\n');
+  assert.equal(session.claudeReady, true);
+});
+
+test('a process that never gets ready is hung', () => {
+  createSession();
+  const crashed = [];
+  session.on('crashed', info => crashed.push(info));
+
+  session.checkHealth();
+  assert.equal(session.health, 'starting');
+
+  session.processStartedAt = Date.now() - 61000;
+  session.checkHealth();
+  assert.equal(session.health, 'hung');
+  assert.equal(session.ptyProcess, null);
+  assert.match(crashed[0].reason, /Not ready within 60s/);
+});
+
+test('silence while answering is degraded, then hung', () => {
+  createSession();
+  session.markReady('test');
+  session.activeRequest = { requestId: 'r1', reply: () => {}, timer: null };
+
+  session.lastOutputTime = Date.now() - 61000;
+  session.checkHealth();
+  assert.equal(session.health, 'degraded');
+
+  session.lastOutputTime = Date.now() - 5 * 60 * 1000 - 1000;
+  session.checkHealth();
+  assert.equal(session.health, 'hung');
+});
+
+test('silence while idle is healthy', () => {
+  createSession();
+  session.markReady('test');
+  session.lastOutputTime = Date.now() - 10 * 60 * 1000;
+  session.checkHealth();
+  assert.equal(session.health, 'ready');
+});
+
+test('a process that is gone is hung', () => {
+  createSession();
+  session.markReady('test');
+  session.ptyProcess.pid = 2 ** 22 + 1;
+  session.checkHealth();
+  assert.equal(session.health, 'hung');
+});
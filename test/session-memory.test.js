@@ -0,0 +1,196 @@
+/**
+ * Tests for what a ClaudeSession records in memory: conversations and
+ * their messages (src/session/claude-session.js). Claude's PTY is a
+ * stand-in that records what is written to it. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore } = require('../src/memory/store');
+const { ContextBuilder } = require('../src/memory/context');
+const { ClaudeSession } = require('../src/session/claude-session');
+
+let configDir;
+let store;
+let session;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+  store = new MemoryStore({ configDir });
+  session = createSession();
+});
+
+afterEach(() => {
+  session.stop();
+  store.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * A ready session on a stand-in PTY, with a conversation open
+ */
+function createSession(options = {}) {
+  const created = new ClaudeSession('memory-test', {
+    memoryStore: store,
+    contextBuilder: new ContextBuilder({ store }),
+    log: () => {},
+    ...options
+  });
+  created.ptyProcess = { pid: process.pid, written: [], write(data) { this.written.push(data); }, kill() {} };
+  created.openConversation();
+  created.markReady('test');
+  return created;
+}
+
+/**
+ * Send a command and answer it as Claude would
+ */
+function exchange(data, answer, extra = {}) {
+  session.enqueue({ msg: { data, requestId: data, ...extra }, reply: () => {}, label: 'test' });
+  session.handleOutput([
+    JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: answer }] } }),
+    JSON.stringify({ type: 'result', result: answer })
+  ].join('\n') + '\n');
+}
+
+test('commands and answers are recorded in the conversation', () => {
+  const { conversationId } = session;
+  exchange('What is 2+2?', '4');
+  exchange('And 3+3?', '6');
+
+  const messages = store.getMessages(conversationId).map(({ role, content }) => ({ role, content }));
+  assert.deepEqual(messages, [
+    { role: 'user', content: 'What is 2+2?' },
+    { role: 'assistant', content: '4' },
+    { role: 'user', content: 'And 3+3?' },
+    { role: 'assistant', content: '6' }
+  ]);
+});
+
+test('each Claude process gets its own conversation, ended when it exits', () => {
+  const ended = [];
+  session.on('conversationEnded', ({ conversationId }) => ended.push(conversationId));
+  const first = session.conversationId;
+  exchange('hello', 'hi');
+
+  session.openConversation();
+  assert.notEqual(session.conversationId, first);
+  assert.deepEqual(ended, [first]);
+  assert.ok(store.getConversation(first).ended_at);
+
+  const second = session.conversationId;
+  session.stop();
+  assert.deepEqual(ended, [first, second]);
+  assert.equal(session.conversationId, null);
+});
+
+test('an interrupted turn\'s late answer is not recorded', () => {
+  const { conversationId } = session;
+  session.enqueue({ msg: { data: 'slow', requestId: 'r1' }, reply: () => {}, label: 'test' });
+  session.cancel();
+  session.handleOutput(JSON.stringify({ type: 'result', result: 'too late' }) + '\n');
+
+  assert.deepEqual(store.getMessages(conversationId).map(m => m.content), ['slow']);
+});
+
+test('facts Claude acknowledges are stored unless extraction is off', () => {
+  exchange('I have a dog', "Got it. I'll remember that you have a dog called Rex.");
+  assert.deepEqual(store.getFacts().map(f => [f.fact, f.source]), [['you have a dog called Rex.', 'extracted']]);
+
+  session.stop();
+  session = createSession({ extractFacts: false });
+  exchange('I have a cat', "I'll remember that you have a cat.");
+  assert.equal(store.getFacts().length, 1);
+});
+
+test('sessions without a memory store record nothing', () => {
+  session.stop();
+  session = createSession({ memoryStore: null, contextBuilder: null });
+  exchange('hello', 'hi');
+  assert.equal(session.conversationId, null);
+  assert.equal(store.getConversationCount(), 1);
+});
+
+test('memory context is prepended only to commands that ask for it', () => {
+  store.addFact('Prefers metric units', 'preference');
+
+  exchange('How far is a mile?', 'About 1.6 km');
+  assert.equal(session.ptyProcess.written[0], 'How far is a mile?');
+
+  exchange('And a foot?', 'About 30 cm', { withContext: true });
+  const sent = session.ptyProcess.written[1];
+  assert.match(sent, /^\[JARVIS MEMORY CONTEXT\]\n/);
+  assert.match(sent, /preference:\n {4}- Prefers metric units/);
+  assert.match(sent, /Recent Conversation:\n {2}User: How far is a mile\?\n {2}Assistant: About 1.6 km/);
+  assert.ok(sent.endsWith('[END CONTEXT]\n\nAnd a foot?'));
+
+  // Only what the user typed is recorded
+  assert.equal(store.getMessages(session.conversationId)[2].content, 'And a foot?');
+});
+
+test('a command is sent without context when building it fails', () => {
+  session.contextBuilder.buildContext = () => { throw new Error('broken'); };
+  exchange('hello', 'hi', { withContext: true });
+  assert.equal(session.ptyProcess.written[0], 'hello');
+});
+
+test('history outlives the session and the store that wrote it', () => {
+  exchange('first', 'one');
+  session.handleOutput('plain text line\n');
+  exchange('second', 'two');
+  session.stop();
+  store.close();
+
+  // As after a daemon restart
+  store = new MemoryStore({ configDir });
+  session = createSession();
+  const history = session.getHistory();
+
+  assert.equal(history.hasMore, false);
+  assert.deepEqual(history.entries.map(e => [e.type, e.messageType, e.content]), [
+    ['command', null, 'first'],
+    ['message', 'assistant', 'one'],
+    ['message', 'result', 'one'],
+    ['output', null, 'plain text line'],
+    ['command', null, 'second'],
+    ['message', 'assistant', 'two'],
+    ['message', 'result', 'two']
+  ]);
+  assert.equal(history.entries[1].requestId, 'first');
+  assert.equal(history.text, '\n> first\n\none\nplain text line\n\n> second\n\ntwo\n');
+});
+
+test('history pages backwards and filters by time', () => {
+  for (let i = 0; i < 5; i++) {
+    store.appendJournal('memory-test', { type: 'output', content: `line ${i}`, time: 1000 + i });
+  }
+  store.appendJournal('other-session', { type: 'output', content: 'elsewhere', time: 1002 });
+
+  const latest = session.getHistory({ limit: 2 });
+  assert.deepEqual(latest.entries.map(e => e.content), ['line 3', 'line 4']);
+  assert.equal(latest.hasMore, true);
+
+  const older = session.getHistory({ limit: 2, before: latest.entries[0].id });
+  assert.deepEqual(older.entries.map(e => e.content), ['line 1', 'line 2']);
+
+  const oldest = session.getHistory({ limit: 2, before: older.entries[0].id });
+  assert.deepEqual(oldest.entries.map(e => e.content), ['line 0']);
+  assert.equal(oldest.hasMore, false);
+
+  const window = session.getHistory({ since: 1001, until: 1003 });
+  assert.deepEqual(window.entries.map(e => e.content), ['line 1', 'line 2']);
+  assert.deepEqual(session.getHistory({ since: new Date(1004).toISOString() }).entries.map(e => e.content), ['line 4']);
+  assert.throws(() => session.getHistory({ since: 'yesterday-ish' }), /Invalid time/);
+});
+
+test('without a memory store, history is the recent output', () => {
+  session.stop();
+  session = createSession({ memoryStore: null, contextBuilder: null });
+  session.handleOutput('a\n');
+  session.handleOutput('b\n');
+
+  assert.deepEqual(session.getHistory({ limit: 1 }), { entries: [], hasMore: true, text: 'b\n' });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for the ClaudeSession command queue, cancelling and interrupting
+ * (src/session/claude-session.js). Claude's PTY is a stand-in that records
+ * what is written to it. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ClaudeSession } = require('../src/session/claude-session');
+
+let session;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  session = new ClaudeSession('queue-test', { log: () => {} });
+  session.ptyProcess = { pid: process.pid, written: [], write(data) { this.written.push(data); }, kill() {} };
+  session.markReady('test');
+});
+
+afterEach(() => {
+  session.stop();
+  mock.timers.reset();
+});
+
+/**
+ * Queue a command and collect the replies sent back for it
+ */
+function send(data, requestId, timeout) {
+  const replies = [];
+  session.enqueue({ msg: { data, requestId, timeout }, reply: msg => replies.push(msg), label: 'test' });
+  return replies;
+}
+
+/**
+ * Claude output as stream-json lines
+ */
+function output(...messages) {
+  session.handleOutput(messages.map(msg => JSON.stringify(msg)).join('\n') + '\n');
+}
+
+function result(text) {
+  output({ type: 'result', result: text });
+}
+
+function written() {
+  return session.ptyProcess.written.filter(data => data !== '\r');
+}
+
+test('commands run one at a time, in order', () => {
+  const messages = [];
+  session.on('message', msg => messages.push(msg));
+  send('first', 'r1');
+  const second = send('second', 'r2');
+
+  assert.deepEqual(written(), ['first']);
+  assert.deepEqual(second.at(-1), { type: 'queued', position: 1, queueLength: 1, busy: true });
+
+  result('one');
+  assert.deepEqual(written(), ['first', 'second']);
+  assert.equal(messages[0].requestId, 'r1');
+  assert.equal(messages[0].content, 'one');
+
+  result('two');
+  assert.equal(messages[1].requestId, 'r2');
+  assert.equal(session.isBusy(), false);
+});
+
+test('commands wait until Claude is ready', () => {
+  session.claudeReady = false;
+  const replies = send('early', 'r1');
+
+  assert.equal(replies[0].type, 'status');
+  assert.deepEqual(written(), []);
+
+  session.claudeReady = false;
+  session.markReady('test');
+  assert.deepEqual(written(), ['early']);
+});
+
+test('Enter is sent after the command text', () => {
+  send('hello', 'r1');
+  assert.deepEqual(session.ptyProcess.written, ['hello']);
+  mock.timers.tick(200);
+  assert.deepEqual(session.ptyProcess.written, ['hello', '\r']);
+});
+
+test('cancelling a queued command removes it', () => {
+  send('first', 'r1');
+  const second = send('second', 'r2');
+  const third = send('third', 'r3');
+
+  assert.equal(session.cancel('r2'), 'queued');
+  assert.deepEqual(second.at(-1), { type: 'cancelled', running: false });
+  assert.deepEqual(third.at(-1), { type: 'queued', position: 1, queueLength: 1, busy: true });
+  assert.equal(session.cancel('missing'), null);
+
+  result('one');
+  assert.deepEqual(written(), ['first', 'third']);
+});
+
+test('an interrupted turn keeps the queue until its late result arrives', () => {
+  const messages = [];
+  session.on('message', msg => messages.push(msg));
+  const first = send('slow', 'r1');
+  send('next', 'r2');
+
+  assert.equal(session.cancel(), 'running');
+  assert.deepEqual(first.at(-1), { type: 'cancelled', running: true });
+  assert.deepEqual(written(), ['slow', '\x1b']);
+  assert.equal(session.isBusy(), true);
+
+  // The interrupted turn still answers; that is not the next command's answer
+  result('late answer');
+  assert.equal(messages[0].requestId, 'r1');
+  assert.equal(messages[0].interrupted, true);
+  assert.deepEqual(written(), ['slow', '\x1b', 'next']);
+
+  result('next answer');
+  assert.equal(messages[1].requestId, 'r2');
+  assert.equal(messages[1].interrupted, undefined);
+});
+
+test('the queue moves on when an interrupted turn never answers', () => {
+  send('slow', 'r1');
+  send('next', 'r2');
+  session.cancel('r1');
+
+  mock.timers.tick(4999);
+  assert.deepEqual(written(), ['slow', '\x1b']);
+  mock.timers.tick(1);
+  assert.deepEqual(written(), ['slow', '\x1b', 'next']);
+  assert.equal(session.interruptedRequest, null);
+});
+
+test('a command that runs past its timeout is interrupted', () => {
+  const replies = send('slow', 'r1', 1000);
+
+  mock.timers.tick(1000);
+  assert.equal(replies.at(-1).type, 'error');
+  assert.match(replies.at(-1).message, /timed out/);
+  assert.deepEqual(written(), ['slow', '\x1b']);
+  assert.equal(session.activeRequest, null);
+});
+
+test('stopping fails pending commands and forgets an interrupted turn', () => {
+  const first = send('slow', 'r1');
+  const second = send('next', 'r2');
+  session.cancel('r1');
+  const third = send('later', 'r3');
+
+  session.stop();
+  assert.equal(session.interruptedRequest, null);
+  assert.equal(session.isBusy(), false);
+  assert.equal(first.at(-1).type, 'cancelled');
+  assert.match(second.at(-1).message, /stopped/);
+  assert.match(third.at(-1).message, /stopped/);
+});
+
+test('queue info lists the running and waiting commands', () => {
+  send('first', 'r1');
+  send('second', 'r2');
+  const info = session.getQueueInfo();
+
+  assert.equal(info.busy, true);
+  assert.equal(info.activeRequestId, 'r1');
+  assert.deepEqual(info.queue.map(entry => entry.requestId), ['r2']);
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for restarting crashed Claude processes and crash reports
+ * (src/session/restart-policy.js, src/session/crash-reports.js and
+ * ClaudeSession.handleExit). Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RestartPolicy, CrashReporter, ClaudeSession } = require('../src/session');
+
+let configDir;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('restart delays back off exponentially up to the maximum', () => {
+  const policy = new RestartPolicy({ initialDelay: 1000, maxDelay: 5000, jitter: 0, maxAttempts: 5 });
+  const delays = [1, 2, 3, 4, 5].map(() => policy.next(0).delay);
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+  assert.deepEqual(policy.next(0), { restart: false, attempt: 6, delay: 0 });
+});
+
+test('jitter spreads delays around the backoff', () => {
+  const policy = new RestartPolicy({ initialDelay: 1000, jitter: 0.2 });
+  for (let i = 0; i < 50; i++) {
+    const delay = policy.delayFor(1);
+    assert.ok(delay >= 800 && delay <= 1200, `delay ${delay}`);
+  }
+});
+
+test('a process that stayed up resets the count', () => {
+  const policy = new RestartPolicy({ maxAttempts: 2, resetAfter: 60000 });
+  policy.next(0);
+  policy.next(0);
+  assert.equal(policy.next(0).restart, false);
+  assert.deepEqual(policy.next(60000).attempt, 1);
+});
+
+test('retryForever never gives up', () => {
+  const policy = new RestartPolicy({ maxAttempts: 1, retryForever: true, maxDelay: 3000, jitter: 0 });
+  for (let i = 0; i < 20; i++) policy.next(0);
+  assert.deepEqual(policy.next(0), { restart: true, attempt: 21, delay: 3000 });
+  assert.equal(policy.describeLimit(), 'unlimited');
+});
+
+test('unknown policy settings are refused', () => {
+  assert.throws(() => new RestartPolicy({ maxRetries: 3 }), /Unknown restart policy setting "maxRetries"/);
+});
+
+test('crash reports are listed newest first and pruned', () => {
+  const reporter = new CrashReporter({ configDir, maxReports: 3 });
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2030-01-01T00:00:00Z') });
+  const ids = [];
+  for (let i = 0; i < 4; i++) {
+    ids.push(reporter.record({ session: i % 2 ? 'api' : 'default', exitCode: i }).id);
+    mock.timers.tick(1000);
+  }
+
+  assert.equal(ids[0], '2030-01-01T00-00-00-000Z-default');
+  assert.deepEqual(reporter.list().map(r => r.exitCode), [3, 2, 1]);
+  assert.deepEqual(reporter.list({ session: 'api' }).map(r => r.exitCode), [3, 1]);
+  assert.deepEqual(reporter.list({ limit: 1 }).map(r => r.exitCode), [3]);
+  assert.equal(reporter.get(ids[0]), null);
+  assert.equal(reporter.get(ids[3]).session, 'api');
+  assert.equal(reporter.get('../../etc/passwd'), null);
+});
+
+test('a crashed session reports the crash and restarts after the backoff delay', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const session = new ClaudeSession('restart-test', {
+    log: () => {},
+    restartPolicy: { initialDelay: 2000, jitter: 0, maxAttempts: 1 }
+  });
+  session.start = mock.fn(async () => {});
+  const events = [];
+  for (const name of ['crashed', 'restarting', 'failed']) {
+    session.on(name, data => events.push([name, data]));
+  }
+  session.handleOutput('Error: something broke\n');
+
+  session.handleExit(1);
+  const [[, crash], [, restarting]] = events;
+  assert.equal(crash.exitCode, 1);
+  assert.equal(crash.willRestart, true);
+  assert.equal(crash.restartDelay, 2000);
+  assert.deepEqual(crash.lastOutput, ['Error: something broke']);
+  assert.deepEqual(restarting, { attempt: 1, delay: 2000, exitCode: 1 });
+
+  mock.timers.tick(1999);
+  assert.equal(session.start.mock.callCount(), 0);
+  mock.timers.tick(1);
+  assert.equal(session.start.mock.callCount(), 1);
+
+  // Crashing again right away uses up the attempts
+  session.handleExit(1);
+  assert.deepEqual(events.at(-1), ['failed', { exitCode: 1, attempts: 1 }]);
+  assert.equal(session.stopped, true);
+});
+
+test('a stopped session is not restarted', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const session = new ClaudeSession('restart-test', { log: () => {} });
+  session.start = mock.fn(async () => {});
+  session.handleExit(1);
+  session.stop();
+  mock.timers.tick(60000);
+  assert.equal(session.start.mock.callCount(), 0);
+
+  const crashed = [];
+  session.on('crashed', data => crashed.push(data));
+  session.handleExit(0);
+  assert.deepEqual(crashed, []);
+});
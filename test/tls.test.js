@@ -0,0 +1,144 @@
+/**
+ * Tests for TLS certificates and fingerprint pinning (src/tls) on the
+ * service's TCP and WebSocket servers and in ClaudeClient. Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+
+// The service keeps its files under the home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-always-test-'));
+process.env.HOME = home;
+
+const { ClaudeService } = require('../src/service');
+const { ClaudeClient } = require('../src/client');
+const {
+  loadTlsOptions,
+  ensureSelfSignedCert,
+  certFingerprint,
+  normalizeFingerprint
+} = require('../src/tls');
+
+let service;
+
+before(async () => {
+  service = new ClaudeService({ port: await freePorts(), tls: { enabled: true } });
+  service.log = () => {};
+  // As start() does before anything listens
+  service.tls = loadTlsOptions({ ...service.tlsSettings, configDir: service.configDir });
+  await service.startServer();
+  await service.startWebSocketServer();
+});
+
+after(async () => {
+  await service.stop();
+  service.memoryStore.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * A port whose next port (for WebSocket) is free as well
+ */
+async function freePorts() {
+  const canListen = (port) => new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+  });
+  for (;;) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    if (await canListen(port) && await canListen(port + 1)) return port;
+  }
+}
+
+/**
+ * Flip the last hex digit of a fingerprint
+ */
+function otherFingerprint(fingerprint) {
+  return fingerprint.slice(0, -1) + (fingerprint.endsWith('0') ? '1' : '0');
+}
+
+test('a self-signed certificate is generated once and reused', () => {
+  const tlsDir = path.join(service.configDir, 'tls');
+  const keyPath = path.join(tlsDir, 'key.pem');
+  assert.ok(service.tls.selfSigned);
+  assert.equal(service.tls.certPath, path.join(tlsDir, 'cert.pem'));
+  assert.equal(service.tls.fingerprint, certFingerprint(service.tls.cert));
+  assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+
+  assert.equal(ensureSelfSignedCert(tlsDir).created, false);
+  assert.equal(loadTlsOptions({ configDir: service.configDir }).fingerprint, service.tls.fingerprint);
+});
+
+test('forcing a new certificate changes the fingerprint', () => {
+  const dir = fs.mkdtempSync(path.join(home, 'tls-'));
+  const first = ensureSelfSignedCert(dir);
+  const before = certFingerprint(fs.readFileSync(first.certPath, 'utf8'));
+
+  const second = ensureSelfSignedCert(dir, { force: true });
+  assert.equal(second.created, true);
+  assert.notEqual(certFingerprint(fs.readFileSync(second.certPath, 'utf8')), before);
+});
+
+test('a configured certificate and key are loaded as they are', () => {
+  const { certPath, keyPath } = service.tls;
+  const loaded = loadTlsOptions({ cert: certPath, key: keyPath });
+  assert.equal(loaded.selfSigned, false);
+  assert.equal(loaded.fingerprint, service.tls.fingerprint);
+
+  assert.throws(() => loadTlsOptions({ cert: certPath }), /needs both a certificate and a key/);
+  assert.throws(
+    () => loadTlsOptions({ cert: path.join(home, 'missing.pem'), key: keyPath }),
+    /Cannot read TLS certificate/
+  );
+});
+
+test('fingerprints are compared in any notation', () => {
+  assert.equal(normalizeFingerprint('ab:cd:0e'), 'AB:CD:0E');
+  assert.equal(normalizeFingerprint('abcd0e'), 'AB:CD:0E');
+  assert.equal(normalizeFingerprint('AB CD 0E'), 'AB:CD:0E');
+  assert.equal(normalizeFingerprint(''), '');
+});
+
+test('the service advertises its fingerprint to local clients', async () => {
+  assert.equal(fs.readFileSync(service.tlsFile, 'utf8'), service.tls.fingerprint);
+
+  const client = new ClaudeClient({ port: service.port });
+  assert.equal(client.tls, true);
+  assert.equal(client.fingerprint, service.tls.fingerprint);
+  await client.connect();
+  assert.equal((await client.ping()).type, 'pong');
+  client.disconnect();
+});
+
+test('clients connect with a pinned fingerprint and refuse any other', async () => {
+  const pinned = new ClaudeClient({ port: service.port, fingerprint: service.tls.fingerprint.toLowerCase() });
+  await pinned.connect();
+  assert.equal((await pinned.ping()).type, 'pong');
+  pinned.disconnect();
+
+  const wrong = new ClaudeClient({ port: service.port, fingerprint: otherFingerprint(service.tls.fingerprint) });
+  await assert.rejects(wrong.connect(), /TLS fingerprint mismatch/);
+
+  // Without a pin (not even the advertised one), the self-signed certificate can't be verified
+  const unpinned = new ClaudeClient({ port: service.port, tls: true });
+  unpinned.fingerprint = null;
+  await assert.rejects(unpinned.connect(), /pin the service certificate with --fingerprint/);
+});
+
+test('WebSocket clients get wss with the same certificate', async () => {
+  const ws = new WebSocket(`wss://127.0.0.1:${service.port + 1}`, { rejectUnauthorized: false });
+  const res = await new Promise((resolve, reject) => {
+    ws.once('upgrade', resolve);
+    ws.once('error', reject);
+  });
+  assert.equal(res.socket.getPeerCertificate().fingerprint256, service.tls.fingerprint);
+  const connected = await new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data.toString()))));
+  assert.equal(connected.type, 'connected');
+  ws.close();
+});